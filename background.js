@@ -172,21 +172,9 @@ ext.runtime.onConnect.addListener((port) => {
     } else if (port.name === "menu-port") {
         port.onMessage.addListener((message) => {
             if (message.action === 'openPopout') {
-                const tabId = message.tabId;
-                ext.windows.create({
-                    url: ext.runtime.getURL(`popout.html?tabId=${tabId}`),
-                    type: 'popup',
-                    width: 400,
-                    height: 300,
-                });
+                openPopout(message.tabId);
             } else if (message.action === 'openTracking') {
-                // Open tracking window
-                ext.windows.create({
-                    url: ext.runtime.getURL('tracking.html'),
-                    type: 'popup',
-                    width: 450,
-                    height: 800,
-                });
+                openTracking();
             } else if (message.action === 'openClipboardManager') {
                 // Open clipboard manager window
                 ext.windows.create({
@@ -224,6 +212,64 @@ ext.runtime.onConnect.addListener((port) => {
     }
 });
 
+function openPopout(tabId) {
+    ext.windows.create({
+        url: ext.runtime.getURL(`popout.html?tabId=${tabId}`),
+        type: 'popup',
+        width: 400,
+        height: 300,
+    });
+}
+
+function openTracking() {
+    ext.windows.create({
+        url: ext.runtime.getURL('tracking.html'),
+        type: 'popup',
+        width: 450,
+        height: 800,
+    });
+}
+
+/**
+ * Form tab a keyboard shortcut applies to: the active tab, or the tab the focused popout is bound to
+ * @returns {Promise<number|null>}
+ */
+function getShortcutTabId() {
+    return ext.windows.getLastFocused().then((win) => {
+        const popout = Array.from(popoutPorts.values()).find(info => info.windowId === win.id);
+        if (popout) return popout.tabId;
+        return ext.tabs.query({ active: true, windowId: win.id }).then(tabs => (tabs.length > 0 ? tabs[0].id : null));
+    });
+}
+
+// Keyboard shortcuts ("commands" in manifest.json; rebound on the options page or in about:addons).
+// Checklist commands go to the form tab's content script over its port.
+const CONTENT_COMMANDS = ['confirm-step', 'skip-step', 'go-back', 'next-skipped', 'toggle-ui'];
+
+ext.commands.onCommand.addListener((command) => {
+    if (command === 'open-tracking') {
+        openTracking();
+        return;
+    }
+
+    getShortcutTabId().then((tabId) => {
+        // Only form tabs have a connected content script
+        const contentPort = tabId !== null ? contentPorts.get(tabId) : null;
+        if (!contentPort) {
+            logger.debug(`Shortcut "${command}" ignored - no checklist in the current tab`);
+            return;
+        }
+
+        if (command === 'open-popout') {
+            openPopout(tabId);
+        } else if (CONTENT_COMMANDS.includes(command)) {
+            contentPort.postMessage({ action: 'runCommand', command });
+        }
+    }).catch((error) => {
+        logger.warn(`Shortcut "${command}" failed:`, error);
+    });
+});
+
 // Clean up popouts when their bound tab is closed
 ext.tabs.onRemoved.addListener((tabId) => {
     // Close all popout windows bound to this tab
@@ -236,10 +282,62 @@ ext.tabs.onRemoved.addListener((tabId) => {
         }
     });
 
-    // Clean up storage for this tab
-    ext.storage.local.remove([`checklistState_${tabId}`, `uiState_${tabId}`, `viewMode_${tabId}`]);
+    // Clean up storage for this tab. Checklist state of a form page is kept under the form's
+    // id (see UrlRoutes.getStateScope), so it is still there when the form is opened again.
+    ext.storage.local.get(null, (items) => {
+        const keysToRemove = Object.keys(items).filter(key => getStateKeyOwner(key) === String(tabId));
+        if (keysToRemove.length > 0) {
+            ext.storage.local.remove(keysToRemove);
+        }
+    });
 });
 
+// Per-tab UI keys (<name>_<tabId>) and checklist state keys (<name>_<scope>_<profileId>...)
+const TAB_KEY_PATTERN = /^(?:uiState|viewMode|activeProfile|stateScope)_(\d+)$/;
+const STATE_KEY_PATTERN = /^(?:checklistState|reviewState|tableState|checklistVariant|checklistLayout|undoHistory)_(\d+|form_\d+)_/;
+
+/**
+ * Tab id or form scope ("form_<id>") a stored key belongs to
+ * @returns {string|null} null for keys that aren't per tab or per form
+ */
+function getStateKeyOwner(key) {
+    const match = key.match(TAB_KEY_PATTERN) || key.match(STATE_KEY_PATTERN);
+    return match ? match[1] : null;
+}
+
+/**
+ * Remove state nothing can use any more: keys of tabs that are gone (tab ids start over when
+ * Firefox restarts, so a new tab could otherwise pick up an old one's progress), checklist
+ * state of forms no longer in the tracking history that no open tab shows, and autosave
+ * snapshots too old to offer (see form-autosave.js). Runs when Firefox starts or the extension
+ * is installed or updated, not on every wake of the background page.
+ */
+async function removeOrphanedState() {
+    const [tabs, items] = await Promise.all([ext.tabs.query({}), ext.storage.local.get(null)]);
+    const openTabs = new Set(tabs.map(tab => String(tab.id)));
+    const keptForms = new Set((items.tracking_history || []).map(form => `form_${form.urlId}`));
+    // By URL rather than stateScope_<tab>, which a tab still loading may not have written yet
+    tabs.forEach(tab => keptForms.add(UrlRoutes.getStateScope(tab.id, tab.url)));
+
+    const orphaned = Object.keys(items).filter(key => {
+        if (FormAutosave.isSnapshotKey(key)) return FormAutosave.isExpired(items[key]);
+        const owner = getStateKeyOwner(key);
+        if (!owner) return false;
+        return owner.startsWith('form_') ? !keptForms.has(owner) : !openTabs.has(owner);
+    });
+    if (orphaned.length > 0) {
+        logger.info(`Removing ${orphaned.length} stored keys of closed tabs, forgotten forms and old autosaves`);
+        await ext.storage.local.remove(orphaned);
+    }
+}
+
+function cleanUpStoredState() {
+    removeOrphanedState().catch(error => logger.warn('Could not clean up stored state:', error));
+}
+
+ext.runtime.onStartup.addListener(cleanUpStoredState);
+ext.runtime.onInstalled.addListener(cleanUpStoredState);
+
 // Clean up tracking when popout window is closed by user
 ext.windows.onRemoved.addListener((windowId) => {
     popoutPorts.forEach((popoutInfo, portId) => {
@@ -355,16 +453,9 @@ async function parseAttendancePage(url) {
             );
         }
 
-        // If no URL provided or no exact match, look for any tab with summary-table element
+        // If no URL provided or no exact match, look for any attendance page (see url-routes.js)
         if (!matchingTab) {
-            // Try to find a tab that contains the attendance table by URL pattern
-            // Common patterns: attendance, timesheet, etc.
-            matchingTab = allTabs.find(tab =>
-                tab.url && (
-                    tab.url.toLowerCase().includes('attendance') ||
-                    tab.url.toLowerCase().includes('timesheet')
-                )
-            );
+            matchingTab = allTabs.find(tab => UrlRoutes.isPageKind(tab.url, UrlRoutes.PAGE_KINDS.ATTENDANCE));
         }
 
         // If still not found in current window, search all windows (fallback)
@@ -380,12 +471,7 @@ async function parseAttendancePage(url) {
             }
 
             if (!matchingTab) {
-                matchingTab = allTabs.find(tab =>
-                    tab.url && (
-                        tab.url.toLowerCase().includes('attendance') ||
-                        tab.url.toLowerCase().includes('timesheet')
-                    )
-                );
+                matchingTab = allTabs.find(tab => UrlRoutes.isPageKind(tab.url, UrlRoutes.PAGE_KINDS.ATTENDANCE));
             }
         }
 
@@ -395,7 +481,7 @@ async function parseAttendancePage(url) {
         if (!tabToUse) {
             return {
                 success: false,
-                error: 'No attendance page found. Please open https://rapid.slacal.com/Operations/AttendanceSheet/Details in a Firefox tab first, then try again.'
+                error: `No attendance page found. Please open ${UrlRoutes.getRoute(UrlRoutes.PAGE_KINDS.ATTENDANCE).url} in a Firefox tab first, then try again.`
             };
         }
 
@@ -508,14 +594,12 @@ async function parseWorkQueue() {
         const allTabs = await ext.tabs.query({});
 
         // Look for tabs that match the work queue URL pattern
-        const matchingTab = allTabs.find(tab =>
-            tab.url && tab.url.includes('Operations/WorkItem/MyQueue')
-        );
+        const matchingTab = allTabs.find(tab => UrlRoutes.isPageKind(tab.url, UrlRoutes.PAGE_KINDS.WORK_QUEUE));
 
         if (!matchingTab) {
             return {
                 success: false,
-                error: 'No work queue page found. Please open https://rapid.slacal.com/Operations/WorkItem/MyQueue in a Firefox tab first, then try again.'
+                error: `No work queue page found. Please open ${UrlRoutes.getRoute(UrlRoutes.PAGE_KINDS.WORK_QUEUE).url} in a Firefox tab first, then try again.`
             };
         }
 
@@ -0,0 +1,113 @@
+/*************************************************************************************************
+ *  blind-review.js - Blind double-entry review
+ *
+ *  With "Blind review" turned on in the toolbar menu, review mode hides the values already on
+ *  the form. The reviewer keys or picks each step's values again in the on-page UI. Checking a
+ *  step compares the entries with the form, field by field. The outcome goes into the form's
+ *  history record next to reviewedProgress:
+ *      blindReviewResults: { stepId: { stepName, checkedAt, fields: [{ name, entered, actual, match }] } }
+ *
+ *  Only group steps with fields that can be typed or picked (text, select, checkbox,
+ *  kendo_widget) are re-entered; other steps are reviewed as usual.
+ *  The module has no page dependencies, so the tests load it on its own.
+ *************************************************************************************************/
+(function() {
+    "use strict";
+
+    const ENTRY_TYPES = ['text', 'select', 'checkbox', 'kendo_widget'];
+
+    /**
+     * Comparable form of a value: booleans as "true"/"false", numbers without "$", commas or
+     * trailing zeros, M/D/YYYY dates as YYYY-MM-DD, other text trimmed and lowercased
+     */
+    function normalize(value) {
+        if (typeof value === 'boolean') return String(value);
+        const text = String(value === undefined || value === null ? '' : value).trim().replace(/\s+/g, ' ');
+
+        const number = text.replace(/[$,\s]/g, '');
+        if (/^-?\d+(\.\d+)?$/.test(number)) return String(parseFloat(number));
+
+        const date = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+        if (date) return `${date[3]}-${date[1].padStart(2, '0')}-${date[2].padStart(2, '0')}`;
+
+        return text.toLowerCase();
+    }
+
+    const BlindReview = {
+        ENTRY_TYPES: ENTRY_TYPES,
+
+        /**
+         * @param {Object} field - Field config or field data
+         * @returns {boolean} True if the reviewer re-enters this field
+         */
+        isEntryField: function(field) {
+            return ENTRY_TYPES.includes(field.type || 'text');
+        },
+
+        /**
+         * @param {Object} step - Checklist step
+         * @returns {boolean} True if the step is re-entered in a blind review
+         */
+        isBlindStep: function(step) {
+            return !!step && step.type === 'group' && (step.fields || []).some(field => this.isEntryField(field));
+        },
+
+        normalize: normalize,
+
+        /**
+         * Compare a step's entries with the form
+         * @param {Array} fields - Field data from the page ([{ name, type, value, options }])
+         * @param {Array} entries - Entered values by field index (checkboxes as booleans)
+         * @returns {Array} [{ name, entered, actual, match }] for the entry fields. Select values
+         *          are shown by their option text.
+         */
+        compareFields: function(fields, entries) {
+            const display = (field, value) => {
+                if (field.type !== 'select') return value;
+                const option = (field.options || []).find(opt => opt.value === value);
+                return option ? option.text : value;
+            };
+
+            return fields
+                .map((field, index) => ({ field, entered: entries[index] }))
+                .filter(({ field }) => this.isEntryField(field))
+                .map(({ field, entered }) => {
+                    const actual = field.type === 'checkbox' ? !!field.value : field.value;
+                    const typed = field.type === 'checkbox' ? !!entered : (entered || '');
+                    return {
+                        name: field.name,
+                        entered: display(field, typed),
+                        actual: display(field, actual),
+                        match: normalize(typed) === normalize(actual)
+                    };
+                });
+        },
+
+        /**
+         * Totals over a form's blind review results
+         * @param {Object} results - The record's blindReviewResults
+         * @returns {Object} { stepCount, fieldCount, mismatchCount }
+         */
+        summarize: function(results) {
+            const steps = Object.values(results || {});
+            const fields = steps.reduce((all, step) => all.concat(step.fields || []), []);
+            return {
+                stepCount: steps.length,
+                fieldCount: fields.length,
+                mismatchCount: fields.filter(field => !field.match).length
+            };
+        },
+
+        /**
+         * @param {*} value - Entered or actual value from a result
+         * @returns {string} For display ("(blank)", "Checked", "Not checked")
+         */
+        formatValue: function(value) {
+            if (value === true) return 'Checked';
+            if (value === false) return 'Not checked';
+            return value === undefined || value === null || value === '' ? '(blank)' : String(value);
+        }
+    };
+
+    window.BlindReview = BlindReview;
+})();
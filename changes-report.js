@@ -16,15 +16,52 @@
         endDate: null
     };
 
+    // Checklist profile filter (applies to every tab)
+    let profileFilter = 'all';
+    let defaultProfileId = null; // Forms tracked before profiles existed belong to the first profile
+
     // Initialize on load
     document.addEventListener('DOMContentLoaded', () => {
         logger.debug("Changes report initialized");
         initializeTabs();
         initializeFilters();
+        initializeProfileFilter();
         loadUserReport();
         loadBrokerAnalysis();
     });
 
+    /**
+     * Populate the checklist profile selector from the profile registry
+     */
+    function initializeProfileFilter() {
+        const select = document.getElementById('profile-select');
+
+        ConfigLoader.loadProfiles().then(profiles => {
+            defaultProfileId = profiles.length > 0 ? profiles[0].id : null;
+            profiles.forEach(profile => {
+                const option = document.createElement('option');
+                option.value = profile.id;
+                option.textContent = profile.name;
+                select.appendChild(option);
+            });
+        });
+
+        select.addEventListener('change', () => {
+            profileFilter = select.value;
+            loadUserReport();
+            loadBrokerAnalysis();
+            loadReviewMistakes();
+        });
+    }
+
+    /**
+     * Check whether a form belongs to the selected checklist profile
+     */
+    function matchesProfileFilter(form) {
+        if (profileFilter === 'all') return true;
+        return (form.profileId || defaultProfileId) === profileFilter;
+    }
+
     /**
      * Initialize tab switching
      */
@@ -51,6 +88,8 @@
                     loadBrokerAnalysis();
                 } else if (tabId === 'review-mistakes') {
                     loadReviewMistakes();
+                } else if (tabId === 'step-times') {
+                    loadStepTimes();
                 }
             });
         });
@@ -68,6 +107,8 @@
         document.getElementById('broker-end-date').value = today;
         document.getElementById('review-start-date').value = today;
         document.getElementById('review-end-date').value = today;
+        document.getElementById('times-start-date').value = today;
+        document.getElementById('times-end-date').value = today;
 
         // User report filter button
         document.getElementById('user-apply-btn').addEventListener('click', () => {
@@ -89,6 +130,11 @@
             loadReviewMistakes();
         });
 
+        // Step times filter button
+        document.getElementById('times-apply-btn').addEventListener('click', () => {
+            loadStepTimes();
+        });
+
         // Export buttons
         document.getElementById('user-export-btn').addEventListener('click', () => exportBreakdownToCSV('user'));
         document.getElementById('broker-export-btn').addEventListener('click', () => exportBreakdownToCSV('broker'));
@@ -109,8 +155,9 @@
             const startDate = userFilters.startDate || document.getElementById('user-start-date').value;
             const endDate = userFilters.endDate || document.getElementById('user-end-date').value;
 
-            // Filter forms by date range
+            // Filter forms by profile and date range
             const filteredForms = history.filter(form => {
+                if (!matchesProfileFilter(form)) return false;
                 const formDate = new Date(form.movedToHistoryDate || form.addedDate);
                 const dateStr = formDate.toISOString().split('T')[0];
                 return dateStr >= startDate && dateStr <= endDate;
@@ -122,6 +169,7 @@
 
             // Render detailed breakdown
             renderDetailedBreakdown(filteredForms, 'user');
+            renderSkipReasons(filteredForms);
 
             // Render forms
             if (filteredForms.length === 0) {
@@ -297,6 +345,10 @@
         const hasChanges = (changes.totalFieldsChanged || 0) > 0;
         const hasReviewChanges = (reviewChanges.totalFieldsChanged || 0) > 0;
         const totalChanges = (changes.totalFieldsChanged || 0) + (reviewChanges.totalFieldsChanged || 0);
+        const noteCount = Object.keys(form.stepNotes || {}).length;
+        const skipCount = Object.keys(form.skipReasons || {}).length;
+        const blindSummary = BlindReview.summarize(form.blindReviewResults);
+        const hasDetails = hasChanges || hasReviewChanges || noteCount > 0 || skipCount > 0 || blindSummary.stepCount > 0;
 
         let changesBadge = '<span class="badge badge-clean">No Changes</span>';
         if (totalChanges > 0) {
@@ -306,23 +358,35 @@
                 changesBadge += ` <span class="badge badge-sub">${changes.totalFieldsChanged} initial</span> <span class="badge badge-sub badge-review">${reviewChanges.totalFieldsChanged} review</span>`;
             }
         }
+        if (noteCount > 0) {
+            changesBadge += ` <span class="badge badge-sub badge-notes">📝 ${noteCount} note${noteCount !== 1 ? 's' : ''}</span>`;
+        }
+        if (skipCount > 0) {
+            changesBadge += ` <span class="badge badge-sub badge-skips">${skipCount} skip${skipCount !== 1 ? 's' : ''}</span>`;
+        }
+        if (blindSummary.fieldCount > 0) {
+            changesBadge += ` <span class="badge badge-sub ${blindSummary.mismatchCount > 0 ? 'badge-blind-mismatch' : 'badge-review'}">Blind review: ${blindSummary.mismatchCount}/${blindSummary.fieldCount} mismatched</span>`;
+        }
 
         row.innerHTML = `
             <td><a href="${escapeHtml(form.url || '#')}" class="clickable-link" target="_blank">${escapeHtml(form.policyNumber || 'N/A')}</a></td>
             <td>${escapeHtml(form.broker || 'N/A')}</td>
             <td>${escapeHtml(form.policyType || 'N/A')}</td>
             <td>${changesBadge}</td>
-            <td>${hasChanges || hasReviewChanges ? `<span class="expandable" data-row-id="${rowId}">View Details</span>` : '-'}</td>
+            <td>${hasDetails ? `<span class="expandable" data-row-id="${rowId}">View Details</span>` : '-'}</td>
         `;
 
-        // Add details row if there are changes
-        if (hasChanges || hasReviewChanges) {
+        // Add details row if there are changes, notes, skips or blind review results
+        if (hasDetails) {
             const detailsRow = document.createElement('tr');
             detailsRow.className = 'details-row';
             detailsRow.innerHTML = `
                 <td colspan="5">
                     <div class="change-details" id="details-${rowId}">
-                        ${renderChangeDetails(changes, reviewChanges)}
+                        ${hasChanges || hasReviewChanges ? renderChangeDetails(changes, reviewChanges) : ''}
+                        ${renderStepNotes(form.stepNotes)}
+                        ${renderFormSkipReasons(form.skipReasons)}
+                        ${renderBlindReviewResults(form.blindReviewResults)}
                     </div>
                 </td>
             `;
@@ -357,7 +421,7 @@
                 html += `
                     <div class="change-step">
                         <div class="change-step-name">${escapeHtml(step.stepName)} (${step.fieldCount} field${step.fieldCount !== 1 ? 's' : ''})</div>
-                        <div class="change-fields">Changed fields: ${step.changedFields.map(f => escapeHtml(f)).join(', ')}</div>
+                        ${renderChangedFields(step, 'Changed fields')}
                     </div>
                 `;
             });
@@ -371,7 +435,7 @@
                             <span class="review-indicator">🔍 Review</span>
                             ${escapeHtml(step.stepName)} (${step.fieldCount} field${step.fieldCount !== 1 ? 's' : ''})
                         </div>
-                        <div class="change-fields">Changed fields: ${step.changedFields.map(f => escapeHtml(f)).join(', ')}</div>
+                        ${renderChangedFields(step, 'Changed fields')}
                     </div>
                 `;
             });
@@ -380,6 +444,122 @@
         return html || '<div>No change details available</div>';
     }
 
+    /**
+     * Render a step's changed fields with their original, processor and reviewer values.
+     * Records saved before values were kept only list the field names.
+     * @param {Object} step - Entry of stepsWithChanges
+     * @param {string} label - Heading for the plain list of names
+     */
+    function renderChangedFields(step, label) {
+        const fieldValues = step.fieldValues || {};
+        if (!step.changedFields.some(name => fieldValues[name])) {
+            return `<div class="change-fields">${label}: ${step.changedFields.map(f => escapeHtml(f)).join(', ')}</div>`;
+        }
+
+        return step.changedFields.map(name => {
+            const values = fieldValues[name];
+            if (!values) return `<div class="change-fields">${escapeHtml(name)}</div>`;
+            return `
+                <div class="change-fields">
+                    ${escapeHtml(name)}:
+                    <span class="change-value-label">original</span> ${escapeHtml(formatChangeValue(values.original))}
+                    → <span class="change-value-label">processor</span> ${escapeHtml(formatChangeValue(values.processor))}
+                    ${'reviewer' in values ? `→ <span class="change-value-label">reviewer</span> ${escapeHtml(formatChangeValue(values.reviewer))}` : ''}
+                </div>`;
+        }).join('');
+    }
+
+    /**
+     * @param {*} value - Stored field value (checkboxes are booleans, multi-selects arrays)
+     * @returns {string} For display and export
+     */
+    function formatChangeValue(value) {
+        if (value === true) return 'Checked';
+        if (value === false) return 'Not checked';
+        if (Array.isArray(value)) return value.join(', ');
+        return value === undefined || value === null || value === '' ? '(blank)' : String(value);
+    }
+
+    /**
+     * Render the notes processors left on a form's steps
+     */
+    function renderStepNotes(stepNotes) {
+        const notes = Object.values(stepNotes || {});
+        if (notes.length === 0) return '';
+
+        return notes.map(note => `
+            <div class="change-step change-step-note">
+                <div class="change-step-name">📝 ${escapeHtml(note.stepName)}</div>
+                <div class="step-note-text">${escapeHtml(note.text)}</div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Render why a form's steps were skipped, and whether they've been dealt with since
+     */
+    function renderFormSkipReasons(skipReasons) {
+        const skips = Object.values(skipReasons || {});
+        if (skips.length === 0) return '';
+
+        return skips.map(skip => `
+            <div class="change-step">
+                <div class="change-step-name">⏭ ${escapeHtml(skip.stepName)}</div>
+                <div class="change-fields">
+                    Skipped: ${escapeHtml(skip.reason || 'No reason given')}
+                    ${skip.resolved ? '<span class="skip-reason-resolved">(resolved)</span>' : ''}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Render a blind review's mismatched fields (entered value vs. the form's), per step
+     */
+    function renderBlindReviewResults(results) {
+        const steps = Object.values(results || {});
+        if (steps.length === 0) return '';
+
+        const mismatched = steps.filter(step => step.fields.some(field => !field.match));
+        const matchedCount = steps.length - mismatched.length;
+        return mismatched.map(step => `
+            <div class="change-step change-step-review">
+                <div class="change-step-name"><span class="review-indicator">🙈 Blind review</span> ${escapeHtml(step.stepName)}</div>
+                ${step.fields.filter(field => !field.match).map(field => `
+                    <div class="change-fields">${escapeHtml(field.name)}: entered ${escapeHtml(BlindReview.formatValue(field.entered))}, form has ${escapeHtml(BlindReview.formatValue(field.actual))}</div>
+                `).join('')}
+            </div>
+        `).join('') + (matchedCount > 0
+            ? `<div class="change-step"><div class="change-fields">🙈 Blind review: ${matchedCount} step${matchedCount !== 1 ? 's' : ''} matched the form</div></div>`
+            : '');
+    }
+
+    /**
+     * Render how often steps were skipped for each reason
+     */
+    function renderSkipReasons(forms) {
+        const chart = document.getElementById('user-skip-reasons-chart');
+        const reasons = SkipReasons.countByReason(forms);
+
+        if (reasons.length === 0) {
+            chart.innerHTML = '<div class="empty-state-subtext">No steps skipped in this date range</div>';
+            return;
+        }
+
+        const maxCount = reasons[0].count;
+        chart.innerHTML = reasons.map(reason => `
+            <div class="bar-row">
+                <div class="bar-label">
+                    <span>${escapeHtml(reason.reason || 'No reason given')}</span>
+                    <span>${reason.count} skip${reason.count !== 1 ? 's' : ''}${reason.pending > 0 ? ` (${reason.pending} pending)` : ''}</span>
+                </div>
+                <div class="bar-background">
+                    <div class="bar-fill" style="width: ${(reason.count / maxCount) * 100}%"></div>
+                </div>
+            </div>
+        `).join('');
+    }
+
     /**
      * Load and render broker analysis
      */
@@ -396,8 +576,9 @@
             const endDate = brokerFilters.endDate || document.getElementById('broker-end-date').value;
             const selectedBroker = brokerFilters.broker || 'all';
 
-            // Filter forms by date range
+            // Filter forms by profile and date range
             let filteredForms = history.filter(form => {
+                if (!matchesProfileFilter(form)) return false;
                 const formDate = new Date(form.movedToHistoryDate || form.addedDate);
                 const dateStr = formDate.toISOString().split('T')[0];
                 return dateStr >= startDate && dateStr <= endDate;
@@ -633,23 +814,38 @@
         if (!tbody) return;
 
         // Collect all step and field data
-        const stepData = {}; // { stepName: { count, fieldData: { fieldName: count } } }
+        const stepData = {}; // { stepName: { count, fieldData: { fieldName: count }, fieldValues: { fieldName: [values] } } }
         const totalForms = forms.length;
 
         forms.forEach(form => {
             const changes = form.fieldChanges || {};
+            const reviewSteps = (form.reviewModeChanges && form.reviewModeChanges.stepsWithChanges) || [];
             if (changes.stepsWithChanges) {
                 changes.stepsWithChanges.forEach(step => {
                     if (!stepData[step.stepName]) {
-                        stepData[step.stepName] = { count: 0, fieldData: {} };
+                        stepData[step.stepName] = { count: 0, fieldData: {}, fieldValues: {} };
                     }
                     stepData[step.stepName].count++;
 
+                    const reviewStep = reviewSteps.find(review => (review.stepId || review.stepName) === (step.stepId || step.stepName));
                     step.changedFields.forEach(fieldName => {
                         if (!stepData[step.stepName].fieldData[fieldName]) {
                             stepData[step.stepName].fieldData[fieldName] = 0;
+                            stepData[step.stepName].fieldValues[fieldName] = [];
                         }
                         stepData[step.stepName].fieldData[fieldName]++;
+
+                        // The reviewer's value, if the field was corrected again in review
+                        const values = (step.fieldValues || {})[fieldName];
+                        const reviewValues = reviewStep && (reviewStep.fieldValues || {})[fieldName];
+                        if (values) {
+                            stepData[step.stepName].fieldValues[fieldName].push({
+                                policyNumber: form.policyNumber,
+                                original: values.original,
+                                processor: values.processor,
+                                reviewer: reviewValues ? reviewValues.reviewer : undefined
+                            });
+                        }
                     });
                 });
             }
@@ -657,8 +853,9 @@
 
         // Sort steps by count (descending)
         const sortedSteps = Object.entries(stepData)
-            .map(([name, data]) => ({ name, count: data.count, fieldData: data.fieldData }))
+            .map(([name, data]) => ({ name, count: data.count, fieldData: data.fieldData, fieldValues: data.fieldValues }))
             .sort((a, b) => b.count - a.count);
+        sortedSteps.totalForms = totalForms;
 
         // Render table
         tbody.innerHTML = '';
@@ -784,12 +981,13 @@
             return;
         }
 
-        // Build CSV content
-        let csv = 'Type,Step/Field Name,Change Count,Percentage of Forms\n';
+        // Build CSV content - a Change row per form under each field, with its before/after values
+        const cell = value => `"${String(value === undefined || value === null ? '' : value).replace(/"/g, '""')}"`;
+        let csv = 'Type,Step/Field Name,Change Count,Percentage of Forms,Policy Number,Original Value,Processor Value,Reviewer Value\n';
 
         data.forEach(step => {
             const stepPercentage = ((step.count / data.totalForms) * 100).toFixed(1);
-            csv += `Step,"${step.name}",${step.count},${stepPercentage}%\n`;
+            csv += `Step,${cell(step.name)},${step.count},${stepPercentage}%,,,,\n`;
 
             const sortedFields = Object.entries(step.fieldData)
                 .map(([name, count]) => ({ name, count }))
@@ -797,7 +995,12 @@
 
             sortedFields.forEach(field => {
                 const fieldPercentage = ((field.count / data.totalForms) * 100).toFixed(1);
-                csv += `Field,"${field.name}",${field.count},${fieldPercentage}%\n`;
+                csv += `Field,${cell(field.name)},${field.count},${fieldPercentage}%,,,,\n`;
+
+                ((step.fieldValues || {})[field.name] || []).forEach(values => {
+                    csv += `Change,${cell(field.name)},,,${cell(values.policyNumber)},${cell(formatChangeValue(values.original))},` +
+                        `${cell(formatChangeValue(values.processor))},${cell(values.reviewer === undefined ? '' : formatChangeValue(values.reviewer))}\n`;
+                });
             });
         });
 
@@ -834,6 +1037,8 @@
                     return false;
                 }
 
+                if (!matchesProfileFilter(form)) return false;
+
                 // Apply date filter
                 if (startDate && form.completedDate && form.completedDate < startDate) return false;
                 if (endDate && form.completedDate && form.completedDate > endDate) return false;
@@ -981,7 +1186,7 @@
                 html += `
                     <div class="change-step">
                         <div class="change-step-name">${escapeHtml(step.stepName)} (${step.fieldCount} mistake${step.fieldCount !== 1 ? 's' : ''})</div>
-                        <div class="change-fields">Fields corrected: ${step.changedFields.map(f => escapeHtml(f)).join(', ')}</div>
+                        ${renderChangedFields(step, 'Fields corrected')}
                     </div>
                 `;
             });
@@ -990,6 +1195,78 @@
         return html || '<div>No details available</div>';
     }
 
+    /**
+     * Load and render average time per step, grouped by transaction type or broker
+     */
+    function loadStepTimes() {
+        const container = document.getElementById('step-times-container');
+        container.innerHTML = '<div class="loading"><div class="spinner"></div><div>Loading step times...</div></div>';
+
+        ext.storage.local.get('tracking_history', (result) => {
+            const history = result.tracking_history || [];
+            const groupBy = document.getElementById('times-group-select').value;
+            const startDate = document.getElementById('times-start-date').value;
+            const endDate = document.getElementById('times-end-date').value;
+
+            const filteredForms = history.filter(form => {
+                if (!matchesProfileFilter(form)) return false;
+                const formDate = new Date(form.movedToHistoryDate || form.addedDate);
+                const dateStr = formDate.toISOString().split('T')[0];
+                return dateStr >= startDate && dateStr <= endDate;
+            });
+
+            const getGroup = groupBy === 'broker'
+                ? form => form.broker || 'N/A'
+                : form => form.policyType || 'N/A';
+            const groups = StepTiming.averageByGroup(filteredForms, getGroup);
+
+            if (groups.length === 0) {
+                container.innerHTML = `
+                    <div class="empty-state">
+                        <div class="empty-state-icon">⏱️</div>
+                        <div class="empty-state-text">No step times recorded</div>
+                        <div class="empty-state-subtext">Step times are recorded while forms are processed</div>
+                    </div>
+                `;
+                return;
+            }
+
+            container.innerHTML = groups.map(renderStepTimesGroup).join('');
+        });
+    }
+
+    /**
+     * Render one group's average step times as a bar chart, slowest step first
+     */
+    function renderStepTimesGroup(group) {
+        const maxMs = Math.max(...group.steps.map(step => step.averageMs));
+
+        const bars = group.steps.map(step => {
+            const percentage = maxMs > 0 ? (step.averageMs / maxMs) * 100 : 0;
+            return `
+                <div class="bar-row">
+                    <div class="bar-label">
+                        <span>${escapeHtml(step.stepName)}</span>
+                        <span>${StepTiming.formatDuration(step.averageMs)} avg (${step.formCount} form${step.formCount !== 1 ? 's' : ''})</span>
+                    </div>
+                    <div class="bar-background">
+                        <div class="bar-fill" style="width: ${percentage}%"></div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <div class="section">
+                <div class="section-header">
+                    <div class="section-title">${escapeHtml(group.group)}</div>
+                    <div>${group.formCount} form${group.formCount !== 1 ? 's' : ''}</div>
+                </div>
+                <div class="bar-chart">${bars}</div>
+            </div>
+        `;
+    }
+
     /**
      * Escape HTML to prevent XSS
      */
@@ -4,285 +4,1736 @@
 (function() {
     "use strict";
 
-    const ConfigLoader = {
-        /**
-         * Load and validate the configuration file
-         * @returns {Promise<Object>} Configuration object or error object
-         */
-        load: async function() {
+    const VALID_EDGES = ['top', 'bottom', 'left', 'right'];
+    const STEP_TYPES = ['group', 'virtual', 'table', 'custom'];
+    const FIELD_TYPES = ['text', 'checkbox', 'select', 'radio', 'virtual', 'labelWithDivText', 'kendo_widget'];
+    const COLUMN_TYPES = ['text', 'checkbox', 'select', 'label', 'kendo_widget'];
+
+    // transaction_variants keys: the letter codes used by tracking-helper.js, plus "B" for any backout
+    const TRANSACTION_TYPE_CODES = ['N', 'R', 'X', 'E', 'A', 'C', 'BN', 'BR', 'BX', 'BE', 'BA', 'BC', 'B'];
+
+    // Field "rules" date formats (checked by field-rules.js)
+    const RULE_DATE_FORMATS = ['MM/DD/YYYY', 'M/D/YYYY', 'YYYY-MM-DD'];
+    const ALLOWED_RULE_FIELD_TYPES = ['select', 'radio', 'kendo_widget'];
+
+    // show_if / required_if condition keys (evaluated by step-conditions.js)
+    const CONDITION_READ_MODES = ['auto', 'value', 'checked', 'text', 'option_text', 'next_text', 'kendo'];
+    const CONDITION_KEYS = ['selector', 'read', 'equals', 'not_equals', 'in', 'not_in', 'checked', 'empty', 'matches'];
+    const CONDITION_GROUP_KEYS = ['all', 'any', 'not'];
+
+    // consistency_rules operators and operand sources (evaluated by consistency-rules.js)
+    const CONSISTENCY_OPERATORS = ['==', '!=', '<', '<=', '>', '>=', 'between'];
+    const OPERAND_SOURCES = ['selector', 'sum', 'count', 'value', 'text'];
+
+    // Reasons offered when skipping a step, unless the config sets "skip_reasons"
+    const DEFAULT_SKIP_REASONS = ['Waiting on broker', 'Needs research', 'Document missing'];
+
+    /**
+     * Config schema. Each node lists its known keys:
+     *   type     - 'string' | 'number' | 'boolean' | 'object' | 'array'
+     *   required - true, or a function(parent) deciding whether the key is required
+     *   enum     - allowed values
+     *   node     - schema node for an object value, or for each item of an array value
+     * Keys not listed in a node are reported as warnings (with a spelling suggestion when close).
+     */
+    const SCHEMA = {
+        root: {
+            metadata: { type: 'object', node: 'metadata' },
+            policy_number: { type: 'object', node: 'pageSelector' },
+            submission_number: { type: 'object', node: 'pageSelector' },
+            primary_insured: { type: 'object', node: 'pageSelector' },
+            total_premium: { type: 'object', node: 'pageSelector' },
+            checklist: { type: 'array', required: config => !config.extends, node: 'step' },
+            transaction_variants: { type: 'object' },  // Entries checked by validateTransactionVariants
+            consistency_rules: { type: 'array', node: 'consistencyRule' },
+            fragments: { type: 'object', node: 'fragments' },
+            extends: { type: 'string' },               // Resolved by resolveExtends before validation
+            checklist_changes: { type: 'object', node: 'variant' },
+            migrations: { type: 'array', node: 'migration' },
+            skip_reasons: { type: 'array' },           // Entries checked by validateSkipReasons
+            edit_timeline_limit: { type: 'number' },   // Checked by validateEditTimelineLimit
+            session_timeout_minutes: { type: 'number' } // Checked by validateSessionTimeout
+        },
+        fragments: {
+            field_sets: { type: 'object' },   // Expanded by expandFragments
+            zone_edges: { type: 'object' }
+        },
+        metadata: {
+            form_name: { type: 'string' },
+            description: { type: 'string' },
+            url_pattern: { type: 'string' },
+            config_version: { type: 'string' }
+        },
+        pageSelector: {
+            selector: { type: 'string', required: true },
+            label: { type: 'string' },
+            note: { type: 'string' }
+        },
+        step: {
+            name: { type: 'string', required: true },
+            id: { type: 'string' },           // Stable id for saved progress (defaults to the name)
+            type: { type: 'string', required: true, enum: STEP_TYPES },
+            selector: { type: 'string' },
+            fields: { type: 'array', required: step => step.type === 'group', node: 'field' },
+            container_selector: { type: 'string' },
+            container_levels_up: { type: 'number' },
+            highlight_zones: { type: 'array', node: 'zone' },
+            table_selector: { type: 'string', required: step => step.type === 'table' },
+            row_selector: { type: 'string', required: step => step.type === 'table' },
+            table_id: { type: 'string', required: step => step.type === 'custom' && !step.custom_type },
+            custom_type: { type: 'string' },  // Name registered with custom-step-types.js
+            custom: { type: 'object' },       // Options checked by the custom type's validate()
+            dynamic: { type: 'boolean' },
+            columns: { type: 'array', required: step => step.type === 'table', node: 'column' },
+            row_identifier: { type: 'object', node: 'rowIdentifier' },
+            new_row_trigger: { type: 'object', node: 'newRowTrigger' },
+            show_if: { type: 'object' },      // Structure checked by validateCondition
+            required_if: { type: 'object' }
+        },
+        field: {
+            name: { type: 'string', required: true },
+            selector: { type: 'string', required: true },
+            type: { type: 'string', required: true, enum: FIELD_TYPES },
+            divSelector: { type: 'string', required: field => field.type === 'labelWithDivText' },
+            rules: { type: 'object', node: 'fieldRules' }
+        },
+        fieldRules: {
+            required: { type: 'boolean' },
+            pattern: { type: 'string' },
+            message: { type: 'string' },
+            min: { type: 'number' },
+            max: { type: 'number' },
+            date_format: { type: 'string', enum: RULE_DATE_FORMATS },
+            max_length: { type: 'number' },
+            allowed: { type: 'array' }
+        },
+        column: {
+            name: { type: 'string', required: true },
+            selector: { type: 'string', required: true },
+            type: { type: 'string', required: true, enum: COLUMN_TYPES },
+            extract: { type: 'string', required: column => column.type === 'label' }
+        },
+        zone: {
+            top: { type: 'object', required: true, node: 'zoneEdge' },
+            bottom: { type: 'object', required: true, node: 'zoneEdge' },
+            left: { type: 'object', required: true, node: 'zoneEdge' },
+            right: { type: 'object', required: true, node: 'zoneEdge' },
+            show_checkbox: { type: 'boolean' }
+        },
+        zoneEdge: {
+            selector: { type: 'string', required: true },
+            edge: { type: 'string', required: true, enum: VALID_EDGES },
+            offset: { type: 'number', required: true }
+        },
+        rowIdentifier: {
+            column_index: { type: 'number', required: true }
+        },
+        newRowTrigger: {
+            columns: { type: 'array', required: true }
+        },
+        consistencyRule: {
+            name: { type: 'string', required: true },
+            when: { type: 'object' },          // Structure checked by validateCondition
+            left: { type: 'object', required: true, node: 'ruleOperand' },
+            operator: { type: 'string', required: true, enum: CONSISTENCY_OPERATORS },
+            right: { type: 'object', required: rule => rule.operator !== 'between', node: 'ruleOperand' },
+            low: { type: 'object', required: rule => rule.operator === 'between', node: 'ruleOperand' },
+            high: { type: 'object', required: rule => rule.operator === 'between', node: 'ruleOperand' },
+            tolerance: { type: 'number' },
+            severity: { type: 'string', enum: ['error', 'warning'] },
+            message: { type: 'string' }
+        },
+        ruleOperand: {
+            selector: { type: 'string' },
+            sum: { type: 'string' },
+            count: { type: 'string' },
+            value: { type: 'number' },
+            text: { type: 'string' },
+            read: { type: 'string', enum: CONDITION_READ_MODES },
+            as: { type: 'string', enum: ['number', 'date', 'text'] },
+            label: { type: 'string' }
+        },
+        variant: {
+            remove: { type: 'array' },
+            add: { type: 'array', node: 'variantAdd' },
+            move: { type: 'array', node: 'variantMove' }
+        },
+        variantAdd: {
+            step: { type: 'object', required: true, node: 'step' },
+            after: { type: 'string' },
+            before: { type: 'string' }
+        },
+        variantMove: {
+            name: { type: 'string', required: true },
+            after: { type: 'string' },
+            before: { type: 'string' }
+        },
+        migration: {
+            version: { type: 'string', required: true },
+            rename_steps: { type: 'object' },  // Entries checked by validateMigrations
+            rename_fields: { type: 'object' },
+            remove_steps: { type: 'array' },
+            note: { type: 'string' }
+        }
+    };
+
+    // Example values used in "add the missing key" suggestions
+    const TYPE_EXAMPLES = {
+        string: '""',
+        number: '0',
+        boolean: 'false',
+        object: '{}',
+        array: '[]'
+    };
+
+    function getValueType(value) {
+        if (Array.isArray(value)) return 'array';
+        if (value === null) return 'null';
+        return typeof value;
+    }
+
+    /**
+     * Levenshtein distance, used to suggest fixes for misspelled keys and enum values
+     */
+    function editDistance(a, b) {
+        const rows = a.length + 1;
+        const cols = b.length + 1;
+        const d = [];
+        for (let i = 0; i < rows; i++) {
+            d.push([i]);
+            for (let j = 1; j < cols; j++) {
+                d[i][j] = i === 0 ? j : 0;
+            }
+        }
+        for (let i = 1; i < rows; i++) {
+            for (let j = 1; j < cols; j++) {
+                const cost = a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1;
+                d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            }
+        }
+        return d[rows - 1][cols - 1];
+    }
+
+    /**
+     * Find the candidate closest to value, if it is close enough to be a likely typo
+     */
+    function findClosest(value, candidates) {
+        let best = null;
+        let bestDistance = Infinity;
+        candidates.forEach(candidate => {
+            const distance = editDistance(String(value), candidate);
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        });
+        const threshold = Math.max(2, Math.floor(String(value).length / 3));
+        return bestDistance <= threshold ? best : null;
+    }
+
+    /**
+     * Walk a value against a schema node, pushing { severity, path, message, suggestion } issues
+     */
+    function validateNode(value, nodeName, path, issues) {
+        const node = SCHEMA[nodeName];
+        const prefix = path ? `${path}.` : '';
+
+        Object.keys(node).forEach(key => {
+            const rule = node[key];
+            const keyPath = `${prefix}${key}`;
+            const isRequired = typeof rule.required === 'function' ? rule.required(value) : rule.required;
+
+            if (!(key in value)) {
+                if (isRequired) {
+                    issues.push({
+                        severity: 'error',
+                        path: keyPath,
+                        message: `missing required "${key}" property`,
+                        suggestion: `Add "${key}": ${TYPE_EXAMPLES[rule.type]}`
+                    });
+                }
+                return;
+            }
+
+            const child = value[key];
+            const actualType = getValueType(child);
+            if (actualType !== rule.type) {
+                issues.push({
+                    severity: 'error',
+                    path: keyPath,
+                    message: `must be ${rule.type === 'array' || rule.type === 'object' ? 'an' : 'a'} ${rule.type} (got ${actualType})`,
+                    suggestion: rule.type === 'number' && actualType === 'string' && !isNaN(Number(child))
+                        ? `Remove the quotes: ${Number(child)}`
+                        : `Change the value to a ${rule.type}, e.g. ${TYPE_EXAMPLES[rule.type]}`
+                });
+                return;
+            }
+
+            if (rule.enum && !rule.enum.includes(child)) {
+                const closest = findClosest(child, rule.enum);
+                issues.push({
+                    severity: 'error',
+                    path: keyPath,
+                    message: `invalid value "${child}"`,
+                    suggestion: closest ? `Did you mean "${closest}"?` : `Use one of: ${rule.enum.join(', ')}`
+                });
+            }
+
+            if (rule.node && rule.type === 'object') {
+                validateNode(child, rule.node, keyPath, issues);
+            } else if (rule.node && rule.type === 'array') {
+                child.forEach((item, i) => {
+                    const itemPath = `${keyPath}[${i}]`;
+                    if (getValueType(item) !== 'object') {
+                        issues.push({
+                            severity: 'error',
+                            path: itemPath,
+                            message: `must be an object (got ${getValueType(item)})`,
+                            suggestion: 'Wrap the entry in { }'
+                        });
+                        return;
+                    }
+                    validateNode(item, rule.node, itemPath, issues);
+                });
+            }
+        });
+
+        // Unknown keys are usually typos - warn rather than fail so the checklist still loads
+        Object.keys(value).forEach(key => {
+            if (key in node) return;
+            const closest = findClosest(key, Object.keys(node));
+            issues.push({
+                severity: 'warning',
+                path: `${prefix}${key}`,
+                message: `unknown property "${key}" will be ignored`,
+                suggestion: closest ? `Did you mean "${closest}"?` : 'Remove it or check the config reference'
+            });
+        });
+    }
+
+    /**
+     * Validate a show_if / required_if condition (leaf or all/any/not group)
+     */
+    function validateCondition(condition, path, issues) {
+        if (getValueType(condition) !== 'object') {
+            issues.push({
+                severity: 'error',
+                path: path,
+                message: `condition must be an object (got ${getValueType(condition)})`,
+                suggestion: 'Use { "selector": "#Field", "equals": "value" }'
+            });
+            return;
+        }
+
+        const groupKey = CONDITION_GROUP_KEYS.find(key => key in condition);
+        if (groupKey) {
+            if (groupKey === 'not') {
+                validateCondition(condition.not, `${path}.not`, issues);
+            } else if (!Array.isArray(condition[groupKey]) || condition[groupKey].length === 0) {
+                issues.push({
+                    severity: 'error',
+                    path: `${path}.${groupKey}`,
+                    message: `"${groupKey}" must be a non-empty array of conditions`,
+                    suggestion: `Use "${groupKey}": [{ "selector": "#Field", "checked": true }]`
+                });
+            } else {
+                condition[groupKey].forEach((child, i) => validateCondition(child, `${path}.${groupKey}[${i}]`, issues));
+            }
+            return;
+        }
+
+        if (typeof condition.selector !== 'string' || !condition.selector) {
+            issues.push({
+                severity: 'error',
+                path: `${path}.selector`,
+                message: 'condition requires a "selector" string',
+                suggestion: 'Add "selector": "#FieldId"'
+            });
+        } else {
             try {
-                // Check if running in extension context or standalone HTML
-                let configUrl;
-                const isExtensionContext = (typeof browser !== 'undefined' && browser.runtime) ||
-                                          (typeof chrome !== 'undefined' && chrome.runtime);
-
-                if (isExtensionContext) {
-                    const ext = (typeof browser !== 'undefined') ? browser : chrome;
-                    configUrl = ext.runtime.getURL('checklist-config.json');
-                } else {
-                    // Running in standalone HTML (test environment)
-                    configUrl = 'checklist-config.json';
+                document.createDocumentFragment().querySelector(condition.selector);
+            } catch (error) {
+                issues.push({
+                    severity: 'error',
+                    path: `${path}.selector`,
+                    message: `invalid CSS selector "${condition.selector}"`,
+                    suggestion: 'Check for unclosed brackets or quotes, e.g. "#IsLate" or "label[for=\'IsLate\']"'
+                });
+            }
+        }
+
+        if ('read' in condition && !CONDITION_READ_MODES.includes(condition.read)) {
+            const closest = findClosest(condition.read, CONDITION_READ_MODES);
+            issues.push({
+                severity: 'error',
+                path: `${path}.read`,
+                message: `invalid value "${condition.read}"`,
+                suggestion: closest ? `Did you mean "${closest}"?` : `Use one of: ${CONDITION_READ_MODES.join(', ')}`
+            });
+        }
+
+        ['in', 'not_in'].forEach(key => {
+            if (key in condition && !Array.isArray(condition[key])) {
+                issues.push({
+                    severity: 'error',
+                    path: `${path}.${key}`,
+                    message: 'must be an array',
+                    suggestion: `Use "${key}": ["value1", "value2"]`
+                });
+            }
+        });
+
+        ['checked', 'empty'].forEach(key => {
+            if (key in condition && typeof condition[key] !== 'boolean') {
+                issues.push({
+                    severity: 'error',
+                    path: `${path}.${key}`,
+                    message: 'must be a boolean',
+                    suggestion: `Use "${key}": true or "${key}": false`
+                });
+            }
+        });
+
+        if ('matches' in condition) {
+            try {
+                new RegExp(condition.matches);
+            } catch (error) {
+                issues.push({
+                    severity: 'error',
+                    path: `${path}.matches`,
+                    message: `invalid regular expression: ${error.message}`,
+                    suggestion: 'Escape special characters with \\\\'
+                });
+            }
+        }
+
+        Object.keys(condition).forEach(key => {
+            if (CONDITION_KEYS.includes(key)) return;
+            const closest = findClosest(key, CONDITION_KEYS.concat(CONDITION_GROUP_KEYS));
+            issues.push({
+                severity: 'warning',
+                path: `${path}.${key}`,
+                message: `unknown property "${key}" will be ignored`,
+                suggestion: closest ? `Did you mean "${closest}"?` : 'Remove it or check the config reference'
+            });
+        });
+    }
+
+    /**
+     * Checks that depend on more than one key (run after the schema walk)
+     */
+    function validateCrossReferences(config, issues) {
+        if (!Array.isArray(config.checklist)) return;
+
+        config.checklist.forEach((step, i) => {
+            if (getValueType(step) !== 'object') return;
+            validateStepReferences(step, `checklist[${i}]`, issues);
+        });
+
+        if (getValueType(config.transaction_variants) === 'object') {
+            validateTransactionVariants(config, issues);
+        }
+
+        validateStepIds(config, issues);
+        validateMigrations(config, issues);
+
+        if (Array.isArray(config.consistency_rules)) {
+            config.consistency_rules.forEach((rule, i) => {
+                if (getValueType(rule) !== 'object') return;
+                validateConsistencyRule(rule, `consistency_rules[${i}]`, issues);
+            });
+        }
+    }
+
+    /**
+     * Regex url_pattern entries must compile, or the profile would never match
+     */
+    function validateUrlPattern(config, issues) {
+        const urlPattern = getValueType(config.metadata) === 'object' ? config.metadata.url_pattern : undefined;
+        UrlRoutes.parsePatterns(urlPattern).forEach(pattern => {
+            const error = UrlRoutes.getPatternError(pattern);
+            if (error) {
+                issues.push({
+                    severity: 'error',
+                    path: 'metadata.url_pattern',
+                    message: `invalid regular expression ${pattern}: ${error}`,
+                    suggestion: 'Fix the regex, or use plain text or a glob: pattern instead'
+                });
+            }
+        });
+    }
+
+    function validateSkipReasons(config, issues) {
+        if (!Array.isArray(config.skip_reasons)) return;
+        const seen = new Set();
+        config.skip_reasons.forEach((reason, i) => {
+            const path = `skip_reasons[${i}]`;
+            if (typeof reason !== 'string' || !reason.trim()) {
+                issues.push({
+                    severity: 'error',
+                    path,
+                    message: 'must be a non-empty string',
+                    suggestion: 'Use a short reason such as "Waiting on broker"'
+                });
+            } else if (seen.has(reason.trim().toLowerCase())) {
+                issues.push({
+                    severity: 'warning',
+                    path,
+                    message: `duplicate skip reason "${reason}"`,
+                    suggestion: 'Remove the duplicate'
+                });
+            } else {
+                seen.add(reason.trim().toLowerCase());
+            }
+        });
+    }
+
+    function validateEditTimelineLimit(config, issues) {
+        const limit = config.edit_timeline_limit;
+        if (typeof limit !== 'number' || (Number.isInteger(limit) && limit > 0)) return;
+        issues.push({
+            severity: 'error',
+            path: 'edit_timeline_limit',
+            message: 'must be a whole number greater than 0',
+            suggestion: 'Use the number of edits to keep per form, e.g. 300'
+        });
+    }
+
+    function validateSessionTimeout(config, issues) {
+        const minutes = config.session_timeout_minutes;
+        if (typeof minutes !== 'number' || minutes > 0) return;
+        issues.push({
+            severity: 'error',
+            path: 'session_timeout_minutes',
+            message: 'must be greater than 0',
+            suggestion: 'Use the minutes RAPID keeps a session without requests, or remove it to learn the timeout'
+        });
+    }
+
+    /**
+     * Cross-key checks for a consistency rule: one value source per operand, and the
+     * operands that match the operator
+     */
+    function validateConsistencyRule(rule, path, issues) {
+        if (getValueType(rule.when) === 'object') {
+            validateCondition(rule.when, `${path}.when`, issues);
+        }
+
+        ['left', 'right', 'low', 'high'].forEach(key => {
+            const operand = rule[key];
+            if (getValueType(operand) !== 'object') return;
+            const sources = OPERAND_SOURCES.filter(source => source in operand);
+            if (sources.length !== 1) {
+                issues.push({
+                    severity: 'error',
+                    path: `${path}.${key}`,
+                    message: sources.length === 0
+                        ? 'operand needs a value source'
+                        : `operand has more than one value source (${sources.join(', ')})`,
+                    suggestion: `Use exactly one of: ${OPERAND_SOURCES.join(', ')}`
+                });
+            }
+        });
+
+        if (rule.operator === 'between' && 'right' in rule) {
+            issues.push({
+                severity: 'warning',
+                path: `${path}.right`,
+                message: '"right" is ignored by "between"',
+                suggestion: 'Use "low" and "high" for the range'
+            });
+        } else if (rule.operator !== 'between' && ('low' in rule || 'high' in rule)) {
+            issues.push({
+                severity: 'warning',
+                path: `${path}.${'low' in rule ? 'low' : 'high'}`,
+                message: `"low" and "high" are only used by "between"`,
+                suggestion: 'Use "right" for the value to compare against'
+            });
+        }
+
+        if (typeof rule.tolerance === 'number' && rule.tolerance < 0) {
+            issues.push({
+                severity: 'error',
+                path: `${path}.tolerance`,
+                message: 'must be 0 or more',
+                suggestion: 'Use e.g. 0.01 to allow a one cent difference'
+            });
+        }
+    }
+
+    /**
+     * Checks a custom step against its registered implementation. Skipped when
+     * custom-step-types.js isn't loaded, since the registered names aren't known then.
+     */
+    function validateCustomStep(step, path, issues) {
+        const registry = window.CustomStepTypes;
+        if (!registry) return;
+
+        const implementation = registry.forStep(step);
+        if (!implementation) {
+            if (step.custom_type) {
+                issues.push({
+                    severity: 'error',
+                    path: `${path}.custom_type`,
+                    message: `unknown custom step type "${step.custom_type}"`,
+                    suggestion: `Use one of: ${registry.list().join(', ')}`
+                });
+            }
+            return;
+        }
+
+        // Steps still identified by table_id alone use the implementation's built-in defaults
+        const usesDefaults = !step.custom_type && step.custom === undefined;
+        if (typeof implementation.validate === 'function' && !usesDefaults) {
+            implementation.validate(getValueType(step.custom) === 'object' ? step.custom : {}, `${path}.custom`, issues);
+        }
+    }
+
+    /**
+     * Cross-key checks for a single step (also used for steps added by transaction variants)
+     */
+    function validateStepReferences(step, path, issues) {
+        ['show_if', 'required_if'].forEach(key => {
+            if (getValueType(step[key]) === 'object') {
+                validateCondition(step[key], `${path}.${key}`, issues);
+            }
+        });
+
+        if (step.type === 'group' && Array.isArray(step.fields) && step.fields.length === 0) {
+            issues.push({
+                severity: 'error',
+                path: `${path}.fields`,
+                message: 'group must have at least one field',
+                suggestion: 'Add a field, or change the step type to "virtual"'
+            });
+        }
+
+        if (Array.isArray(step.fields)) {
+            step.fields.forEach((field, j) => {
+                if (getValueType(field) === 'object' && getValueType(field.rules) === 'object') {
+                    validateFieldRules(field, `${path}.fields[${j}].rules`, issues);
                 }
+            });
+        }
 
-                const response = await fetch(configUrl);
-                if (!response.ok) {
-                    return {
-                        error: {
-                            type: 'LOAD_ERROR',
-                            message: `Failed to load configuration: ${response.statusText}`
-                        }
-                    };
+        if (step.type === 'custom') {
+            validateCustomStep(step, path, issues);
+        }
+
+        if (step.type === 'table' && Array.isArray(step.columns)) {
+            if (step.columns.length === 0) {
+                issues.push({
+                    severity: 'error',
+                    path: `${path}.columns`,
+                    message: 'table must have at least one column',
+                    suggestion: 'Add a column: { "name": "", "selector": "", "type": "text" }'
+                });
+            }
+
+            const columnIndex = step.row_identifier && step.row_identifier.column_index;
+            if (typeof columnIndex === 'number' && (columnIndex < 0 || columnIndex >= step.columns.length)) {
+                issues.push({
+                    severity: 'error',
+                    path: `${path}.row_identifier.column_index`,
+                    message: `column_index (${columnIndex}) exceeds number of columns`,
+                    suggestion: `Use a column index from 0 to ${step.columns.length - 1}`
+                });
+            }
+
+            const triggerColumns = step.new_row_trigger && step.new_row_trigger.columns;
+            if (Array.isArray(triggerColumns)) {
+                triggerColumns.forEach((colIdx, j) => {
+                    if (typeof colIdx !== 'number' || colIdx < 0 || colIdx >= step.columns.length) {
+                        issues.push({
+                            severity: 'error',
+                            path: `${path}.new_row_trigger.columns[${j}]`,
+                            message: `invalid column index ${colIdx}`,
+                            suggestion: `Use a column index from 0 to ${step.columns.length - 1}`
+                        });
+                    }
+                });
+            }
+        }
+
+        if (typeof step.container_levels_up === 'number' &&
+            (step.container_levels_up < 0 || !Number.isInteger(step.container_levels_up))) {
+            issues.push({
+                severity: 'error',
+                path: `${path}.container_levels_up`,
+                message: 'must be a whole number of 0 or more',
+                suggestion: 'Use 0 for the element itself, 1 for its parent, 2 for the grandparent, etc.'
+            });
+        }
+
+        if ('container_levels_up' in step && !step.container_selector) {
+            issues.push({
+                severity: 'warning',
+                path: `${path}.container_levels_up`,
+                message: 'has no effect without "container_selector"',
+                suggestion: 'Add "container_selector" or remove "container_levels_up"'
+            });
+        }
+    }
+
+    /**
+     * Cross-key checks for a field's validation rules
+     */
+    function validateFieldRules(field, path, issues) {
+        const rules = field.rules;
+
+        if (typeof rules.pattern === 'string') {
+            try {
+                new RegExp(rules.pattern);
+            } catch (e) {
+                issues.push({
+                    severity: 'error',
+                    path: `${path}.pattern`,
+                    message: `invalid regular expression: ${e.message}`,
+                    suggestion: 'Remember to escape backslashes in JSON, e.g. "^\\\\d{5}$"'
+                });
+            }
+        }
+
+        if ('message' in rules && !('pattern' in rules)) {
+            issues.push({
+                severity: 'warning',
+                path: `${path}.message`,
+                message: 'has no effect without "pattern"',
+                suggestion: 'Add "pattern" or remove "message"'
+            });
+        }
+
+        if (typeof rules.min === 'number' && typeof rules.max === 'number' && rules.min > rules.max) {
+            issues.push({
+                severity: 'error',
+                path: `${path}.min`,
+                message: `min (${rules.min}) is greater than max (${rules.max})`,
+                suggestion: 'Swap the two values'
+            });
+        }
+
+        if (typeof rules.max_length === 'number' && (rules.max_length < 1 || !Number.isInteger(rules.max_length))) {
+            issues.push({
+                severity: 'error',
+                path: `${path}.max_length`,
+                message: 'must be a whole number of 1 or more'
+            });
+        }
+
+        if (Array.isArray(rules.allowed) && !ALLOWED_RULE_FIELD_TYPES.includes(field.type)) {
+            issues.push({
+                severity: 'warning',
+                path: `${path}.allowed`,
+                message: `"allowed" is meant for select fields, but this field is "${field.type}"`,
+                suggestion: 'Use "pattern" to restrict free-text values'
+            });
+        }
+    }
+
+    /**
+     * Check each transaction variant's entries and that every step name it refers to exists
+     */
+    function validateTransactionVariants(config, issues) {
+        const stepNames = config.checklist
+            .filter(step => getValueType(step) === 'object')
+            .map(step => step.name);
+
+        Object.keys(config.transaction_variants).forEach(code => {
+            const variant = config.transaction_variants[code];
+            const path = `transaction_variants.${code}`;
+
+            if (!TRANSACTION_TYPE_CODES.includes(code)) {
+                // Codes are one or two letters, so spelling suggestions would be mostly noise
+                issues.push({
+                    severity: 'error',
+                    path: path,
+                    message: `unknown transaction type code "${code}"`,
+                    suggestion: `Use one of: ${TRANSACTION_TYPE_CODES.join(', ')}`
+                });
+                return;
+            }
+            if (getValueType(variant) !== 'object') {
+                issues.push({
+                    severity: 'error',
+                    path: path,
+                    message: `must be an object (got ${getValueType(variant)})`,
+                    suggestion: 'Use { "remove": [], "add": [], "move": [] }'
+                });
+                return;
+            }
+
+            validateNode(variant, 'variant', path, issues);
+            validateStepChanges(variant, path, stepNames, issues);
+        });
+    }
+
+    /**
+     * Check the step names used by remove/add/move changes (a transaction variant or an
+     * extending config's checklist_changes) against the steps they apply to
+     */
+    function validateStepChanges(changes, path, stepNames, issues) {
+        // Names may refer to base steps or to steps these changes add
+        const addEntries = Array.isArray(changes.add) ? changes.add.filter(entry => getValueType(entry) === 'object') : [];
+        const knownNames = stepNames.concat(addEntries
+            .filter(entry => getValueType(entry.step) === 'object')
+            .map(entry => entry.step.name));
+
+        const checkName = (name, namePath) => {
+            if (typeof name !== 'string' || knownNames.includes(name)) return;
+            const closest = findClosest(name, knownNames.filter(n => typeof n === 'string'));
+            issues.push({
+                severity: 'error',
+                path: namePath,
+                message: `no step named "${name}"`,
+                suggestion: closest ? `Did you mean "${closest}"?` : 'Use the exact "name" of a checklist step'
+            });
+        };
+
+        if (Array.isArray(changes.remove)) {
+            changes.remove.forEach((name, i) => {
+                if (typeof name !== 'string') {
+                    issues.push({
+                        severity: 'error',
+                        path: `${path}.remove[${i}]`,
+                        message: `must be a step name (got ${getValueType(name)})`,
+                        suggestion: 'Use the "name" of the step to remove'
+                    });
+                    return;
                 }
+                checkName(name, `${path}.remove[${i}]`);
+            });
+        }
 
-                const config = await response.json();
+        ['add', 'move'].forEach(key => {
+            if (!Array.isArray(changes[key])) return;
+            changes[key].forEach((entry, i) => {
+                if (getValueType(entry) !== 'object') return;
+                const entryPath = `${path}.${key}[${i}]`;
 
-                // Basic validation
-                if (!config.checklist || !Array.isArray(config.checklist)) {
-                    return {
-                        error: {
-                            type: 'VALIDATION_ERROR',
-                            message: 'Invalid configuration: missing checklist array'
-                        }
-                    };
+                if (key === 'move') {
+                    checkName(entry.name, `${entryPath}.name`);
                 }
+                checkName(entry.after, `${entryPath}.after`);
+                checkName(entry.before, `${entryPath}.before`);
 
-                // Validate highlight_zones if present
-                const zonesValidationError = this.validateHighlightZones(config.checklist);
-                if (zonesValidationError) {
-                    return {
-                        error: {
-                            type: 'VALIDATION_ERROR',
-                            message: zonesValidationError
-                        }
-                    };
+                if ('after' in entry && 'before' in entry) {
+                    issues.push({
+                        severity: 'warning',
+                        path: `${entryPath}.before`,
+                        message: '"before" is ignored when "after" is set',
+                        suggestion: 'Keep only one of "after" or "before"'
+                    });
                 }
 
-                // Validate field types
-                const fieldValidationError = this.validateFieldTypes(config.checklist);
-                if (fieldValidationError) {
-                    return {
-                        error: {
-                            type: 'VALIDATION_ERROR',
-                            message: fieldValidationError
-                        }
-                    };
+                if (key === 'add' && getValueType(entry.step) === 'object') {
+                    validateStepReferences(entry.step, `${entryPath}.step`, issues);
+
+                    // Progress is carried between variants by step name, so names must stay unique
+                    const removed = Array.isArray(changes.remove) ? changes.remove : [];
+                    if (stepNames.includes(entry.step.name) && !removed.includes(entry.step.name)) {
+                        issues.push({
+                            severity: 'error',
+                            path: `${entryPath}.step.name`,
+                            message: `a step named "${entry.step.name}" already exists`,
+                            suggestion: 'Give the added step a unique name, or use "move" to reposition the existing step'
+                        });
+                    }
                 }
+            });
+        });
+    }
 
-                // Validate table types
-                const tableValidationError = this.validateTableTypes(config.checklist);
-                if (tableValidationError) {
-                    return {
-                        error: {
-                            type: 'VALIDATION_ERROR',
-                            message: tableValidationError
-                        }
-                    };
+    /**
+     * Steps of the base checklist and of every transaction variant's "add", with their paths
+     */
+    function collectSteps(config) {
+        const entries = config.checklist
+            .map((step, i) => ({ step, path: `checklist[${i}]` }))
+            .filter(entry => getValueType(entry.step) === 'object' && typeof entry.step.name === 'string');
+
+        const variants = getValueType(config.transaction_variants) === 'object' ? config.transaction_variants : {};
+        Object.keys(variants).forEach(code => {
+            const variant = variants[code];
+            if (getValueType(variant) !== 'object' || !Array.isArray(variant.add)) return;
+            variant.add.forEach((entry, i) => {
+                if (getValueType(entry) !== 'object' || getValueType(entry.step) !== 'object' || typeof entry.step.name !== 'string') return;
+                entries.push({ step: entry.step, path: `transaction_variants.${code}.add[${i}].step`, variant: code });
+            });
+        });
+
+        return entries;
+    }
+
+    /**
+     * Saved progress and change history refer to steps by id, so ids must be unique within
+     * the checklist and within each variant's checklist
+     */
+    function validateStepIds(config, issues) {
+        const steps = collectSteps(config);
+        const baseSteps = steps.filter(entry => !entry.variant);
+
+        const checkUnique = (entries, known) => {
+            entries.forEach(({ step, path }) => {
+                const id = ConfigMigrations.getStepId(step);
+                if (typeof id !== 'string') return;
+                if (!known[id]) {
+                    known[id] = path;
+                    return;
                 }
+                issues.push({
+                    severity: 'error',
+                    path: step.id ? `${path}.id` : `${path}.name`,
+                    message: `step id "${id}" is already used by ${known[id]}`,
+                    suggestion: step.id
+                        ? 'Give each step a unique "id"'
+                        : 'Give one of the steps an "id" so saved progress can tell them apart'
+                });
+            });
+        };
 
-                return {
-                    metadata: config.metadata || {},
-                    policyNumber: config.policy_number || { selector: '#PolicyNumber' },
-                    checklist: config.checklist,
-                    raw: config
-                };
-            } catch (error) {
-                return {
-                    error: {
-                        type: 'UNEXPECTED_ERROR',
-                        message: error.message
+        checkUnique(baseSteps, {});
+
+        Object.keys(config.transaction_variants || {}).forEach(code => {
+            const added = steps.filter(entry => entry.variant === code);
+            if (added.length === 0) return;
+            const removed = config.transaction_variants[code].remove || [];
+            const known = {};
+            baseSteps
+                .filter(entry => !removed.includes(entry.step.name))
+                .forEach(entry => {
+                    known[ConfigMigrations.getStepId(entry.step)] = entry.path;
+                });
+            // An added step reusing a base name is already reported by validateStepChanges
+            checkUnique(added.filter(entry => entry.step.id || !known[entry.step.name]), known);
+        });
+    }
+
+    /**
+     * Check metadata.config_version and the "migrations" list: valid versions, oldest first,
+     * none newer than the config itself, and renames that end at steps the config still has
+     */
+    function validateMigrations(config, issues) {
+        const version = getValueType(config.metadata) === 'object' ? config.metadata.config_version : undefined;
+        const migrations = Array.isArray(config.migrations) ? config.migrations : [];
+        const versionIsValid = typeof version === 'string' && ConfigMigrations.isValidVersion(version);
+
+        if (typeof version === 'string' && !versionIsValid) {
+            issues.push({
+                severity: 'error',
+                path: 'metadata.config_version',
+                message: `invalid version "${version}"`,
+                suggestion: 'Use dotted numbers, e.g. "1.2"'
+            });
+        }
+        if (migrations.length > 0 && version === undefined) {
+            issues.push({
+                severity: 'error',
+                path: 'metadata.config_version',
+                message: 'required when "migrations" is set',
+                suggestion: 'Set it to the "version" of the newest migration'
+            });
+        }
+
+        const checkStringMap = (map, mapPath, what) => {
+            Object.keys(map).forEach(key => {
+                if (typeof map[key] !== 'string') {
+                    issues.push({
+                        severity: 'error',
+                        path: `${mapPath}.${key}`,
+                        message: `must be a ${what} (got ${getValueType(map[key])})`,
+                        suggestion: `Map each old ${what} to its new ${what}, e.g. { "old": "new" }`
+                    });
+                }
+            });
+        };
+
+        let previous = null;
+        migrations.forEach((migration, i) => {
+            if (getValueType(migration) !== 'object') return;
+            const path = `migrations[${i}]`;
+
+            if (typeof migration.version === 'string') {
+                if (!ConfigMigrations.isValidVersion(migration.version)) {
+                    issues.push({
+                        severity: 'error',
+                        path: `${path}.version`,
+                        message: `invalid version "${migration.version}"`,
+                        suggestion: 'Use dotted numbers, e.g. "1.2"'
+                    });
+                } else {
+                    if (previous && ConfigMigrations.compareVersions(migration.version, previous) <= 0) {
+                        issues.push({
+                            severity: 'error',
+                            path: `${path}.version`,
+                            message: `must be newer than the previous migration ("${previous}")`,
+                            suggestion: 'List migrations oldest first, one per version'
+                        });
                     }
-                };
+                    if (versionIsValid && ConfigMigrations.compareVersions(migration.version, version) > 0) {
+                        issues.push({
+                            severity: 'error',
+                            path: `${path}.version`,
+                            message: `is newer than metadata.config_version ("${version}")`,
+                            suggestion: `Raise config_version to "${migration.version}"`
+                        });
+                    }
+                    previous = migration.version;
+                }
             }
-        },
 
-        /**
-         * Validate highlight_zones schema for all checklist items
-         * @param {Array} checklist - The checklist items array
-         * @returns {string|null} Error message or null if valid
-         */
-        validateHighlightZones: function(checklist) {
-            const validEdges = ['top', 'bottom', 'left', 'right'];
+            if (getValueType(migration.rename_steps) === 'object') {
+                checkStringMap(migration.rename_steps, `${path}.rename_steps`, 'step id');
+            }
+            if (getValueType(migration.rename_fields) === 'object') {
+                Object.keys(migration.rename_fields).forEach(stepId => {
+                    const fields = migration.rename_fields[stepId];
+                    if (getValueType(fields) !== 'object') {
+                        issues.push({
+                            severity: 'error',
+                            path: `${path}.rename_fields.${stepId}`,
+                            message: `must be an object (got ${getValueType(fields)})`,
+                            suggestion: 'Map each old field name to its new name, e.g. { "Zip": "ZIP" }'
+                        });
+                        return;
+                    }
+                    checkStringMap(fields, `${path}.rename_fields.${stepId}`, 'field name');
+                });
+            }
+            if (Array.isArray(migration.remove_steps)) {
+                migration.remove_steps.forEach((stepId, j) => {
+                    if (typeof stepId !== 'string') {
+                        issues.push({
+                            severity: 'error',
+                            path: `${path}.remove_steps[${j}]`,
+                            message: `must be a step id (got ${getValueType(stepId)})`,
+                            suggestion: 'Use the "id" (or "name") the step had'
+                        });
+                    }
+                });
+            }
+        });
+
+        // A rename that doesn't end at a current step loses the progress it was meant to keep
+        const currentIds = collectSteps(config).map(entry => ConfigMigrations.getStepId(entry.step));
+        migrations.forEach((migration, i) => {
+            if (getValueType(migration) !== 'object' || getValueType(migration.rename_steps) !== 'object') return;
+            const later = migrations.slice(i + 1).filter(m => getValueType(m) === 'object');
 
-            for (let i = 0; i < checklist.length; i++) {
-                const item = checklist[i];
+            Object.keys(migration.rename_steps).forEach(oldId => {
+                const newId = migration.rename_steps[oldId];
+                if (typeof newId !== 'string') return;
+                const finalId = ConfigMigrations.migrateStepId(newId, later);
+                if (finalId === null || currentIds.includes(finalId)) return;
 
-                if (!item.highlight_zones) {
-                    continue; // highlight_zones is optional
+                const closest = findClosest(finalId, currentIds);
+                issues.push({
+                    severity: 'warning',
+                    path: `migrations[${i}].rename_steps.${oldId}`,
+                    message: `renames to "${finalId}", which is not a step id in this config`,
+                    suggestion: closest ? `Did you mean "${closest}"?` : 'Use the "id" (or "name") of a checklist step'
+                });
+            });
+        });
+    }
+
+    /**
+     * Build a variant's checklist: remove steps, then add new ones, then move existing ones.
+     * Entries without a matching "after"/"before" step go to the end.
+     */
+    function applyVariantSteps(checklist, variant) {
+        const removed = Array.isArray(variant.remove) ? variant.remove : [];
+        const steps = checklist.filter(step => !removed.includes(step.name));
+
+        const insert = (step, entry) => {
+            const anchor = entry.after || entry.before;
+            const anchorIndex = anchor ? steps.findIndex(s => s.name === anchor) : -1;
+            if (anchorIndex === -1) {
+                steps.push(step);
+            } else {
+                steps.splice(entry.after ? anchorIndex + 1 : anchorIndex, 0, step);
+            }
+        };
+
+        (variant.add || []).forEach(entry => insert(entry.step, entry));
+        (variant.move || []).forEach(entry => {
+            const index = steps.findIndex(step => step.name === entry.name);
+            if (index === -1) return;
+            const [step] = steps.splice(index, 1);
+            insert(step, entry);
+        });
+
+        return steps;
+    }
+
+    const PLACEHOLDER_PATTERN = /\{\{\s*([\w-]+)\s*\}\}/g;
+
+    function cloneJson(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Replace {{name}} placeholders in every string inside value
+     * @returns {*} Copy of value; names without a parameter are added to missing
+     */
+    function substitutePlaceholders(value, params, used, missing) {
+        if (typeof value === 'string') {
+            return value.replace(PLACEHOLDER_PATTERN, (match, name) => {
+                if (!(name in params)) {
+                    if (!missing.includes(name)) missing.push(name);
+                    return match;
                 }
+                used.add(name);
+                return String(params[name]);
+            });
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => substitutePlaceholders(item, params, used, missing));
+        }
+        if (getValueType(value) === 'object') {
+            const result = {};
+            Object.keys(value).forEach(key => {
+                result[key] = substitutePlaceholders(value[key], params, used, missing);
+            });
+            return result;
+        }
+        return value;
+    }
+
+    function unknownFragmentIssue(kind, name, path, available) {
+        const closest = findClosest(name, available);
+        return {
+            severity: 'error',
+            path: path,
+            message: `no ${kind} named "${name}" in fragments`,
+            suggestion: closest ? `Did you mean "${closest}"?` : `Define it under fragments.${kind === 'field set' ? 'field_sets' : 'zone_edges'}`
+        };
+    }
+
+    /**
+     * Expand { "use": "<field set>", "with": {...}, "overrides": {...} } entries in a fields array.
+     * Field sets may use other field sets; stack holds the chain being expanded.
+     */
+    function expandFields(fields, path, fieldSets, issues, stack) {
+        const expanded = [];
+
+        fields.forEach((entry, i) => {
+            const entryPath = `${path}[${i}]`;
+            if (getValueType(entry) !== 'object' || !('use' in entry)) {
+                expanded.push(entry);
+                return;
+            }
 
-                if (!Array.isArray(item.highlight_zones)) {
-                    return `Item "${item.name}" (index ${i}): highlight_zones must be an array`;
+            const name = entry.use;
+            if (typeof name !== 'string' || !Array.isArray(fieldSets[name])) {
+                issues.push(unknownFragmentIssue('field set', String(name), `${entryPath}.use`, Object.keys(fieldSets)));
+                return;
+            }
+            if (stack.includes(name)) {
+                issues.push({
+                    severity: 'error',
+                    path: `${entryPath}.use`,
+                    message: `circular field set reference: ${stack.concat(name).join(' → ')}`,
+                    suggestion: `Remove the "use" of "${name}" from one of these field sets`
+                });
+                return;
+            }
+
+            const params = getValueType(entry.with) === 'object' ? entry.with : {};
+            const used = new Set();
+            const missing = [];
+            const fieldsFromSet = substitutePlaceholders(fieldSets[name], params, used, missing);
+
+            missing.forEach(param => {
+                issues.push({
+                    severity: 'error',
+                    path: `${entryPath}.with`,
+                    message: `field set "${name}" needs a value for {{${param}}}`,
+                    suggestion: `Add "${param}": "" to "with"`
+                });
+            });
+            Object.keys(params).filter(param => !used.has(param)).forEach(param => {
+                issues.push({
+                    severity: 'warning',
+                    path: `${entryPath}.with.${param}`,
+                    message: `field set "${name}" has no {{${param}}} placeholder`,
+                    suggestion: 'Remove it or check the spelling'
+                });
+            });
+
+            const result = expandFields(fieldsFromSet, `fragments.field_sets.${name}`, fieldSets, issues, stack.concat(name));
+
+            const overrides = getValueType(entry.overrides) === 'object' ? entry.overrides : {};
+            Object.keys(overrides).forEach(fieldName => {
+                const field = result.find(f => getValueType(f) === 'object' && f.name === fieldName);
+                if (!field) {
+                    const closest = findClosest(fieldName, result.map(f => f && f.name).filter(n => typeof n === 'string'));
+                    issues.push({
+                        severity: 'error',
+                        path: `${entryPath}.overrides.${fieldName}`,
+                        message: `field set "${name}" has no field named "${fieldName}"`,
+                        suggestion: closest ? `Did you mean "${closest}"?` : 'Use the "name" of a field in the set'
+                    });
+                    return;
                 }
+                Object.assign(field, overrides[fieldName]);
+            });
 
-                for (let j = 0; j < item.highlight_zones.length; j++) {
-                    const zone = item.highlight_zones[j];
+            Object.keys(entry).filter(key => !['use', 'with', 'overrides'].includes(key)).forEach(key => {
+                issues.push({
+                    severity: 'warning',
+                    path: `${entryPath}.${key}`,
+                    message: `unknown property "${key}" will be ignored`,
+                    suggestion: 'A "use" entry takes "with" and "overrides"'
+                });
+            });
 
-                    // Check that all four edges are present
-                    for (const edge of validEdges) {
-                        if (!zone[edge]) {
-                            return `Item "${item.name}" (index ${i}), zone ${j}: missing required edge "${edge}"`;
-                        }
+            expanded.push(...result);
+        });
 
-                        const edgeConfig = zone[edge];
+        return expanded;
+    }
 
-                        // Validate edge config structure
-                        if (typeof edgeConfig !== 'object') {
-                            return `Item "${item.name}" (index ${i}), zone ${j}, edge "${edge}": must be an object`;
-                        }
+    /**
+     * Resolve { "use": "<zone edge preset>", ...overrides } to a plain zone edge
+     */
+    function expandZoneEdge(edge, path, zoneEdges, issues, stack) {
+        if (getValueType(edge) !== 'object' || !('use' in edge)) return edge;
 
-                        if (typeof edgeConfig.selector !== 'string') {
-                            return `Item "${item.name}" (index ${i}), zone ${j}, edge "${edge}": selector must be a string`;
-                        }
+        const name = edge.use;
+        if (typeof name !== 'string' || getValueType(zoneEdges[name]) !== 'object') {
+            issues.push(unknownFragmentIssue('zone edge', String(name), `${path}.use`, Object.keys(zoneEdges)));
+            return edge;
+        }
+        if (stack.includes(name)) {
+            issues.push({
+                severity: 'error',
+                path: `${path}.use`,
+                message: `circular zone edge reference: ${stack.concat(name).join(' → ')}`,
+                suggestion: `Remove the "use" of "${name}" from one of these presets`
+            });
+            return edge;
+        }
 
-                        if (!validEdges.includes(edgeConfig.edge)) {
-                            return `Item "${item.name}" (index ${i}), zone ${j}, edge "${edge}": edge property must be one of ${validEdges.join(', ')}`;
-                        }
+        const preset = expandZoneEdge(cloneJson(zoneEdges[name]), `fragments.zone_edges.${name}`, zoneEdges, issues, stack.concat(name));
+        const { use, ...overrides } = edge;
+        return Object.assign({}, preset, overrides);
+    }
 
-                        if (typeof edgeConfig.offset !== 'number') {
-                            return `Item "${item.name}" (index ${i}), zone ${j}, edge "${edge}": offset must be a number`;
-                        }
-                    }
+    function expandStepFragments(step, path, fragments, issues) {
+        if (getValueType(step) !== 'object') return step;
+        const result = { ...step };
 
-                    // Validate show_checkbox if present
-                    if (zone.hasOwnProperty('show_checkbox') && typeof zone.show_checkbox !== 'boolean') {
-                        return `Item "${item.name}" (index ${i}), zone ${j}: show_checkbox must be a boolean`;
+        if (Array.isArray(step.fields)) {
+            result.fields = expandFields(step.fields, `${path}.fields`, fragments.field_sets, issues, []);
+        }
+        if (Array.isArray(step.highlight_zones)) {
+            result.highlight_zones = step.highlight_zones.map((zone, z) => {
+                if (getValueType(zone) !== 'object') return zone;
+                const expandedZone = { ...zone };
+                VALID_EDGES.forEach(edge => {
+                    if (edge in zone) {
+                        expandedZone[edge] = expandZoneEdge(zone[edge], `${path}.highlight_zones[${z}].${edge}`, fragments.zone_edges, issues, []);
                     }
+                });
+                return expandedZone;
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Replace fragment references in the checklist and in steps added by transaction variants
+     * @returns {{config: Object, issues: Array}} Expanded copy of config (unchanged when it has no fragments)
+     */
+    function expandFragments(config) {
+        const issues = [];
+        const fragments = getValueType(config.fragments) === 'object' ? config.fragments : {};
+        const available = {
+            field_sets: getValueType(fragments.field_sets) === 'object' ? fragments.field_sets : {},
+            zone_edges: getValueType(fragments.zone_edges) === 'object' ? fragments.zone_edges : {}
+        };
+
+        Object.keys(available.field_sets).forEach(name => {
+            if (!Array.isArray(available.field_sets[name])) {
+                issues.push({
+                    severity: 'error',
+                    path: `fragments.field_sets.${name}`,
+                    message: `must be an array of fields (got ${getValueType(available.field_sets[name])})`,
+                    suggestion: 'Use [{ "name": "", "selector": "", "type": "text" }]'
+                });
+            }
+        });
+
+        const expanded = { ...config };
+        if (Array.isArray(config.checklist)) {
+            expanded.checklist = config.checklist.map((step, i) => expandStepFragments(step, `checklist[${i}]`, available, issues));
+        }
+        if (getValueType(config.transaction_variants) === 'object') {
+            expanded.transaction_variants = {};
+            Object.keys(config.transaction_variants).forEach(code => {
+                const variant = config.transaction_variants[code];
+                if (getValueType(variant) !== 'object' || !Array.isArray(variant.add)) {
+                    expanded.transaction_variants[code] = variant;
+                    return;
                 }
+                expanded.transaction_variants[code] = {
+                    ...variant,
+                    add: variant.add.map((entry, i) => getValueType(entry) === 'object'
+                        ? { ...entry, step: expandStepFragments(entry.step, `transaction_variants.${code}.add[${i}].step`, available, issues) }
+                        : entry)
+                };
+            });
+        }
+
+        return { config: expanded, issues: issues };
+    }
+
+    /**
+     * Combine an extending config with its base: objects are merged one level deep (fragments
+     * per section), everything else in the extending config replaces the base value, then
+     * checklist_changes are applied to the checklist.
+     */
+    function mergeExtendedConfig(base, config) {
+        const merged = { ...base };
+
+        Object.keys(config).forEach(key => {
+            if (key === 'extends' || key === 'checklist_changes') return;
+            const value = config[key];
+            if (key === 'fragments' && getValueType(value) === 'object' && getValueType(base.fragments) === 'object') {
+                merged.fragments = { ...base.fragments };
+                Object.keys(value).forEach(section => {
+                    merged.fragments[section] = getValueType(value[section]) === 'object' && getValueType(base.fragments[section]) === 'object'
+                        ? { ...base.fragments[section], ...value[section] }
+                        : value[section];
+                });
+            } else if (getValueType(value) === 'object' && getValueType(base[key]) === 'object') {
+                merged[key] = { ...base[key], ...value };
+            } else {
+                merged[key] = value;
             }
+        });
 
-            return null; // All valid
-        },
+        if (getValueType(config.checklist_changes) === 'object' && Array.isArray(merged.checklist)) {
+            merged.checklist = applyVariantSteps(merged.checklist, config.checklist_changes);
+        }
+
+        return merged;
+    }
+
+    /**
+     * Name of the checklist item an issue path points into, if any
+     */
+    function getIssueItemName(config, path) {
+        const match = path.match(/^checklist\[(\d+)\]/);
+        if (!match || !Array.isArray(config.checklist)) return null;
+        const step = config.checklist[parseInt(match[1], 10)];
+        return step && typeof step.name === 'string' ? step.name : null;
+    }
 
+    /**
+     * First error (formatted) whose path matches pattern - backs the single-purpose validators
+     */
+    function firstErrorMatching(checklist, pattern) {
+        const issue = ConfigLoader.validateConfig({ checklist: checklist })
+            .find(i => i.severity === 'error' && pattern.test(i.path));
+        return issue ? ConfigLoader.formatIssue(issue) : null;
+    }
+
+    const PROFILE_REGISTRY_FILE = 'checklist-profiles.json';
+    const DEFAULT_CONFIG_FILE = 'checklist-config.json';
+
+    // Used when checklist-profiles.json is missing so single-config setups keep working
+    const DEFAULT_PROFILES = [
+        { id: 'default', name: 'Default', config: DEFAULT_CONFIG_FILE }
+    ];
+
+    const ConfigLoader = {
         /**
-         * Validate field types in checklist items
-         * @param {Array} checklist - The checklist items array
-         * @returns {string|null} Error message or null if valid
+         * Resolve a bundled file to a fetchable URL
+         * @param {string} path - File path relative to the extension root
+         * @returns {string} URL to fetch
          */
-        validateFieldTypes: function(checklist) {
-            const validTypes = ['text', 'checkbox', 'select', 'radio', 'virtual', 'labelWithDivText', 'kendo_widget'];
+        getResourceUrl: function(path) {
+            // Check if running in extension context or standalone HTML
+            const isExtensionContext = (typeof browser !== 'undefined' && browser.runtime) ||
+                                      (typeof chrome !== 'undefined' && chrome.runtime);
+
+            if (isExtensionContext) {
+                const ext = (typeof browser !== 'undefined') ? browser : chrome;
+                return ext.runtime.getURL(path);
+            }
 
-            for (let i = 0; i < checklist.length; i++) {
-                const item = checklist[i];
+            // Running in standalone HTML (test environment)
+            return path;
+        },
 
-                if (!item.fields || !Array.isArray(item.fields)) {
-                    continue; // Some items may not have fields (virtual, custom)
+        /**
+         * Load the profile registry (checklist-profiles.json)
+         * @returns {Promise<Array>} Profiles as { id, name, config } in match order
+         */
+        loadProfiles: async function() {
+            try {
+                const response = await fetch(this.getResourceUrl(PROFILE_REGISTRY_FILE));
+                if (!response.ok) {
+                    return DEFAULT_PROFILES;
                 }
 
-                for (let j = 0; j < item.fields.length; j++) {
-                    const field = item.fields[j];
+                const registry = await response.json();
+                if (!Array.isArray(registry.profiles) || registry.profiles.length === 0) {
+                    return DEFAULT_PROFILES;
+                }
 
-                    if (!field.type) {
-                        return `Item "${item.name}" (index ${i}), field ${j}: missing required "type" property`;
-                    }
+                return registry.profiles
+                    .filter(profile => profile && profile.id && profile.config)
+                    .map(profile => ({
+                        id: String(profile.id),
+                        name: profile.name || String(profile.id),
+                        config: profile.config
+                    }));
+            } catch (error) {
+                return DEFAULT_PROFILES;
+            }
+        },
 
-                    if (!validTypes.includes(field.type)) {
-                        return `Item "${item.name}" (index ${i}), field "${field.name}": invalid type "${field.type}". Valid types: ${validTypes.join(', ')}`;
-                    }
+        /**
+         * Check a URL against a url_pattern (text, glob or regex - see url-routes.js)
+         * @param {string} urlPattern - Pattern from metadata.url_pattern
+         * @param {string} url - URL to test
+         * @returns {boolean} True if any pattern matches (or no pattern is set)
+         */
+        matchesUrlPattern: function(urlPattern, url) {
+            return UrlRoutes.matchesUrlPattern(urlPattern, url);
+        },
 
-                    // Validate kendo_widget specific properties
-                    if (field.type === 'kendo_widget') {
-                        if (!field.selector) {
-                            return `Item "${item.name}" (index ${i}), field "${field.name}": kendo_widget requires "selector" property`;
-                        }
-                    }
-                }
+        /**
+         * Load the profile UrlRoutes.identifyPage picked for a form page
+         * @param {string} profileId - Profile id from the page's form route
+         * @returns {Promise<Object|null>} { profile, config } or null if the registry has no such profile
+         */
+        loadProfileById: async function(profileId) {
+            const profiles = await this.loadProfiles();
+            const profile = profiles.find(p => p.id === profileId);
+            if (!profile) return null;
+
+            const config = await this.loadProfileConfig(profile);
+            if (config.error) {
+                console.error(`[ProcessingChecklist] Profile "${profile.id}" failed to load:`, config.error.message);
+            } else {
+                config.profile = { id: profile.id, name: profile.name };
             }
+            return { profile, config };
+        },
 
-            return null; // All valid
+        /**
+         * Storage key for a profile's edited config (written by the options page)
+         * @param {string} profileId - Profile id from checklist-profiles.json
+         * @returns {string} storage.local key
+         */
+        getOverrideKey: function(profileId) {
+            return `configOverride_${profileId}`;
         },
 
         /**
-         * Validate table type configuration
-         * @param {Array} checklist - The checklist items array
-         * @returns {string|null} Error message or null if valid
+         * Read a profile's stored override, if any
+         * @param {string} profileId - Profile id
+         * @returns {Promise<Object|null>} { config, savedAt } or null
          */
-        validateTableTypes: function(checklist) {
-            for (let i = 0; i < checklist.length; i++) {
-                const item = checklist[i];
+        getOverride: function(profileId) {
+            const isExtensionContext = (typeof browser !== 'undefined' && browser.storage) ||
+                                      (typeof chrome !== 'undefined' && chrome.storage);
+            if (!isExtensionContext) {
+                return Promise.resolve(null);
+            }
 
-                if (item.type !== 'table') {
-                    continue; // Only validate table types
-                }
+            const ext = (typeof browser !== 'undefined') ? browser : chrome;
+            const key = this.getOverrideKey(profileId);
+            return new Promise((resolve) => {
+                ext.storage.local.get(key, (result) => {
+                    const override = result && result[key];
+                    resolve(override && override.config ? override : null);
+                });
+            });
+        },
 
-                // Required properties for table type
-                if (!item.table_selector) {
-                    return `Item "${item.name}" (index ${i}): table type requires "table_selector" property`;
+        /**
+         * Load a profile's configuration, preferring its stored override over the bundled file
+         * @param {Object} profile - Profile entry ({ id, name, config })
+         * @returns {Promise<Object>} Configuration object or error object
+         */
+        loadProfileConfig: async function(profile) {
+            const override = await this.getOverride(profile.id);
+            if (override) {
+                const resolved = await this.resolveExtends(override.config);
+                const result = this.processConfig(resolved.config, resolved.issues);
+                if (!result.error) {
+                    result.isOverride = true;
+                    result.overrideSavedAt = override.savedAt || null;
                 }
+                return result;
+            }
 
-                if (!item.columns || !Array.isArray(item.columns)) {
-                    return `Item "${item.name}" (index ${i}): table type requires "columns" array`;
-                }
+            return this.load(profile.config);
+        },
 
-                if (item.columns.length === 0) {
-                    return `Item "${item.name}" (index ${i}): table must have at least one column`;
+        /**
+         * Load and validate a configuration file
+         * @param {string} [configPath] - Config file to load (defaults to checklist-config.json)
+         * @returns {Promise<Object>} Configuration object or error object
+         */
+        load: async function(configPath = DEFAULT_CONFIG_FILE) {
+            try {
+                const response = await fetch(this.getResourceUrl(configPath));
+                if (!response.ok) {
+                    return {
+                        error: {
+                            type: 'LOAD_ERROR',
+                            message: `Failed to load configuration ${configPath}: ${response.statusText}`
+                        }
+                    };
                 }
 
-                // Validate dynamic property
-                if (item.hasOwnProperty('dynamic') && typeof item.dynamic !== 'boolean') {
-                    return `Item "${item.name}" (index ${i}): "dynamic" property must be a boolean`;
-                }
+                const config = await response.json();
+                const resolved = await this.resolveExtends(config, configPath);
+                return this.processConfig(resolved.config, resolved.issues);
+            } catch (error) {
+                return {
+                    error: {
+                        type: 'UNEXPECTED_ERROR',
+                        message: error.message
+                    }
+                };
+            }
+        },
 
-                // Validate row_selector
-                if (!item.row_selector) {
-                    return `Item "${item.name}" (index ${i}): table type requires "row_selector" property`;
+        /**
+         * Build a config that "extends" another into one self-contained config. The base is a
+         * bundled config file and may itself extend another file.
+         * @param {Object} config - Parsed checklist config
+         * @param {string} [sourcePath] - File the config was loaded from (to report cycles)
+         * @param {Array<string>} [chain] - Files already being resolved
+         * @returns {Promise<{config: Object, issues: Array}>} Merged config (without "extends") and
+         *          any problems found; a missing or circular base is an error issue and the
+         *          config is returned unmerged
+         */
+        resolveExtends: async function(config, sourcePath, chain = []) {
+            if (getValueType(config) !== 'object' || typeof config.extends !== 'string') {
+                return { config: config, issues: [] };
+            }
+
+            const basePath = config.extends;
+            const visited = sourcePath ? chain.concat(sourcePath) : chain;
+            const error = (message, suggestion) => ({
+                config: config,
+                issues: [{ severity: 'error', path: 'extends', message, suggestion }]
+            });
+
+            if (visited.includes(basePath)) {
+                return error(`circular "extends": ${visited.concat(basePath).join(' → ')}`,
+                    'Remove "extends" from one of these configs');
+            }
+
+            let base;
+            try {
+                const response = await fetch(this.getResourceUrl(basePath));
+                if (!response.ok) {
+                    return error(`base config ${basePath} could not be loaded: ${response.statusText}`,
+                        'Use the path of a config file bundled with the extension, e.g. "checklist-config.json"');
                 }
+                base = await response.json();
+            } catch (e) {
+                return error(`base config ${basePath} could not be loaded: ${e.message}`,
+                    'Check that the file exists and is valid JSON');
+            }
 
-                // Validate columns
-                const validColumnTypes = ['text', 'checkbox', 'select', 'label', 'kendo_widget'];
-                for (let j = 0; j < item.columns.length; j++) {
-                    const col = item.columns[j];
+            const resolvedBase = await this.resolveExtends(base, basePath, visited);
+            const issues = resolvedBase.issues.map(issue => ({
+                ...issue,
+                path: `extends(${basePath})${issue.path ? '.' + issue.path : ''}`
+            }));
 
-                    if (!col.name) {
-                        return `Item "${item.name}" (index ${i}), column ${j}: missing required "name" property`;
-                    }
+            if (getValueType(config.checklist_changes) === 'object' && Array.isArray(resolvedBase.config.checklist)) {
+                const baseNames = resolvedBase.config.checklist
+                    .filter(step => getValueType(step) === 'object')
+                    .map(step => step.name);
+                validateStepChanges(config.checklist_changes, 'checklist_changes', baseNames, issues);
+            }
 
-                    if (!col.selector) {
-                        return `Item "${item.name}" (index ${i}), column "${col.name}": missing required "selector" property`;
-                    }
+            return { config: mergeExtendedConfig(resolvedBase.config, config), issues: issues };
+        },
 
-                    if (!col.type) {
-                        return `Item "${item.name}" (index ${i}), column "${col.name}": missing required "type" property`;
-                    }
+        /**
+         * Validate a parsed configuration and normalize it for content.js
+         * @param {Object} config - Parsed checklist config (with "extends" already resolved)
+         * @param {Array} [resolveIssues] - Issues from resolveExtends, reported with the rest
+         * @returns {Object} Configuration object or error object. raw is the config with
+         *          fragments expanded.
+         */
+        processConfig: function(config, resolveIssues = []) {
+            const issues = resolveIssues.concat(this.validateConfig(config));
+            const errors = issues.filter(issue => issue.severity === 'error');
+            const warnings = issues.filter(issue => issue.severity === 'warning');
 
-                    if (!validColumnTypes.includes(col.type)) {
-                        return `Item "${item.name}" (index ${i}), column "${col.name}": invalid type "${col.type}". Valid types: ${validColumnTypes.join(', ')}`;
+            if (errors.length > 0) {
+                const summary = errors.length === 1
+                    ? this.formatIssue(errors[0])
+                    : `${errors.length} configuration errors (first: ${this.formatIssue(errors[0])})`;
+                // The pattern still says which pages the broken profile is meant for (see
+                // UrlRoutes.loadFormRoutes), so only those pages report the errors
+                const metadata = getValueType(config) === 'object' && getValueType(config.metadata) === 'object' ? config.metadata : {};
+                return {
+                    error: {
+                        type: 'VALIDATION_ERROR',
+                        message: summary,
+                        issues: issues,
+                        urlPattern: typeof metadata.url_pattern === 'string' ? metadata.url_pattern : ''
                     }
+                };
+            }
 
-                    // Validate label type specific properties
-                    if (col.type === 'label' && !col.extract) {
-                        return `Item "${item.name}" (index ${i}), column "${col.name}": label type requires "extract" property (e.g., "text", "innerHTML")`;
-                    }
-                }
+            const flat = expandFragments(config).config;
+            return {
+                metadata: flat.metadata || {},
+                policyNumber: flat.policy_number || { selector: '#PolicyNumber' },
+                checklist: flat.checklist,
+                consistencyRules: flat.consistency_rules || [],
+                migrations: flat.migrations || [],
+                skipReasons: flat.skip_reasons && flat.skip_reasons.length > 0 ? flat.skip_reasons : DEFAULT_SKIP_REASONS,
+                editTimelineLimit: flat.edit_timeline_limit || null,
+                sessionTimeoutMinutes: flat.session_timeout_minutes || null,
+                warnings: warnings,
+                raw: flat
+            };
+        },
 
-                // Validate row_identifier if present
-                if (item.row_identifier) {
-                    if (typeof item.row_identifier.column_index !== 'number') {
-                        return `Item "${item.name}" (index ${i}): row_identifier.column_index must be a number`;
-                    }
-                    if (item.row_identifier.column_index >= item.columns.length) {
-                        return `Item "${item.name}" (index ${i}): row_identifier.column_index (${item.row_identifier.column_index}) exceeds number of columns`;
-                    }
-                }
+        /**
+         * Find the transaction_variants entry for a transaction type
+         * @param {Object} config - Configuration object from processConfig
+         * @param {string} typeCode - Letter code from the page, e.g. "E" or "BN"
+         * @returns {string|null} Variant key (the code itself, or "B" for a backout without its own entry)
+         */
+        getTransactionVariantKey: function(config, typeCode) {
+            const variants = config.raw ? config.raw.transaction_variants : config.transaction_variants;
+            if (!variants || !typeCode) return null;
 
-                // Validate new_row_trigger if present
-                if (item.new_row_trigger) {
-                    if (!Array.isArray(item.new_row_trigger.columns)) {
-                        return `Item "${item.name}" (index ${i}): new_row_trigger.columns must be an array`;
-                    }
-                    for (const colIdx of item.new_row_trigger.columns) {
-                        if (typeof colIdx !== 'number' || colIdx >= item.columns.length) {
-                            return `Item "${item.name}" (index ${i}): new_row_trigger contains invalid column index ${colIdx}`;
-                        }
-                    }
-                }
+            const code = String(typeCode).toUpperCase();
+            if (variants[code]) return code;
+            if (code.length > 1 && code.startsWith('B') && variants.B) return 'B';
+            return null;
+        },
+
+        /**
+         * Build the checklist for a transaction type from the base checklist and its variant
+         * @param {Object} config - Configuration object from processConfig (or a previous result of this method)
+         * @param {string|null} typeCode - Letter code from the page, or null for the base checklist
+         * @returns {Object} Copy of config with checklist replaced and transactionVariant set to the
+         *          variant key used (null when the base checklist applies)
+         */
+        applyTransactionVariant: function(config, typeCode) {
+            const raw = config.raw || config;
+            const baseChecklist = Array.isArray(raw.checklist) ? raw.checklist : config.checklist;
+            const key = this.getTransactionVariantKey(config, typeCode);
+
+            return {
+                ...config,
+                checklist: key ? applyVariantSteps(baseChecklist, raw.transaction_variants[key]) : baseChecklist,
+                transactionVariant: key
+            };
+        },
+
+        /**
+         * Validate a whole config against the schema and report every problem at once
+         * @param {Object} config - Parsed checklist config
+         * @returns {Array<Object>} Issues as { severity: 'error'|'warning', path, message, suggestion, item },
+         *          errors first. path is a JSON path such as "checklist[12].columns[2].type";
+         *          item is the name of the checklist item the path points into (or null).
+         */
+        validateConfig: function(config) {
+            const issues = [];
+
+            if (getValueType(config) !== 'object') {
+                issues.push({
+                    severity: 'error',
+                    path: '',
+                    message: 'configuration must be a JSON object',
+                    suggestion: 'Wrap the configuration in { } with a "checklist" array',
+                    item: null
+                });
+                return issues;
             }
 
-            return null; // All valid
+            // Paths below fragment references point into the expanded config
+            const expanded = expandFragments(config);
+            issues.push(...expanded.issues);
+
+            validateNode(expanded.config, 'root', '', issues);
+            validateCrossReferences(expanded.config, issues);
+            validateUrlPattern(expanded.config, issues);
+            validateSkipReasons(expanded.config, issues);
+            validateEditTimelineLimit(expanded.config, issues);
+            validateSessionTimeout(expanded.config, issues);
+
+            issues.forEach(issue => {
+                issue.item = getIssueItemName(expanded.config, issue.path);
+            });
+
+            return issues.sort((a, b) => {
+                if (a.severity === b.severity) return 0;
+                return a.severity === 'error' ? -1 : 1;
+            });
+        },
+
+        /**
+         * Format an issue as a single line, e.g.
+         * 'checklist[13].columns[2].type (item "Coverage"): invalid value "txt"'
+         * @param {Object} issue - Issue from validateConfig
+         * @returns {string} Formatted message
+         */
+        formatIssue: function(issue) {
+            const location = (issue.path || 'config') + (issue.item ? ` (item "${issue.item}")` : '');
+            return `${location}: ${issue.message}`;
+        },
+
+        /**
+         * Validate highlight_zones schema for all checklist items
+         * @param {Array} checklist - The checklist items array
+         * @returns {string|null} First error message or null if valid
+         */
+        validateHighlightZones: function(checklist) {
+            return firstErrorMatching(checklist, /^checklist\[\d+\]\.highlight_zones/);
+        },
+
+        /**
+         * Validate field types in checklist items
+         * @param {Array} checklist - The checklist items array
+         * @returns {string|null} First error message or null if valid
+         */
+        validateFieldTypes: function(checklist) {
+            return firstErrorMatching(checklist, /^checklist\[\d+\]\.fields/);
+        },
+
+        /**
+         * Validate table type configuration
+         * @param {Array} checklist - The checklist items array
+         * @returns {string|null} First error message or null if valid
+         */
+        validateTableTypes: function(checklist) {
+            return firstErrorMatching(checklist, /^checklist\[\d+\]\.(table_selector|row_selector|columns|dynamic|row_identifier|new_row_trigger)/);
         },
 
         showErrorNotification: function(errorObject) {
-            const message = errorObject.error ? errorObject.error.message : 'Unknown error';
-            console.error('[ProcessingChecklist Config Error]', message);
+            const error = errorObject.error || {};
+            const issues = error.issues || [];
+
+            if (issues.length === 0) {
+                console.error('[ProcessingChecklist Config Error]', error.message || 'Unknown error');
+                return;
+            }
+
+            issues.forEach(issue => {
+                const log = issue.severity === 'error' ? console.error : console.warn;
+                log(`[ProcessingChecklist Config ${issue.severity === 'error' ? 'Error' : 'Warning'}]`,
+                    this.formatIssue(issue), issue.suggestion ? `- ${issue.suggestion}` : '');
+            });
         }
     };
 
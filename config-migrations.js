@@ -0,0 +1,303 @@
+/*************************************************************************************************
+ *  config-migrations.js - Carry saved progress and change history across config versions
+ *
+ *  Stored data refers to steps by id (a step's "id", or its "name" when it has none) and is
+ *  recorded with the metadata.config_version it was saved under. When the config changes, the
+ *  "migrations" section says how ids and field names from older versions map onto this one:
+ *      "migrations": [
+ *          { "version": "1.1",
+ *            "rename_steps":  { "Insured Address": "insured-address" },
+ *            "rename_fields": { "insured-address": { "Zip": "ZIP" } },
+ *            "remove_steps":  ["Old Step"] }
+ *      ]
+ *  Each entry upgrades data saved under any older version to "version". rename_fields is keyed
+ *  by the step id after that entry's rename_steps. Data saved under another major version isn't
+ *  migrated (see "Config Versions" in the README).
+ *
+ *  The module has no page dependencies, so the options page and the tests load it too.
+ *************************************************************************************************/
+(function() {
+    "use strict";
+
+    const VERSION_PATTERN = /^\d+(\.\d+)*$/;
+
+    /**
+     * @param {string} version - e.g. "1.2"
+     * @returns {number[]|null} Numeric parts, or null if the version isn't dotted numbers
+     */
+    function parseVersion(version) {
+        if (typeof version !== 'string' || !VERSION_PATTERN.test(version)) return null;
+        return version.split('.').map(Number);
+    }
+
+    /**
+     * Follow a step id and some of its field names through a list of migrations
+     * @returns {Object} { stepId (null once removed), fieldNames }
+     */
+    function followStep(stepId, fieldNames, pending) {
+        let id = stepId;
+        let names = fieldNames.slice();
+
+        for (const migration of pending) {
+            if ((migration.remove_steps || []).includes(id)) {
+                return { stepId: null, fieldNames: names };
+            }
+            const renamedSteps = migration.rename_steps || {};
+            if (Object.prototype.hasOwnProperty.call(renamedSteps, id)) {
+                id = renamedSteps[id];
+            }
+            const renamedFields = (migration.rename_fields || {})[id];
+            if (renamedFields) {
+                names = names.map(name => Object.prototype.hasOwnProperty.call(renamedFields, name) ? renamedFields[name] : name);
+            }
+        }
+
+        return { stepId: id, fieldNames: names };
+    }
+
+    const ConfigMigrations = {
+        /**
+         * Stable id stored data uses for a step
+         * @param {Object} step - Checklist item
+         * @returns {string}
+         */
+        getStepId: function(step) {
+            return step.id || step.name;
+        },
+
+        /**
+         * @param {string} version
+         * @returns {boolean} True for dotted numbers such as "1.2"
+         */
+        isValidVersion: function(version) {
+            return parseVersion(version) !== null;
+        },
+
+        /**
+         * Compare two versions part by part ("1.10" is newer than "1.9"; "1" equals "1.0")
+         * @returns {number} Negative, 0 or positive like a sort comparator
+         */
+        compareVersions: function(a, b) {
+            const left = parseVersion(a) || [];
+            const right = parseVersion(b) || [];
+            for (let i = 0; i < Math.max(left.length, right.length); i++) {
+                const diff = (left[i] || 0) - (right[i] || 0);
+                if (diff !== 0) return diff;
+            }
+            return 0;
+        },
+
+        /**
+         * Whether data saved under one version can't be migrated to the other
+         * @param {string|null} fromVersion - Version the data was saved under (null: before versioning)
+         * @param {string} toVersion - Version of the loaded config
+         * @returns {boolean} True when both versions are known and their major numbers differ
+         */
+        isMajorChange: function(fromVersion, toVersion) {
+            const from = parseVersion(fromVersion);
+            const to = parseVersion(toVersion);
+            return !!(from && to && from[0] !== to[0]);
+        },
+
+        /**
+         * Migrations to apply to data saved under fromVersion, oldest first
+         * @param {Array} migrations - "migrations" from the config
+         * @param {string|null} fromVersion - Version the data was saved under. Data saved before
+         *        versions were recorded gets every migration up to toVersion.
+         * @param {string} toVersion - Version of the loaded config
+         * @returns {Array}
+         */
+        getPendingMigrations: function(migrations, fromVersion, toVersion) {
+            return (migrations || [])
+                .filter(migration => parseVersion(migration.version))
+                .filter(migration => !fromVersion || this.compareVersions(migration.version, fromVersion) > 0)
+                .filter(migration => !toVersion || this.compareVersions(migration.version, toVersion) <= 0)
+                .sort((a, b) => this.compareVersions(a.version, b.version));
+        },
+
+        /**
+         * @param {string} stepId - Id the data was saved with
+         * @param {Array} pending - From getPendingMigrations
+         * @returns {string|null} Current id, or null if the step was removed
+         */
+        migrateStepId: function(stepId, pending) {
+            return followStep(stepId, [], pending).stepId;
+        },
+
+        /**
+         * @param {string} stepId - Id the data was saved with
+         * @param {string[]} fieldNames - Field names the data was saved with
+         * @param {Array} pending - From getPendingMigrations
+         * @returns {string[]} Current field names, in the same order
+         */
+        migrateFieldNames: function(stepId, fieldNames, pending) {
+            return followStep(stepId, fieldNames, pending).fieldNames;
+        },
+
+        /**
+         * Where each step of a saved checklist is in the current one
+         * @param {string[]} previousStepIds - Step ids the data was saved against, in order
+         * @param {string[]} currentStepIds - Step ids of the current checklist
+         * @param {Array} pending - From getPendingMigrations
+         * @returns {number[]} New index for each previous index (-1 when the step is gone)
+         */
+        mapStepIndices: function(previousStepIds, currentStepIds, pending) {
+            return previousStepIds.map(stepId => {
+                const currentId = this.migrateStepId(stepId, pending);
+                return currentId === null ? -1 : currentStepIds.indexOf(currentId);
+            });
+        },
+
+        /**
+         * Rearrange an index-based array (e.g. checklist state) with a mapping from mapStepIndices
+         * @param {Array} items - Saved array
+         * @param {number[]} indexMap - From mapStepIndices
+         * @param {number} length - Length of the current checklist
+         * @param {Function} createEmpty - Returns the entry for steps with nothing saved
+         * @returns {Array}
+         */
+        remapByIndex: function(items, indexMap, length, createEmpty) {
+            const result = [];
+            (items || []).forEach((item, i) => {
+                const newIndex = indexMap[i];
+                if (item && newIndex !== undefined && newIndex !== -1 && result[newIndex] === undefined) {
+                    result[newIndex] = item;
+                }
+            });
+            for (let i = 0; i < length; i++) {
+                if (result[i] === undefined) result[i] = createEmpty();
+            }
+            return result;
+        },
+
+        /**
+         * Migrate values saved per step and field, e.g. { stepId: { fieldName: value } }
+         * @param {Object} values
+         * @param {Array} pending - From getPendingMigrations
+         * @returns {Object} Values under current ids and field names (removed steps dropped)
+         */
+        migrateStepValues: function(values, pending) {
+            const result = {};
+            Object.keys(values || {}).forEach(stepId => {
+                const fields = values[stepId] || {};
+                const fieldNames = Object.keys(fields);
+                const migrated = followStep(stepId, fieldNames, pending);
+                if (migrated.stepId === null) return;
+
+                const target = result[migrated.stepId] || (result[migrated.stepId] = {});
+                fieldNames.forEach((name, i) => {
+                    target[migrated.fieldNames[i]] = fields[name];
+                });
+            });
+            return result;
+        },
+
+        /**
+         * Migrate a change summary ({ stepsWithChanges: [{ stepId, stepName, changedFields, fieldValues, fieldCount }] },
+         * fieldValues keyed by field name). Changes to steps that were later removed are kept as
+         * they are - they still happened.
+         * @param {Object} changes
+         * @param {Array} pending - From getPendingMigrations
+         * @param {Object} [stepNames] - Current step name by id, to relabel renamed steps
+         * @returns {Object}
+         */
+        migrateChanges: function(changes, pending, stepNames = {}) {
+            if (!changes || !Array.isArray(changes.stepsWithChanges)) return changes;
+
+            const stepsWithChanges = changes.stepsWithChanges.map(step => {
+                // Records from before step ids used the step name
+                const stepId = step.stepId || step.stepName;
+                const migrated = followStep(stepId, step.changedFields || [], pending);
+                if (migrated.stepId === null) return step;
+                const result = {
+                    ...step,
+                    stepId: migrated.stepId,
+                    stepName: stepNames[migrated.stepId] || step.stepName,
+                    changedFields: migrated.fieldNames
+                };
+                if (step.fieldValues) {
+                    result.fieldValues = this.migrateStepValues({ [stepId]: step.fieldValues }, pending)[migrated.stepId] || {};
+                }
+                return result;
+            });
+
+            return { ...changes, stepsWithChanges };
+        },
+
+        /**
+         * Migrate a record's per-step entries: step notes ({ stepId: { stepName, text, updatedAt } }),
+         * step timings ({ stepId: { stepName, activeMs } }), skip reasons and blind review results.
+         * Entries for steps that were later removed are kept under their old id, like changes.
+         * @param {Object} entries
+         * @param {Array} pending - From getPendingMigrations
+         * @param {Object} [stepNames] - Current step name by id, to relabel renamed steps
+         * @returns {Object}
+         */
+        migrateStepEntries: function(entries, pending, stepNames = {}) {
+            const result = {};
+            Object.keys(entries || {}).forEach(stepId => {
+                const currentId = this.migrateStepId(stepId, pending);
+                if (currentId === null) {
+                    result[stepId] = entries[stepId];
+                    return;
+                }
+                result[currentId] = { ...entries[stepId], stepName: stepNames[currentId] || entries[stepId].stepName };
+            });
+            return result;
+        },
+
+        /**
+         * Migrate an edit timeline ([{ stepId, stepName, field, ... }]). Entries for steps that
+         * were later removed are kept as they are, like changes.
+         * @param {Array} timeline
+         * @param {Array} pending - From getPendingMigrations
+         * @param {Object} [stepNames] - Current step name by id, to relabel renamed steps
+         * @returns {Array}
+         */
+        migrateEditTimeline: function(timeline, pending, stepNames = {}) {
+            return timeline.map(entry => {
+                const migrated = followStep(entry.stepId, [entry.field], pending);
+                if (migrated.stepId === null) return entry;
+                return {
+                    ...entry,
+                    stepId: migrated.stepId,
+                    stepName: stepNames[migrated.stepId] || entry.stepName,
+                    field: migrated.fieldNames[0]
+                };
+            });
+        },
+
+        /**
+         * Bring a tracking history record up to the loaded config version
+         * @param {Object} record - tracking_history entry ({ configVersion, originalFieldValues,
+         *        fieldChanges, reviewModeChanges, stepNotes, stepTimings, skipReasons,
+         *        blindReviewResults, editTimeline, ... })
+         * @param {Array} migrations - "migrations" from the config
+         * @param {string} toVersion - Version of the loaded config
+         * @param {Object} [stepNames] - Current step name by id
+         * @returns {Object|null} Migrated copy, or null if the record is current or can't be migrated
+         */
+        migrateRecord: function(record, migrations, toVersion, stepNames = {}) {
+            const fromVersion = record.configVersion || null;
+            if (!toVersion || fromVersion === toVersion || this.isMajorChange(fromVersion, toVersion)) return null;
+
+            const pending = this.getPendingMigrations(migrations, fromVersion, toVersion);
+            const migrated = { ...record, configVersion: toVersion };
+            if (record.originalFieldValues) {
+                migrated.originalFieldValues = this.migrateStepValues(record.originalFieldValues, pending);
+            }
+            ['fieldChanges', 'reviewModeChanges'].forEach(key => {
+                if (record[key]) migrated[key] = this.migrateChanges(record[key], pending, stepNames);
+            });
+            ['stepNotes', 'stepTimings', 'skipReasons', 'blindReviewResults'].forEach(key => {
+                if (record[key]) migrated[key] = this.migrateStepEntries(record[key], pending, stepNames);
+            });
+            if (Array.isArray(record.editTimeline)) {
+                migrated.editTimeline = this.migrateEditTimeline(record.editTimeline, pending, stepNames);
+            }
+            return migrated;
+        }
+    };
+
+    window.ConfigMigrations = ConfigMigrations;
+})();
@@ -0,0 +1,239 @@
+/*************************************************************************************************
+ *  consistency-rules.js - Cross-field consistency rules (config "consistency_rules")
+ *
+ *  Each rule compares two operands read from the page:
+ *      { "name": "Expiration after effective",
+ *        "left":  { "selector": "#transactionExpirationDate", "as": "date" },
+ *        "operator": ">",
+ *        "right": { "selector": "#transactionEffectiveDate", "as": "date" } }
+ *
+ *  Operands:  { "selector": "..." }  value of one element (read modes as in step-conditions.js)
+ *             { "sum": "..." }       total of every element the selector matches (blank counts as 0)
+ *             { "count": "..." }     number of elements the selector matches
+ *             { "value": 1 } / { "text": "CA" }   literal number / text
+ *  Operators: ==, !=, <, <=, >, >= (using "right"), and between (inclusive, using "low" and "high")
+ *  "when" takes a show_if-style condition; the rule is only checked while it's true.
+ *
+ *  A rule whose values can't be read yet (missing element, blank or unparseable value) is
+ *  "unknown" rather than failing, so half-filled forms don't light up with errors.
+ *************************************************************************************************/
+(function() {
+    "use strict";
+
+    const OPERATORS = ['==', '!=', '<', '<=', '>', '>=', 'between'];
+    const VALUE_KINDS = ['number', 'date', 'text'];
+    const OPERAND_SOURCES = ['selector', 'sum', 'count', 'value', 'text'];
+
+    const OPERATOR_WORDS = {
+        number: { '==': 'equal', '!=': 'differ from', '<': 'be less than', '<=': 'be at most', '>': 'be greater than', '>=': 'be at least' },
+        date: { '==': 'be the same as', '!=': 'differ from', '<': 'be before', '<=': 'be on or before', '>': 'be after', '>=': 'be on or after' },
+        text: { '==': 'match', '!=': 'differ from', '<': 'sort before', '<=': 'sort before', '>': 'sort after', '>=': 'sort after' }
+    };
+
+    /**
+     * Parse a number the way it's typed on the page ("$1,250.00")
+     * @returns {number} Parsed number, or NaN
+     */
+    function parseNumber(value) {
+        const cleaned = String(value).replace(/[$,\s]/g, '');
+        return cleaned === '' ? NaN : Number(cleaned);
+    }
+
+    /**
+     * Parse M/D/YYYY, MM/DD/YYYY or YYYY-MM-DD (or a Date from a Kendo picker) to a day timestamp
+     * @returns {number} Milliseconds at local midnight, or NaN
+     */
+    function parseDate(value) {
+        if (value instanceof Date) {
+            return isNaN(value.getTime()) ? NaN : new Date(value.getFullYear(), value.getMonth(), value.getDate()).getTime();
+        }
+        const text = String(value).trim();
+        let match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+        let year, month, day;
+        if (match) {
+            [month, day, year] = [match[1], match[2], match[3]].map(Number);
+        } else if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/))) {
+            [year, month, day] = [match[1], match[2], match[3]].map(Number);
+        } else {
+            return NaN;
+        }
+        const date = new Date(year, month - 1, day);
+        return date.getMonth() === month - 1 ? date.getTime() : NaN;
+    }
+
+    function formatDate(time) {
+        const date = new Date(time);
+        return `${date.getMonth() + 1}/${date.getDate()}/${date.getFullYear()}`;
+    }
+
+    function readElement(element, read) {
+        if (window.StepConditions) {
+            return window.StepConditions.readValue(element, read || 'auto');
+        }
+        return element.value !== undefined ? element.value : (element.textContent || '').trim();
+    }
+
+    /**
+     * Resolve an operand to { kind, value, display, label }, or { unknown: reason }
+     */
+    function resolveOperand(operand, root) {
+        const label = operand.label || operand.selector || operand.sum || operand.count || '';
+
+        if ('value' in operand) {
+            return { kind: 'number', value: Number(operand.value), display: String(operand.value), label: operand.label || String(operand.value) };
+        }
+        if ('text' in operand) {
+            return { kind: 'text', value: String(operand.text).trim().toLowerCase(), display: String(operand.text), label: operand.label || `"${operand.text}"` };
+        }
+        if (operand.count) {
+            const count = root.querySelectorAll(operand.count).length;
+            return { kind: 'number', value: count, display: String(count), label: label };
+        }
+        if (operand.sum) {
+            const elements = Array.from(root.querySelectorAll(operand.sum));
+            if (elements.length === 0) return { unknown: `nothing matches ${operand.sum}` };
+            let total = 0;
+            for (const element of elements) {
+                const raw = readElement(element, operand.read);
+                if (String(raw).trim() === '') continue;
+                const number = parseNumber(raw);
+                if (isNaN(number)) return { unknown: `${label} has a non-numeric value "${raw}"` };
+                total += number;
+            }
+            // Round away floating point noise from adding currency amounts
+            total = Math.round(total * 100) / 100;
+            return { kind: 'number', value: total, display: String(total), label: label };
+        }
+
+        const element = root.querySelector(operand.selector);
+        if (!element) return { unknown: `${operand.selector} not found` };
+        const raw = readElement(element, operand.read);
+        if (typeof raw === 'boolean') {
+            return { kind: 'text', value: String(raw), display: raw ? 'checked' : 'unchecked', label: label };
+        }
+        if (raw === null || raw === undefined || String(raw).trim() === '') {
+            return { unknown: `${label} is blank` };
+        }
+
+        const kind = operand.as || (!isNaN(parseDate(raw)) ? 'date' : (!isNaN(parseNumber(raw)) ? 'number' : 'text'));
+        if (kind === 'date') {
+            const time = parseDate(raw);
+            return isNaN(time) ? { unknown: `${label} is not a date ("${raw}")` } : { kind: 'date', value: time, display: formatDate(time), label: label };
+        }
+        if (kind === 'number') {
+            const number = parseNumber(raw);
+            return isNaN(number) ? { unknown: `${label} is not a number ("${raw}")` } : { kind: 'number', value: number, display: String(raw).trim(), label: label };
+        }
+        return { kind: 'text', value: String(raw).trim().toLowerCase(), display: String(raw).trim(), label: label };
+    }
+
+    function compare(left, operator, right, tolerance) {
+        const diff = left.kind === 'text'
+            ? (left.value === right.value ? 0 : (left.value < right.value ? -1 : 1))
+            : left.value - right.value;
+        const equal = Math.abs(diff) <= tolerance;
+        switch (operator) {
+            case '==': return equal;
+            case '!=': return !equal;
+            case '<': return !equal && diff < 0;
+            case '<=': return equal || diff < 0;
+            case '>': return !equal && diff > 0;
+            case '>=': return equal || diff > 0;
+            default: return false;
+        }
+    }
+
+    const ConsistencyRules = {
+        OPERATORS: OPERATORS,
+        VALUE_KINDS: VALUE_KINDS,
+        OPERAND_SOURCES: OPERAND_SOURCES,
+
+        /**
+         * Check a single rule against the page
+         * @param {Object} rule - Entry from consistency_rules
+         * @param {Document|Element} [root=document] - Where to look up selectors
+         * @returns {{name: string, severity: string, status: string, message: string, target: string|null}}
+         *   status is 'pass', 'fail', 'unknown' (values not readable yet) or 'inactive' ("when" is false);
+         *   target is the left operand's selector, for scrolling to the field
+         */
+        evaluateRule: function(rule, root = document) {
+            const result = {
+                name: rule.name,
+                severity: rule.severity || 'error',
+                status: 'pass',
+                message: '',
+                target: rule.left.selector || rule.left.sum || rule.left.count || null
+            };
+
+            if (rule.when && window.StepConditions && window.StepConditions.evaluate(rule.when, root) === false) {
+                result.status = 'inactive';
+                return result;
+            }
+
+            const left = resolveOperand(rule.left, root);
+            const others = rule.operator === 'between'
+                ? [resolveOperand(rule.low, root), resolveOperand(rule.high, root)]
+                : [resolveOperand(rule.right, root)];
+            const unreadable = [left, ...others].find(operand => operand.unknown);
+            if (unreadable) {
+                result.status = 'unknown';
+                result.message = unreadable.unknown;
+                return result;
+            }
+            if (others.some(operand => operand.kind !== left.kind)) {
+                result.status = 'unknown';
+                result.message = `Can't compare a ${left.kind} with a ${others.find(operand => operand.kind !== left.kind).kind}`;
+                return result;
+            }
+
+            const tolerance = left.kind === 'number' ? (rule.tolerance || 0) : 0;
+            let passed;
+            let expectation;
+            if (rule.operator === 'between') {
+                const [low, high] = others;
+                passed = compare(left, '>=', low, tolerance) && compare(left, '<=', high, tolerance);
+                expectation = `be between ${low.label} (${low.display}) and ${high.label} (${high.display})`;
+            } else {
+                const right = others[0];
+                passed = compare(left, rule.operator, right, tolerance);
+                expectation = `${OPERATOR_WORDS[left.kind][rule.operator]} ${right.label} (${right.display})`;
+            }
+
+            if (!passed) {
+                result.status = 'fail';
+                result.message = rule.message || `${left.label} (${left.display}) should ${expectation}`;
+            }
+            return result;
+        },
+
+        /**
+         * Check every rule
+         * @param {Array} rules - consistency_rules from the config
+         * @param {Document|Element} [root=document] - Where to look up selectors
+         * @returns {Array} One result per rule, in config order
+         */
+        evaluateAll: function(rules, root = document) {
+            return (rules || []).map(rule => {
+                try {
+                    return this.evaluateRule(rule, root);
+                } catch (e) {
+                    // An invalid selector throws from querySelector - report it rather than break the checklist
+                    return { name: rule.name, severity: rule.severity || 'error', status: 'unknown', message: e.message };
+                }
+            });
+        },
+
+        /**
+         * Results that should be shown to the processor
+         * @param {Array} results - From evaluateAll
+         * @returns {Array} Failing rules, errors before warnings
+         */
+        getFailures: function(results) {
+            return (results || [])
+                .filter(result => result.status === 'fail')
+                .sort((a, b) => (a.severity === 'error' ? 0 : 1) - (b.severity === 'error' ? 0 : 1));
+        }
+    };
+
+    window.ConsistencyRules = ConsistencyRules;
+})();
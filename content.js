@@ -19,95 +19,103 @@
     let loggedWarnings = new Set(); // Track logged warnings to avoid spam
 
     const RECONNECT_DELAY = 2000; // 2 seconds
+    const JUMP_PULSE_DURATION = 1800; // Matches the jump-pulse animation in style.css
+    const NOTE_SAVE_DELAY = 600; // Wait for a pause in typing before saving a step note
+    const MIN_RECORDED_STEP_TIME = 1000; // Passing through a step isn't worth a history write
+    const ACTIVITY_THROTTLE = 1000; // Mouse/keyboard activity is noted at most once a second for step timing
+    const TIMELINE_SAVE_DELAY = 2000; // Field edits are added to the edit timeline in batches
+    const PAGE_EDIT_DELAY = 500; // Typing on the page is compared with the timeline's values after a pause
+    const MAX_LISTED_RESTORES = 8; // Values listed by name in the autosave restore prompt
+    const SESSION_CHECK_INTERVAL = 1000; // The session countdown ticks once a second
+    const SESSION_ACTIVITY_THROTTLE = 30 * 1000; // The page's own requests are stored as session activity at most this often
 
     // Configuration will be loaded dynamically
     let checklist = [];
     let config = null;
     let configLoaded = false;
+    let activeProfile = null; // Checklist profile ({ id, name, config }) selected for this page by URL pattern
+    let stepActivity = []; // show_if/required_if result per step: { visible, required }
+    let consistencyResults = []; // consistency_rules results: { name, severity, status, message, target }
+    let consistencyPanelCollapsed = false;
+    let formChangesWatched = false;
+    let customStepCleanup = null; // Cleanup returned by the current custom step's attachListeners
+    let undoHistory = UndoHistory.create(); // Undo/redo stacks for this form and profile, shared by its tabs (see undo-history.js)
+    let pinnedStepIndex = -1; // Step jumped to (see jumpToStep) - current until confirmed or skipped
+    let stepNotes = {}; // Notes on this form's steps, kept on its tracking_history record: { stepId: { stepName, text, updatedAt } }
+    let noteSaveTimers = new Map(); // Pending note saves by step id
+    let stepClock = null; // Active-time clock for the current step (see step-timing.js)
+    let blindReviewResults = {}; // Steps checked in this blind review, by step id (see blind-review.js)
 
     // Change tracking - store original field values for detecting broker errors
-    let originalFieldValues = {}; // { stepName: { fieldName: originalValue } }
+    let originalFieldValues = {}; // { stepId: { fieldName: originalValue } }
     let originalValuesCaptured = false;
+    let recordedOriginalValues = null; // Values the form had when it was first opened, from its tracking record
+
+    // Edit timeline (see edit-timeline.js)
+    let timelineValues = null; // Last known value of each field: { stepId: { fieldName: value } }
+    let pendingTimelineEdits = []; // Entries not yet saved to the form's history record
+    let timelineSaveTimer = null;
+    let timelineSource = null; // Where page edits come from while the on-page UI, the popout or a restore makes them
+    let pageEditTimer = null; // Pending comparison after typing on the page
+    let pageEditSource = null; // Source of the typing it waits for
+    const timelineWidgets = new WeakSet(); // Kendo widgets whose change event is followed
+
+    // Autosave (see form-autosave.js)
+    let autosaveUrlId = null; // Set once autosave has started for this form
+    let autosaveTimer = null;
+    let lastAutosave = null; // JSON of the values last stored, '' when no snapshot is stored
+    // sessionStorage key: urlId of the form this tab last submitted, until the next page loads
+    const AUTOSAVE_SUBMITTED_KEY = 'processingChecklistSubmittedForm';
+
+    // Session timeout (see session-timeout.js)
+    let sessionActivity = null; // Last request to RAPID from any tab (ms)
+    let sessionLearned = null; // Learned timeout (ms), used when the config doesn't set one
+    let sessionTimer = null;
+    let sessionExpired = false; // RAPID was seen sending this session to its login page
+    let sessionView = 'active'; // What the session overlay shows: 'active' (nothing), 'warning', 'expired' or 'loggedOut'
 
     /**
-     * Capture original field values from all checklist items when form is first loaded
-     * This allows us to detect which fields were changed from broker-entered values
+     * @param {Object} field - Group step field config
+     * @param {Element} element - The field's element on the page
+     * @returns {*} Its current value (checkboxes as booleans)
      */
-    function captureOriginalFieldValues() {
-        if (originalValuesCaptured) {
-            logger.debug("[ChangeTracking] Original values already captured, skipping");
-            return;
+    function readFieldValue(field, element) {
+        if (field.type === 'checkbox') return element.checked;
+        if (field.type === 'select' || field.type === 'radio') return element.value;
+        if (field.type === 'virtual') return element.innerText;
+        if (field.type === 'kendo_widget') {
+            if (typeof KendoWidgetUtils !== 'undefined' && KendoWidgetUtils.isKendoAvailable()) {
+                return KendoWidgetUtils.getWidgetValue(element) || '';
+            }
+            return element.value || '';
         }
+        return element.value;
+    }
 
-        logger.debug("[ChangeTracking] Capturing original field values");
-        originalFieldValues = {};
+    /**
+     * Current values of all checklist items: group fields, custom step captures and table cells
+     * ("Row <n> - col<n>")
+     * @returns {Object} { stepId: { fieldName: value } }
+     */
+    function captureFieldValues() {
+        const values = {};
 
         checklist.forEach((step, index) => {
-            const stepName = step.name;
-            originalFieldValues[stepName] = {};
+            // Keyed by step id so stored values survive renames (see config-migrations.js)
+            const stepId = ConfigMigrations.getStepId(step);
+            values[stepId] = {};
 
             if (step.type === 'group') {
                 step.fields.forEach(field => {
                     const element = document.querySelector(field.selector);
                     if (element) {
-                        let value = '';
-                        if (field.type === 'checkbox') {
-                            value = element.checked;
-                        } else if (field.type === 'select' || field.type === 'radio') {
-                            value = element.value;
-                        } else if (field.type === 'virtual') {
-                            value = element.innerText;
-                        } else if (field.type === 'kendo_widget') {
-                            if (typeof KendoWidgetUtils !== 'undefined' && KendoWidgetUtils.isKendoAvailable()) {
-                                value = KendoWidgetUtils.getWidgetValue(element) || '';
-                            } else {
-                                value = element.value || '';
-                            }
-                        } else {
-                            value = element.value;
-                        }
-                        originalFieldValues[stepName][field.name] = value;
+                        values[stepId][field.name] = readFieldValue(field, element);
                     }
                 });
             } else if (step.type === 'custom') {
-                // Handle custom types like fees table
-                if (step.table_id === 'feesTable') {
-                    const tableSelector = 'div.col-md-7:nth-child(2) > div:nth-child(1) > table:nth-child(1)';
-                    const table = document.querySelector(tableSelector);
-                    if (table) {
-                        const rows = table.querySelectorAll('tbody tr');
-                        rows.forEach((row, rowIndex) => {
-                            const cells = row.querySelectorAll('td');
-                            if (cells.length >= 3) {
-                                // Extract fee name
-                                let feeName = '';
-                                if (rowIndex === 3) {
-                                    // OTHER FEE row - check for custom name
-                                    const customNameInput = row.querySelector('#TransactionFees_3__OtherFeeType');
-                                    const customName = customNameInput ? customNameInput.value.trim() : '';
-                                    feeName = customName || 'OTHER FEE';
-                                } else {
-                                    // Regular fee rows - get static name from first cell
-                                    const firstCell = cells[0];
-                                    const textNodes = Array.from(firstCell.childNodes)
-                                        .filter(node => node.nodeType === Node.TEXT_NODE)
-                                        .map(node => node.textContent.trim())
-                                        .filter(text => text.length > 0);
-                                    feeName = textNodes[0] || `Fee ${rowIndex}`;
-                                }
-
-                                // Capture taxable checkbox
-                                const taxableCheckbox = cells[1].querySelector('input[type="checkbox"]');
-                                const taxableFieldName = `${feeName} Taxable`;
-                                originalFieldValues[stepName][taxableFieldName] = taxableCheckbox ? taxableCheckbox.checked : false;
-
-                                // Capture amount
-                                const hiddenInput = cells[2].querySelector('input[id*="FeeAmount"]');
-                                const amountFieldName = `${feeName} Amount`;
-                                originalFieldValues[stepName][amountFieldName] = hiddenInput ? hiddenInput.value : '';
-                            }
-                        });
-                    }
+                const customType = window.CustomStepTypes && window.CustomStepTypes.forStep(step);
+                if (customType) {
+                    Object.assign(values[stepId], customType.capture(step));
                 }
             } else if (step.type === 'table') {
                 // Handle table types
@@ -116,108 +124,105 @@
                     tableData.rows.forEach((row, rowIndex) => {
                         Object.keys(row).forEach(columnName => {
                             const fieldName = `Row ${rowIndex} - ${columnName}`;
-                            originalFieldValues[stepName][fieldName] = row[columnName];
+                            values[stepId][fieldName] = row[columnName];
                         });
                     });
                 }
             }
         });
 
+        return values;
+    }
+
+    /**
+     * Capture original field values from all checklist items when form is first loaded
+     * This allows us to detect which fields were changed from broker-entered values
+     */
+    function captureOriginalFieldValues() {
+        if (originalValuesCaptured) {
+            logger.debug("[ChangeTracking] Original values already captured, skipping");
+            return;
+        }
+
+        logger.debug("[ChangeTracking] Capturing original field values");
+        originalFieldValues = captureFieldValues();
         originalValuesCaptured = true;
         logger.debug("[ChangeTracking] Original values captured:", originalFieldValues);
 
+        // The edit timeline starts from the same values
+        timelineValues = {};
+        Object.keys(originalFieldValues).forEach(stepId => {
+            timelineValues[stepId] = { ...originalFieldValues[stepId] };
+        });
+        watchTimelineWidgets();
+
         // Store original values in tracking helper for persistence
         if (window.trackingHelper && window.trackingHelper.storeOriginalValues) {
-            window.trackingHelper.storeOriginalValues(originalFieldValues);
+            window.trackingHelper.storeOriginalValues(originalFieldValues, (recorded) => {
+                recordedOriginalValues = recorded;
+            });
         }
     }
 
+    /**
+     * Values stored with a changed field. The page's values when this page loaded are the
+     * processor's when reviewing; the original is the form's value when it was first opened.
+     * @param {string} stepId
+     * @param {string} fieldName
+     * @param {*} loadedValue - Value when this page loaded
+     * @param {*} currentValue
+     * @param {boolean} isReviewMode
+     * @returns {Object} { original, processor } or, in review mode, { original, processor, reviewer }
+     */
+    function getChangeValues(stepId, fieldName, loadedValue, currentValue, isReviewMode) {
+        const recorded = (recordedOriginalValues || {})[stepId] || {};
+        const original = Object.prototype.hasOwnProperty.call(recorded, fieldName) ? recorded[fieldName] : loadedValue;
+        return isReviewMode
+            ? { original, processor: loadedValue, reviewer: currentValue }
+            : { original, processor: currentValue };
+    }
+
     /**
      * Detect changes in a specific checklist step by comparing current values to original values
      * @param {number} stepIndex - Index of the step to check
-     * @returns {Object} { stepName, changedFields: [fieldNames], fieldCount }
+     * @param {boolean} [isReviewMode] - Whether changes are being made in review mode
+     * @returns {Object} { stepId, stepName, changedFields: [fieldNames], fieldValues: { fieldName: values }, fieldCount }
+     *          (values from getChangeValues)
      */
-    function detectStepChanges(stepIndex) {
+    function detectStepChanges(stepIndex, isReviewMode = false) {
         const step = checklist[stepIndex];
+        const stepId = ConfigMigrations.getStepId(step);
         const stepName = step.name;
         const changedFields = [];
+        const fieldValues = {};
 
-        if (!originalFieldValues[stepName]) {
-            return { stepName, changedFields, fieldCount: 0 };
+        if (!originalFieldValues[stepId]) {
+            return { stepId, stepName, changedFields, fieldValues, fieldCount: 0 };
         }
 
+        const addChange = (fieldName, currentValue) => {
+            changedFields.push(fieldName);
+            fieldValues[fieldName] = getChangeValues(stepId, fieldName, originalFieldValues[stepId][fieldName], currentValue, isReviewMode);
+        };
+
         if (step.type === 'group') {
             step.fields.forEach(field => {
                 const element = document.querySelector(field.selector);
                 if (element) {
-                    let currentValue = '';
-                    if (field.type === 'checkbox') {
-                        currentValue = element.checked;
-                    } else if (field.type === 'select' || field.type === 'radio') {
-                        currentValue = element.value;
-                    } else if (field.type === 'virtual') {
-                        currentValue = element.innerText;
-                    } else if (field.type === 'kendo_widget') {
-                        if (typeof KendoWidgetUtils !== 'undefined' && KendoWidgetUtils.isKendoAvailable()) {
-                            currentValue = KendoWidgetUtils.getWidgetValue(element) || '';
-                        } else {
-                            currentValue = element.value || '';
-                        }
-                    } else {
-                        currentValue = element.value;
-                    }
-
-                    const originalValue = originalFieldValues[stepName][field.name];
+                    const currentValue = readFieldValue(field, element);
+                    const originalValue = originalFieldValues[stepId][field.name];
                     // Use loose equality to handle string/boolean comparisons
                     if (currentValue != originalValue) {
-                        changedFields.push(field.name);
+                        addChange(field.name, currentValue);
                     }
                 }
             });
-        } else if (step.type === 'custom' && step.table_id === 'feesTable') {
-            const tableSelector = 'div.col-md-7:nth-child(2) > div:nth-child(1) > table:nth-child(1)';
-            const table = document.querySelector(tableSelector);
-            if (table) {
-                const rows = table.querySelectorAll('tbody tr');
-                rows.forEach((row, rowIndex) => {
-                    const cells = row.querySelectorAll('td');
-                    if (cells.length >= 3) {
-                        // Extract fee name (same logic as in captureOriginalValues)
-                        let feeName = '';
-                        if (rowIndex === 3) {
-                            // OTHER FEE row - check for custom name
-                            const customNameInput = row.querySelector('#TransactionFees_3__OtherFeeType');
-                            const customName = customNameInput ? customNameInput.value.trim() : '';
-                            feeName = customName || 'OTHER FEE';
-                        } else {
-                            // Regular fee rows - get static name from first cell
-                            const firstCell = cells[0];
-                            const textNodes = Array.from(firstCell.childNodes)
-                                .filter(node => node.nodeType === Node.TEXT_NODE)
-                                .map(node => node.textContent.trim())
-                                .filter(text => text.length > 0);
-                            feeName = textNodes[0] || `Fee ${rowIndex}`;
-                        }
-
-                        // Check taxable checkbox
-                        const taxableCheckbox = cells[1].querySelector('input[type="checkbox"]');
-                        const taxableFieldName = `${feeName} Taxable`;
-                        const currentTaxable = taxableCheckbox ? taxableCheckbox.checked : false;
-                        const originalTaxable = originalFieldValues[stepName][taxableFieldName];
-                        if (currentTaxable != originalTaxable) {
-                            changedFields.push(taxableFieldName);
-                        }
-
-                        // Check amount
-                        const hiddenInput = cells[2].querySelector('input[id*="FeeAmount"]');
-                        const amountFieldName = `${feeName} Amount`;
-                        const currentAmount = hiddenInput ? hiddenInput.value : '';
-                        const originalAmount = originalFieldValues[stepName][amountFieldName];
-                        if (currentAmount != originalAmount) {
-                            changedFields.push(amountFieldName);
-                        }
-                    }
-                });
+        } else if (step.type === 'custom' && window.CustomStepTypes) {
+            const customType = window.CustomStepTypes.forStep(step);
+            const changed = window.CustomStepTypes.detectChanges(step, originalFieldValues[stepId]);
+            if (changed.length > 0) {
+                const current = customType.capture(step);
+                changed.forEach(fieldName => addChange(fieldName, current[fieldName]));
             }
         } else if (step.type === 'table') {
             const tableData = getTableData(step);
@@ -226,9 +231,9 @@
                     Object.keys(row).forEach(columnName => {
                         const fieldName = `Row ${rowIndex} - ${columnName}`;
                         const currentValue = row[columnName];
-                        const originalValue = originalFieldValues[stepName][fieldName];
+                        const originalValue = originalFieldValues[stepId][fieldName];
                         if (currentValue != originalValue) {
-                            changedFields.push(fieldName);
+                            addChange(fieldName, currentValue);
                         }
                     });
                 });
@@ -236,8 +241,10 @@
         }
 
         return {
+            stepId,
             stepName,
             changedFields,
+            fieldValues,
             fieldCount: changedFields.length
         };
     }
@@ -257,11 +264,13 @@
         let totalFieldsChanged = 0;
 
         checklist.forEach((step, index) => {
-            const changeData = detectStepChanges(index);
+            const changeData = detectStepChanges(index, isReviewMode);
             if (changeData.fieldCount > 0) {
                 stepsWithChanges.push({
+                    stepId: changeData.stepId,
                     stepName: changeData.stepName,
                     changedFields: changeData.changedFields,
+                    fieldValues: changeData.fieldValues,
                     fieldCount: changeData.fieldCount
                 });
                 totalFieldsChanged += changeData.fieldCount;
@@ -285,6 +294,522 @@
         return result;
     }
 
+    /**
+     * Note a field edit for the form's edit timeline
+     * @param {number} index - Step index
+     * @param {string} fieldName - Group field name, table cell ("Row <n> - col<n>") or custom step value
+     * @param {*} oldValue
+     * @param {*} newValue
+     * @param {string} source - 'page', 'on-page-ui', 'popout', 'undo' or 'restore'
+     */
+    function recordTimelineEdit(index, fieldName, oldValue, newValue, source) {
+        const step = checklist[index];
+        if (!timelineValues || !step || !window.trackingHelper || !window.trackingHelper.currentUrlId) return;
+
+        const stepId = ConfigMigrations.getStepId(step);
+        (timelineValues[stepId] || (timelineValues[stepId] = {}))[fieldName] = newValue;
+        if (JSON.stringify(oldValue) === JSON.stringify(newValue)) return;
+
+        pendingTimelineEdits.push(EditTimeline.createEntry({
+            stepId,
+            stepName: step.name,
+            field: getFieldLabel(step, fieldName),
+            oldValue,
+            newValue,
+            source,
+            review: !!window.trackingHelper.isReviewMode
+        }));
+        clearTimeout(timelineSaveTimer);
+        timelineSaveTimer = setTimeout(saveTimelineEdits, TIMELINE_SAVE_DELAY);
+    }
+
+    function saveTimelineEdits() {
+        clearTimeout(timelineSaveTimer);
+        timelineSaveTimer = null;
+        if (pendingTimelineEdits.length === 0 || !window.trackingHelper || !window.trackingHelper.appendEditTimeline) return;
+
+        window.trackingHelper.appendEditTimeline(pendingTimelineEdits, config && config.editTimelineLimit);
+        pendingTimelineEdits = [];
+    }
+
+    /**
+     * Timeline entries for every checklist value (group fields, table cells, custom steps) that
+     * differs from the timeline's last known one. Group field edits from the on-page UI and the
+     * popout are recorded by handleUpdateFieldValue before they reach the page, so they don't
+     * show up here again.
+     * @param {string} [source] - Where the edits were made
+     */
+    function recordPageEdits(source = 'page') {
+        clearTimeout(pageEditTimer);
+        pageEditTimer = null;
+        if (!timelineValues || !configLoaded || isInitializing) return;
+
+        const current = captureFieldValues();
+        checklist.forEach((step, index) => {
+            const stepId = ConfigMigrations.getStepId(step);
+            const known = timelineValues[stepId] || {};
+            Object.keys(current[stepId] || {}).forEach(fieldName => {
+                // Virtual fields and label columns show values worked out from others, whose
+                // edits are recorded instead
+                const field = step.type === 'group' && step.fields.find(f => f.name === fieldName);
+                if (field && field.type === 'virtual') return;
+                const cell = step.type === 'table' && fieldName.match(/ - col(\d+)$/);
+                if (cell && (step.columns[Number(cell[1])] || {}).type === 'label') return;
+                // Cells of rows added since are compared with blank
+                const oldValue = Object.prototype.hasOwnProperty.call(known, fieldName) ? known[fieldName] : '';
+                recordTimelineEdit(index, fieldName, oldValue, current[stepId][fieldName], source);
+            });
+        });
+    }
+
+    /**
+     * change/input listener for the page. Changes are compared right away, typing after a pause.
+     */
+    function handlePageEdit(e) {
+        if (!timelineValues || !(e.target instanceof Element)) return;
+        // The UI's own inputs - the page edits they make come through here separately
+        if (e.target.closest('#processing-checklist-container')) return;
+
+        const source = timelineSource || 'page';
+        if (pageEditTimer && pageEditSource !== source) recordPageEdits(pageEditSource);
+        if (e.type === 'change') {
+            recordPageEdits(source);
+            return;
+        }
+        pageEditSource = source;
+        clearTimeout(pageEditTimer);
+        pageEditTimer = setTimeout(() => recordPageEdits(source), PAGE_EDIT_DELAY);
+    }
+
+    /**
+     * Run fn with the page edits it makes recorded as coming from source
+     * @param {string} source - 'on-page-ui', 'popout' or 'restore'
+     * @param {Function} fn
+     * @returns {*} What fn returns
+     */
+    function withTimelineSource(source, fn) {
+        const previous = timelineSource;
+        timelineSource = source;
+        try {
+            const result = fn();
+            // Also catches values set without an event
+            recordPageEdits(source);
+            return result;
+        } finally {
+            timelineSource = previous;
+        }
+    }
+
+    /**
+     * Page edits made by the on-page UI's table and custom step inputs in reply to the current
+     * event are theirs. Capture listener on the UI, so it runs before the inputs' own listeners.
+     */
+    function markOnPageUIEdit() {
+        if (timelineSource) return;
+        timelineSource = 'on-page-ui';
+        setTimeout(() => {
+            if (timelineSource === 'on-page-ui') timelineSource = null;
+        }, 0);
+    }
+
+    /**
+     * Kendo fires its change event through jQuery, which the page listeners don't see, so
+     * follow the widgets of kendo_widget fields and table columns directly
+     */
+    function watchTimelineWidgets() {
+        if (typeof KendoWidgetUtils === 'undefined' || !KendoWidgetUtils.isKendoAvailable()) return;
+
+        const elements = [];
+        checklist.forEach(step => {
+            if (step.type === 'group') {
+                step.fields.forEach(field => {
+                    if (field.type === 'kendo_widget' && field.selector) elements.push(document.querySelector(field.selector));
+                });
+            } else if (step.type === 'table') {
+                const table = document.querySelector(step.table_selector);
+                if (!table) return;
+                step.columns.forEach(column => {
+                    if (column.type !== 'kendo_widget') return;
+                    table.querySelectorAll(`${step.row_selector} ${column.selector}`).forEach(element => elements.push(element));
+                });
+            }
+        });
+
+        elements.forEach(element => {
+            if (!element || timelineWidgets.has(element)) return;
+            if (KendoWidgetUtils.onWidgetChange(element, () => recordPageEdits(timelineSource || 'page'))) {
+                timelineWidgets.add(element);
+            }
+        });
+    }
+
+    /**
+     * Offer to restore a snapshot left by an earlier visit, then keep this visit's unsaved
+     * values in storage. Only pages with a transaction id in the URL are autosaved.
+     */
+    function startAutosave() {
+        const urlId = UrlRoutes.getFormId(window.location.href);
+        if (!urlId || autosaveUrlId) return;
+        const key = FormAutosave.getStorageKey(urlId);
+
+        const begin = (snapshotStored) => {
+            autosaveUrlId = urlId;
+            lastAutosave = snapshotStored ? null : '';
+            autosaveTimer = setInterval(autosaveNow, FormAutosave.SNAPSHOT_INTERVAL_MS);
+        };
+
+        ext.storage.local.get(key, (result) => {
+            const snapshot = result[key];
+            const differences = snapshot && !FormAutosave.isExpired(snapshot)
+                ? FormAutosave.findDifferences(snapshot.values, captureFieldValues())
+                : [];
+
+            if (differences.length === 0) {
+                // Saved since, never changed, or too old to offer
+                if (snapshot) ext.storage.local.remove(key);
+                begin(false);
+                return;
+            }
+
+            logger.info(`[Autosave] ${differences.length} unsaved value(s) from ${snapshot.savedAt} differ from the page`);
+            offerAutosaveRestore(snapshot, differences, (restored) => {
+                if (!restored) ext.storage.local.remove(key);
+                begin(restored);
+            });
+        });
+    }
+
+    /**
+     * Store the page's values while any differ from the ones it loaded with, and remove the
+     * snapshot once none do
+     */
+    function autosaveNow() {
+        if (!autosaveUrlId || !originalValuesCaptured) return;
+        const key = FormAutosave.getStorageKey(autosaveUrlId);
+        const values = captureFieldValues();
+
+        if (FormAutosave.findDifferences(values, originalFieldValues).length === 0) {
+            if (lastAutosave !== '') ext.storage.local.remove(key);
+            lastAutosave = '';
+            return;
+        }
+
+        const json = JSON.stringify(values);
+        if (json === lastAutosave) return;
+        lastAutosave = json;
+        ext.storage.local.set({ [key]: FormAutosave.createSnapshot(autosaveUrlId, values) });
+    }
+
+    /**
+     * Keep the values about to be submitted, in case the save doesn't go through. The page the
+     * Save leads to tells whether it did (see checkSubmittedAutosave).
+     */
+    function handleFormSubmit(e) {
+        autosaveNow();
+        if (!autosaveUrlId) return;
+        sessionStorage.setItem(AUTOSAVE_SUBMITTED_KEY, autosaveUrlId);
+        // The page's own handlers run after this one and may cancel the submit (e.g. validation)
+        setTimeout(() => {
+            if (e.defaultPrevented) sessionStorage.removeItem(AUTOSAVE_SUBMITTED_KEY);
+        }, 0);
+    }
+
+    /**
+     * First page load after this tab submitted a form. RAPID's login page means the session had
+     * run out, so the snapshot is kept for after logging in; on the form itself startAutosave
+     * compares it with the saved values. Any other page means RAPID took the save, and the
+     * snapshot would only offer stale values later.
+     */
+    function checkSubmittedAutosave() {
+        const urlId = sessionStorage.getItem(AUTOSAVE_SUBMITTED_KEY);
+        if (!urlId) return;
+        sessionStorage.removeItem(AUTOSAVE_SUBMITTED_KEY);
+
+        const url = window.location.href;
+        if (UrlRoutes.isPageKind(url, UrlRoutes.PAGE_KINDS.LOGIN) || UrlRoutes.getFormId(url) === urlId) return;
+        logger.info(`[Autosave] Form ${urlId} was saved - removing its unsaved values`);
+        ext.storage.local.remove(FormAutosave.getStorageKey(urlId));
+    }
+
+    /**
+     * Name of a captured value for the restore prompt and the edit timeline (table cells as
+     * "Row <n> - <column>")
+     */
+    function getFieldLabel(step, fieldName) {
+        const cell = step.type === 'table' && fieldName.match(/^Row (\d+) - col(\d+)$/);
+        const column = cell && step.columns[Number(cell[2])];
+        return column ? `Row ${Number(cell[1]) + 1} - ${column.name}` : fieldName;
+    }
+
+    /**
+     * Ask whether to put a snapshot's values back on the form
+     * @param {Object} snapshot
+     * @param {Array} differences - From FormAutosave.findDifferences
+     * @param {Function} onDone - Called with true once restored, false when discarded
+     */
+    function offerAutosaveRestore(snapshot, differences, onDone) {
+        const escapeHtml = window.ProcessingChecklistUtils.escapeHtml;
+        const format = FormAutosave.formatValue;
+        const stepsById = new Map(checklist.map(step => [ConfigMigrations.getStepId(step), step]));
+        const listed = differences.slice(0, MAX_LISTED_RESTORES);
+        const savedAt = new Date(snapshot.savedAt).toLocaleString('en-US', {
+            month: 'numeric', day: 'numeric', hour: 'numeric', minute: '2-digit'
+        });
+
+        const prompt = document.createElement('div');
+        prompt.id = 'autosave-restore-prompt';
+        prompt.innerHTML = `
+            <div class="autosave-restore-title">Restore unsaved values?</div>
+            <div class="autosave-restore-text">
+                ${differences.length} value${differences.length !== 1 ? 's' : ''} entered on ${escapeHtml(savedAt)} ${differences.length !== 1 ? 'differ' : 'differs'} from the form:
+            </div>
+            <ul class="autosave-restore-list">
+                ${listed.map(difference => {
+                    const step = stepsById.get(difference.stepId);
+                    return `
+                        <li>
+                            <strong>${escapeHtml(getFieldLabel(step, difference.field))}</strong> (${escapeHtml(step.name)}):
+                            ${escapeHtml(format(difference.saved))}
+                            <span class="autosave-restore-current">now ${escapeHtml(format(difference.current))}</span>
+                        </li>`;
+                }).join('')}
+            </ul>
+            ${differences.length > listed.length ? `<div class="autosave-restore-text">…and ${differences.length - listed.length} more</div>` : ''}
+            <div class="autosave-restore-actions">
+                <button class="autosave-restore-discard">Discard</button>
+                <button class="autosave-restore-apply">Restore</button>
+            </div>`;
+        document.body.appendChild(prompt);
+
+        prompt.querySelector('.autosave-restore-apply').addEventListener('click', () => {
+            prompt.remove();
+            const restored = restoreAutosavedValues(differences);
+            showNotification(`✓ Restored ${restored} value${restored !== 1 ? 's' : ''} - check them and save the form`);
+            onDone(true);
+        });
+        prompt.querySelector('.autosave-restore-discard').addEventListener('click', () => {
+            prompt.remove();
+            onDone(false);
+        });
+    }
+
+    /**
+     * Put snapshot values back on the form. Kendo widgets are set through the widget, and the
+     * page gets input/change events as if the values were typed.
+     * @param {Array} differences - From FormAutosave.findDifferences
+     * @returns {number} How many values were restored
+     */
+    function restoreAutosavedValues(differences) {
+        let restored = 0;
+        const customValues = new Map(); // Step index -> { fieldName: value }
+
+        withTimelineSource('restore', () => {
+            differences.forEach(difference => {
+                const index = checklist.findIndex(step => ConfigMigrations.getStepId(step) === difference.stepId);
+                const step = checklist[index];
+                if (!step) return;
+
+                if (step.type === 'group') {
+                    const field = step.fields.find(f => f.name === difference.field);
+                    const element = field && field.type !== 'virtual' ? document.querySelector(field.selector) : null;
+                    if (!element) return;
+                    if (field.type === 'kendo_widget' && typeof KendoWidgetUtils !== 'undefined' && KendoWidgetUtils.isKendoAvailable()) {
+                        KendoWidgetUtils.setWidgetValue(element, difference.saved);
+                    } else if (element.type === 'checkbox' || element.type === 'radio') {
+                        element.checked = !!difference.saved;
+                    } else {
+                        element.value = difference.saved;
+                    }
+                    element.dispatchEvent(new Event('input', { bubbles: true }));
+                    element.dispatchEvent(new Event('change', { bubbles: true }));
+                    restored++;
+                } else if (step.type === 'table') {
+                    const cell = difference.field.match(/^Row (\d+) - col(\d+)$/);
+                    const column = cell && step.columns[Number(cell[2])];
+                    if (!column || column.type === 'label') return;
+                    handleUpdateTableCell({ index, rowIndex: Number(cell[1]), colIndex: Number(cell[2]), value: difference.saved });
+                    restored++;
+                } else if (step.type === 'custom') {
+                    customValues.set(index, { ...customValues.get(index), [difference.field]: difference.saved });
+                }
+            });
+
+            customValues.forEach((values, index) => {
+                if (window.CustomStepTypes && window.CustomStepTypes.restore(checklist[index], values)) {
+                    restored += Object.keys(values).length;
+                }
+            });
+        });
+
+        // Show the restored values in the checklist UI and the popout
+        const keys = getStorageKeys();
+        const isReview = window.trackingHelper && window.trackingHelper.isReviewMode;
+        const stateKey = isReview ? keys.reviewState : keys.checklistState;
+        ext.storage.local.get([stateKey, keys.uiState, keys.viewMode], (result) => {
+            if (result[stateKey]) updateAndBroadcast(result[stateKey], result[keys.uiState], result[keys.viewMode]);
+        });
+
+        return restored;
+    }
+
+    /**
+     * Note a request to RAPID, which starts every tab's session countdown over
+     */
+    function noteSessionActivity() {
+        sessionActivity = Date.now();
+        sessionExpired = false;
+        ext.storage.local.set({ [SessionTimeout.ACTIVITY_KEY]: sessionActivity });
+    }
+
+    /**
+     * A request to RAPID that should have worked was sent to its login page instead, so the
+     * session ran out: the time since the last request is an upper bound on the session timeout
+     */
+    function learnSessionTimeout() {
+        const { ACTIVITY_KEY, LEARNED_KEY } = SessionTimeout;
+        const detectedAt = Date.now();
+        ext.storage.local.get([ACTIVITY_KEY, LEARNED_KEY], (result) => {
+            const learned = SessionTimeout.learnTimeout(result[LEARNED_KEY], result[ACTIVITY_KEY], detectedAt);
+            if (learned === null || learned === result[LEARNED_KEY]) return;
+            logger.info(`[Session] RAPID's session timeout is at most ${Math.round(learned / 60000)} minutes`);
+            ext.storage.local.set({ [LEARNED_KEY]: learned });
+        });
+    }
+
+    /**
+     * Count down to the end of RAPID's session. Page loads in any RAPID tab, and this page's own
+     * XHR/fetch calls, start it over.
+     */
+    function watchSession() {
+        if (sessionTimer || !window.location.protocol.startsWith('http')) return;
+        const { ACTIVITY_KEY, LEARNED_KEY } = SessionTimeout;
+
+        ext.storage.local.get(LEARNED_KEY, (result) => {
+            sessionLearned = result[LEARNED_KEY] || null;
+            sessionTimer = setInterval(checkSession, SESSION_CHECK_INTERVAL);
+        });
+
+        ext.storage.onChanged.addListener((changes, namespace) => {
+            if (namespace !== 'local') return;
+            if (changes[ACTIVITY_KEY] && changes[ACTIVITY_KEY].newValue > sessionActivity) {
+                // Another tab loaded a page, or logged in again
+                sessionActivity = changes[ACTIVITY_KEY].newValue;
+                sessionExpired = false;
+            }
+            if (changes[LEARNED_KEY]) sessionLearned = changes[LEARNED_KEY].newValue || null;
+        });
+
+        // The page's own XHR/fetch calls keep the session going too. One that was redirected
+        // may have landed on the login page, so the session is checked instead.
+        if (typeof PerformanceObserver === 'undefined') return;
+        new PerformanceObserver((list) => {
+            const requests = list.getEntries().filter(entry =>
+                (entry.initiatorType === 'xmlhttprequest' || entry.initiatorType === 'fetch') &&
+                entry.name.startsWith(window.location.origin));
+            if (requests.length === 0 || sessionExpired) return;
+
+            if (requests.some(entry => entry.redirectStart > 0)) {
+                keepSessionAlive(true);
+            } else if (sessionView !== 'active' || Date.now() - sessionActivity >= SESSION_ACTIVITY_THROTTLE) {
+                noteSessionActivity();
+            }
+        }).observe({ type: 'resource' });
+    }
+
+    function checkSession() {
+        const timeout = SessionTimeout.getTimeout(config && config.sessionTimeoutMinutes, sessionLearned);
+        const status = sessionExpired
+            ? { phase: 'expired', remainingMs: 0 }
+            : SessionTimeout.getStatus(sessionActivity, timeout.ms);
+        const view = sessionExpired ? 'loggedOut' : status.phase;
+
+        if (status.phase === 'expired' && (sessionView === 'active' || sessionView === 'warning')) {
+            logger.info(`[Session] Session has ${sessionExpired ? '' : 'probably '}run out (${timeout.source} timeout of ${Math.round(timeout.ms / 60000)} minutes)`);
+            // Keep the unsaved values for after logging in again (see form-autosave.js)
+            autosaveNow();
+        }
+        showSessionOverlay(view, status.remainingMs);
+    }
+
+    /**
+     * Show the session's countdown before it runs out, and what to do once it has
+     * @param {string} view - 'active', 'warning', 'expired' (by the countdown) or 'loggedOut'
+     *        (RAPID answered with its login page)
+     * @param {number} remainingMs
+     */
+    function showSessionOverlay(view, remainingMs) {
+        let overlay = document.getElementById('session-timeout-overlay');
+        if (view === 'active') {
+            if (overlay) overlay.remove();
+            sessionView = view;
+            return;
+        }
+
+        if (!overlay || sessionView !== view) {
+            if (overlay) overlay.remove();
+            overlay = document.createElement('div');
+            overlay.id = 'session-timeout-overlay';
+            overlay.innerHTML = view === 'warning' ? `
+                <div class="session-timeout-title">RAPID session ending soon</div>
+                <div class="session-timeout-text">
+                    You will be logged out in <span class="session-timeout-countdown"></span>. Save the form, or stay logged in.
+                </div>
+                <div class="session-timeout-actions">
+                    <button class="session-timeout-keep-alive">Stay logged in</button>
+                </div>` : `
+                <div class="session-timeout-title">RAPID session ${view === 'loggedOut' ? 'has run out' : 'has probably run out'}</div>
+                <div class="session-timeout-text">
+                    Saving the form now would lose your changes.
+                    ${autosaveUrlId
+                        ? 'Unsaved values are kept in this browser: log in again and they will be offered back when the form reopens.'
+                        : 'Copy anything you need before logging in again.'}
+                </div>
+                <div class="session-timeout-actions">
+                    ${view === 'loggedOut' ? '' : '<button class="session-timeout-keep-alive">Check session</button>'}
+                    <button class="session-timeout-login">Log in again</button>
+                </div>`;
+            document.body.appendChild(overlay);
+
+            const keepAlive = overlay.querySelector('.session-timeout-keep-alive');
+            if (keepAlive) keepAlive.addEventListener('click', () => keepSessionAlive());
+            const login = overlay.querySelector('.session-timeout-login');
+            if (login) {
+                login.addEventListener('click', () => {
+                    autosaveNow();
+                    // RAPID sends the reload to its login page, and back here afterwards
+                    window.location.reload();
+                });
+            }
+        }
+
+        sessionView = view;
+        const countdown = overlay.querySelector('.session-timeout-countdown');
+        if (countdown) countdown.textContent = SessionTimeout.formatCountdown(remainingMs);
+    }
+
+    /**
+     * Request the form page again, which restarts RAPID's session - or shows it has run out
+     * @param {boolean} [quiet] - No notification unless the session has run out
+     */
+    async function keepSessionAlive(quiet = false) {
+        try {
+            const response = await fetch(window.location.href, { credentials: 'include', cache: 'no-store' });
+            if (UrlRoutes.isPageKind(response.url, UrlRoutes.PAGE_KINDS.LOGIN)) {
+                if (!sessionExpired) learnSessionTimeout();
+                sessionExpired = true;
+                checkSession();
+                return;
+            }
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            noteSessionActivity();
+            checkSession();
+            if (!quiet) showNotification('✓ Still logged in to RAPID');
+        } catch (error) {
+            logger.warn('[Session] Keep-alive request failed:', error);
+            if (!quiet) showNotification('⚠️ Could not reach RAPID - check the connection', 'warning');
+        }
+    }
+
     function connect() {
         try {
             port = ext.runtime.connect({ name: "content-script" });
@@ -356,18 +881,75 @@
         reconnectTimer = setTimeout(attemptReconnect, 100);
     }
 
+    // Checklist data stored per form (see getStorageKeys); tableState_ adds the step index
+    const FORM_STATE_PREFIXES = ['checklistState', 'reviewState', 'checklistVariant', 'checklistLayout', 'undoHistory', 'tableState'];
+
+    function getStateScope() {
+        return UrlRoutes.getStateScope(myTabId, window.location.href);
+    }
+
     function getStorageKeys() {
+        // Checklist progress belongs to the form, so every tab showing it shares the same
+        // progress and it survives closing the tab. It is also scoped to the active profile so a
+        // page never applies one checklist's state to another. UI state stays per tab.
+        const profileId = activeProfile ? activeProfile.id : 'default';
+        const scope = getStateScope();
         return {
-            checklistState: `checklistState_${myTabId}`,
+            checklistState: `checklistState_${scope}_${profileId}`,
             uiState: `uiState_${myTabId}`,
             viewMode: `viewMode_${myTabId}`,
-            reviewState: `reviewState_${myTabId}`
+            reviewState: `reviewState_${scope}_${profileId}`,
+            checklistVariant: `checklistVariant_${scope}_${profileId}`,
+            checklistLayout: `checklistLayout_${scope}_${profileId}`,
+            undoHistory: `undoHistory_${scope}_${profileId}`,
+            activeProfile: `activeProfile_${myTabId}`,
+            stateScope: `stateScope_${myTabId}`
         };
     }
 
-    async function loadConfiguration() {
+    function getTableStateKey(itemIndex) {
+        const profileId = activeProfile ? activeProfile.id : 'default';
+        return `tableState_${getStateScope()}_${profileId}_${itemIndex}`;
+    }
+
+    /**
+     * Progress saved before it was stored per form is under this tab's id - move it to the
+     * form's keys, unless the form already has progress of its own
+     * @param {Function} callback - Called once storage is up to date
+     */
+    function adoptTabScopedState(callback) {
+        const scope = getStateScope();
+        if (scope === String(myTabId)) {
+            callback();
+            return;
+        }
+
+        const profileId = activeProfile ? activeProfile.id : 'default';
+        const tabPart = `_${myTabId}_${profileId}`;
+        const keys = getStorageKeys();
+        ext.storage.local.get(null, (items) => {
+            const updates = {};
+            const staleKeys = [];
+            Object.keys(items).forEach(key => {
+                if (!FORM_STATE_PREFIXES.some(p => key === `${p}${tabPart}` || key.startsWith(`${p}${tabPart}_`))) return;
+                staleKeys.push(key);
+                if (!items[keys.checklistState]) {
+                    updates[key.replace(tabPart, `_${scope}_${profileId}`)] = items[key];
+                }
+            });
+            if (staleKeys.length === 0) {
+                callback();
+                return;
+            }
+
+            logger.info(`Moving this tab's stored progress to ${scope}`);
+            ext.storage.local.set(updates, () => ext.storage.local.remove(staleKeys, callback));
+        });
+    }
+
+    async function loadConfiguration(match) {
         try {
-            config = await ConfigLoader.load();
+            config = match.config;
 
             if (config.error) {
                 ConfigLoader.showErrorNotification(config);
@@ -375,13 +957,23 @@
                 return false;
             }
 
+            config = withTransactionVariant(config);
             checklist = config.checklist;
             configLoaded = true;
-            logger.info("Configuration loaded successfully:", config.metadata);
+            (config.warnings || []).forEach(warning => {
+                logger.warn(`Config warning: ${ConfigLoader.formatIssue(warning)}`, warning.suggestion || '');
+            });
+            logger.info(`Configuration loaded successfully (profile "${activeProfile.id}"):`, config.metadata);
+            if (config.transactionVariant) {
+                logger.info(`Using checklist variant for transaction type "${config.transactionVariant}" (${checklist.length} steps)`);
+            }
 
             // Set up tracking helper function to get checklist total
             if (window.trackingHelper) {
-                window.trackingHelper.getChecklistTotal = () => checklist.length;
+                window.trackingHelper.getChecklistTotal = () => checklist.filter((step, i) => isStepCounted(i)).length;
+                window.trackingHelper.profileId = activeProfile.id;
+                window.trackingHelper.configVersion = config.metadata.config_version || null;
+                window.trackingHelper.migrateHistory(activeProfile.id, window.trackingHelper.configVersion, config.migrations, getStepNamesById());
             }
 
             // Log table items for debugging
@@ -411,6 +1003,10 @@
     }
 
     function showConfigError(error) {
+        // Replace any error shown for a previous version of the config
+        const existingError = document.getElementById('processing-checklist-error');
+        if (existingError) existingError.remove();
+
         // Create error display on page
         const errorDiv = document.createElement('div');
         errorDiv.id = 'processing-checklist-error';
@@ -427,11 +1023,27 @@
             box-shadow: 0 4px 12px rgba(0,0,0,0.3) !important;
             font-family: Arial, sans-serif !important;
             font-size: 14px !important;
-            max-width: 350px !important;
+            max-width: 420px !important;
+            max-height: 70vh !important;
+            overflow-y: auto !important;
         `;
+
+        // Schema validation reports every problem - list them all with their JSON paths
+        const escapeHtml = window.ProcessingChecklistUtils.escapeHtml;
+        const issues = error.issues || [];
+        const errorCount = issues.filter(issue => issue.severity === 'error').length;
+        const issuesHtml = issues.map(issue => `
+            <li style="margin-bottom: 8px;">
+                <div>${issue.severity === 'warning' ? '⚠ ' : ''}<code style="font-size: 12px;">${escapeHtml(issue.path || 'config')}</code>${issue.item ? ` (${escapeHtml(issue.item)})` : ''}: ${escapeHtml(issue.message)}</div>
+                ${issue.suggestion ? `<div style="font-size: 12px; opacity: 0.85;">Fix: ${escapeHtml(issue.suggestion)}</div>` : ''}
+            </li>
+        `).join('');
+
         errorDiv.innerHTML = `
-            <div style="font-weight: bold; margin-bottom: 8px; font-size: 16px;">⚠ Configuration Error</div>
-            <div style="margin-bottom: 8px;">${error.message || 'Unknown error'}</div>
+            <div style="font-weight: bold; margin-bottom: 8px; font-size: 16px;">⚠ Configuration Error${errorCount > 1 ? `s (${errorCount})` : ''}</div>
+            ${issues.length > 0
+                ? `<ul style="margin: 0 0 8px 0; padding-left: 18px;">${issuesHtml}</ul>`
+                : `<div style="margin-bottom: 8px;">${escapeHtml(error.message || 'Unknown error')}</div>`}
             <div style="font-size: 12px; margin-top: 8px; opacity: 0.9;">
                 Check browser console (F12) for details
             </div>
@@ -441,43 +1053,294 @@
 
     async function init() {
         isInitializing = true;
+        checkSubmittedAutosave();
 
-        // Load configuration first
-        const loaded = await loadConfiguration();
-        if (!loaded) {
-            logger.error("Cannot initialize without valid configuration");
+        // Every page load is a request that keeps RAPID's session going - apart from the login
+        // page. Opening it doesn't say the session ran out (it may be a logout, or a new browser
+        // session), so the timeout is only learned in keepSessionAlive.
+        if (UrlRoutes.isPageKind(window.location.href, UrlRoutes.PAGE_KINDS.LOGIN)) {
+            logger.info("RAPID login page - extension will not initialize");
             return;
         }
+        if (window.location.protocol.startsWith('http')) noteSessionActivity();
 
-        // Check if current page matches URL pattern
-        if (!isMatchingPage()) {
-            logger.info("Page does not match URL pattern - extension will not initialize");
+        // Pick the checklist profile whose URL pattern matches this page
+        const match = await isMatchingPage();
+        if (!match) {
+            logger.info("Page does not match any checklist profile - extension will not initialize");
             return;
         }
 
+        const loaded = await loadConfiguration(match);
+        if (!loaded) {
+            logger.error("Cannot initialize without valid configuration");
+            return;
+        }
+
+        watchConfigOverride();
+        watchFormChanges();
+        watchSession();
         connect();
         // Wait for tab ID from background script before initializing
     }
 
-    function isMatchingPage() {
-        const currentUrl = window.location.href;
-        const urlPattern = config?.metadata?.url_pattern;
+    /**
+     * Find the checklist profile for the current page. UrlRoutes decides which pages are form
+     * pages, so the checklist shows exactly where the menu offers it.
+     * @returns {Promise<Object|null>} { profile, config } from ConfigLoader, or null if this isn't a form page
+     */
+    async function isMatchingPage() {
+        const page = await UrlRoutes.identifyPage(window.location.href);
+        if (!page || page.kind !== UrlRoutes.PAGE_KINDS.FORM) {
+            return null;
+        }
+
+        const match = await ConfigLoader.loadProfileById(page.profileId);
+        if (!match) {
+            return null;
+        }
 
-        if (!urlPattern) {
-            logger.warn("No URL pattern defined in config - allowing all pages");
-            return true;
+        activeProfile = match.profile;
+        if (!match.config.error && !match.config.metadata.url_pattern) {
+            logger.warn(`No URL pattern defined in profile "${activeProfile.id}" - using it on pages no other route claims`);
         }
 
-        // Split by | to support multiple patterns
-        const patterns = urlPattern.split('|').map(p => p.trim());
+        return match;
+    }
 
-        for (const pattern of patterns) {
-            if (currentUrl.includes(pattern)) {
-                return true;
+    /**
+     * Re-apply the configuration when the options page saves or clears an override
+     * for the active profile, so open tabs pick up edits without reloading the extension
+     */
+    function watchConfigOverride() {
+        const overrideKey = ConfigLoader.getOverrideKey(activeProfile.id);
+
+        ext.storage.onChanged.addListener((changes, namespace) => {
+            if (namespace !== 'local' || !changes[overrideKey]) return;
+
+            ConfigLoader.loadProfileConfig(activeProfile).then((newConfig) => {
+                if (newConfig.error) {
+                    logger.error("Updated configuration is invalid - keeping current checklist:", newConfig.error.message);
+                    showConfigError(newConfig.error);
+                    return;
+                }
+                applyConfiguration(withTransactionVariant(newConfig));
+            });
+        });
+    }
+
+    /**
+     * Letter code of the transaction type currently selected on the page (e.g. "E", "BN")
+     */
+    function getTransactionTypeCode() {
+        if (!window.trackingHelper || !window.trackingHelper.getTransactionTypeCode) return null;
+        return window.trackingHelper.getTransactionTypeCode() || null;
+    }
+
+    /**
+     * Apply the config's transaction_variants overlay for the page's transaction type
+     * @param {Object} newConfig - Result from ConfigLoader
+     * @returns {Object} Config with the variant's checklist
+     */
+    function withTransactionVariant(newConfig) {
+        return ConfigLoader.applyTransactionVariant(newConfig, getTransactionTypeCode());
+    }
+
+    /**
+     * Switch to another checklist variant if the processor changed the transaction type.
+     * Progress on steps both variants share is kept (see applyConfiguration).
+     * @returns {boolean} True if the checklist was switched
+     */
+    function checkTransactionVariant() {
+        const variantKey = ConfigLoader.getTransactionVariantKey(config, getTransactionTypeCode());
+        if (variantKey === config.transactionVariant) return false;
+
+        logger.info(`Transaction type changed - switching checklist variant from "${config.transactionVariant || 'base'}" to "${variantKey || 'base'}"`);
+        applyConfiguration(withTransactionVariant(config));
+        return true;
+    }
+
+    /**
+     * Bring a stored state array in line with the current variant when it was saved against
+     * another one (e.g. the transaction type was changed and the page reloaded)
+     * @param {Array} state - Stored state array
+     * @param {string|null} storedVariant - Variant key the state was saved with
+     * @returns {Array} State array matching the current checklist
+     */
+    function reconcileStateWithVariant(state, storedVariant) {
+        if (!state || (storedVariant || null) === config.transactionVariant) return state;
+
+        const previousChecklist = ConfigLoader.applyTransactionVariant(config, storedVariant).checklist;
+        if (state.length !== previousChecklist.length) return state;
+        return remapStateByStepName(state, previousChecklist);
+    }
+
+    /**
+     * Map a stored state array onto a new checklist, carrying progress over by step name
+     * @param {Array} state - State array for previousChecklist
+     * @param {Array} previousChecklist - Checklist the state was recorded against
+     * @returns {Array} State array matching the current checklist
+     */
+    function remapStateByStepName(state, previousChecklist) {
+        const byName = new Map();
+        (state || []).forEach((itemState, i) => {
+            if (previousChecklist[i] && itemState) {
+                byName.set(previousChecklist[i].name, itemState);
             }
-        }
+        });
+        return checklist.map(step => byName.get(step.name) || { processed: false, skipped: false });
+    }
 
-        return false;
+    /**
+     * Step ids and config version that stored state is saved against
+     * @returns {Object} { configVersion, stepIds }
+     */
+    function getChecklistLayout() {
+        return {
+            configVersion: (config.metadata && config.metadata.config_version) || null,
+            stepIds: checklist.map(step => ConfigMigrations.getStepId(step))
+        };
+    }
+
+    /**
+     * Current step name for every step id the config can produce (base checklist and variants)
+     */
+    function getStepNamesById() {
+        const raw = config.raw || config;
+        const steps = (raw.checklist || []).slice();
+        Object.values(raw.transaction_variants || {}).forEach(variant => {
+            (variant.add || []).forEach(entry => steps.push(entry.step));
+        });
+
+        const names = {};
+        steps.forEach(step => {
+            names[ConfigMigrations.getStepId(step)] = step.name;
+        });
+        return names;
+    }
+
+    /**
+     * Bring stored checklist, review and table state in line with the current checklist when it
+     * was saved against another layout - an older config version (using the config's
+     * migrations), a reordered checklist or another transaction variant. State saved under
+     * another major config version is discarded.
+     * @param {Object|null} previousLayout - Layout the state was saved against (null: the stored one)
+     * @param {Function} callback - Called once storage is up to date
+     */
+    function reconcileStoredState(previousLayout, callback) {
+        const keys = getStorageKeys();
+        const stateKeys = [keys.checklistState, keys.reviewState];
+
+        ext.storage.local.get(stateKeys.concat([keys.checklistVariant, keys.checklistLayout]), (result) => {
+            const layout = getChecklistLayout();
+            const savedLayout = previousLayout || result[keys.checklistLayout];
+            const updates = {
+                [keys.checklistVariant]: config.transactionVariant,
+                [keys.checklistLayout]: layout
+            };
+
+            if (!savedLayout) {
+                // Saved before layouts were recorded - only the variant is known
+                const storedVariant = result[keys.checklistVariant] || null;
+                stateKeys.forEach(key => {
+                    if (result[key]) updates[key] = reconcileStateWithVariant(result[key], storedVariant);
+                });
+                ext.storage.local.set(updates, callback);
+                return;
+            }
+
+            const oldTableKeys = savedLayout.stepIds.map((stepId, i) => getTableStateKey(i));
+
+            if (ConfigMigrations.isMajorChange(savedLayout.configVersion, layout.configVersion)) {
+                logger.info(`Stored progress is from config version ${savedLayout.configVersion} - starting over for version ${layout.configVersion}`);
+                ext.storage.local.remove(stateKeys.concat(oldTableKeys, [keys.undoHistory]), () => {
+                    ext.storage.local.set(updates, callback);
+                });
+                return;
+            }
+
+            const pending = ConfigMigrations.getPendingMigrations(config.migrations, savedLayout.configVersion, layout.configVersion);
+            const indexMap = ConfigMigrations.mapStepIndices(savedLayout.stepIds, layout.stepIds, pending);
+            const unchanged = indexMap.length === layout.stepIds.length && indexMap.every((newIndex, i) => newIndex === i);
+            if (unchanged) {
+                ext.storage.local.set(updates, callback);
+                return;
+            }
+
+            if (savedLayout.configVersion !== layout.configVersion) {
+                logger.info(`Migrating stored progress from config version ${savedLayout.configVersion || '(none)'} to ${layout.configVersion}`);
+            }
+            stateKeys.forEach(key => {
+                if (result[key]) {
+                    updates[key] = ConfigMigrations.remapByIndex(result[key], indexMap, checklist.length, () => ({ processed: false, skipped: false }));
+                }
+            });
+
+            // Table rows are saved per step index too
+            ext.storage.local.get(oldTableKeys, (tables) => {
+                oldTableKeys.forEach((key, i) => {
+                    if (tables[key] !== undefined && indexMap[i] !== -1) {
+                        updates[getTableStateKey(indexMap[i])] = tables[key];
+                    }
+                });
+                // Undo entries refer to steps by their old index
+                const staleKeys = oldTableKeys.filter(key => tables[key] !== undefined && !(key in updates)).concat([keys.undoHistory]);
+                ext.storage.local.remove(staleKeys, () => {
+                    ext.storage.local.set(updates, callback);
+                });
+            });
+        });
+    }
+
+    /**
+     * Swap in a new configuration: tear down everything injected for the old checklist,
+     * then re-inject checkboxes, zones and listeners for the new one
+     * @param {Object} newConfig - Result from ConfigLoader
+     */
+    function applyConfiguration(newConfig) {
+        const previousLayout = getChecklistLayout();
+
+        stopPositionObserver();
+        removeAllHighlightZones();
+        removeAllZoneCheckboxes();
+        document.querySelectorAll('.processing-checklist-checkbox').forEach(cb => cb.remove());
+        document.querySelectorAll('.confirmed-item, .skipped-item').forEach(el => {
+            el.classList.remove('confirmed-item', 'skipped-item');
+            el.removeAttribute('data-skip-reason');
+        });
+        const errorDiv = document.getElementById('processing-checklist-error');
+        if (errorDiv) errorDiv.remove();
+        // Health check results describe the old checklist
+        if (window.SelectorDiagnostics) window.SelectorDiagnostics.close();
+
+        config = newConfig;
+        checklist = newConfig.checklist;
+        currentIndex = -1;
+        logger.info(`Configuration updated for profile "${activeProfile.id}" (${checklist.length} steps)`);
+
+        // Not connected yet - initializeWithTabId will pick up the new checklist
+        if (!myTabId) return;
+
+        const keys = getStorageKeys();
+        isInitializing = true;
+        reconcileStoredState(previousLayout, () => loadUndoHistory(() => {
+            ext.storage.local.get([keys.checklistState, keys.reviewState, keys.uiState, keys.viewMode], (result) => {
+                const checklistState = result[keys.checklistState] || checklist.map(() => ({ processed: false, skipped: false }));
+                const isReview = window.trackingHelper && window.trackingHelper.isReviewMode;
+                const state = isReview && result[keys.reviewState] ? result[keys.reviewState] : checklistState;
+
+                ext.storage.local.set({ [keys.checklistState]: checklistState }, () => {
+                    injectConfirmationCheckboxes(state);
+                    attachListenersToPageElements();
+                    initializeTableWatchers();
+                    updateAndBroadcast(state, result[keys.uiState], result[keys.viewMode]);
+                    setTimeout(() => {
+                        isInitializing = false;
+                        startPositionObserver();
+                    }, 100);
+                });
+            });
+        }));
     }
 
     /**
@@ -486,6 +1349,7 @@
      */
     function initializeAfterReconnection() {
         const keys = getStorageKeys();
+        loadUndoHistory();
         ext.storage.local.get([keys.checklistState, keys.uiState, keys.viewMode], (result) => {
             logger.debug("Restoring after reconnection...");
 
@@ -544,37 +1408,12 @@
         });
     }
 
-    function checkAndRestoreFromHistory(callback) {
-        // Extract URL ID from current page
-        const url = window.location.href;
-        const editMatch = url.match(/\/Edit\/(\d+)/);
-        if (!editMatch) {
-            callback(null);
-            return;
-        }
-
-        const urlId = editMatch[1];
-
-        // Check tracking history for this form
-        ext.storage.local.get('tracking_history', (result) => {
-            const history = result.tracking_history || [];
-            const historyItem = history.find(h => h.urlId === urlId);
-
-            if (historyItem && historyItem.checkedProgress) {
-                // Convert progress back to checklist state format
-                // We need to map which items were checked
-                logger.debug("Restoring state from tracking history for:", urlId);
-
-                // For now, we can't restore individual item state since we only track totals
-                // Just return null to use fresh state
-                callback(null);
-            } else {
-                callback(null);
-            }
-        });
+    function initializeWithTabId() {
+        // State is saved against the config version, step order and variant of the time - remap it first
+        adoptTabScopedState(() => reconcileStoredState(null, () => loadUndoHistory(loadStoredStateAndInject)));
     }
 
-    function initializeWithTabId() {
+    function loadStoredStateAndInject() {
         const keys = getStorageKeys();
         ext.storage.local.get([keys.checklistState, keys.uiState, keys.viewMode, 'defaultUIVisible', 'defaultViewMode'], (result) => {
             let storedState = result[keys.checklistState];
@@ -593,46 +1432,13 @@
                 viewMode = result.defaultViewMode || 'full';
                 ext.storage.local.set({ [keys.viewMode]: viewMode });
             }
-
-            // Check if we should restore state from tracking history
-            if (!storedState || storedState.length !== checklist.length) {
-                // Try to restore from tracking history if this form exists there
-                checkAndRestoreFromHistory((restoredState) => {
-                    storedState = restoredState || checklist.map(() => ({ processed: false, skipped: false }));
-                    ext.storage.local.set({ [keys.checklistState]: storedState }, () => {
-                        injectConfirmationCheckboxes(storedState);
-                        injectMarkCheckedButton();
-                        injectFindSimilarPoliciesButton();
-                        injectInsurerQuickFillButton();
-                        injectFeeSwapHandles();
-                        attachListenersToPageElements();
-                        initializeTableWatchers();
-                        updateAndBroadcast(storedState, uiState, viewMode);
-                        setTimeout(() => {
-                            isInitializing = false;
-                            // Start position observer after initialization
-                            startPositionObserver();
-                            // Start periodic recovery check for script reloads (e.g., after downloads)
-                            startPeriodicRecoveryCheck();
-                            // Detect and register form for tracking
-                            if (window.trackingHelper && window.trackingHelper.detectAndRegisterForm) {
-                                window.trackingHelper.detectAndRegisterForm();
-                                // Note: updateProgress will be called from updateAndBroadcast when checkboxes change
-                                // Don't call it here as detectAndRegisterForm is async and formIsComplete flag may not be set yet
-                            }
-                            // Capture original field values for change tracking
-                            setTimeout(() => {
-                                captureOriginalFieldValues();
-                            }, 1000); // Delay to ensure all fields are loaded
-                        }, 500);
-                    });
-                });
-            } else {
+
+            const inject = () => {
                 injectConfirmationCheckboxes(storedState);
                 injectMarkCheckedButton();
                 injectFindSimilarPoliciesButton();
                 injectInsurerQuickFillButton();
-                injectFeeSwapHandles();
+                decorateCustomSteps();
                 attachListenersToPageElements();
                 initializeTableWatchers();
                 updateAndBroadcast(storedState, uiState, viewMode);
@@ -645,20 +1451,36 @@
                     // Detect and register form for tracking
                     if (window.trackingHelper && window.trackingHelper.detectAndRegisterForm) {
                         window.trackingHelper.detectAndRegisterForm();
+                        loadStepNotes();
                         // Note: updateProgress will be called from updateAndBroadcast when checkboxes change
                         // Don't call it here as detectAndRegisterForm is async and formIsComplete flag may not be set yet
                     }
                     // Capture original field values for change tracking
                     setTimeout(() => {
                         captureOriginalFieldValues();
+                        startAutosave();
                     }, 1000); // Delay to ensure all fields are loaded
                 }, 500);
+            };
+
+            // Progress is kept per form, so a form opened before (in any tab) picks up where it was left
+            if (!storedState || storedState.length !== checklist.length) {
+                storedState = checklist.map(() => ({ processed: false, skipped: false }));
+                ext.storage.local.set({ [keys.checklistState]: storedState }, inject);
+            } else {
+                inject();
             }
         });
         ext.storage.onChanged.addListener((changes, namespace) => {
             if (namespace === 'local') {
                 const keys = getStorageKeys();
 
+                // Another tab on the same form recorded, undid or redid an action
+                if (changes[keys.undoHistory] && changes[keys.undoHistory].newValue) {
+                    undoHistory = UndoHistory.normalize(changes[keys.undoHistory].newValue);
+                    refreshUndoButtons();
+                }
+
                 // Handle both regular state and review state changes
                 if (changes[keys.checklistState] || changes[keys.reviewState]) {
                     const changedKey = changes[keys.checklistState] ? keys.checklistState : keys.reviewState;
@@ -671,6 +1493,11 @@
                         if (isResetting) {
                             return;
                         }
+                        // Tabs on the same form share both states - follow the one this tab shows
+                        const isReview = !!(window.trackingHelper && window.trackingHelper.isReviewMode);
+                        if (isReviewChange !== isReview) {
+                            return;
+                        }
 
                         // Normal state update (from this tab or another tab/window)
                         ext.storage.local.get([keys.uiState, keys.viewMode], (result) => {
@@ -687,6 +1514,7 @@
 
                         // Reset currentIndex so UI will re-render
                         currentIndex = -1;
+                        setUndoHistory(UndoHistory.create());
 
                         // Set the fresh state which will trigger another storage change
                         ext.storage.local.set({ [keys.checklistState]: freshState }, () => {
@@ -721,10 +1549,12 @@
                         });
                     }
                 } else if (changes[keys.uiState]) {
-                    ext.storage.local.get([keys.checklistState, keys.viewMode], (result) => {
-                        const checklistState = result[keys.checklistState];
+                    const isReview = window.trackingHelper && window.trackingHelper.isReviewMode;
+                    const stateKey = isReview ? keys.reviewState : keys.checklistState;
+                    ext.storage.local.get([stateKey, keys.viewMode], (result) => {
+                        const checklistState = result[stateKey];
                         const viewMode = result[keys.viewMode] || 'single';
-                        const nextIndex = findNextStep(checklistState);
+                        const nextIndex = getCurrentStep(checklistState);
                         const fieldData = getFieldData(nextIndex);
                         renderOnPageUI(fieldData, checklistState, changes[keys.uiState].newValue, viewMode);
                     });
@@ -743,8 +1573,11 @@
 
     function broadcastUpdate(state) {
         if (!port || !isConnected) return;
-        const nextIndex = findNextStep(state);
-        const fieldData = getFieldData(nextIndex);
+        const nextIndex = getCurrentStep(state);
+        // Blind review entries are made on the page, so the popout doesn't get the form's values
+        const fieldData = needsBlindEntry(nextIndex)
+            ? { name: checklist[nextIndex].name, type: 'group', blind: true, fields: [] }
+            : getFieldData(nextIndex);
         const policyNumber = getPolicyNumber();
         const checklistNames = checklist.map(item => item.name);
         const hasBackStep = canGoBack(state);
@@ -756,7 +1589,12 @@
                 policyNumber: policyNumber,
                 checklistNames: checklistNames,
                 state: state,
-                canGoBack: hasBackStep
+                stepActivity: stepActivity,
+                consistencyResults: consistencyResults,
+                canGoBack: hasBackStep,
+                undo: UndoHistory.getSummary(undoHistory),
+                note: canTakeNotes() ? getStepNote(nextIndex) : null,
+                skipReasons: getSkipReasons()
             });
         } catch (e) {
             logger.error("Failed to broadcast update:", e);
@@ -770,27 +1608,185 @@
         return policyNumberElement ? policyNumberElement.value : '';
     }
 
+    /**
+     * Step the UI works on: the one the processor jumped to while it's still open, otherwise
+     * the next unfinished step
+     * @param {Array} state - Checklist state
+     * @returns {number} Step index, or -1 when everything is done
+     */
+    function getCurrentStep(state) {
+        if (pinnedStepIndex !== -1 && state && state[pinnedStepIndex] && !state[pinnedStepIndex].processed && isStepVisible(pinnedStepIndex)) {
+            return pinnedStepIndex;
+        }
+        pinnedStepIndex = -1;
+        return findNextStep(state);
+    }
+
     function findNextStep(state) {
         if (!state || !Array.isArray(state)) {
             logger.warn("findNextStep called with invalid state:", state);
             return -1;
         }
 
-        // First pass: find the first item that is not processed and not skipped.
+        // First pass: find the first active item that is not processed and not skipped.
         for (let i = 0; i < state.length; i++) {
-            if (!state[i].processed && !state[i].skipped) {
+            if (isStepCounted(i) && !state[i].processed && !state[i].skipped) {
                 return i;
             }
         }
         // Second pass: if all are processed or skipped, find the first skipped item.
         for (let i = 0; i < state.length; i++) {
-            if (state[i].skipped) {
+            if (isStepCounted(i) && state[i].skipped) {
                 return i;
             }
         }
         return -1; // All items are processed
     }
 
+    /**
+     * Re-evaluate show_if / required_if for every step
+     * @returns {boolean} True if any step's activity changed
+     */
+    function evaluateStepConditions() {
+        const next = window.StepConditions
+            ? window.StepConditions.getStepActivities(checklist)
+            : checklist.map(() => ({ visible: true, required: true }));
+        const changed = JSON.stringify(next) !== JSON.stringify(stepActivity);
+        stepActivity = next;
+        return changed;
+    }
+
+    function isStepVisible(index) {
+        return !stepActivity[index] || stepActivity[index].visible;
+    }
+
+    /**
+     * Whether a step counts toward navigation and progress (shown and required)
+     */
+    function isStepCounted(index) {
+        const activity = stepActivity[index];
+        return !activity || (activity.visible && activity.required);
+    }
+
+    /**
+     * Checked/total counts for tracking, ignoring steps that are hidden or optional
+     */
+    function getProgressCounts(state) {
+        let checkedCount = 0;
+        let total = 0;
+        state.forEach((item, index) => {
+            if (!isStepCounted(index)) return;
+            total++;
+            if (item.processed) checkedCount++;
+        });
+        return { checkedCount, total };
+    }
+
+    /**
+     * Re-check the config's consistency_rules against the page
+     * @returns {boolean} True if any rule's result changed
+     */
+    function evaluateConsistencyRules() {
+        const rules = (config && config.consistencyRules) || [];
+        const next = window.ConsistencyRules ? window.ConsistencyRules.evaluateAll(rules) : [];
+        const changed = JSON.stringify(next) !== JSON.stringify(consistencyResults);
+        consistencyResults = next;
+        return changed;
+    }
+
+    /**
+     * Summary panel listing failing consistency rules (bottom-right, removed when all pass)
+     */
+    function renderConsistencyPanel() {
+        const failures = window.ConsistencyRules ? window.ConsistencyRules.getFailures(consistencyResults) : [];
+        let panel = document.getElementById('processing-checklist-consistency');
+
+        if (failures.length === 0) {
+            if (panel) panel.remove();
+            return;
+        }
+
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.id = 'processing-checklist-consistency';
+            panel.style.cssText = `position: fixed !important; bottom: 20px !important; right: 20px !important; z-index: 10000 !important; background: white !important; border-radius: 12px !important; padding: 12px 16px !important; box-shadow: 0 8px 32px rgba(0,0,0,0.12) !important; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif !important; font-size: 13px !important; max-width: 350px !important; max-height: 40vh !important; overflow-y: auto !important;`;
+            document.body.appendChild(panel);
+        }
+
+        const escapeHtml = window.ProcessingChecklistUtils.escapeHtml;
+        const errorCount = failures.filter(f => f.severity === 'error').length;
+        const itemsHtml = failures.map((failure, i) => `
+            <div class="consistency-item ${failure.severity}" data-failure-index="${i}" title="${failure.target ? 'Click to scroll to the field' : ''}">
+                <div class="consistency-item-name">${failure.severity === 'warning' ? '⚠' : '✗'} ${escapeHtml(failure.name)}</div>
+                <div class="consistency-item-message">${escapeHtml(failure.message)}</div>
+            </div>
+        `).join('');
+
+        panel.innerHTML = `
+            <div class="consistency-header">
+                <span>${errorCount > 0 ? '✗' : '⚠'} ${failures.length} consistency ${failures.length === 1 ? 'problem' : 'problems'}</span>
+                <button class="consistency-toggle" title="${consistencyPanelCollapsed ? 'Show' : 'Hide'} details">${consistencyPanelCollapsed ? '▸' : '▾'}</button>
+            </div>
+            ${consistencyPanelCollapsed ? '' : itemsHtml}
+        `;
+
+        panel.querySelector('.consistency-toggle').addEventListener('click', () => {
+            consistencyPanelCollapsed = !consistencyPanelCollapsed;
+            renderConsistencyPanel();
+        });
+        panel.querySelectorAll('.consistency-item').forEach(itemEl => {
+            const failure = failures[parseInt(itemEl.getAttribute('data-failure-index'), 10)];
+            if (!failure.target) return;
+            itemEl.addEventListener('click', () => {
+                let element = null;
+                try {
+                    element = document.querySelector(failure.target);
+                } catch (e) {
+                    logger.warn(`[Consistency] Invalid selector "${failure.target}"`);
+                }
+                if (element) element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            });
+        });
+    }
+
+    /**
+     * Whenever the processor edits the form, switch the checklist variant if the transaction
+     * type changed, refresh the consistency rules, and re-render if a step's
+     * show_if/required_if result changed
+     */
+    function watchFormChanges() {
+        if (formChangesWatched) return;
+        formChangesWatched = true;
+
+        const reevaluate = window.ProcessingChecklistUtils.debounce(() => {
+            if (!configLoaded || !myTabId || isInitializing) return;
+            if (checkTransactionVariant()) return;
+            const rulesChanged = evaluateConsistencyRules();
+            const activityChanged = !!window.StepConditions &&
+                window.StepConditions.hasConditions(checklist) && evaluateStepConditions();
+            if (!rulesChanged && !activityChanged) return;
+
+            if (rulesChanged) renderConsistencyPanel();
+            if (activityChanged) logger.debug("[Conditions] Step activity changed - re-rendering");
+
+            const keys = getStorageKeys();
+            const isReview = window.trackingHelper && window.trackingHelper.isReviewMode;
+            const stateKey = isReview ? keys.reviewState : keys.checklistState;
+            ext.storage.local.get([stateKey, keys.uiState, keys.viewMode], (result) => {
+                if (!result[stateKey]) return;
+                if (activityChanged) {
+                    updateAndBroadcast(result[stateKey], result[keys.uiState], result[keys.viewMode]);
+                } else {
+                    broadcastUpdate(result[stateKey]);
+                }
+            });
+        }, 150);
+
+        // Capture phase so events from fields that stop propagation are still seen
+        document.addEventListener('change', reevaluate, true);
+        document.addEventListener('input', reevaluate, true);
+    }
+
     /**
      * Extract value from a table cell based on column type
      * @param {Element} cell - The cell element
@@ -1058,7 +2054,7 @@
 
                 // Update table state and broadcast to popout
                 const tableData = getTableData(step);
-                const tableStateKey = `tableState_${myTabId}_${itemIndex}`;
+                const tableStateKey = getTableStateKey(itemIndex);
 
                 ext.storage.local.set({ [tableStateKey]: tableData }, () => {
                     const keys = getStorageKeys();
@@ -1103,7 +2099,7 @@
 
                     // Re-extract table data and update state
                     const tableData = getTableData(itemConfig);
-                    const tableStateKey = `tableState_${myTabId}_${itemIndex}`;
+                    const tableStateKey = getTableStateKey(itemIndex);
 
                     ext.storage.local.set({ [tableStateKey]: tableData }, () => {
                         // If this table is currently displayed, update the UI
@@ -1120,6 +2116,8 @@
             });
         });
 
+        // Rows added since the timeline started have new widgets
+        if (timelineValues) watchTimelineWidgets();
         logger.debug(`[Table] Input listeners attached for "${itemConfig.name}"`);
     }
 
@@ -1130,7 +2128,7 @@
      */
     function updateTableState(itemIndex, tableData) {
         const keys = getStorageKeys();
-        const tableStateKey = `tableState_${myTabId}_${itemIndex}`;
+        const tableStateKey = getTableStateKey(itemIndex);
 
         ext.storage.local.get([tableStateKey, keys.checklistState], (result) => {
             const currentState = result[tableStateKey];
@@ -1153,6 +2151,39 @@
         });
     }
 
+    /**
+     * Flatten per-field rule violations into "Field: message" lines
+     * @param {Array} fields - Field data from getFieldData
+     * @returns {string[]}
+     */
+    function getViolationSummary(fields) {
+        const summary = [];
+        fields.forEach(field => {
+            (field.violations || []).forEach(message => summary.push(`${field.name}: ${message}`));
+        });
+        return summary;
+    }
+
+    /**
+     * Inline list of rule violations shown under a field in the on-page UI
+     */
+    function renderFieldViolations(field, index) {
+        const escapeHtml = window.ProcessingChecklistUtils.escapeHtml;
+        const items = (field.violations || []).map(message => `<div class="field-violation">⚠ ${escapeHtml(message)}</div>`).join('');
+        return `<div class="field-violations" data-field-index="${index}">${items}</div>`;
+    }
+
+    /**
+     * Refresh the inline violation lists without re-rendering the inputs
+     */
+    function updateFieldViolations(fieldData) {
+        if (!fieldData || !fieldData.fields) return;
+        fieldData.fields.forEach((field, index) => {
+            const holder = document.querySelector(`#processing-checklist-container .field-violations[data-field-index="${index}"]`);
+            if (holder) holder.outerHTML = renderFieldViolations(field, index);
+        });
+    }
+
     function getFieldData(index) {
         if (index === -1) return null;
         const step = checklist[index];
@@ -1205,14 +2236,18 @@
                         individualFieldData.value = element.value;
                     }
                 } else { individualFieldData.name = `(Not Found) ${field.name}`; }
+                if (field.rules && element && window.FieldRules) {
+                    individualFieldData.violations = window.FieldRules.check(field.rules, individualFieldData);
+                }
                 return individualFieldData;
             });
+            fieldData.violations = getViolationSummary(fieldData.fields);
         } else if (step.type === 'virtual') {
             fieldData.name = step.name;
         } else if (step.type === 'table') {
             logger.debug(`[Table] getFieldData: Processing table type for "${step.name}"`);
             // Get table data from storage or extract fresh
-            const tableStateKey = `tableState_${myTabId}_${index}`;
+            const tableStateKey = getTableStateKey(index);
             const tableData = getTableData(step);
 
             logger.debug(`[Table] getFieldData: Extracted table data:`, tableData);
@@ -1227,93 +2262,11 @@
             logger.debug(`[Table] getFieldData: Final fieldData for table:`, fieldData);
         } else if (step.type === 'custom') {
             try {
-                // Handle fees table specifically
-                if (step.table_id === 'feesTable') {
-                    const tableSelector = 'div.col-md-7:nth-child(2) > div:nth-child(1) > table:nth-child(1)';
-                    const table = document.querySelector(tableSelector);
-
-                    if (table) {
-                        const rows = table.querySelectorAll('tbody tr');
-                        const feeRows = [];
-
-                        // Parse each fee row
-                        rows.forEach((row, index) => {
-                            const cells = row.querySelectorAll('td');
-                            if (cells.length >= 3) {
-                                let feeName = '';
-
-                                // Extract fee name
-                                if (index === 3) {
-                                    // OTHER FEE row - check for custom name
-                                    const customNameInput = row.querySelector('#TransactionFees_3__OtherFeeType');
-                                    const customName = customNameInput ? customNameInput.value.trim() : '';
-                                    feeName = customName || 'OTHER FEE';
-                                } else {
-                                    // Regular fee rows - get static name
-                                    const firstCell = cells[0];
-                                    const textNodes = Array.from(firstCell.childNodes)
-                                        .filter(node => node.nodeType === Node.TEXT_NODE)
-                                        .map(node => node.textContent.trim())
-                                        .filter(text => text.length > 0);
-                                    feeName = textNodes[0] || '';
-                                }
-
-                                // Extract taxable checkbox
-                                const taxableCheckbox = cells[1].querySelector('input[type="checkbox"]');
-                                const isTaxable = taxableCheckbox ? taxableCheckbox.checked : false;
-
-                                // Extract fee amount - try Kendo widget first, then visible input
-                                const feeAmountCell = cells[2];
-                                const kendoInput = feeAmountCell.querySelector('.k-formatted-value');
-                                const hiddenInput = feeAmountCell.querySelector('input[id*="FeeAmount"]');
-                                let feeAmount = '';
-
-                                if (kendoInput) {
-                                    feeAmount = kendoInput.value || kendoInput.textContent.trim() || '$0.00';
-                                } else if (hiddenInput) {
-                                    feeAmount = hiddenInput.value || '0';
-                                    // Format as currency if it's a number
-                                    if (!isNaN(parseFloat(feeAmount))) {
-                                        feeAmount = `$${parseFloat(feeAmount).toFixed(2)}`;
-                                    }
-                                } else {
-                                    feeAmount = '$0.00';
-                                }
-
-                                feeRows.push({
-                                    index: index,
-                                    name: feeName,
-                                    taxable: isTaxable,
-                                    amount: feeAmount,
-                                    taxableCheckboxId: taxableCheckbox?.id || '',
-                                    amountInputId: hiddenInput?.id || ''
-                                });
-                            }
-                        });
-
-                        fieldData.feeRows = feeRows;
-
-                        // Extract summary values
-                        const totalFeesEl = document.querySelector('#totalFees');
-                        const taxablePremiumEl = document.querySelector('#taxablePremium');
-                        const caStateTaxEl = document.querySelector('#caStateTax');
-                        const estimatedStampingFeePctEl = document.querySelector('#estimatedStampingFeePct');
-                        const estimatedStampingFeeEl = document.querySelector('#estimatedStampingFee');
-                        const highPremiumWarningEl = document.querySelector('#highPremiumWarning');
-
-                        fieldData.summary = {
-                            totalFees: totalFeesEl ? totalFeesEl.textContent.trim() : '$0.00',
-                            taxablePremium: taxablePremiumEl ? taxablePremiumEl.textContent.trim() : '$0.00',
-                            caStateTax: caStateTaxEl ? caStateTaxEl.textContent.trim() : '$0.00',
-                            estimatedStampingFeeLabel: estimatedStampingFeePctEl ? estimatedStampingFeePctEl.textContent.trim() : 'Estimated Stamping Fee:',
-                            estimatedStampingFee: estimatedStampingFeeEl ? estimatedStampingFeeEl.textContent.trim() : '$0.00',
-                            showHighPremiumWarning: highPremiumWarningEl ?
-                                window.getComputedStyle(highPremiumWarningEl).display !== 'none' : false
-                        };
-                    } else {
-                        fieldData.feeRows = [];
-                        fieldData.summary = null;
-                    }
+                const customType = window.CustomStepTypes && window.CustomStepTypes.forStep(step);
+                if (customType) {
+                    // Registered implementation (see custom-step-types.js)
+                    fieldData.customType = window.CustomStepTypes.resolveName(step);
+                    fieldData.customData = customType.getData(step);
                 } else {
                     // Generic custom table handling (fallback)
                     const table = document.getElementById(step.table_id);
@@ -1340,10 +2293,16 @@
 
     function updateAndBroadcast(state, uiState, viewMode, skipTrackingUpdate = false) {
         viewMode = viewMode || 'single';
-        const nextIndex = findNextStep(state);
+        evaluateStepConditions();
+        evaluateConsistencyRules();
+        // The page may have redrawn fields since they were masked
+        if (isBlindReview()) applyBlindMasks();
+        renderConsistencyPanel();
+        const nextIndex = getCurrentStep(state);
         const fieldData = getFieldData(nextIndex);
         // Always re-render to ensure view mode switches properly
         currentIndex = nextIndex;
+        setTimedStep(nextIndex);
         renderOnPageUI(fieldData, state, uiState, viewMode);
         broadcastUpdate(state);
         updateItemVisuals(state);
@@ -1352,11 +2311,11 @@
         // Skip if this is our own storage update (tracking was already updated before save)
         if (window.trackingHelper && !skipTrackingUpdate) {
             if (window.trackingHelper.updateProgress && state && Array.isArray(state)) {
-                const checkedCount = state.filter(item => item.processed).length;
-                const total = state.length;
+                const { checkedCount, total } = getProgressCounts(state);
                 const isReview = window.trackingHelper.isReviewMode || false;
                 console.log("[ProcessingChecklist] Calling updateProgress:", checkedCount, "/", total, "isReview:", isReview);
                 window.trackingHelper.updateProgress(checkedCount, total, isReview);
+                reportSkipReasons(state);
             }
 
             // Update metadata (policy number, primary insured, premium)
@@ -1412,352 +2371,7 @@
                 }
             }
         });
-    }
-
-    // MutationObserver for fees table summary
-    let feesTableSummaryObserver = null;
-
-    /**
-     * Start observing fees table summary values for changes
-     * @param {number} itemIndex - Index of the fees table item
-     */
-    function startFeesTableSummaryObserver(itemIndex) {
-        // Stop any existing observer
-        if (feesTableSummaryObserver) {
-            feesTableSummaryObserver.disconnect();
-        }
-
-        // Find all summary elements
-        const totalFeesEl = document.querySelector('#totalFees');
-        const taxablePremiumEl = document.querySelector('#taxablePremium');
-        const caStateTaxEl = document.querySelector('#caStateTax');
-        const estimatedStampingFeeEl = document.querySelector('#estimatedStampingFee');
-        const highPremiumWarningEl = document.querySelector('#highPremiumWarning');
-
-        const elementsToObserve = [totalFeesEl, taxablePremiumEl, caStateTaxEl, estimatedStampingFeeEl, highPremiumWarningEl].filter(el => el);
-
-        if (elementsToObserve.length === 0) {
-            logger.warn('[Fees] No summary elements found to observe');
-            return;
-        }
-
-        feesTableSummaryObserver = new MutationObserver(() => {
-            if (isInitializing) return;
-            // Re-extract and update UI
-            updateFeesTableSummary(itemIndex);
-        });
-
-        elementsToObserve.forEach(element => {
-            feesTableSummaryObserver.observe(element, {
-                childList: true,
-                characterData: true,
-                subtree: true,
-                attributes: true,
-                attributeFilter: ['style'] // For highPremiumWarning display changes
-            });
-        });
-
-        logger.debug(`[Fees] Started observing ${elementsToObserve.length} summary elements`);
-    }
-
-    /**
-     * Update fees table summary display in UI
-     * @param {number} itemIndex - Index of the fees table item
-     */
-    function updateFeesTableSummary(itemIndex) {
-        if (currentIndex !== itemIndex) return;
-
-        const totalFeesEl = document.querySelector('#totalFees');
-        const taxablePremiumEl = document.querySelector('#taxablePremium');
-        const caStateTaxEl = document.querySelector('#caStateTax');
-        const estimatedStampingFeePctEl = document.querySelector('#estimatedStampingFeePct');
-        const estimatedStampingFeeEl = document.querySelector('#estimatedStampingFee');
-        const highPremiumWarningEl = document.querySelector('#highPremiumWarning');
-
-        // Update UI summary elements
-        const uiTotalFees = document.querySelector('.fees-summary [data-summary-type="totalFees"]');
-        const uiTaxablePremium = document.querySelector('.fees-summary [data-summary-type="taxablePremium"]');
-        const uiCaStateTax = document.querySelector('.fees-summary [data-summary-type="caStateTax"]');
-        const uiStampingFee = document.querySelector('.fees-summary [data-summary-type="estimatedStampingFee"]');
-        const uiWarningRow = document.querySelector('.fees-summary .warning-row');
-
-        if (uiTotalFees && totalFeesEl) {
-            uiTotalFees.textContent = totalFeesEl.textContent.trim();
-        }
-        if (uiTaxablePremium && taxablePremiumEl) {
-            uiTaxablePremium.textContent = taxablePremiumEl.textContent.trim();
-        }
-        if (uiCaStateTax && caStateTaxEl) {
-            uiCaStateTax.textContent = caStateTaxEl.textContent.trim();
-        }
-        if (uiStampingFee && estimatedStampingFeeEl) {
-            uiStampingFee.textContent = estimatedStampingFeeEl.textContent.trim();
-        }
-
-        // Handle warning visibility
-        if (uiWarningRow && highPremiumWarningEl) {
-            const isVisible = window.getComputedStyle(highPremiumWarningEl).display !== 'none';
-            uiWarningRow.style.display = isVisible ? 'flex' : 'none';
-        }
-    }
-
-    /**
-     * Attach event listeners to fees table inputs for bidirectional sync
-     * @param {number} itemIndex - Index of the fees table item
-     */
-    function attachFeesTableListeners(itemIndex) {
-        logger.debug(`[Fees] Attaching listeners for fees table`);
-
-        const tableSelector = 'div.col-md-7:nth-child(2) > div:nth-child(1) > table:nth-child(1)';
-        const formTable = document.querySelector(tableSelector);
-
-        if (!formTable) {
-            logger.warn('[Fees] Form table not found');
-            return;
-        }
-
-        // Attach listeners to UI inputs for syncing TO the form
-        const uiTaxableInputs = document.querySelectorAll('.fee-input-taxable');
-        const uiAmountInputs = document.querySelectorAll('.fee-input-amount');
-
-        uiTaxableInputs.forEach(input => {
-            const checkboxId = input.getAttribute('data-taxable-checkbox-id');
-            const formCheckbox = document.querySelector(`#${checkboxId}`);
-
-            if (!formCheckbox) {
-                logger.warn(`[Fees] Form checkbox not found: ${checkboxId}`);
-                return;
-            }
-
-            // Sync from UI to form
-            input.addEventListener('change', () => {
-                if (isInitializing || isProgrammaticUpdate) return;
-                logger.debug(`[Fees] UI taxable checkbox changed: ${checkboxId} = ${input.checked}`);
-                formCheckbox.checked = input.checked;
-                formCheckbox.dispatchEvent(new Event('change', { bubbles: true }));
-            });
-
-            // Sync from form to UI
-            formCheckbox.addEventListener('change', () => {
-                if (isInitializing || isProgrammaticUpdate) return;
-                logger.debug(`[Fees] Form taxable checkbox changed: ${checkboxId} = ${formCheckbox.checked}`);
-                if (input.checked !== formCheckbox.checked) {
-                    input.checked = formCheckbox.checked;
-                }
-            });
-        });
-
-        uiAmountInputs.forEach(input => {
-            const amountInputId = input.getAttribute('data-amount-input-id');
-            const formInput = document.querySelector(`#${amountInputId}`);
-
-            if (!formInput) {
-                logger.warn(`[Fees] Form amount input not found: ${amountInputId}`);
-                return;
-            }
-
-            // Sync from UI to form (on blur and Enter key)
-            const syncUIToForm = () => {
-                if (isInitializing || isProgrammaticUpdate) return;
-                logger.debug(`[Fees] UI amount input changed: ${amountInputId} = ${input.value}`);
-
-                // Parse value and update hidden input
-                let numericValue = input.value.replace(/[$,]/g, '');
-                if (!isNaN(parseFloat(numericValue))) {
-                    const parsedValue = parseFloat(numericValue);
-                    formInput.value = parsedValue.toFixed(2);
-
-                    // Try to update the Kendo widget if available
-                    const feeIndex = input.getAttribute('data-fee-index');
-                    const formRow = formTable.querySelectorAll('tbody tr')[feeIndex];
-                    if (formRow) {
-                        // Try to find and update the Kendo widget
-                        if (typeof window.jQuery !== 'undefined' && typeof window.kendo !== 'undefined') {
-                            const $ = window.jQuery;
-                            // Method 1: Try to get widget from the hidden input with data-role
-                            let kendoWidget = $(formInput).data('kendoNumericTextBox');
-
-                            if (kendoWidget) {
-                                logger.debug(`[Fees] Updating Kendo widget (method 1) to: ${parsedValue}`);
-                                kendoWidget.value(parsedValue);
-                            } else {
-                                // Method 2: Try to find the wrapper and get widget from it
-                                const kendoWrapper = formInput.closest('.k-numerictextbox');
-                                if (kendoWrapper) {
-                                    kendoWidget = $(kendoWrapper).data('kendoNumericTextBox');
-                                    if (kendoWidget) {
-                                        logger.debug(`[Fees] Updating Kendo widget (method 2) to: ${parsedValue}`);
-                                        kendoWidget.value(parsedValue);
-                                    }
-                                }
-                            }
-
-                            if (!kendoWidget) {
-                                logger.warn(`[Fees] Kendo widget not found for ${amountInputId}, updating hidden input only`);
-                            }
-                        } else {
-                            logger.warn(`[Fees] jQuery or Kendo not available (jQuery: ${typeof window.jQuery}, Kendo: ${typeof window.kendo})`);
-                        }
-                    }
-                } else {
-                    formInput.value = '0';
-                }
-
-                // Trigger change event on form input
-                formInput.dispatchEvent(new Event('input', { bubbles: true }));
-                formInput.dispatchEvent(new Event('change', { bubbles: true }));
-            };
-
-            input.addEventListener('blur', syncUIToForm);
-            input.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter') {
-                    e.preventDefault();
-                    input.blur(); // This will trigger the blur event
-                }
-            });
-
-            // Sync from form to UI (watch the Kendo formatted value)
-            const feeIndex = input.getAttribute('data-fee-index');
-            const formRow = formTable.querySelectorAll('tbody tr')[feeIndex];
-            if (formRow) {
-                const kendoInput = formRow.querySelector('.k-formatted-value');
-                if (kendoInput) {
-                    // Watch for changes to the Kendo widget's formatted value
-                    const observer = new MutationObserver(() => {
-                        if (isInitializing || isProgrammaticUpdate) return;
-                        const newValue = kendoInput.value || kendoInput.textContent?.trim() || '$0.00';
-                        if (input !== document.activeElement && input.value !== newValue) {
-                            logger.debug(`[Fees] Form Kendo value changed: ${amountInputId} = ${newValue}`);
-                            input.value = newValue;
-                        }
-                    });
-
-                    observer.observe(kendoInput, {
-                        attributes: true,
-                        attributeFilter: ['value'],
-                        characterData: true,
-                        childList: true,
-                        subtree: true
-                    });
-                }
-
-                // Also watch the hidden input for direct changes
-                const hiddenObserver = new MutationObserver(() => {
-                    if (isInitializing || isProgrammaticUpdate) return;
-                    const newRawValue = formInput.value;
-                    if (input !== document.activeElement && newRawValue) {
-                        const formattedValue = `$${parseFloat(newRawValue).toFixed(2)}`;
-                        if (input.value !== formattedValue) {
-                            logger.debug(`[Fees] Form hidden input changed: ${amountInputId} = ${formattedValue}`);
-                            input.value = formattedValue;
-                        }
-                    }
-                });
-
-                hiddenObserver.observe(formInput, {
-                    attributes: true,
-                    attributeFilter: ['value']
-                });
-
-                // Also listen for input events on the hidden field
-                formInput.addEventListener('input', () => {
-                    if (isInitializing || isProgrammaticUpdate) return;
-                    const newRawValue = formInput.value;
-                    if (input !== document.activeElement && newRawValue) {
-                        const formattedValue = `$${parseFloat(newRawValue).toFixed(2)}`;
-                        if (input.value !== formattedValue) {
-                            logger.debug(`[Fees] Form hidden input event: ${amountInputId} = ${formattedValue}`);
-                            input.value = formattedValue;
-                        }
-                    }
-                });
-            }
-        });
-
-        logger.debug(`[Fees] Attached listeners to ${uiTaxableInputs.length} taxable checkboxes and ${uiAmountInputs.length} amount inputs`);
-    }
-
-    /**
-     * Render fees table UI for display in on-page UI or popout
-     * @param {Object} fieldData - Field data containing feeRows and summary
-     * @returns {string} HTML string for fees table display
-     */
-    function renderFeesTableUI(fieldData) {
-        if (!fieldData.feeRows || fieldData.feeRows.length === 0) {
-            return '<div class="table-empty">No fees data</div>';
-        }
-
-        // Build fee rows HTML
-        const feeRowsHtml = fieldData.feeRows.map(fee => {
-            return `
-                <div class="fees-table-row">
-                    <div class="fee-name">${fee.name}</div>
-                    <div class="fee-taxable">
-                        <input type="checkbox" ${fee.taxable ? 'checked' : ''}
-                               data-fee-index="${fee.index}"
-                               data-fee-type="taxable"
-                               data-taxable-checkbox-id="${fee.taxableCheckboxId}"
-                               class="fee-input-taxable"
-                               style="cursor: pointer;">
-                    </div>
-                    <div class="fee-amount">
-                        <input type="text"
-                               value="${fee.amount}"
-                               data-fee-index="${fee.index}"
-                               data-fee-type="amount"
-                               data-amount-input-id="${fee.amountInputId}"
-                               class="fee-input-amount"
-                               placeholder="$0.00">
-                    </div>
-                </div>
-            `;
-        }).join('');
-
-        // Build summary section HTML
-        let summaryHtml = '';
-        if (fieldData.summary) {
-            const warningHtml = fieldData.summary.showHighPremiumWarning ? `
-                <div class="fees-summary-row warning-row">
-                    <div class="fees-summary-label" style="color: #dc3545; font-weight: bold;">
-                        The Taxable Premium exceeds $500,000. Please verify before continuing.
-                    </div>
-                </div>
-            ` : '';
-
-            summaryHtml = `
-                <div class="fees-summary">
-                    <div class="fees-summary-row">
-                        <div class="fees-summary-label">Total Fees:</div>
-                        <div class="fees-summary-value" data-summary-type="totalFees">${fieldData.summary.totalFees}</div>
-                    </div>
-                    <div class="fees-summary-row">
-                        <div class="fees-summary-label">Taxable Premium (Includes Fees):</div>
-                        <div class="fees-summary-value" data-summary-type="taxablePremium">${fieldData.summary.taxablePremium}</div>
-                    </div>
-                    ${warningHtml}
-                    <div class="fees-summary-row tax-row">
-                        <div class="fees-summary-label"><strong>Estimated CA SL State Tax (3%):</strong></div>
-                        <div class="fees-summary-value" data-summary-type="caStateTax"><strong>${fieldData.summary.caStateTax}</strong></div>
-                    </div>
-                    <div class="fees-summary-row stamping-fee-row">
-                        <div class="fees-summary-label"><strong>${fieldData.summary.estimatedStampingFeeLabel}</strong></div>
-                        <div class="fees-summary-value" data-summary-type="estimatedStampingFee"><strong>${fieldData.summary.estimatedStampingFee}</strong></div>
-                    </div>
-                </div>
-            `;
-        }
-
-        return `
-            <div class="fees-table-container">
-                <div class="fees-table-header">
-                    <div class="fee-name-header">Fee Name</div>
-                    <div class="fee-taxable-header">Taxable</div>
-                    <div class="fee-amount-header">Fee Amount</div>
-                </div>
-                ${feeRowsHtml}
-                ${summaryHtml}
-            </div>
-        `;
+        updateFieldViolations(fieldData);
     }
 
     /**
@@ -1837,12 +2451,14 @@
         if (!container) {
             container = document.createElement('div');
             container.id = 'processing-checklist-container';
+            ['change', 'input', 'blur'].forEach(type => container.addEventListener(type, markOnPageUIEdit, true));
             container.style.cssText = `position: fixed !important; top: 20px !important; right: 20px !important; z-index: 10000 !important; background: white !important; border: none !important; border-radius: 16px !important; padding: 20px !important; box-shadow: 0 8px 32px rgba(0,0,0,0.12) !important; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif !important; font-size: 14px !important; max-width: 350px !important; min-width: 330px !important; animation: slideInRight 0.3s ease-out !important;`;
             document.body.appendChild(container);
         }
         container.style.display = uiState.visible ? 'block' : 'none';
 
-        if (viewMode === 'full') {
+        // Blind review entries are made in the single-step view
+        if (viewMode === 'full' && !isBlindReview()) {
             renderFullChecklistView(container, state);
             return;
         }
@@ -1852,12 +2468,13 @@
         container.style.maxHeight = '';
 
         const isReview = window.trackingHelper && window.trackingHelper.isReviewMode;
-        const modeText = isReview ? '<div style="color: #3b82f6; font-weight: bold; text-align: center; margin-bottom: 10px;">REVIEW MODE</div>' : '';
+        const modeText = isReview ? `<div style="color: #3b82f6; font-weight: bold; text-align: center; margin-bottom: 10px;">${isBlindReview() ? 'BLIND REVIEW' : 'REVIEW MODE'}</div>` : '';
 
         if (!fieldData) {
             const doneText = isReview ? 'All fields reviewed!' : 'All fields checked!';
             const doneColor = isReview ? '#3b82f6' : '#28a745';
             container.innerHTML = `${modeText}<div style="color: ${doneColor}; font-weight: bold; text-align: center;">${doneText}</div>`;
+            appendStepTools(container);
             return;
         }
 
@@ -1886,22 +2503,30 @@
                 document.getElementById('back-button-page').addEventListener('click', () => handleGoBackToPreviousStep());
             }
 
+            appendStepNote(container);
+            appendStepTools(container);
+
             // Attach listeners to table cell inputs for bidirectional sync
             attachTableCellInputListeners(currentIndex);
             return;
         }
 
-        // Handle custom type (fees table)
-        if (fieldData.type === 'custom' && fieldData.feeRows) {
-            logger.debug(`[Custom] renderOnPageUI: Rendering fees table "${fieldData.name}"`);
+        // Release the previous custom step's page listeners before the container is rebuilt
+        if (customStepCleanup) {
+            customStepCleanup();
+            customStepCleanup = null;
+        }
 
-            const feesTableHtml = renderFeesTableUI(fieldData);
-            const hasBackStep = canGoBack(state);
+        // Handle registered custom step types
+        const customType = fieldData.customType && window.CustomStepTypes && window.CustomStepTypes.get(fieldData.customType);
+        if (customType) {
+            logger.debug(`[Custom] renderOnPageUI: Rendering ${fieldData.customType} "${fieldData.name}"`);
 
+            const hasBackStep = canGoBack(state);
             container.innerHTML = `
                 ${modeText}
                 <div class="step-title">${fieldData.name}</div>
-                ${feesTableHtml}
+                ${customType.render(fieldData.customData, { popout: false })}
                 <div class="button-row">
                     <button id="back-button-page" class="back-btn" ${!hasBackStep ? 'disabled' : ''}>← Back</button>
                     <button id="skip-button-page" class="skip-btn">Skip</button>
@@ -1912,13 +2537,18 @@
             if (hasBackStep) {
                 document.getElementById('back-button-page').addEventListener('click', () => handleGoBackToPreviousStep());
             }
+            appendStepNote(container);
+            appendStepTools(container);
 
-            // Attach event listeners for fees table inputs
-            attachFeesTableListeners(currentIndex);
-
-            // Start observing summary values for changes
-            startFeesTableSummaryObserver(currentIndex);
+            if (typeof customType.attachListeners === 'function') {
+                const cleanup = customType.attachListeners(container, checklist[currentIndex], createCustomStepContext(currentIndex));
+                customStepCleanup = typeof cleanup === 'function' ? cleanup : null;
+            }
+            return;
+        }
 
+        if (needsBlindEntry(currentIndex)) {
+            renderBlindEntry(container, fieldData, state, modeText);
             return;
         }
 
@@ -1943,7 +2573,7 @@
                 inputHtml = `<input type="text" class="on-page-input" data-field-index="${index}" value="${field.value || ''}" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 6px; font-size: 14px; transition: border-color 0.2s, box-shadow 0.2s;">`;
                 return `<div class="field-container"><label class="field-label">${field.name}</label>${inputHtml}</div>`;
             }
-        }).join('');
+        }).map((html, index) => html + renderFieldViolations(fieldData.fields[index], index)).join('');
 
         const hasBackStep = canGoBack(state);
         container.innerHTML = `
@@ -1960,17 +2590,68 @@
         if (hasBackStep) {
             document.getElementById('back-button-page').addEventListener('click', () => handleGoBackToPreviousStep());
         }
-        document.querySelectorAll('.on-page-input').forEach(input => {
-            const fieldIndex = parseInt(input.getAttribute('data-field-index'), 10);
-            input.addEventListener(input.type === 'checkbox' || input.type === 'select-one' || input.type === 'radio' ? 'change' : 'input', () => {
-                if (isInitializing) return;
-                const value = input.type === 'checkbox' ? input.checked : input.value;
-                handleUpdateFieldValue({ index: currentIndex, fieldIndex, value }, true);
-            });
-        });
+        appendStepNote(container);
+        appendStepTools(container);
+        document.querySelectorAll('.on-page-input').forEach(input => {
+            const fieldIndex = parseInt(input.getAttribute('data-field-index'), 10);
+            input.addEventListener(input.type === 'checkbox' || input.type === 'select-one' || input.type === 'radio' ? 'change' : 'input', () => {
+                if (isInitializing) return;
+                const value = input.type === 'checkbox' ? input.checked : input.value;
+                handleUpdateFieldValue({ index: currentIndex, fieldIndex, value }, true);
+            });
+        });
+
+        // Initialize Kendo widgets after HTML is inserted
+        renderKendoWidgets(container, fieldData);
+    }
+
+    /**
+     * Blind review entry form: the step's fields, left empty for the reviewer to fill in
+     */
+    function renderBlindEntry(container, fieldData, state, modeText) {
+        const escapeHtml = window.ProcessingChecklistUtils.escapeHtml;
+        const index = currentIndex;
+        const fieldsHtml = fieldData.fields.map((field, fieldIndex) => {
+            if (!BlindReview.isEntryField(field)) return '';
+            const attrs = `class="blind-entry-input" data-step-index="${index}" data-field-index="${fieldIndex}"`;
+            if (field.type === 'checkbox') {
+                return `<label class="checkbox-field"><input type="checkbox" ${attrs}> <span>${escapeHtml(field.name)}</span></label>`;
+            }
+            const inputHtml = field.type === 'select'
+                ? `<select ${attrs}>${field.options.map(opt => `<option value="${escapeHtml(opt.value)}">${escapeHtml(opt.text)}</option>`).join('')}</select>`
+                : `<input type="text" ${attrs} autocomplete="off">`;
+            return `<div class="field-container"><label class="field-label">${escapeHtml(field.name)}</label>${inputHtml}</div>`;
+        }).join('');
+
+        const hasBackStep = canGoBack(state);
+        container.innerHTML = `
+            ${modeText}
+            <div class="step-title">${escapeHtml(fieldData.name)}</div>
+            <div class="blind-review-hint">Enter the values this step should have. They are compared with the form when you check the step.</div>
+            <div class="fields-container">${fieldsHtml}</div>
+            <div class="button-row">
+                <button id="back-button-page" class="back-btn" ${!hasBackStep ? 'disabled' : ''}>← Back</button>
+                <button id="skip-button-page" class="skip-btn">Skip</button>
+                <button id="confirm-button-page" class="confirm-btn">✓ Check</button>
+            </div>`;
+        // Nothing is picked until the reviewer picks it
+        container.querySelectorAll('select.blind-entry-input').forEach(select => {
+            select.selectedIndex = -1;
+        });
+        container.querySelectorAll('input.blind-entry-input[type="text"]').forEach(input => {
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') handleConfirmField(index);
+            });
+        });
+        document.getElementById('confirm-button-page').addEventListener('click', () => handleConfirmField(index));
+        document.getElementById('skip-button-page').addEventListener('click', () => handleSkipField(index));
+        if (hasBackStep) {
+            document.getElementById('back-button-page').addEventListener('click', () => handleGoBackToPreviousStep());
+        }
+        appendStepTools(container);
 
-        // Initialize Kendo widgets after HTML is inserted
-        renderKendoWidgets(container, fieldData);
+        const first = container.querySelector('.blind-entry-input');
+        if (first) first.focus();
     }
 
     function renderKendoWidgets(container, fieldData) {
@@ -2034,7 +2715,11 @@
         const maxHeight = window.innerHeight - 250;
         container.style.maxHeight = `${maxHeight}px`;
 
+        const current = getCurrentStep(state);
         let itemsHtml = checklist.map((item, index) => {
+            // Steps hidden by show_if are left out; optional ones (required_if) are labelled
+            if (!isStepVisible(index)) return '';
+
             const itemState = state[index];
             let statusClass = '';
             if (itemState.processed) {
@@ -2042,11 +2727,15 @@
             } else if (itemState.skipped) {
                 statusClass = 'skipped';
             }
+            const isOptional = !isStepCounted(index);
+            const skipReason = itemState.skipped && itemState.skipReason
+                ? ` <span class="full-checklist-item-skip-reason">(${window.ProcessingChecklistUtils.escapeHtml(itemState.skipReason)})</span>`
+                : '';
 
             return `
-                <div class="full-checklist-item ${statusClass}" data-item-index="${index}">
+                <div class="full-checklist-item ${statusClass} ${isOptional ? 'optional' : ''} ${index === current ? 'current' : ''}" data-item-index="${index}">
                     <input type="checkbox" class="full-checklist-item-checkbox" data-item-index="${index}" ${itemState.processed ? 'checked' : ''}>
-                    <span class="full-checklist-item-name">${item.name}</span>
+                    <span class="full-checklist-item-name" title="Go to this step">${item.name}${isOptional ? ' <span class="full-checklist-item-optional">(optional)</span>' : ''}${skipReason}</span>
                 </div>
             `;
         }).join('');
@@ -2055,6 +2744,7 @@
             <div class="step-title">Checklist Progress</div>
             <div style="display: flex; flex-direction: column;">${itemsHtml}</div>
         `;
+        appendStepTools(container);
 
         // Attach event listeners to checkboxes
         container.querySelectorAll('.full-checklist-item-checkbox').forEach(checkbox => {
@@ -2068,6 +2758,10 @@
                 }
             });
         });
+        container.querySelectorAll('.full-checklist-item-name').forEach(name => {
+            const itemIndex = parseInt(name.parentElement.getAttribute('data-item-index'), 10);
+            name.addEventListener('click', () => jumpToStep(itemIndex));
+        });
 
         // Update max height on window resize
         window.addEventListener('resize', () => {
@@ -2087,6 +2781,12 @@
                 myTabId = message.tabId;
                 logger.debug(`Received tab ID: ${myTabId}`);
 
+                // Let the popout and menu resolve this tab's form- and profile-scoped state keys
+                ext.storage.local.set({
+                    [getStorageKeys().activeProfile]: activeProfile.id,
+                    [getStorageKeys().stateScope]: getStateScope()
+                });
+
                 // Check if this is a reconnection (UI elements might already exist in DOM)
                 const floatingUI = document.getElementById('processing-checklist-floating-ui');
                 const isReconnection = floatingUI !== null;
@@ -2105,14 +2805,32 @@
                 ext.storage.local.get(keys.checklistState, r => broadcastUpdate(r[keys.checklistState]));
                 break;
             case 'updateFieldValue': handleUpdateFieldValue(message, false); break;
-            case 'updateTableCell': handleUpdateTableCell(message); break;
-            case 'updateFeeTaxable': handleUpdateFeeTaxable(message); break;
-            case 'updateFeeAmount': handleUpdateFeeAmount(message); break;
-            case 'confirmField': handleConfirmField(message.index); break;
-            case 'skipField': handleSkipField(message.index); break;
+            case 'updateTableCell': withTimelineSource('popout', () => handleUpdateTableCell(message)); break;
+            case 'customStepAction': withTimelineSource('popout', () => handleCustomStepAction(message)); break;
+            case 'confirmField': handleConfirmField(message.index, message.overrideRules); break;
+            case 'skipField': handleSkipField(message.index, message.reason || ''); break;
             case 'getPolicyNumber': handleGetPolicyNumber(); break;
             case 'goBackToPreviousStep': handleGoBackToPreviousStep(); break;
+            case 'unconfirmField': unconfirmField(message.index); break;
+            case 'undo': handleUndo(); break;
+            case 'redo': handleRedo(); break;
+            case 'runCommand': runCommand(message.command); break;
+            case 'jumpToStep': jumpToStep(message.index); break;
+            case 'setStepNote':
+                setStepNote(message.index, message.text);
+                syncOnPageNote(message.index);
+                break;
             case 'toggleUI': toggleOnPageUI(); break;
+            case 'startSelectorPicker':
+                if (configLoaded && window.SelectorPicker) {
+                    window.SelectorPicker.start(config);
+                }
+                break;
+            case 'toggleDiagnostics':
+                if (configLoaded && window.SelectorDiagnostics) {
+                    window.SelectorDiagnostics.toggle(config);
+                }
+                break;
             case 'changeViewMode':
                 // View mode changed from menu - update storage
                 if (message.mode) {
@@ -2123,42 +2841,7 @@
             case 'start-review':
                 // Enter review mode for this form
                 if (window.trackingHelper && window.trackingHelper.enterReviewMode) {
-                    window.trackingHelper.enterReviewMode();
-                    window.trackingHelper.applyReviewStyling();
-
-                    const keys = getStorageKeys();
-                    const urlId = window.trackingHelper.currentUrlId;
-
-                    // Load reviewedProgress from tracking history to initialize checkboxes
-                    ext.storage.local.get('tracking_history', (storageResult) => {
-                        const history = storageResult.tracking_history || [];
-                        const formInHistory = history.find(h => h.urlId === urlId);
-
-                        let reviewState;
-
-                        if (formInHistory && formInHistory.reviewedProgress && formInHistory.reviewedProgress.current > 0) {
-                            // Load saved reviewed state from history
-                            // Convert progress object to checkbox state array
-                            // Since we don't store which specific items were reviewed, start fresh
-                            // The reviewedProgress tracks overall count, not individual items
-                            reviewState = checklist.map(() => ({ processed: false, skipped: false }));
-                            logger.debug("Review mode activated - starting fresh (reviewedProgress: " +
-                                       formInHistory.reviewedProgress.current + "/" + formInHistory.reviewedProgress.total + ")");
-                        } else {
-                            // No previous review progress - start with all unchecked
-                            reviewState = checklist.map(() => ({ processed: false, skipped: false }));
-                            logger.debug("Review mode activated - no previous review progress, starting fresh");
-                        }
-
-                        ext.storage.local.set({ [keys.reviewState]: reviewState }, () => {
-                            // Re-render UI with review state
-                            ext.storage.local.get([keys.uiState, keys.viewMode], (result) => {
-                                updateAndBroadcast(reviewState, result[keys.uiState], result[keys.viewMode]);
-                                // Update visuals to show review state (all unchecked initially)
-                                updateItemVisuals(reviewState);
-                            });
-                        });
-                    });
+                    ext.storage.local.get('blindReview', (settings) => startReview(settings.blindReview === true));
                 }
                 break;
         }
@@ -2182,7 +2865,9 @@
         if (!formElement) return;
 
         // Update the form element
-        if (formElement.type === 'checkbox') {
+        if (col.type === 'kendo_widget' && typeof KendoWidgetUtils !== 'undefined' && KendoWidgetUtils.isKendoAvailable()) {
+            KendoWidgetUtils.setWidgetValue(formElement, value);
+        } else if (formElement.type === 'checkbox') {
             formElement.checked = value;
         } else {
             formElement.value = value;
@@ -2193,52 +2878,27 @@
         formElement.dispatchEvent(new Event(eventType, { bubbles: true }));
     }
 
-    function handleUpdateFeeTaxable({ checkboxId, value }) {
-        logger.debug(`[Fees] Popout updating taxable: ${checkboxId} = ${value}`);
-        const checkbox = document.querySelector(`#${checkboxId}`);
-        if (checkbox) {
-            checkbox.checked = value;
-            checkbox.dispatchEvent(new Event('change', { bubbles: true }));
-        }
+    /**
+     * Context handed to custom step type hooks (see custom-step-types.js)
+     * @param {number} index - Checklist index of the step
+     */
+    function createCustomStepContext(index) {
+        return {
+            index: index,
+            logger: logger,
+            isSuspended: () => isInitializing || isProgrammaticUpdate,
+            notify: (message, type) => showNotification(message, type)
+        };
     }
 
-    function handleUpdateFeeAmount({ amountInputId, value }) {
-        logger.debug(`[Fees] Popout updating amount: ${amountInputId} = ${value}`);
-        const formInput = document.querySelector(`#${amountInputId}`);
-        if (formInput) {
-            // Parse value and update hidden input
-            let numericValue = value.replace(/[$,]/g, '');
-            if (!isNaN(parseFloat(numericValue))) {
-                const parsedValue = parseFloat(numericValue);
-                formInput.value = parsedValue.toFixed(2);
-
-                // Try to update the Kendo widget if available
-                if (typeof window.jQuery !== 'undefined' && typeof window.kendo !== 'undefined') {
-                    const $ = window.jQuery;
-                    let kendoWidget = $(formInput).data('kendoNumericTextBox');
-
-                    if (kendoWidget) {
-                        logger.debug(`[Fees] Updating Kendo widget from popout: ${parsedValue}`);
-                        kendoWidget.value(parsedValue);
-                    } else {
-                        const kendoWrapper = formInput.closest('.k-numerictextbox');
-                        if (kendoWrapper) {
-                            kendoWidget = $(kendoWrapper).data('kendoNumericTextBox');
-                            if (kendoWidget) {
-                                logger.debug(`[Fees] Updating Kendo widget from popout (method 2): ${parsedValue}`);
-                                kendoWidget.value(parsedValue);
-                            }
-                        }
-                    }
-                }
-            } else {
-                formInput.value = '0';
-            }
-
-            // Trigger change event
-            formInput.dispatchEvent(new Event('input', { bubbles: true }));
-            formInput.dispatchEvent(new Event('change', { bubbles: true }));
+    function handleCustomStepAction({ index, payload }) {
+        const step = checklist[index];
+        const customType = window.CustomStepTypes && window.CustomStepTypes.forStep(step);
+        if (!customType || typeof customType.handleAction !== 'function') {
+            logger.warn(`[Custom] No action handler for step ${index}`);
+            return;
         }
+        customType.handleAction(step, payload, createCustomStepContext(index));
     }
 
     function handleGetPolicyNumber() {
@@ -2253,10 +2913,10 @@
     function canGoBack(state) {
         if (!state) return false;
 
-        // Find the current step (first unprocessed/unskipped)
+        // Find the current step (first active unprocessed/unskipped)
         let currentStep = -1;
         for (let i = 0; i < state.length; i++) {
-            if (!state[i].processed && !state[i].skipped) {
+            if (isStepCounted(i) && !state[i].processed && !state[i].skipped) {
                 currentStep = i;
                 break;
             }
@@ -2279,10 +2939,10 @@
             const state = result[keys.checklistState];
             if (!state) return;
 
-            // Find the current step (first unprocessed/unskipped)
+            // Find the current step (first active unprocessed/unskipped)
             let currentStep = -1;
             for (let i = 0; i < state.length; i++) {
-                if (!state[i].processed && !state[i].skipped) {
+                if (isStepCounted(i) && !state[i].processed && !state[i].skipped) {
                     currentStep = i;
                     break;
                 }
@@ -2304,10 +2964,17 @@
             }
 
             logger.debug(`[Back] Going back to step ${previousIndex}`);
+            pinnedStepIndex = -1;
 
             // Uncheck the previous step
             const newState = [...state];
             newState[previousIndex] = { processed: false, skipped: false };
+            recordUndo({
+                type: 'state',
+                label: `Back to "${checklist[previousIndex].name}"`,
+                review: false,
+                changes: UndoHistory.diffStates(state, newState)
+            });
 
             // Save and broadcast
             ext.storage.local.set({ [keys.checklistState]: newState }, () => {
@@ -2316,6 +2983,137 @@
         });
     }
 
+    /**
+     * Keyboard shortcut from the manifest's "commands" (relayed by background.js) or the
+     * popout's keyboard mode
+     * @param {string} command - Command name from manifest.json
+     */
+    function runCommand(command) {
+        logger.debug(`[Shortcut] ${command}`);
+        switch (command) {
+            case 'confirm-step': handleConfirmField(currentIndex); break;
+            case 'skip-step': handleSkipField(currentIndex); break;
+            case 'go-back': handleGoBackToPreviousStep(); break;
+            case 'next-skipped': jumpToNextSkipped(); break;
+            case 'toggle-ui': toggleOnPageUI(); break;
+            default: logger.warn(`[Shortcut] Unknown command "${command}"`);
+        }
+    }
+
+    /**
+     * Jump to the next skipped step after the current one, wrapping around
+     */
+    function jumpToNextSkipped() {
+        const keys = getStorageKeys();
+        const isReview = window.trackingHelper && window.trackingHelper.isReviewMode;
+        const stateKey = isReview ? keys.reviewState : keys.checklistState;
+        ext.storage.local.get(stateKey, (result) => {
+            const state = result[stateKey];
+            if (!state) return;
+
+            const skipped = state.map((item, i) => i).filter(i => state[i].skipped && isStepVisible(i));
+            if (skipped.length === 0) {
+                showNotification('No skipped steps');
+                return;
+            }
+            // Repeated presses walk through the skipped steps
+            const after = skipped.filter(i => i > currentIndex);
+            jumpToStep(after.length > 0 ? after[0] : skipped[0]);
+        });
+    }
+
+    /**
+     * Make a step the current one (until it's confirmed or skipped) and bring it into view
+     * @param {number} index - Step index
+     */
+    function jumpToStep(index) {
+        if (index < 0 || index >= checklist.length || !isStepVisible(index)) return;
+        logger.debug(`[Jump] Going to step ${index} "${checklist[index].name}"`);
+        pinnedStepIndex = index;
+
+        const keys = getStorageKeys();
+        const isReview = window.trackingHelper && window.trackingHelper.isReviewMode;
+        const stateKey = isReview ? keys.reviewState : keys.checklistState;
+        ext.storage.local.get([stateKey, keys.uiState, keys.viewMode], (result) => {
+            // Nothing changed but which step is current - skip the tracking update
+            if (result[stateKey]) updateAndBroadcast(result[stateKey], result[keys.uiState], result[keys.viewMode], true);
+            revealStep(index);
+        });
+    }
+
+    /**
+     * Scroll a step's highlight zone (or its container) to the middle of the window, focus its
+     * first input and pulse it
+     */
+    function revealStep(index) {
+        const step = checklist[index];
+        const rect = getStepRect(index);
+        if (!rect) {
+            showNotification(`"${step.name}" was not found on this page`, 'warning');
+            return;
+        }
+
+        // Page coordinates, so the pulse stays put while the page scrolls
+        const top = rect.top + window.scrollY;
+        const left = rect.left + window.scrollX;
+        window.scrollTo({ top: Math.max(0, top - (window.innerHeight - rect.height) / 2), behavior: 'smooth' });
+        focusStepInput(index);
+
+        const pulse = document.createElement('div');
+        pulse.className = 'jump-pulse-zone';
+        pulse.style.top = `${top}px`;
+        pulse.style.left = `${left}px`;
+        pulse.style.width = `${rect.width}px`;
+        pulse.style.height = `${rect.height}px`;
+        document.body.appendChild(pulse);
+        setTimeout(() => pulse.remove(), JUMP_PULSE_DURATION);
+    }
+
+    /**
+     * Area a step covers on screen: all its highlight zones together, otherwise its container
+     * @returns {Object|null} { top, left, width, height } in viewport coordinates
+     */
+    function getStepRect(index) {
+        const step = checklist[index];
+        const zoneRects = (step.highlight_zones || [])
+            .map((zoneConfig, zoneIndex) => calculateZoneRect(zoneConfig, index, zoneIndex))
+            .filter(rect => rect && rect.width > 0 && rect.height > 0);
+        if (zoneRects.length > 0) {
+            const top = Math.min(...zoneRects.map(r => r.top));
+            const left = Math.min(...zoneRects.map(r => r.left));
+            const bottom = Math.max(...zoneRects.map(r => r.top + r.height));
+            const right = Math.max(...zoneRects.map(r => r.left + r.width));
+            return { top, left, width: right - left, height: bottom - top };
+        }
+
+        const element = getElementForStep(index) || (step.table_selector ? document.querySelector(step.table_selector) : null);
+        if (!element) return null;
+        const rect = element.getBoundingClientRect();
+        return { top: rect.top, left: rect.left, width: rect.width, height: rect.height };
+    }
+
+    /**
+     * Focus the first input of a step - the Kendo widget's own input when Kendo has replaced it
+     */
+    function focusStepInput(index) {
+        const step = checklist[index];
+        let element = null;
+        let isKendo = false;
+
+        if (step.type === 'table') {
+            const table = step.table_selector ? document.querySelector(step.table_selector) : null;
+            element = table ? table.querySelector('input:not([type="hidden"]), select, textarea') : null;
+        } else if (step.fields) {
+            const field = step.fields.find(f => f.selector && f.type !== 'virtual' && f.type !== 'labelWithDivText');
+            element = field ? document.querySelector(field.selector) : null;
+            isKendo = !!field && field.type === 'kendo_widget';
+        }
+        if (!element) return;
+
+        if (isKendo && typeof KendoWidgetUtils !== 'undefined' && KendoWidgetUtils.focusWidget(element)) return;
+        if (typeof element.focus === 'function') element.focus({ preventScroll: true });
+    }
+
     function toggleOnPageUI() {
         const keys = getStorageKeys();
         ext.storage.local.get(keys.uiState, (result) => {
@@ -2325,31 +3123,67 @@
         });
     }
 
-    function handleUpdateFieldValue({ index, fieldIndex, value }, fromOnPageUI = false) {
+    /**
+     * Set a form field from the on-page UI or the popout
+     * @param {boolean} fromOnPageUI - The on-page input already shows the value
+     * @param {boolean} recordHistory - False when undoing/redoing an earlier edit
+     */
+    function handleUpdateFieldValue({ index, fieldIndex, value }, fromOnPageUI = false, recordHistory = true) {
         const field = checklist[index]?.fields[fieldIndex];
         if (!field || !field.selector) return;
         const element = document.querySelector(field.selector);
         if (element) {
-            if (element.type === 'checkbox' || element.type === 'radio') element.checked = value; else element.value = value;
-            if (!fromOnPageUI) {
+            const isToggle = element.type === 'checkbox' || element.type === 'radio';
+            const before = isToggle ? element.checked : element.value;
+            const timelineBefore = readFieldValue(field, element);
+            if (isToggle) element.checked = value; else element.value = value;
+            recordTimelineEdit(index, field.name, timelineBefore, readFieldValue(field, element), !recordHistory ? 'undo' : (fromOnPageUI ? 'on-page-ui' : 'popout'));
+            // Like a typed edit, so the page and watchFormChanges (show_if/required_if, variants,
+            // consistency rules) react to it
+            element.dispatchEvent(new Event('input', { bubbles: true }));
+            element.dispatchEvent(new Event('change', { bubbles: true }));
+            if (recordHistory && before !== value) {
+                recordUndo({
+                    type: 'field',
+                    label: `Edit "${field.name}"`,
+                    index,
+                    fieldIndex,
+                    before,
+                    after: value,
+                    mergeKey: `field:${index}:${fieldIndex}`
+                });
+            }
+            if (!fromOnPageUI && index === currentIndex) {
                 const onPageInputElement = document.querySelector(`.on-page-input[data-field-index="${fieldIndex}"]`);
-                if(onPageInputElement) onPageInputElement.value = value;
+                if (onPageInputElement) {
+                    if (onPageInputElement.type === 'checkbox' || onPageInputElement.type === 'radio') onPageInputElement.checked = value; else onPageInputElement.value = value;
+                }
             }
+            if (index === currentIndex && field.rules) updateFieldViolations(getFieldData(index));
             const keys = getStorageKeys();
             ext.storage.local.get(keys.checklistState, r => broadcastUpdate(r[keys.checklistState]));
         }
     }
 
-    function updateState(index, processed, skipped) {
+    function updateState(index, processed, skipped, skipReason = '') {
         const keys = getStorageKeys();
         const isReview = window.trackingHelper && window.trackingHelper.isReviewMode;
         const stateKey = isReview ? keys.reviewState : keys.checklistState;
 
         logger.debug(`updateState called: index=${index}, processed=${processed}, skipped=${skipped}, isReview=${isReview}, stateKey=${stateKey}`);
 
+        // Finishing the step jumped to returns to the normal order
+        if (index === pinnedStepIndex) pinnedStepIndex = -1;
+
+        // Confirming or skipping the timed step stops its clock
+        if ((processed || skipped) && stepClock && stepClock.index === index) {
+            saveStepTime();
+            stepClock = null;
+        }
+
         // OPTIMIZATION: Apply immediate visual feedback before storage round-trip
         // This makes checkboxes feel instantly responsive
-        const itemState = { processed, skipped };
+        const itemState = (skipped && skipReason) ? { processed, skipped, skipReason } : { processed, skipped };
         const tempState = [...(window.currentChecklistState || [])];
         if (tempState[index]) {
             tempState[index] = itemState;
@@ -2374,38 +3208,388 @@
                 return;
             }
 
-            const newState = [...currentState];
-            newState[index] = { processed, skipped };
+            const newState = [...currentState];
+            newState[index] = itemState;
+
+            const action = processed ? 'Confirm' : (skipped ? 'Skip' : 'Uncheck');
+            recordUndo({
+                type: 'state',
+                label: `${action} "${checklist[index].name}"${skipReason ? ` (${skipReason})` : ''}`,
+                review: !!isReview,
+                changes: UndoHistory.diffStates(currentState, newState)
+            });
+
+            // Cache the state for immediate visual updates
+            window.currentChecklistState = newState;
+
+            logger.debug(`Saving new state to ${stateKey}:`, newState);
+
+            // Update tracking progress BEFORE saving to storage
+            // This ensures the correct value is saved and prevents race conditions
+            if (window.trackingHelper && window.trackingHelper.updateProgress) {
+                const { checkedCount, total } = getProgressCounts(newState);
+                const isReview = window.trackingHelper.isReviewMode || false;
+                logger.debug(`Calling updateProgress from updateState: ${checkedCount}/${total}, isReview=${isReview}`);
+                window.trackingHelper.updateProgress(checkedCount, total, isReview);
+                reportSkipReasons(newState);
+            }
+
+            // Set flag to indicate this is our own storage update
+            // (so storage change handler won't call full updateAndBroadcast again)
+            isOwnStorageUpdate = true;
+            ext.storage.local.set({ [stateKey]: newState }, () => {
+                // Only broadcast to other components (popout), don't re-render this page
+                broadcastUpdate(newState);
+
+                // Update next field indicator without full re-render
+                const nextIndex = getCurrentStep(newState);
+                const fieldData = getFieldData(nextIndex);
+                currentIndex = nextIndex;
+                setTimedStep(nextIndex);
+                renderOnPageUI(fieldData, newState, result[keys.uiState], result[keys.viewMode]);
+
+                // Clear flag after a short delay to allow storage change event to fire
+                setTimeout(() => {
+                    isOwnStorageUpdate = false;
+                }, 100);
+            });
+        });
+    }
+
+    /**
+     * Current rule violations for a step ("Field: message" lines)
+     * @param {number} index - Step index
+     * @returns {string[]}
+     */
+    function getStepViolations(index) {
+        const step = checklist[index];
+        if (!step || step.type !== 'group' || !step.fields.some(field => field.rules)) return [];
+        return getFieldData(index).violations || [];
+    }
+
+    /**
+     * Confirm a step. If its fields break their validation rules the user must explicitly
+     * override (the popout asks on its side and sends overrideRules: true).
+     */
+    function handleConfirmField(index, overrideRules = false) {
+        if (index < 0 || index >= checklist.length) return;
+        if (needsBlindEntry(index)) {
+            checkBlindEntries(index);
+            return;
+        }
+        const violations = getStepViolations(index);
+        if (violations.length > 0 && !overrideRules) {
+            const message = `"${checklist[index].name}" has validation problems:\n\n- ${violations.join('\n- ')}\n\nConfirm anyway?`;
+            if (!window.confirm(message)) {
+                // Checkboxes in the full view were already toggled - put them back
+                const keys = getStorageKeys();
+                const isReview = window.trackingHelper && window.trackingHelper.isReviewMode;
+                const stateKey = isReview ? keys.reviewState : keys.checklistState;
+                ext.storage.local.get([stateKey, keys.uiState, keys.viewMode], r => {
+                    if (r[stateKey]) updateAndBroadcast(r[stateKey], r[keys.uiState], r[keys.viewMode], true);
+                });
+                return;
+            }
+        }
+        if (violations.length > 0) {
+            logger.warn(`Confirmed "${checklist[index].name}" with rule violations overridden:`, violations);
+        }
+        updateState(index, true, false);
+    }
+
+    function isBlindReview() {
+        return !!(window.trackingHelper && window.trackingHelper.isReviewMode && window.trackingHelper.isBlindReview);
+    }
+
+    /**
+     * @param {number} index
+     * @returns {boolean} True if the step still has to be re-entered in this blind review
+     */
+    function needsBlindEntry(index) {
+        const step = checklist[index];
+        return isBlindReview() && BlindReview.isBlindStep(step) && !blindReviewResults[ConfigMigrations.getStepId(step)];
+    }
+
+    /**
+     * Compare a step's blind review entries with the form and record the outcome. Without
+     * entries (confirmed from the popout, a checkbox or a shortcut) the step is opened in the
+     * on-page UI for them instead.
+     */
+    function checkBlindEntries(index) {
+        const inputs = document.querySelectorAll(`#processing-checklist-container .blind-entry-input[data-step-index="${index}"]`);
+        if (inputs.length === 0) {
+            const keys = getStorageKeys();
+            ext.storage.local.set({ [keys.uiState]: { visible: true } }, () => jumpToStep(index));
+            return;
+        }
+
+        const entries = [];
+        inputs.forEach(input => {
+            entries[parseInt(input.getAttribute('data-field-index'), 10)] = input.type === 'checkbox' ? input.checked : input.value;
+        });
+        const step = checklist[index];
+        const stepId = ConfigMigrations.getStepId(step);
+        const fields = BlindReview.compareFields(getFieldData(index).fields, entries);
+        blindReviewResults[stepId] = { stepName: step.name, fields };
+        window.trackingHelper.recordBlindReviewStep(stepId, step.name, fields);
+        applyBlindMasks();
+
+        const mismatches = fields.filter(field => !field.match);
+        if (mismatches.length === 0) {
+            updateState(index, true, false);
+            return;
+        }
+
+        // Show what didn't match before moving on
+        const container = document.getElementById('processing-checklist-container');
+        if (!container) {
+            updateState(index, true, false);
+            return;
+        }
+        const escapeHtml = window.ProcessingChecklistUtils.escapeHtml;
+        container.innerHTML = `
+            <div class="step-title">${escapeHtml(step.name)}</div>
+            <div class="blind-review-mismatches">
+                <div class="blind-review-mismatch-title">⚠ ${mismatches.length} field${mismatches.length !== 1 ? 's' : ''} didn't match the form</div>
+                ${mismatches.map(field => `
+                    <div class="blind-review-mismatch">
+                        <strong>${escapeHtml(field.name)}</strong>: entered ${escapeHtml(BlindReview.formatValue(field.entered))}, the form has ${escapeHtml(BlindReview.formatValue(field.actual))}
+                    </div>
+                `).join('')}
+            </div>
+            <div class="button-row">
+                <button id="blind-review-continue" class="confirm-btn">Continue</button>
+            </div>`;
+        const continueButton = document.getElementById('blind-review-continue');
+        continueButton.addEventListener('click', () => updateState(index, true, false));
+        continueButton.focus();
+    }
+
+    /**
+     * Hide the form's values on steps not yet checked in a blind review, and outline the fields
+     * whose entries didn't match on steps that are
+     */
+    function applyBlindMasks() {
+        const blind = isBlindReview();
+        checklist.forEach(step => {
+            if (!BlindReview.isBlindStep(step)) return;
+            const result = blindReviewResults[ConfigMigrations.getStepId(step)];
+            step.fields.forEach(field => {
+                if (!BlindReview.isEntryField(field)) return;
+                const element = document.querySelector(field.selector);
+                if (!element) return;
+                // Kendo widgets show their value in a wrapper, not the original input
+                const target = (field.type === 'kendo_widget' && element.closest('.k-widget')) || element;
+                const fieldResult = result && result.fields.find(f => f.name === field.name);
+                target.classList.toggle('blind-review-masked', blind && !result);
+                target.classList.toggle('blind-review-mismatch-field', blind && !!fieldResult && !fieldResult.match);
+            });
+        });
+    }
+
+    /**
+     * Enter review mode from the tracking page or history. With the "blindReview" setting on,
+     * the form's values are hidden and the reviewer re-enters them (see blind-review.js).
+     */
+    function startReview(blind) {
+        window.trackingHelper.enterReviewMode({ blind });
+        window.trackingHelper.applyReviewStyling();
+        if (blind) {
+            blindReviewResults = {};
+            window.trackingHelper.startBlindReview();
+            applyBlindMasks();
+        }
+
+        const keys = getStorageKeys();
+        const urlId = window.trackingHelper.currentUrlId;
+
+        // Load reviewedProgress from tracking history to initialize checkboxes
+        ext.storage.local.get('tracking_history', (storageResult) => {
+            const history = storageResult.tracking_history || [];
+            const formInHistory = history.find(h => h.urlId === urlId);
+
+            let reviewState;
+
+            if (formInHistory && formInHistory.reviewedProgress && formInHistory.reviewedProgress.current > 0) {
+                // Load saved reviewed state from history
+                // Convert progress object to checkbox state array
+                // Since we don't store which specific items were reviewed, start fresh
+                // The reviewedProgress tracks overall count, not individual items
+                reviewState = checklist.map(() => ({ processed: false, skipped: false }));
+                logger.debug("Review mode activated - starting fresh (reviewedProgress: " +
+                           formInHistory.reviewedProgress.current + "/" + formInHistory.reviewedProgress.total + ")");
+            } else {
+                // No previous review progress - start with all unchecked
+                reviewState = checklist.map(() => ({ processed: false, skipped: false }));
+                logger.debug("Review mode activated - no previous review progress, starting fresh");
+            }
+
+            // Review actions from an earlier review refer to the state being replaced
+            setUndoHistory(UndoHistory.discard(undoHistory, entry => entry.review));
+
+            ext.storage.local.set({ [keys.reviewState]: reviewState }, () => {
+                // Re-render UI with review state
+                ext.storage.local.get([keys.uiState, keys.viewMode], (result) => {
+                    updateAndBroadcast(reviewState, result[keys.uiState], result[keys.viewMode]);
+                    // Update visuals to show review state (all unchecked initially)
+                    updateItemVisuals(reviewState);
+                });
+            });
+        });
+    }
+
+    /**
+     * Skip a step. Without a reason (the on-page UI and shortcuts) the reason picker is shown
+     * first; the popout asks on its side and sends the reason.
+     * @param {number} index
+     * @param {string} [reason] - '' for no reason
+     */
+    function handleSkipField(index, reason) {
+        if (index < 0 || index >= checklist.length) return;
+        if (reason === undefined) {
+            promptSkipReason(index);
+            return;
+        }
+        updateState(index, false, true, reason);
+    }
+
+    /**
+     * Show the skip reason picker in the on-page UI, or on its own when the UI is hidden
+     */
+    function promptSkipReason(index) {
+        if (document.querySelector('#processing-checklist-container .skip-reason-picker, #skip-reason-floating')) return;
+
+        const container = document.getElementById('processing-checklist-container');
+        let host = container && container.style.display !== 'none' ? container : null;
+        let floating = null;
+        if (!host) {
+            floating = document.createElement('div');
+            floating.id = 'skip-reason-floating';
+            document.body.appendChild(floating);
+            host = floating;
+        }
+
+        const close = () => {
+            if (floating) floating.remove();
+        };
+        SkipReasons.showPicker(host, {
+            reasons: getSkipReasons(),
+            onPick: reason => {
+                close();
+                updateState(index, false, true, reason);
+            },
+            onCancel: close
+        });
+    }
+
+    function getSkipReasons() {
+        return (config && config.skipReasons) || [];
+    }
+
+    /**
+     * Record the form's skipped steps and their reasons in its history record. Review skips
+     * and steps hidden by show_if aren't recorded.
+     */
+    function reportSkipReasons(state) {
+        if (!window.trackingHelper || !window.trackingHelper.updateSkipReasons || window.trackingHelper.isReviewMode) return;
+        if (!Array.isArray(state)) return;
+        const steps = checklist.map(step => ({ id: ConfigMigrations.getStepId(step), name: step.name }));
+        const visibleState = state.map((item, index) => isStepVisible(index) ? item : null);
+        window.trackingHelper.updateSkipReasons(SkipReasons.getCurrentSkips(visibleState, steps));
+    }
+
+    function unconfirmField(index) {
+        if (index < 0 || index >= checklist.length) return;
+        updateState(index, false, false);
+    }
+
+    /**
+     * Read this form and profile's undo history from storage (shared by every tab on the form)
+     * @param {Function} [callback]
+     */
+    function loadUndoHistory(callback) {
+        const keys = getStorageKeys();
+        ext.storage.local.get(keys.undoHistory, (result) => {
+            undoHistory = UndoHistory.normalize(result[keys.undoHistory]);
+            refreshUndoButtons();
+            if (callback) callback();
+        });
+    }
+
+    /**
+     * Replace the undo history, save it and refresh the controls that show it
+     */
+    function setUndoHistory(history) {
+        undoHistory = history;
+        const keys = getStorageKeys();
+        ext.storage.local.set({ [keys.undoHistory]: undoHistory });
+        refreshUndoButtons();
+    }
+
+    /**
+     * Record an action taken through the checklist UI
+     * @param {Object} entry - See undo-history.js
+     */
+    function recordUndo(entry) {
+        if (entry.type === 'state' && entry.changes.length === 0) return;
+        setUndoHistory(UndoHistory.record(undoHistory, entry));
+    }
+
+    function handleUndo() {
+        const { history, entry } = UndoHistory.takeUndo(undoHistory);
+        if (!entry) return;
+        logger.debug(`[Undo] ${entry.label}`);
+        setUndoHistory(history);
+        applyHistoryEntry(entry, 'undo');
+    }
 
-            // Cache the state for immediate visual updates
-            window.currentChecklistState = newState;
+    function handleRedo() {
+        const { history, entry } = UndoHistory.takeRedo(undoHistory);
+        if (!entry) return;
+        logger.debug(`[Redo] ${entry.label}`);
+        setUndoHistory(history);
+        applyHistoryEntry(entry, 'redo');
+    }
 
-            logger.debug(`Saving new state to ${stateKey}:`, newState);
+    /**
+     * Revert or repeat a recorded action. Applied directly rather than through updateState so
+     * it isn't recorded again.
+     * @param {Object} entry - From UndoHistory
+     * @param {string} direction - 'undo' or 'redo'
+     */
+    function applyHistoryEntry(entry, direction) {
+        if (entry.type === 'field') {
+            const value = direction === 'undo' ? entry.before : entry.after;
+            handleUpdateFieldValue({ index: entry.index, fieldIndex: entry.fieldIndex, value }, false, false);
+            return;
+        }
 
-            // Update tracking progress BEFORE saving to storage
-            // This ensures the correct value is saved and prevents race conditions
-            if (window.trackingHelper && window.trackingHelper.updateProgress) {
-                const checkedCount = newState.filter(item => item.processed).length;
-                const total = newState.length;
-                const isReview = window.trackingHelper.isReviewMode || false;
-                logger.debug(`Calling updateProgress from updateState: ${checkedCount}/${total}, isReview=${isReview}`);
-                window.trackingHelper.updateProgress(checkedCount, total, isReview);
+        const keys = getStorageKeys();
+        const stateKey = entry.review ? keys.reviewState : keys.checklistState;
+        ext.storage.local.get([stateKey, keys.uiState, keys.viewMode], (result) => {
+            if (!result[stateKey]) return;
+            const newState = UndoHistory.applyStateChanges(result[stateKey], entry.changes, direction);
+            const isReview = !!(window.trackingHelper && window.trackingHelper.isReviewMode);
+            if (entry.review === isReview) window.currentChecklistState = newState;
+
+            if (window.trackingHelper && window.trackingHelper.updateProgress && entry.review === isReview) {
+                if (entry.markAll) {
+                    // Mark Checked locks progress at 100% - force past that lock, as its button does
+                    const checkedCount = newState.filter(item => item.processed).length;
+                    window.trackingHelper.updateProgress(checkedCount, newState.length, isReview, true);
+                    window.trackingHelper.formIsComplete = direction === 'redo';
+                } else {
+                    const { checkedCount, total } = getProgressCounts(newState);
+                    window.trackingHelper.updateProgress(checkedCount, total, isReview);
+                }
+                reportSkipReasons(newState);
             }
 
-            // Set flag to indicate this is our own storage update
-            // (so storage change handler won't call full updateAndBroadcast again)
             isOwnStorageUpdate = true;
             ext.storage.local.set({ [stateKey]: newState }, () => {
-                // Only broadcast to other components (popout), don't re-render this page
-                broadcastUpdate(newState);
-
-                // Update next field indicator without full re-render
-                const nextIndex = findNextStep(newState);
-                const fieldData = getFieldData(nextIndex);
-                currentIndex = nextIndex;
-                renderOnPageUI(fieldData, newState, result[keys.uiState], result[keys.viewMode]);
-
-                // Clear flag after a short delay to allow storage change event to fire
+                if (entry.review === isReview) {
+                    updateAndBroadcast(newState, result[keys.uiState], result[keys.viewMode], true);
+                }
                 setTimeout(() => {
                     isOwnStorageUpdate = false;
                 }, 100);
@@ -2413,19 +3597,161 @@
         });
     }
 
-    function handleConfirmField(index) {
-        if (index < 0 || index >= checklist.length) return;
-        updateState(index, true, false);
+    /**
+     * Start timing a step that just became current, saving the time spent on the previous one.
+     * Review mode isn't timed.
+     */
+    function setTimedStep(index) {
+        if (stepClock && stepClock.index === index) return;
+        saveStepTime();
+
+        const isReview = window.trackingHelper && window.trackingHelper.isReviewMode;
+        stepClock = (index !== -1 && !isReview) ? StepTiming.createClock(index, Date.now(), !document.hidden) : null;
     }
 
-    function handleSkipField(index) {
-        if (index < 0 || index >= checklist.length) return;
-        updateState(index, false, true);
+    /**
+     * Add the time on the clock to the form's history record and zero the clock
+     */
+    function saveStepTime() {
+        if (!stepClock) return;
+        const clock = StepTiming.advance(stepClock, Date.now());
+        stepClock = { ...clock, activeMs: 0 };
+
+        const step = checklist[clock.index];
+        if (!step || clock.activeMs < MIN_RECORDED_STEP_TIME) return;
+        if (window.trackingHelper && window.trackingHelper.addStepTime) {
+            window.trackingHelper.addStepTime(ConfigMigrations.getStepId(step), step.name, clock.activeMs);
+        }
     }
 
-    function unconfirmField(index) {
-        if (index < 0 || index >= checklist.length) return;
-        updateState(index, false, false);
+    /**
+     * Load the form's step notes once it has been matched to its tracking history record
+     */
+    function loadStepNotes() {
+        if (!window.trackingHelper || !window.trackingHelper.getStepNotes) return;
+        window.trackingHelper.getStepNotes(notes => {
+            stepNotes = notes;
+            if (Object.keys(notes).length === 0) return;
+            syncOnPageNote(currentIndex);
+            const keys = getStorageKeys();
+            ext.storage.local.get(keys.checklistState, r => broadcastUpdate(r[keys.checklistState]));
+        });
+    }
+
+    /**
+     * Notes are kept on the form's tracking history record, so only tracked forms have them
+     */
+    function canTakeNotes() {
+        return !!(window.trackingHelper && window.trackingHelper.currentUrlId && window.trackingHelper.setStepNote);
+    }
+
+    function getStepNote(index) {
+        const step = checklist[index];
+        const note = step && stepNotes[ConfigMigrations.getStepId(step)];
+        return note ? note.text : '';
+    }
+
+    /**
+     * Update a step's note right away and save it to the tracking history once typing pauses
+     * @param {number} index - Step index
+     * @param {string} text - Note text (empty removes the note)
+     */
+    function setStepNote(index, text) {
+        const step = checklist[index];
+        if (!step || !canTakeNotes()) return;
+
+        const stepId = ConfigMigrations.getStepId(step);
+        if (text.trim()) {
+            stepNotes[stepId] = { stepName: step.name, text, updatedAt: new Date().toISOString() };
+        } else {
+            delete stepNotes[stepId];
+        }
+
+        clearTimeout(noteSaveTimers.get(stepId));
+        noteSaveTimers.set(stepId, setTimeout(() => {
+            noteSaveTimers.delete(stepId);
+            window.trackingHelper.setStepNote(stepId, step.name, text);
+        }, NOTE_SAVE_DELAY));
+    }
+
+    /**
+     * Show a note changed elsewhere (the popout, or loaded from storage) in the on-page note field
+     */
+    function syncOnPageNote(index) {
+        const input = document.getElementById('step-note-page');
+        if (!input || index !== currentIndex || document.activeElement === input) return;
+        const text = getStepNote(index);
+        input.value = text;
+        if (text) input.closest('.step-note').open = true;
+    }
+
+    /**
+     * Collapsible note field for the current step, below the step's buttons
+     */
+    function appendStepNote(container) {
+        if (!canTakeNotes()) return;
+
+        const index = currentIndex;
+        const text = getStepNote(index);
+        const note = document.createElement('details');
+        note.className = 'step-note';
+        note.open = !!text;
+        note.innerHTML = `
+            <summary>📝 Note</summary>
+            <textarea id="step-note-page" class="step-note-input" rows="3" placeholder="Why it was skipped, what you told the broker…"></textarea>`;
+        container.appendChild(note);
+
+        const input = note.querySelector('.step-note-input');
+        input.value = text;
+        // Keep the checklist's own shortcuts (Alt+Z) out of the note
+        input.addEventListener('keydown', e => e.stopPropagation());
+        input.addEventListener('input', () => {
+            setStepNote(index, input.value);
+            if (port && isConnected) {
+                port.postMessage({ action: 'updateStepNote', index, note: input.value });
+            }
+        });
+    }
+
+    /**
+     * Add the quick-jump search and the Undo/Redo buttons to the bottom of the on-page UI
+     */
+    function appendStepTools(container) {
+        window.QuickJump.attach(container, {
+            getSteps: () => checklist.map((item, index) => ({ index, name: item.name })).filter(step => isStepVisible(step.index)),
+            onJump: index => jumpToStep(index)
+        });
+        appendUndoRow(container);
+    }
+
+    function appendUndoRow(container) {
+        const row = document.createElement('div');
+        row.className = 'undo-row';
+        row.innerHTML = `
+            <button id="undo-button-page" class="undo-btn">↶ Undo</button>
+            <button id="redo-button-page" class="undo-btn">↷ Redo</button>`;
+        container.appendChild(row);
+        document.getElementById('undo-button-page').addEventListener('click', () => handleUndo());
+        document.getElementById('redo-button-page').addEventListener('click', () => handleRedo());
+        refreshUndoButtons();
+    }
+
+    /**
+     * Bring the on-page Undo/Redo buttons and the Mark Checked button in line with the history
+     */
+    function refreshUndoButtons() {
+        const summary = UndoHistory.getSummary(undoHistory);
+        const undoButton = document.getElementById('undo-button-page');
+        const redoButton = document.getElementById('redo-button-page');
+        if (undoButton) {
+            undoButton.disabled = !summary.canUndo;
+            undoButton.title = summary.canUndo ? `Undo: ${summary.undoLabel} (Alt+Z)` : 'Nothing to undo';
+        }
+        if (redoButton) {
+            redoButton.disabled = !summary.canRedo;
+            redoButton.title = summary.canRedo ? `Redo: ${summary.redoLabel} (Alt+Shift+Z)` : 'Nothing to redo';
+        }
+        updateMarkCheckedButton();
     }
 
     function attachListenersToPageElements() {
@@ -2786,6 +4112,8 @@
      * This avoids re-rendering all items when only one changes
      */
     function updateItemVisualsForSingleItem(index, itemState, isReviewMode) {
+        if (!applyStepVisibility(index)) return;
+
         const step = checklist[index];
 
         // Try highlight zones if defined
@@ -2804,12 +4132,14 @@
                 } else if (itemState.processed) {
                     container.classList.add('confirmed-item');
                 }
+                setSkipReasonLabel(container, itemState);
             }
         } else {
             // Zones succeeded - make sure container highlighting is removed
             const container = getElementForStep(index);
             if (container) {
                 container.classList.remove('skipped-item', 'confirmed-item');
+                setSkipReasonLabel(container, null);
             }
         }
 
@@ -2827,6 +4157,51 @@
         updateZoneCheckboxes(index, itemState.processed);
     }
 
+    /**
+     * Show or hide a step's on-page checkboxes according to its show_if condition.
+     * Hidden steps also lose their highlighting.
+     * @param {number} index - The checklist item index
+     * @returns {boolean} True if the step is visible
+     */
+    function applyStepVisibility(index) {
+        const visible = isStepVisible(index);
+        const display = visible ? '' : 'none';
+
+        const checkbox = document.getElementById(`checklist-confirm-cb-${index}`);
+        if (checkbox) {
+            checkbox.style.display = display;
+        }
+        const checkboxData = zoneCheckboxes.get(index);
+        if (checkboxData) {
+            checkboxData.forEach(({ checkbox }) => {
+                checkbox.style.display = display;
+            });
+        }
+
+        if (!visible) {
+            removeHighlightZones(index);
+            const container = getElementForStep(index);
+            if (container) {
+                container.classList.remove('skipped-item', 'confirmed-item');
+                setSkipReasonLabel(container, null);
+            }
+        }
+        return visible;
+    }
+
+    /**
+     * Show a skipped step's reason on its yellow highlight (see .skipped-item in style.css)
+     * @param {HTMLElement} element - Highlighted container or zone
+     * @param {Object|null} itemState
+     */
+    function setSkipReasonLabel(element, itemState) {
+        if (itemState && itemState.skipped && itemState.skipReason) {
+            element.setAttribute('data-skip-reason', itemState.skipReason);
+        } else {
+            element.removeAttribute('data-skip-reason');
+        }
+    }
+
     function updateItemVisuals(state) {
         // Prevent recursive/concurrent calls
         if (updateItemVisualsInProgress) {
@@ -2841,6 +4216,8 @@
         // logger.debug(`updateItemVisuals called, isReviewMode=${isReviewMode}, state=`, state);
 
         state.forEach((itemState, index) => {
+            if (!applyStepVisibility(index)) return;
+
             const step = checklist[index];
 
             // Try highlight zones if defined
@@ -2859,12 +4236,14 @@
                     } else if (itemState.processed) {
                         container.classList.add('confirmed-item');
                     }
+                    setSkipReasonLabel(container, itemState);
                 }
             } else {
                 // Zones succeeded - make sure container highlighting is removed
                 const container = getElementForStep(index);
                 if (container) {
                     container.classList.remove('skipped-item', 'confirmed-item');
+                    setSkipReasonLabel(container, null);
                 }
             }
 
@@ -3072,6 +4451,9 @@
                 zoneDiv.style.width = `${rect.width}px`;
                 zoneDiv.style.height = `${rect.height}px`;
 
+                // One label per step, on its first zone
+                if (zoneDivs.length === 0) setSkipReasonLabel(zoneDiv, itemState);
+
                 document.body.appendChild(zoneDiv);
                 zoneDivs.push(zoneDiv);
             } catch (error) {
@@ -3434,9 +4816,6 @@
         }
     });
 
-    // Storage for pre-mark-checked state (to enable undo)
-    let preMarkCheckedState = null;
-
     /**
      * Inject "Mark Checked" button next to Mark for Review or Register button
      */
@@ -3501,6 +4880,8 @@
 
         // Insert before the target button (or its wrapper span)
         insertionPoint.insertAdjacentElement('beforebegin', markCheckedBtn);
+        // Marking may be the last action in the stored undo history
+        updateMarkCheckedButton();
 
         logger.debug(`Mark Checked button injected next to "${buttonName}" button`);
     }
@@ -3684,7 +5065,7 @@
             logger.debug('Transaction search params stored successfully');
 
             // Open transaction search page (not policy search)
-            const transactionSearchUrl = 'https://rapid.slacal.com/policy/transactionSearch';
+            const transactionSearchUrl = UrlRoutes.getRoute(UrlRoutes.PAGE_KINDS.POLICY_SEARCH).url;
             logger.debug('Opening transaction search:', transactionSearchUrl);
             window.open(transactionSearchUrl, '_blank');
 
@@ -3877,254 +5258,19 @@
     }
 
     /**
-     * Inject drag handles next to fee amount fields for swapping fees
-     */
-    function injectFeeSwapHandles() {
-        logger.debug("Injecting fee swap drag handles...");
-
-        // Find all fee amount cells in the fees table
-        // Pattern: TransactionFees_0__FeeAmount through TransactionFees_3__FeeAmount
-        const feeIndices = [0, 1, 2, 3]; // POLICY, INSPECTION, BROKER, OTHER
-
-        feeIndices.forEach(index => {
-            // Check if drag handle already exists for this index
-            const existingHandle = document.querySelector(`.fee-drag-handle[data-fee-index="${index}"]`);
-            if (existingHandle) {
-                logger.debug(`Drag handle already exists for fee index ${index}`);
-                return;
-            }
-
-            // Find the hidden input (actual value)
-            const hiddenInput = document.querySelector(`#TransactionFees_${index}__FeeAmount`);
-            if (!hiddenInput) {
-                logger.warn(`Fee input not found for index ${index}`);
-                return;
-            }
-
-            // Find the visible Kendo widget container
-            const kendoContainer = hiddenInput.closest('.k-widget.k-numerictextbox');
-            if (!kendoContainer) {
-                logger.warn(`Kendo container not found for fee index ${index}`);
-                return;
-            }
-
-            // Get the parent div (policyFee, inspectionFee, etc.)
-            const parentDiv = kendoContainer.parentElement;
-            if (!parentDiv) {
-                logger.warn(`Parent div not found for fee index ${index}`);
-                return;
-            }
-
-            // Create drag handle
-            const dragHandle = document.createElement('span');
-            dragHandle.className = 'fee-drag-handle';
-            dragHandle.innerHTML = '⋮⋮'; // Grippy dots
-            dragHandle.draggable = true;
-            dragHandle.setAttribute('data-fee-index', index);
-            dragHandle.title = 'Drag to swap with another fee';
-
-            // Wrap both handle and kendo widget in a flex container for inline display
-            const wrapper = document.createElement('div');
-            wrapper.style.cssText = 'display: flex; align-items: center; gap: 0px;';
-
-            // Insert wrapper before kendo container
-            parentDiv.insertBefore(wrapper, kendoContainer);
-
-            // Move kendo container into wrapper and add handle (handle on the RIGHT)
-            wrapper.appendChild(kendoContainer);
-            wrapper.appendChild(dragHandle);
-
-            logger.debug(`Drag handle injected for fee index ${index}`);
-        });
-
-        // Set up drag event handlers only once
-        setupFeeDragHandlers();
-    }
-
-    /**
-     * Set up drag-and-drop event handlers for fee handles
+     * Let custom step types add their own controls to the page (e.g. the fees table's drag handles)
      */
-    function setupFeeDragHandlers() {
-        const dragHandles = document.querySelectorAll('.fee-drag-handle');
-        let dragSourceIndex = null;
-
-        dragHandles.forEach(handle => {
-            // Skip if handlers already attached
-            if (handle.hasAttribute('data-handlers-attached')) {
-                return;
-            }
-            handle.setAttribute('data-handlers-attached', 'true');
-
-            // dragstart - user starts dragging
-            handle.addEventListener('dragstart', (e) => {
-                dragSourceIndex = parseInt(handle.getAttribute('data-fee-index'));
-                e.dataTransfer.effectAllowed = 'move';
-                e.dataTransfer.setData('text/plain', dragSourceIndex);
-
-                handle.classList.add('dragging');
-                logger.debug(`Drag started from fee index ${dragSourceIndex}`);
-            });
-
-            // dragend - cleanup after drag completes or is cancelled
-            handle.addEventListener('dragend', (e) => {
-                handle.classList.remove('dragging');
-
-                // Remove drop target highlighting from all rows
-                document.querySelectorAll('.fee-drop-target').forEach(row => {
-                    row.classList.remove('fee-drop-target');
-                });
-
-                dragSourceIndex = null;
-                logger.debug("Drag ended");
-            });
-        });
-
-        // Set up drop zones on the fee table rows
-        const feeRows = document.querySelectorAll('tbody tr');
-        feeRows.forEach((row, rowIndex) => {
-            // Check if this row has a fee amount input
-            const feeInput = row.querySelector('input[id*="TransactionFees_"][id*="__FeeAmount"]');
-            if (!feeInput) return;
-
-            // Extract fee index from input ID (e.g., "TransactionFees_2__FeeAmount" -> 2)
-            const match = feeInput.id.match(/TransactionFees_(\d+)__FeeAmount/);
-            if (!match) return;
-
-            const targetIndex = parseInt(match[1]);
-
-            // Skip if handlers already attached
-            if (row.hasAttribute('data-fee-drop-handlers')) {
-                return;
+    function decorateCustomSteps() {
+        if (!window.CustomStepTypes) return;
+        checklist.forEach((step, index) => {
+            const customType = window.CustomStepTypes.forStep(step);
+            if (!customType || typeof customType.decoratePage !== 'function') return;
+            try {
+                customType.decoratePage(step, createCustomStepContext(index));
+            } catch (e) {
+                logger.error(`[Custom] decoratePage failed for "${step.name}":`, e);
             }
-            row.setAttribute('data-fee-drop-handlers', 'true');
-
-            // dragover - allow drop on valid targets
-            row.addEventListener('dragover', (e) => {
-                if (dragSourceIndex === null || dragSourceIndex === targetIndex) {
-                    return; // Can't drop on same row
-                }
-
-                e.preventDefault(); // Allow drop
-                e.dataTransfer.dropEffect = 'move';
-            });
-
-            // dragenter - highlight drop zone
-            row.addEventListener('dragenter', (e) => {
-                if (dragSourceIndex === null || dragSourceIndex === targetIndex) {
-                    return;
-                }
-
-                row.classList.add('fee-drop-target');
-            });
-
-            // dragleave - remove highlight when leaving
-            row.addEventListener('dragleave', (e) => {
-                // Only remove if we're actually leaving the row (not entering a child)
-                if (e.target === row || !row.contains(e.relatedTarget)) {
-                    row.classList.remove('fee-drop-target');
-                }
-            });
-
-            // drop - execute the swap
-            row.addEventListener('drop', (e) => {
-                e.preventDefault();
-
-                if (dragSourceIndex === null || dragSourceIndex === targetIndex) {
-                    return;
-                }
-
-                row.classList.remove('fee-drop-target');
-
-                logger.debug(`Dropping fee ${dragSourceIndex} onto fee ${targetIndex}`);
-                swapFeeValues(dragSourceIndex, targetIndex);
-            });
         });
-
-        logger.debug(`Fee drag handlers set up for ${dragHandles.length} handles`);
-    }
-
-    /**
-     * Swap fee values and taxable checkboxes between two fee rows
-     */
-    function swapFeeValues(sourceIndex, targetIndex) {
-        logger.debug(`Swapping fees: ${sourceIndex} <-> ${targetIndex}`);
-
-        // Access page context jQuery/Kendo (content scripts run in isolated environment)
-        const pageWindow = window.wrappedJSObject || window;
-        const jQuery = pageWindow.jQuery;
-        const kendo = pageWindow.kendo;
-
-        // Check if jQuery is available (needed for Kendo widgets)
-        if (!jQuery || typeof kendo === 'undefined') {
-            logger.error("jQuery or Kendo not available - cannot swap fees");
-            showNotification('⚠️ Cannot swap fees - required libraries not loaded', 'warning');
-            return;
-        }
-
-        try {
-            // Get Kendo NumericTextBox widgets
-            const sourceWidget = jQuery(`#TransactionFees_${sourceIndex}__FeeAmount`).data('kendoNumericTextBox');
-            const targetWidget = jQuery(`#TransactionFees_${targetIndex}__FeeAmount`).data('kendoNumericTextBox');
-
-            if (!sourceWidget || !targetWidget) {
-                logger.error("Kendo widgets not found for fee amounts");
-                showNotification('⚠️ Fee widgets not found', 'warning');
-                return;
-            }
-
-            // Get current values
-            const sourceAmount = sourceWidget.value();
-            const targetAmount = targetWidget.value();
-
-            logger.debug(`Source amount: ${sourceAmount}, Target amount: ${targetAmount}`);
-
-            // Get taxable checkboxes
-            const sourceCheckbox = document.querySelector(`#TransactionFees_${sourceIndex}__IsTaxable`);
-            const targetCheckbox = document.querySelector(`#TransactionFees_${targetIndex}__IsTaxable`);
-
-            if (!sourceCheckbox || !targetCheckbox) {
-                logger.error("Taxable checkboxes not found");
-                showNotification('⚠️ Taxable checkboxes not found', 'warning');
-                return;
-            }
-
-            const sourceTaxable = sourceCheckbox.checked;
-            const targetTaxable = targetCheckbox.checked;
-
-            logger.debug(`Source taxable: ${sourceTaxable}, Target taxable: ${targetTaxable}`);
-
-            // Perform the swap
-            sourceWidget.value(targetAmount);
-            targetWidget.value(sourceAmount);
-
-            sourceCheckbox.checked = targetTaxable;
-            targetCheckbox.checked = sourceTaxable;
-
-            // Trigger change events for form validation
-            sourceWidget.trigger('change');
-            targetWidget.trigger('change');
-
-            // Visual feedback - highlight both rows briefly
-            const sourceRow = document.querySelector(`#TransactionFees_${sourceIndex}__FeeAmount`).closest('tr');
-            const targetRow = document.querySelector(`#TransactionFees_${targetIndex}__FeeAmount`).closest('tr');
-
-            if (sourceRow && targetRow) {
-                sourceRow.classList.add('fee-swapped');
-                targetRow.classList.add('fee-swapped');
-
-                setTimeout(() => {
-                    sourceRow.classList.remove('fee-swapped');
-                    targetRow.classList.remove('fee-swapped');
-                }, 300);
-            }
-
-            logger.debug("Fee swap completed successfully");
-            showNotification('✓ Fees swapped', 'success');
-
-        } catch (error) {
-            logger.error("Error swapping fees:", error);
-            showNotification('⚠️ Error swapping fees', 'warning');
-        }
     }
 
     /**
@@ -4237,105 +5383,124 @@
     }
 
     /**
-     * Toggle between marking all items as checked and restoring previous state
+     * Mark all unchecked items as checked, or undo that if it was the last action
      */
     function toggleMarkChecked() {
+        const lastAction = UndoHistory.peekUndo(undoHistory);
+        if (lastAction && lastAction.markAll) {
+            // UNMARK: the undo history holds the state from before marking
+            logger.debug('Undoing Mark Checked');
+            handleUndo();
+            return;
+        }
+
         const keys = getStorageKeys();
         ext.storage.local.get([keys.checklistState, keys.uiState, keys.viewMode], (result) => {
-            const state = result[keys.checklistState] || checklist.map(() => ({ processed: false, skipped: false }));
-            const btn = document.getElementById('btnMarkChecked');
+            const previousState = result[keys.checklistState] || checklist.map(() => ({ processed: false, skipped: false }));
+
+            // MARK: check every item that is neither checked nor skipped
+            logger.debug('Marking all unchecked items');
+            const state = previousState.map(item => (!item.processed && !item.skipped) ? { processed: true, skipped: false } : item);
+            const changes = UndoHistory.diffStates(previousState, state);
+
+            if (changes.length > 0) {
+                recordUndo({ type: 'state', label: 'Mark Checked', review: false, markAll: true, changes });
 
-            // Check if we're in "marked" mode (have a saved state to restore)
-            if (preMarkCheckedState !== null) {
-                // UNMARK: Restore previous state
-                logger.debug('Restoring pre-mark-checked state');
+                ext.storage.local.set({ [keys.checklistState]: state }, () => {
+                    logger.debug(`Marked ${changes.length} items as checked`);
 
-                ext.storage.local.set({ [keys.checklistState]: preMarkCheckedState }, () => {
-                    // Force update tracking progress to original percentage (bypassing formIsComplete check)
+                    // Force update tracking progress to 100% (bypassing formIsComplete check)
                     if (window.trackingHelper && window.trackingHelper.updateProgress) {
-                        const checkedCount = preMarkCheckedState.filter(item => item.processed).length;
-                        const total = preMarkCheckedState.length;
+                        const checkedCount = state.filter(item => item.processed).length;
+                        const total = state.length;
                         const isReview = window.trackingHelper.isReviewMode || false;
-                        logger.debug(`Force restoring progress to ${checkedCount}/${total} via Unmark Checked button`);
+                        logger.debug('Force updating progress to 100% via Mark Checked button');
                         window.trackingHelper.updateProgress(checkedCount, total, isReview, true); // force=true
                     }
 
-                    // IMPORTANT: Reset formIsComplete flag to allow future tracking updates
+                    // Set formIsComplete = true to prevent subsequent automatic updates
                     if (window.trackingHelper) {
-                        window.trackingHelper.formIsComplete = false;
-                        logger.debug('Reset formIsComplete = false to allow progress updates');
+                        window.trackingHelper.formIsComplete = true;
+                        logger.debug('Set formIsComplete = true to lock progress at 100%');
                     }
 
                     // Update UI
-                    updateAndBroadcast(preMarkCheckedState, result[keys.uiState], result[keys.viewMode], true); // skipTrackingUpdate=true
-
-                    // Clear saved state
-                    preMarkCheckedState = null;
-
-                    // Update button
-                    if (btn) {
-                        btn.textContent = 'Mark Checked';
-                        btn.title = 'Check all unchecked items';
-                        btn.className = 'btn btn-success';
-                    }
-
-                    logger.debug('State restored successfully');
+                    updateAndBroadcast(state, result[keys.uiState], result[keys.viewMode], true); // skipTrackingUpdate=true
                 });
             } else {
-                // MARK: Save current state and mark all items
-                logger.debug('Saving state and marking all unchecked items');
-
-                // Deep clone the current state before modifying
-                preMarkCheckedState = JSON.parse(JSON.stringify(state));
-
-                let markedCount = 0;
-                state.forEach((item, index) => {
-                    if (!item.processed && !item.skipped) {
-                        item.processed = true;
-                        markedCount++;
-                    }
-                });
+                logger.debug("All items already checked");
+            }
+        });
+    }
 
-                if (markedCount > 0) {
-                    ext.storage.local.set({ [keys.checklistState]: state }, () => {
-                        logger.debug(`Marked ${markedCount} items as checked`);
-
-                        // Force update tracking progress to 100% (bypassing formIsComplete check)
-                        if (window.trackingHelper && window.trackingHelper.updateProgress) {
-                            const checkedCount = state.filter(item => item.processed).length;
-                            const total = state.length;
-                            const isReview = window.trackingHelper.isReviewMode || false;
-                            logger.debug('Force updating progress to 100% via Mark Checked button');
-                            window.trackingHelper.updateProgress(checkedCount, total, isReview, true); // force=true
-                        }
+    /**
+     * Show "Unmark Checked" on the Mark Checked button while marking is the action Undo would revert
+     */
+    function updateMarkCheckedButton() {
+        const btn = document.getElementById('btnMarkChecked');
+        if (!btn) return;
+
+        const lastAction = UndoHistory.peekUndo(undoHistory);
+        if (lastAction && lastAction.markAll) {
+            btn.textContent = 'Unmark Checked';
+            btn.title = 'Restore previous checkbox state';
+            btn.className = 'btn btn-warning';
+        } else {
+            btn.textContent = 'Mark Checked';
+            btn.title = 'Check all unchecked items';
+            btn.className = 'btn btn-success';
+        }
+    }
 
-                        // Set formIsComplete = true to prevent subsequent automatic updates
-                        if (window.trackingHelper) {
-                            window.trackingHelper.formIsComplete = true;
-                            logger.debug('Set formIsComplete = true to lock progress at 100%');
-                        }
+    // Alt+Z undoes the last checklist action, Alt+Shift+Z redoes it
+    document.addEventListener('keydown', (e) => {
+        if (!e.altKey || e.ctrlKey || e.metaKey || e.code !== 'KeyZ') return;
+        if (!configLoaded || !myTabId) return;
+        e.preventDefault();
+        if (e.shiftKey) {
+            handleRedo();
+        } else {
+            handleUndo();
+        }
+    });
 
-                        // Update UI
-                        updateAndBroadcast(state, result[keys.uiState], result[keys.viewMode], true); // skipTrackingUpdate=true
+    // Step timing: mouse and keyboard activity keeps the clock running, a hidden tab stops it
+    ['mousemove', 'mousedown', 'keydown', 'wheel', 'scroll'].forEach(type => {
+        document.addEventListener(type, () => {
+            if (!stepClock) return;
+            const now = Date.now();
+            if (now - stepClock.lastActivity < ACTIVITY_THROTTLE) return;
+            stepClock = StepTiming.recordActivity(stepClock, now);
+        }, { capture: true, passive: true });
+    });
+    document.addEventListener('visibilitychange', () => {
+        if (!stepClock) return;
+        // Save on hiding - the tab may be closed without being shown again
+        if (document.hidden) saveStepTime();
+        stepClock = StepTiming.setVisible(stepClock, !document.hidden, Date.now());
+    });
 
-                        // Update button to show undo option
-                        if (btn) {
-                            btn.textContent = 'Unmark Checked';
-                            btn.title = 'Restore previous checkbox state';
-                            btn.className = 'btn btn-warning';
-                        }
-                    });
-                } else {
-                    logger.debug("All items already checked");
-                    // Clear the saved state since nothing changed
-                    preMarkCheckedState = null;
-                }
-            }
-        });
-    }
+    // Edits made on the page itself go into the edit timeline; capture phase so fields that stop
+    // propagation are still seen
+    document.addEventListener('change', handlePageEdit, true);
+    document.addEventListener('input', handlePageEdit, true);
+    document.addEventListener('submit', handleFormSubmit, true);
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) saveTimelineEdits();
+    });
 
     // Cleanup on page unload
     window.addEventListener('beforeunload', () => {
+        if (pageEditTimer) recordPageEdits(pageEditSource);
+        saveTimelineEdits();
+        if (autosaveTimer) {
+            clearInterval(autosaveTimer);
+            autosaveTimer = null;
+        }
+        if (sessionTimer) {
+            clearInterval(sessionTimer);
+            sessionTimer = null;
+        }
         if (visibilityRecoveryInterval) {
             clearInterval(visibilityRecoveryInterval);
             visibilityRecoveryInterval = null;
@@ -0,0 +1,121 @@
+/*************************************************************************************************
+ *  custom-step-types.js - Registry for "custom" checklist step implementations
+ *
+ *  A custom step names its implementation with "custom_type" and passes it settings in "custom":
+ *      { "name": "Fees", "type": "custom", "custom_type": "fees_table", "custom": { "rows": [...] } }
+ *
+ *  An implementation is an object with these hooks (all optional unless noted):
+ *      validate(options, path, issues)    config checks for step.custom ({ severity, path, message, suggestion })
+ *      collectSelectors(step)             [{ path, selector }] for the selector health check (path relative to the step)
+ *      capture(step)                      required - { fieldName: value } snapshot for change tracking
+ *      detectChanges(step, original)      names of changed fields (default: compare capture() with original)
+ *      restore(step, values)              put capture() values back on the page (autosave restore)
+ *      getData(step)                      required - extra fieldData for the renderers (sent to the popout)
+ *      render(data, options)              required - HTML for the step body; options.popout is true in the popout
+ *      attachListeners(container, step, context)      on-page wiring; may return a cleanup function
+ *      attachPopoutListeners(container, data, send)   popout wiring; send(payload) reaches handleAction
+ *      handleAction(step, payload, context)           apply a change made in the popout to the page
+ *      decoratePage(step, context)        one-time additions to the page itself (e.g. drag handles)
+ *      popoutSize                         { width, height } to use a fixed popout window size
+ *
+ *  context is { index, logger, isSuspended(), notify(message, type) } from content.js.
+ *  The module has no page dependencies, so the popout and options pages load it too.
+ *************************************************************************************************/
+(function() {
+    "use strict";
+
+    const types = {};
+    const aliases = {};
+
+    const REQUIRED_HOOKS = ['capture', 'getData', 'render'];
+
+    const CustomStepTypes = {
+        /**
+         * Register an implementation
+         * @param {string} name - Value used in a step's "custom_type"
+         * @param {Object} implementation - Hooks described above
+         * @param {Object} [options] - { aliases: [] } older names that should resolve to this type
+         */
+        register: function(name, implementation, options = {}) {
+            const missing = REQUIRED_HOOKS.filter(hook => typeof implementation[hook] !== 'function');
+            if (missing.length > 0) {
+                throw new Error(`Custom step type "${name}" is missing: ${missing.join(', ')}`);
+            }
+            types[name] = implementation;
+            (options.aliases || []).forEach(alias => {
+                aliases[alias] = name;
+            });
+        },
+
+        /**
+         * @param {string} name - Registered name or alias
+         * @returns {Object|null} Implementation
+         */
+        get: function(name) {
+            if (!name) return null;
+            return types[name] || types[aliases[name]] || null;
+        },
+
+        /**
+         * Registered type names (not aliases)
+         * @returns {string[]}
+         */
+        list: function() {
+            return Object.keys(types);
+        },
+
+        /**
+         * Resolve the type name for a step. Configs written before "custom_type" existed
+         * identified the fees table by its table_id, so that's tried as an alias.
+         * @param {Object} step - Checklist item
+         * @returns {string|null} Registered name
+         */
+        resolveName: function(step) {
+            if (!step || step.type !== 'custom') return null;
+            const name = step.custom_type || step.table_id;
+            if (types[name]) return name;
+            return aliases[name] || null;
+        },
+
+        /**
+         * @param {Object} step - Checklist item
+         * @returns {Object|null} Implementation for a custom step
+         */
+        forStep: function(step) {
+            return this.get(this.resolveName(step));
+        },
+
+        /**
+         * Changed field names for a step, using the implementation's detectChanges or a plain
+         * comparison of capture() with the original snapshot
+         * @param {Object} step - Checklist item
+         * @param {Object} original - Snapshot from capture() when the form loaded
+         * @returns {string[]}
+         */
+        detectChanges: function(step, original) {
+            const implementation = this.forStep(step);
+            if (!implementation) return [];
+            if (typeof implementation.detectChanges === 'function') {
+                return implementation.detectChanges(step, original);
+            }
+            const current = implementation.capture(step);
+            // Loose comparison, like the group fields, so "1" and 1 or "true" and true match
+            return Object.keys(current).filter(name => current[name] != original[name]);
+        },
+
+        /**
+         * Put values from capture() back on the page, if the implementation can
+         * @param {Object} step - Checklist item
+         * @param {Object} values - Some or all of the values capture() returned
+         * @returns {boolean} False if the step's type has no restore hook
+         */
+        restore: function(step, values) {
+            const implementation = this.forStep(step);
+            if (!implementation || typeof implementation.restore !== 'function') return false;
+            implementation.restore(step, values);
+            return true;
+        }
+    };
+
+    window.CustomStepTypes = CustomStepTypes;
+})();
@@ -0,0 +1,117 @@
+/*************************************************************************************************
+ *  edit-timeline.js - Every value change on a tracked form's fields, in order
+ *
+ *  content.js notes each change to a checklist value - group fields, table cells ("Row <n> -
+ *  <column>") and custom step values such as fees - whether it was made on the page itself, in
+ *  the on-page UI, in the popout, by undo/redo, or by restoring autosaved values. Each form's
+ *  history record keeps the list:
+ *      editTimeline: [{ at, stepId, stepName, field, oldValue, newValue, source, review }]
+ *      editTimelineDropped: number of the oldest entries dropped to stay within the limit
+ *  The limit is the config's "edit_timeline_limit" (entries per form, DEFAULT_LIMIT by default).
+ *  Edits to the same field from the same source within MERGE_WINDOW_MS of each other are one
+ *  entry, so typing a value isn't one entry per keystroke. The extended history shows the list.
+ *
+ *  The module has no page dependencies, so the tests load it on its own.
+ *************************************************************************************************/
+(function() {
+    "use strict";
+
+    const DEFAULT_LIMIT = 300;
+    const MERGE_WINDOW_MS = 2000;
+    const MAX_VALUE_LENGTH = 500; // Longer values are cut, so one big text field can't use up the budget
+
+    const SOURCE_LABELS = {
+        'page': 'Page',
+        'on-page-ui': 'On-page UI',
+        'popout': 'Popout',
+        'undo': 'Undo/redo',
+        'restore': 'Autosave restore'
+    };
+
+    function clip(value) {
+        if (typeof value !== 'string' || value.length <= MAX_VALUE_LENGTH) return value;
+        return value.slice(0, MAX_VALUE_LENGTH) + '…';
+    }
+
+    function isSameValue(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    const EditTimeline = {
+        DEFAULT_LIMIT: DEFAULT_LIMIT,
+        MERGE_WINDOW_MS: MERGE_WINDOW_MS,
+        MAX_VALUE_LENGTH: MAX_VALUE_LENGTH,
+        SOURCE_LABELS: SOURCE_LABELS,
+
+        /**
+         * @param {Object} edit - { stepId, stepName, field, oldValue, newValue, source, review }
+         * @param {number} [now] - Timestamp (ms)
+         * @returns {Object} Timeline entry (long values cut to MAX_VALUE_LENGTH)
+         */
+        createEntry: function(edit, now = Date.now()) {
+            return {
+                at: new Date(now).toISOString(),
+                stepId: edit.stepId,
+                stepName: edit.stepName,
+                field: edit.field,
+                oldValue: clip(edit.oldValue),
+                newValue: clip(edit.newValue),
+                source: edit.source,
+                review: !!edit.review
+            };
+        },
+
+        /**
+         * @param {*} limit - "edit_timeline_limit" from the config
+         * @returns {number} The limit, or DEFAULT_LIMIT if it isn't a positive whole number
+         */
+        normalizeLimit: function(limit) {
+            return Number.isInteger(limit) && limit > 0 ? limit : DEFAULT_LIMIT;
+        },
+
+        /**
+         * Add entries to a form's timeline, merging quick successive edits of a field and
+         * dropping the oldest entries over the limit
+         * @param {Array} timeline - The record's editTimeline
+         * @param {Array} entries - From createEntry, oldest first
+         * @param {number} [limit]
+         * @returns {Object} { timeline, dropped } - new timeline (the given one isn't modified)
+         *          and how many entries were dropped
+         */
+        append: function(timeline, entries, limit = DEFAULT_LIMIT) {
+            const result = (timeline || []).slice();
+
+            entries.forEach(entry => {
+                const last = result[result.length - 1];
+                const mergeable = last && last.stepId === entry.stepId && last.field === entry.field &&
+                    last.source === entry.source && last.review === entry.review &&
+                    Date.parse(entry.at) - Date.parse(last.at) <= MERGE_WINDOW_MS;
+
+                if (mergeable) {
+                    result.pop();
+                    const merged = { ...last, at: entry.at, newValue: entry.newValue };
+                    // Typed back to where it started - nothing changed
+                    if (!isSameValue(merged.oldValue, merged.newValue)) result.push(merged);
+                } else if (!isSameValue(entry.oldValue, entry.newValue)) {
+                    result.push(entry);
+                }
+            });
+
+            const dropped = Math.max(0, result.length - this.normalizeLimit(limit));
+            return { timeline: result.slice(dropped), dropped };
+        },
+
+        /**
+         * @param {*} value - Old or new value from an entry (checkboxes are booleans)
+         * @returns {string} For display ("(blank)", "Checked", "Not checked")
+         */
+        formatValue: function(value) {
+            if (value === true) return 'Checked';
+            if (value === false) return 'Not checked';
+            if (Array.isArray(value)) return value.join(', ');
+            return value === undefined || value === null || value === '' ? '(blank)' : String(value);
+        }
+    };
+
+    window.EditTimeline = EditTimeline;
+})();
@@ -216,6 +216,12 @@
         items.forEach(item => {
             const row = createRow(item);
             tbody.appendChild(row);
+
+            const notesRow = createNotesRow(item, row);
+            if (notesRow) tbody.appendChild(notesRow);
+
+            const timelineRow = createTimelineRow(item, row);
+            if (timelineRow) tbody.appendChild(timelineRow);
         });
 
         tableContainer.appendChild(table);
@@ -286,10 +292,19 @@
         const typeStyle = typeChanged ? ' style="color: #28a745; font-weight: 600;"' : '';
         const typeTitle = typeChanged ? ` title="Initial value: ${mapTypeCodeToDescription(item.originalPolicyType)}"` : '';
 
+        const noteCount = Object.keys(item.stepNotes || {}).length;
+        const notesBadge = noteCount > 0
+            ? `<span class="notes-badge" title="Show step notes">📝 ${noteCount}</span>`
+            : '';
+        const editCount = (item.editTimeline || []).length;
+        const timelineBadge = editCount > 0
+            ? `<span class="timeline-badge" title="Show edit timeline">🕘 ${editCount}</span>`
+            : '';
+
         const isChecked = selectedItems.has(item.urlId);
         row.innerHTML = `
             <td class="checkbox-column" style="display: ${deleteMode ? 'table-cell' : 'none'};"><input type="checkbox" class="delete-checkbox" data-url-id="${escapeHtml(item.urlId)}" ${isChecked ? 'checked' : ''}></td>
-            <td><a href="#" class="clickable-link" data-url-id="${escapeHtml(item.urlId)}" title="${escapeHtml(item.url || '')}">${escapeHtml(item.policyNumber || 'N/A')}</a></td>
+            <td><a href="#" class="clickable-link" data-url-id="${escapeHtml(item.urlId)}" title="${escapeHtml(item.url || '')}">${escapeHtml(item.policyNumber || 'N/A')}</a>${notesBadge}${timelineBadge}</td>
             <td>${escapeHtml(item.submissionNumber || 'N/A')}</td>
             <td>${escapeHtml(item.broker || '')}</td>
             <td><span${typeStyle}${typeTitle}>${escapeHtml(fullTypeDescription)}</span></td>
@@ -322,6 +337,80 @@
         return row;
     }
 
+    /**
+     * Hidden row listing the form's step notes, shown by clicking the notes badge
+     */
+    function createNotesRow(item, row) {
+        const notes = Object.values(item.stepNotes || {});
+        if (notes.length === 0) return null;
+
+        const notesRow = document.createElement('tr');
+        notesRow.className = 'notes-row';
+        notesRow.innerHTML = `
+            <td colspan="11">
+                ${notes.map(note => `
+                    <div class="step-note">
+                        <span class="step-note-name">${escapeHtml(note.stepName)}:</span>
+                        <span class="step-note-text">${escapeHtml(note.text)}</span>
+                    </div>
+                `).join('')}
+            </td>
+        `;
+
+        row.querySelector('.notes-badge').addEventListener('click', () => {
+            notesRow.classList.toggle('notes-row-visible');
+        });
+
+        return notesRow;
+    }
+
+    /**
+     * Hidden row with the form's edit timeline (every field edit, oldest first), shown by
+     * clicking the timeline badge
+     */
+    function createTimelineRow(item, row) {
+        const timeline = item.editTimeline || [];
+        if (timeline.length === 0) return null;
+
+        const formatTime = at => new Date(at).toLocaleString('en-US', {
+            month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit'
+        });
+        const dropped = item.editTimelineDropped || 0;
+
+        const timelineRow = document.createElement('tr');
+        timelineRow.className = 'timeline-row';
+        timelineRow.innerHTML = `
+            <td colspan="11">
+                <div class="timeline-title">
+                    Edit timeline (${timeline.length} edit${timeline.length !== 1 ? 's' : ''}${dropped > 0 ? `; ${dropped} older edit${dropped !== 1 ? 's' : ''} no longer kept` : ''})
+                </div>
+                <table class="timeline-table">
+                    <thead>
+                        <tr><th>Time</th><th>Step</th><th>Field</th><th>Old Value</th><th>New Value</th><th>Made In</th></tr>
+                    </thead>
+                    <tbody>
+                        ${timeline.map(entry => `
+                            <tr>
+                                <td>${formatTime(entry.at)}</td>
+                                <td>${escapeHtml(entry.stepName)}</td>
+                                <td>${escapeHtml(entry.field)}</td>
+                                <td>${escapeHtml(EditTimeline.formatValue(entry.oldValue))}</td>
+                                <td>${escapeHtml(EditTimeline.formatValue(entry.newValue))}</td>
+                                <td>${escapeHtml(EditTimeline.SOURCE_LABELS[entry.source] || entry.source)}${entry.review ? ' (review)' : ''}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </td>
+        `;
+
+        row.querySelector('.timeline-badge').addEventListener('click', () => {
+            timelineRow.classList.toggle('timeline-row-visible');
+        });
+
+        return timelineRow;
+    }
+
     function handleDailyReview(completedItems) {
         if (completedItems.length === 0) return;
 
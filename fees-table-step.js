@@ -0,0 +1,604 @@
+/*************************************************************************************************
+ *  fees-table-step.js - "fees_table" custom step type (registered with custom-step-types.js)
+ *
+ *  Mirrors the form's fees grid in the checklist UI. Each fee row is described in the config by
+ *  the selectors of its amount input (the hidden input behind the Kendo NumericTextBox) and its
+ *  taxable checkbox:
+ *      "custom": {
+ *        "rows": [
+ *          { "amount": "#TransactionFees_0__FeeAmount", "taxable": "#TransactionFees_0__IsTaxable" },
+ *          { "amount": "#TransactionFees_3__FeeAmount", "taxable": "#TransactionFees_3__IsTaxable",
+ *            "name": "OTHER FEE", "name_selector": "#TransactionFees_3__OtherFeeType" }
+ *        ],
+ *        "summary": [
+ *          { "label": "Total Fees:", "selector": "#totalFees" },
+ *          { "warning": "The Taxable Premium exceeds $500,000.", "selector": "#highPremiumWarning" }
+ *        ],
+ *        "swap_handles": true
+ *      }
+ *
+ *  A row's name is the value of name_selector when filled in, else "name", else the text of the
+ *  first cell in the row. Summary values are copied from the page; a "warning" item is shown
+ *  while its element is visible. swap_handles adds drag handles for swapping two fees on the page.
+ *************************************************************************************************/
+(function() {
+    "use strict";
+
+    const logger = Logger.create('FeesTable');
+
+    const ROW_KEYS = ['amount', 'taxable', 'name', 'name_selector'];
+    const SUMMARY_KEYS = ['selector', 'label', 'label_selector', 'warning', 'separator', 'emphasis'];
+    const OPTION_KEYS = ['rows', 'summary', 'swap_handles'];
+
+    // Layout of the transaction form's fees grid, used for configs that still identify the step
+    // with "table_id": "feesTable" and have no "custom" options
+    const LEGACY_OPTIONS = {
+        rows: [0, 1, 2, 3].map(i => ({
+            amount: `#TransactionFees_${i}__FeeAmount`,
+            taxable: `#TransactionFees_${i}__IsTaxable`
+        })).map((row, i) => i === 3 ? Object.assign(row, { name: 'OTHER FEE', name_selector: '#TransactionFees_3__OtherFeeType' }) : row),
+        summary: [
+            { label: 'Total Fees:', selector: '#totalFees' },
+            { label: 'Taxable Premium (Includes Fees):', selector: '#taxablePremium' },
+            { warning: 'The Taxable Premium exceeds $500,000. Please verify before continuing.', selector: '#highPremiumWarning' },
+            { label: 'Estimated CA SL State Tax (3%):', selector: '#caStateTax', separator: true, emphasis: true },
+            { label: 'Estimated Stamping Fee:', label_selector: '#estimatedStampingFeePct', selector: '#estimatedStampingFee', emphasis: true }
+        ],
+        swap_handles: true
+    };
+
+    function getOptions(step) {
+        return step.custom || LEGACY_OPTIONS;
+    }
+
+    function escape(text) {
+        const utils = window.ProcessingChecklistUtils;
+        return utils ? utils.escapeHtml(String(text)) : String(text);
+    }
+
+    /**
+     * jQuery and Kendo live in the page; content scripts reach them through wrappedJSObject
+     */
+    function getPageLibraries() {
+        const pageWindow = window.wrappedJSObject || window;
+        return { jQuery: pageWindow.jQuery, kendo: pageWindow.kendo };
+    }
+
+    function getNumericTextBox(amountInput) {
+        const { jQuery, kendo } = getPageLibraries();
+        if (!jQuery || typeof kendo === 'undefined') return null;
+        const widget = jQuery(amountInput).data('kendoNumericTextBox');
+        if (widget) return widget;
+        const wrapper = amountInput.closest('.k-numerictextbox');
+        return wrapper ? jQuery(wrapper).data('kendoNumericTextBox') : null;
+    }
+
+    /**
+     * First non-empty text node of the row's first cell (the fee's printed name)
+     */
+    function readCellName(amountInput) {
+        const row = amountInput ? amountInput.closest('tr') : null;
+        const firstCell = row ? row.querySelector('td') : null;
+        if (!firstCell) return '';
+        const textNodes = Array.from(firstCell.childNodes)
+            .filter(node => node.nodeType === Node.TEXT_NODE)
+            .map(node => node.textContent.trim())
+            .filter(text => text.length > 0);
+        return textNodes[0] || '';
+    }
+
+    /**
+     * Resolve the configured rows against the page
+     * @returns {Array<{index, name, amountInput, taxableCheckbox}>} Rows whose amount input exists
+     */
+    function getRows(step) {
+        const rows = getOptions(step).rows || [];
+        return rows.map((row, index) => {
+            const amountInput = document.querySelector(row.amount);
+            if (!amountInput) return null;
+            const nameInput = row.name_selector ? document.querySelector(row.name_selector) : null;
+            const customName = nameInput ? nameInput.value.trim() : '';
+            return {
+                index: index,
+                name: customName || row.name || readCellName(amountInput) || `Fee ${index}`,
+                amountInput: amountInput,
+                taxableCheckbox: row.taxable ? document.querySelector(row.taxable) : null
+            };
+        }).filter(Boolean);
+    }
+
+    /**
+     * Amount as shown on the page: the Kendo formatted value, else the raw value as currency
+     */
+    function readDisplayAmount(amountInput) {
+        const wrapper = amountInput.closest('.k-numerictextbox') || amountInput.closest('td');
+        const formatted = wrapper ? wrapper.querySelector('.k-formatted-value') : null;
+        if (formatted) {
+            return formatted.value || formatted.textContent.trim() || '$0.00';
+        }
+        const raw = amountInput.value || '0';
+        return isNaN(parseFloat(raw)) ? raw : `$${parseFloat(raw).toFixed(2)}`;
+    }
+
+    /**
+     * Write an amount typed in the checklist UI back to the form
+     */
+    function setAmount(amountInput, value) {
+        const numericValue = String(value).replace(/[$,]/g, '');
+        if (!isNaN(parseFloat(numericValue))) {
+            const parsedValue = parseFloat(numericValue);
+            amountInput.value = parsedValue.toFixed(2);
+
+            const widget = getNumericTextBox(amountInput);
+            if (widget) {
+                logger.debug(`Updating Kendo widget ${amountInput.id} to: ${parsedValue}`);
+                widget.value(parsedValue);
+            } else {
+                logger.warn(`Kendo widget not found for ${amountInput.id}, updating hidden input only`);
+            }
+        } else {
+            amountInput.value = '0';
+        }
+
+        amountInput.dispatchEvent(new Event('input', { bubbles: true }));
+        amountInput.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    function readSummary(step) {
+        const items = getOptions(step).summary || [];
+        return items.map(item => {
+            const element = item.selector ? document.querySelector(item.selector) : null;
+            if (item.warning) {
+                return { warning: item.warning, visible: element ? window.getComputedStyle(element).display !== 'none' : false };
+            }
+            const labelElement = item.label_selector ? document.querySelector(item.label_selector) : null;
+            return {
+                label: (labelElement && labelElement.textContent.trim()) || item.label || '',
+                value: element ? element.textContent.trim() : '$0.00',
+                separator: !!item.separator,
+                emphasis: !!item.emphasis
+            };
+        });
+    }
+
+    function renderSummaryItem(item, i) {
+        if (item.warning !== undefined) {
+            return `
+                <div class="fees-summary-row warning-row" data-summary-index="${i}" style="display: ${item.visible ? 'flex' : 'none'};">
+                    <div class="fees-summary-label" style="color: #dc3545; font-weight: bold;">${escape(item.warning)}</div>
+                </div>
+            `;
+        }
+        const rowClass = item.separator ? 'tax-row' : (item.emphasis ? 'stamping-fee-row' : '');
+        const wrap = text => item.emphasis ? `<strong>${text}</strong>` : text;
+        return `
+            <div class="fees-summary-row ${rowClass}" data-summary-index="${i}">
+                <div class="fees-summary-label">${wrap(escape(item.label))}</div>
+                <div class="fees-summary-value">${wrap(escape(item.value))}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Copy the page's summary values into a rendered fees table
+     */
+    function refreshSummary(container, step) {
+        readSummary(step).forEach((item, i) => {
+            const rowEl = container.querySelector(`.fees-summary [data-summary-index="${i}"]`);
+            if (!rowEl) return;
+            if (item.warning !== undefined) {
+                rowEl.style.display = item.visible ? 'flex' : 'none';
+                return;
+            }
+            const valueEl = rowEl.querySelector('.fees-summary-value');
+            const target = valueEl.querySelector('strong') || valueEl;
+            if (target.textContent !== item.value) target.textContent = item.value;
+        });
+    }
+
+    function addIssue(issues, severity, path, message, suggestion) {
+        issues.push({ severity, path, message, suggestion });
+    }
+
+    function warnUnknownKeys(object, known, path, issues) {
+        Object.keys(object).forEach(key => {
+            if (!known.includes(key)) {
+                addIssue(issues, 'warning', `${path}.${key}`, `unknown property "${key}" will be ignored`, `Use one of: ${known.join(', ')}`);
+            }
+        });
+    }
+
+    // ---------------------------------------------------------------- drag-to-swap on the page
+
+    function swapFees(source, target, context) {
+        logger.debug(`Swapping fees: ${source.index} <-> ${target.index}`);
+
+        const { jQuery, kendo } = getPageLibraries();
+        if (!jQuery || typeof kendo === 'undefined') {
+            logger.error("jQuery or Kendo not available - cannot swap fees");
+            context.notify('⚠️ Cannot swap fees - required libraries not loaded', 'warning');
+            return;
+        }
+
+        const sourceWidget = getNumericTextBox(source.amountInput);
+        const targetWidget = getNumericTextBox(target.amountInput);
+        if (!sourceWidget || !targetWidget) {
+            logger.error("Kendo widgets not found for fee amounts");
+            context.notify('⚠️ Fee widgets not found', 'warning');
+            return;
+        }
+        if (!source.taxableCheckbox || !target.taxableCheckbox) {
+            logger.error("Taxable checkboxes not found");
+            context.notify('⚠️ Taxable checkboxes not found', 'warning');
+            return;
+        }
+
+        try {
+            const sourceAmount = sourceWidget.value();
+            const targetAmount = targetWidget.value();
+            const sourceTaxable = source.taxableCheckbox.checked;
+
+            sourceWidget.value(targetAmount);
+            targetWidget.value(sourceAmount);
+            source.taxableCheckbox.checked = target.taxableCheckbox.checked;
+            target.taxableCheckbox.checked = sourceTaxable;
+
+            // Trigger change events for form validation
+            sourceWidget.trigger('change');
+            targetWidget.trigger('change');
+
+            [source, target].forEach(fee => {
+                const row = fee.amountInput.closest('tr');
+                if (!row) return;
+                row.classList.add('fee-swapped');
+                setTimeout(() => row.classList.remove('fee-swapped'), 300);
+            });
+
+            context.notify('✓ Fees swapped', 'success');
+        } catch (error) {
+            logger.error("Error swapping fees:", error);
+            context.notify('⚠️ Error swapping fees', 'warning');
+        }
+    }
+
+    function injectSwapHandles(step, context) {
+        const fees = getRows(step);
+        let dragSource = null;
+
+        fees.forEach(fee => {
+            if (document.querySelector(`.fee-drag-handle[data-fee-index="${fee.index}"]`)) return;
+
+            const kendoContainer = fee.amountInput.closest('.k-widget.k-numerictextbox');
+            if (!kendoContainer || !kendoContainer.parentElement) {
+                logger.warn(`Kendo container not found for fee "${fee.name}"`);
+                return;
+            }
+
+            const dragHandle = document.createElement('span');
+            dragHandle.className = 'fee-drag-handle';
+            dragHandle.innerHTML = '⋮⋮'; // Grippy dots
+            dragHandle.draggable = true;
+            dragHandle.setAttribute('data-fee-index', fee.index);
+            dragHandle.title = 'Drag to swap with another fee';
+
+            // Wrap handle and widget in a flex container so the handle sits to the right
+            const wrapper = document.createElement('div');
+            wrapper.style.cssText = 'display: flex; align-items: center; gap: 0px;';
+            kendoContainer.parentElement.insertBefore(wrapper, kendoContainer);
+            wrapper.appendChild(kendoContainer);
+            wrapper.appendChild(dragHandle);
+
+            dragHandle.addEventListener('dragstart', (e) => {
+                dragSource = fee;
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', String(fee.index));
+                dragHandle.classList.add('dragging');
+            });
+            dragHandle.addEventListener('dragend', () => {
+                dragHandle.classList.remove('dragging');
+                document.querySelectorAll('.fee-drop-target').forEach(row => row.classList.remove('fee-drop-target'));
+                dragSource = null;
+            });
+
+            const row = fee.amountInput.closest('tr');
+            if (!row || row.hasAttribute('data-fee-drop-handlers')) return;
+            row.setAttribute('data-fee-drop-handlers', 'true');
+
+            const canDrop = () => dragSource !== null && dragSource.index !== fee.index;
+            row.addEventListener('dragover', (e) => {
+                if (!canDrop()) return;
+                e.preventDefault(); // Allow drop
+                e.dataTransfer.dropEffect = 'move';
+            });
+            row.addEventListener('dragenter', () => {
+                if (canDrop()) row.classList.add('fee-drop-target');
+            });
+            row.addEventListener('dragleave', (e) => {
+                // Only remove if we're actually leaving the row (not entering a child)
+                if (e.target === row || !row.contains(e.relatedTarget)) {
+                    row.classList.remove('fee-drop-target');
+                }
+            });
+            row.addEventListener('drop', (e) => {
+                e.preventDefault();
+                if (!canDrop()) return;
+                row.classList.remove('fee-drop-target');
+                // Re-resolve both rows so the swap sees the current elements
+                const current = getRows(step);
+                swapFees(current.find(f => f.index === dragSource.index), current.find(f => f.index === fee.index), context);
+            });
+        });
+
+        logger.debug(`Fee swap handles set up for ${fees.length} fees`);
+    }
+
+    // ---------------------------------------------------------------- the step type
+
+    const FeesTableStep = {
+        popoutSize: { width: 362, height: 650 },
+
+        validate: function(options, path, issues) {
+            warnUnknownKeys(options, OPTION_KEYS, path, issues);
+
+            if (!Array.isArray(options.rows) || options.rows.length === 0) {
+                addIssue(issues, 'error', `${path}.rows`, 'fees_table needs a non-empty "rows" array',
+                    'Add "rows": [{ "amount": "#FeeAmount", "taxable": "#IsTaxable" }]');
+            } else {
+                options.rows.forEach((row, i) => {
+                    const rowPath = `${path}.rows[${i}]`;
+                    if (typeof row !== 'object' || row === null) {
+                        addIssue(issues, 'error', rowPath, 'must be an object', 'Wrap the entry in { }');
+                        return;
+                    }
+                    ['amount', 'taxable'].forEach(key => {
+                        if (typeof row[key] !== 'string' || !row[key]) {
+                            addIssue(issues, 'error', `${rowPath}.${key}`, `missing required "${key}" selector`, `Add "${key}": "#Selector"`);
+                        }
+                    });
+                    warnUnknownKeys(row, ROW_KEYS, rowPath, issues);
+                });
+            }
+
+            if ('summary' in options) {
+                if (!Array.isArray(options.summary)) {
+                    addIssue(issues, 'error', `${path}.summary`, 'must be an array', 'Use "summary": []');
+                    return;
+                }
+                options.summary.forEach((item, i) => {
+                    const itemPath = `${path}.summary[${i}]`;
+                    if (typeof item !== 'object' || item === null) {
+                        addIssue(issues, 'error', itemPath, 'must be an object', 'Wrap the entry in { }');
+                        return;
+                    }
+                    if (typeof item.selector !== 'string' || !item.selector) {
+                        addIssue(issues, 'error', `${itemPath}.selector`, 'missing required "selector"', 'Add "selector": "#SummaryValue"');
+                    }
+                    warnUnknownKeys(item, SUMMARY_KEYS, itemPath, issues);
+                });
+            }
+        },
+
+        collectSelectors: function(step) {
+            const options = getOptions(step);
+            const entries = [];
+            (options.rows || []).forEach((row, i) => {
+                ['amount', 'taxable', 'name_selector'].forEach(key => {
+                    if (row[key]) entries.push({ path: `custom.rows[${i}].${key}`, selector: row[key] });
+                });
+            });
+            (options.summary || []).forEach((item, i) => {
+                ['selector', 'label_selector'].forEach(key => {
+                    if (item[key]) entries.push({ path: `custom.summary[${i}].${key}`, selector: item[key] });
+                });
+            });
+            return entries;
+        },
+
+        capture: function(step) {
+            const values = {};
+            getRows(step).forEach(fee => {
+                values[`${fee.name} Taxable`] = fee.taxableCheckbox ? fee.taxableCheckbox.checked : false;
+                values[`${fee.name} Amount`] = fee.amountInput.value;
+            });
+            return values;
+        },
+
+        restore: function(step, values) {
+            getRows(step).forEach(fee => {
+                const taxable = values[`${fee.name} Taxable`];
+                if (taxable !== undefined && fee.taxableCheckbox && fee.taxableCheckbox.checked !== !!taxable) {
+                    fee.taxableCheckbox.checked = !!taxable;
+                    fee.taxableCheckbox.dispatchEvent(new Event('change', { bubbles: true }));
+                }
+                const amount = values[`${fee.name} Amount`];
+                if (amount !== undefined) setAmount(fee.amountInput, amount);
+            });
+        },
+
+        getData: function(step) {
+            return {
+                feeRows: getRows(step).map(fee => ({
+                    index: fee.index,
+                    name: fee.name,
+                    taxable: fee.taxableCheckbox ? fee.taxableCheckbox.checked : false,
+                    amount: readDisplayAmount(fee.amountInput)
+                })),
+                summary: readSummary(step)
+            };
+        },
+
+        render: function(data, options = {}) {
+            if (!data.feeRows || data.feeRows.length === 0) {
+                return '<div class="table-empty">No fees data</div>';
+            }
+            const suffix = options.popout ? '-popout' : '';
+
+            const feeRowsHtml = data.feeRows.map(fee => `
+                <div class="fees-table-row">
+                    <div class="fee-name">${escape(fee.name)}</div>
+                    <div class="fee-taxable">
+                        <input type="checkbox" ${fee.taxable ? 'checked' : ''}
+                               data-fee-index="${fee.index}"
+                               class="fee-input-taxable${suffix}"
+                               style="cursor: pointer;">
+                    </div>
+                    <div class="fee-amount">
+                        <input type="text"
+                               value="${escape(fee.amount)}"
+                               data-fee-index="${fee.index}"
+                               class="fee-input-amount${suffix}"
+                               placeholder="$0.00">
+                    </div>
+                </div>
+            `).join('');
+
+            const summaryHtml = data.summary && data.summary.length > 0
+                ? `<div class="fees-summary">${data.summary.map(renderSummaryItem).join('')}</div>`
+                : '';
+
+            return `
+                <div class="fees-table-container">
+                    <div class="fees-table-header">
+                        <div class="fee-name-header">Fee Name</div>
+                        <div class="fee-taxable-header">Taxable</div>
+                        <div class="fee-amount-header">Fee Amount</div>
+                    </div>
+                    ${feeRowsHtml}
+                    ${summaryHtml}
+                </div>
+            `;
+        },
+
+        /**
+         * Two-way sync between the checklist's fee inputs and the form
+         */
+        attachListeners: function(container, step, context) {
+            const fees = getRows(step);
+            const cleanups = [];
+
+            container.querySelectorAll('.fee-input-taxable').forEach(input => {
+                const fee = fees.find(f => f.index === parseInt(input.getAttribute('data-fee-index'), 10));
+                if (!fee || !fee.taxableCheckbox) return;
+                const formCheckbox = fee.taxableCheckbox;
+
+                input.addEventListener('change', () => {
+                    if (context.isSuspended()) return;
+                    formCheckbox.checked = input.checked;
+                    formCheckbox.dispatchEvent(new Event('change', { bubbles: true }));
+                });
+
+                const syncFromForm = () => {
+                    if (context.isSuspended()) return;
+                    if (input.checked !== formCheckbox.checked) input.checked = formCheckbox.checked;
+                };
+                formCheckbox.addEventListener('change', syncFromForm);
+                cleanups.push(() => formCheckbox.removeEventListener('change', syncFromForm));
+            });
+
+            container.querySelectorAll('.fee-input-amount').forEach(input => {
+                const fee = fees.find(f => f.index === parseInt(input.getAttribute('data-fee-index'), 10));
+                if (!fee) return;
+                const formInput = fee.amountInput;
+
+                input.addEventListener('blur', () => {
+                    if (context.isSuspended()) return;
+                    setAmount(formInput, input.value);
+                });
+                input.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter') {
+                        e.preventDefault();
+                        input.blur(); // This will trigger the blur event
+                    }
+                });
+
+                // Form to UI: watch the Kendo formatted value and the hidden input
+                const syncFromForm = () => {
+                    if (context.isSuspended() || input === document.activeElement) return;
+                    const newValue = readDisplayAmount(formInput);
+                    if (input.value !== newValue) input.value = newValue;
+                };
+                const observer = new MutationObserver(syncFromForm);
+                const formatted = (formInput.closest('.k-numerictextbox') || formInput.closest('td') || formInput).querySelector('.k-formatted-value');
+                if (formatted) {
+                    observer.observe(formatted, { attributes: true, attributeFilter: ['value'], characterData: true, childList: true, subtree: true });
+                }
+                observer.observe(formInput, { attributes: true, attributeFilter: ['value'] });
+                formInput.addEventListener('input', syncFromForm);
+                cleanups.push(() => {
+                    observer.disconnect();
+                    formInput.removeEventListener('input', syncFromForm);
+                });
+            });
+
+            // Keep the summary values in step with the page's own calculations
+            const summaryElements = (getOptions(step).summary || [])
+                .map(item => item.selector && document.querySelector(item.selector))
+                .filter(Boolean);
+            if (summaryElements.length > 0) {
+                const summaryObserver = new MutationObserver(() => {
+                    if (!context.isSuspended()) refreshSummary(container, step);
+                });
+                summaryElements.forEach(element => {
+                    summaryObserver.observe(element, {
+                        childList: true,
+                        characterData: true,
+                        subtree: true,
+                        attributes: true,
+                        attributeFilter: ['style'] // For warning display changes
+                    });
+                });
+                cleanups.push(() => summaryObserver.disconnect());
+            }
+
+            logger.debug(`Attached listeners for ${fees.length} fees and ${summaryElements.length} summary values`);
+            return () => cleanups.forEach(cleanup => cleanup());
+        },
+
+        attachPopoutListeners: function(container, data, send) {
+            container.querySelectorAll('.fee-input-taxable-popout').forEach(input => {
+                input.addEventListener('change', () => {
+                    send({ field: 'taxable', feeIndex: parseInt(input.getAttribute('data-fee-index'), 10), value: input.checked });
+                });
+            });
+            container.querySelectorAll('.fee-input-amount-popout').forEach(input => {
+                input.addEventListener('blur', () => {
+                    send({ field: 'amount', feeIndex: parseInt(input.getAttribute('data-fee-index'), 10), value: input.value });
+                });
+                input.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter') {
+                        e.preventDefault();
+                        input.blur();
+                    }
+                });
+            });
+        },
+
+        handleAction: function(step, payload) {
+            const fee = getRows(step).find(f => f.index === payload.feeIndex);
+            if (!fee) {
+                logger.warn(`Fee row ${payload.feeIndex} not found`);
+                return;
+            }
+            logger.debug(`Popout updating ${payload.field} of "${fee.name}" = ${payload.value}`);
+            if (payload.field === 'taxable' && fee.taxableCheckbox) {
+                fee.taxableCheckbox.checked = !!payload.value;
+                fee.taxableCheckbox.dispatchEvent(new Event('change', { bubbles: true }));
+            } else if (payload.field === 'amount') {
+                setAmount(fee.amountInput, payload.value);
+            }
+        },
+
+        decoratePage: function(step, context) {
+            if (getOptions(step).swap_handles) {
+                injectSwapHandles(step, context);
+            }
+        }
+    };
+
+    if (window.CustomStepTypes) {
+        // "feesTable" is the table_id configs used before custom_type existed
+        window.CustomStepTypes.register('fees_table', FeesTableStep, { aliases: ['feesTable'] });
+    } else {
+        logger.error('custom-step-types.js must be loaded before fees-table-step.js');
+    }
+})();
@@ -0,0 +1,140 @@
+/*************************************************************************************************
+ *  field-rules.js - Declarative per-field validation rules for checklist group fields
+ *
+ *  A group field can carry a "rules" object:
+ *      { "name": "Zip", "selector": "#Zip", "type": "text",
+ *        "rules": { "required": true, "pattern": "^\\d{5}$", "message": "Zip must be 5 digits" } }
+ *
+ *  Supported rules:
+ *      required     - value must not be empty (checkboxes must be checked)
+ *      pattern      - regular expression the value must match ("message" overrides the text)
+ *      min / max    - numeric range; "$", commas and spaces are ignored ("$1,250.00" -> 1250)
+ *      date_format  - one of DATE_FORMATS, and the date must exist on the calendar
+ *      max_length   - maximum number of characters
+ *      allowed      - list of allowed values for selects (matches option value or option text)
+ *
+ *  Apart from "required", rules only apply once the field has a value, so an empty optional
+ *  field never reports a format problem.
+ *************************************************************************************************/
+(function() {
+    "use strict";
+
+    const RULE_KEYS = ['required', 'pattern', 'message', 'min', 'max', 'date_format', 'max_length', 'allowed'];
+    const DATE_FORMATS = ['MM/DD/YYYY', 'M/D/YYYY', 'YYYY-MM-DD'];
+
+    const DATE_PATTERNS = {
+        'MM/DD/YYYY': /^(\d{2})\/(\d{2})\/(\d{4})$/,
+        'M/D/YYYY': /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/,
+        'YYYY-MM-DD': /^(\d{4})-(\d{2})-(\d{2})$/
+    };
+
+    /**
+     * Parse a number the way it's typed on the page ("$1,250.00", "12 500")
+     * @returns {number} Parsed number, or NaN
+     */
+    function parseNumber(value) {
+        const cleaned = String(value).replace(/[$,\s]/g, '');
+        return cleaned === '' ? NaN : Number(cleaned);
+    }
+
+    /**
+     * Check a date string against a format and the calendar (rejects 02/30/2024)
+     */
+    function isValidDate(value, format) {
+        const match = DATE_PATTERNS[format] && String(value).match(DATE_PATTERNS[format]);
+        if (!match) return false;
+        const [year, month, day] = format === 'YYYY-MM-DD'
+            ? [match[1], match[2], match[3]].map(Number)
+            : [match[3], match[1], match[2]].map(Number);
+        const date = new Date(year, month - 1, day);
+        return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+    }
+
+    const FieldRules = {
+        RULE_KEYS: RULE_KEYS,
+        DATE_FORMATS: DATE_FORMATS,
+
+        /**
+         * The value a rule should test for a field read by getFieldData
+         * @param {Object} fieldData - { type, value, options?, divText? }
+         * @returns {string|boolean} Checkbox/radio state as boolean, everything else as trimmed text
+         */
+        getValue: function(fieldData) {
+            if (fieldData.type === 'checkbox' || (fieldData.type === 'radio' && typeof fieldData.value === 'boolean')) {
+                return !!fieldData.value;
+            }
+            if (fieldData.type === 'labelWithDivText') {
+                return String(fieldData.divText || '').trim();
+            }
+            const value = fieldData.value;
+            return value === null || value === undefined ? '' : String(value).trim();
+        },
+
+        /**
+         * Check a field's current value against its rules
+         * @param {Object} rules - The field's "rules" object from the config
+         * @param {Object} fieldData - Field data as read from the page
+         * @returns {string[]} Violation messages (empty when the value passes)
+         */
+        check: function(rules, fieldData) {
+            if (!rules) return [];
+            const value = this.getValue(fieldData);
+            const violations = [];
+
+            if (value === true || value === false) {
+                if (rules.required && !value) violations.push('Must be checked');
+                return violations;
+            }
+
+            if (value === '') {
+                if (rules.required) violations.push('Required');
+                return violations;
+            }
+
+            if (rules.pattern) {
+                let regex = null;
+                try {
+                    regex = new RegExp(rules.pattern);
+                } catch (e) {
+                    violations.push(`Invalid pattern in config: ${rules.pattern}`);
+                }
+                if (regex && !regex.test(value)) {
+                    violations.push(rules.message || 'Does not match the expected format');
+                }
+            }
+
+            if (rules.min !== undefined || rules.max !== undefined) {
+                const number = parseNumber(value);
+                if (isNaN(number)) {
+                    violations.push('Must be a number');
+                } else if (rules.min !== undefined && number < rules.min) {
+                    violations.push(`Must be at least ${rules.min}`);
+                } else if (rules.max !== undefined && number > rules.max) {
+                    violations.push(`Must be at most ${rules.max}`);
+                }
+            }
+
+            if (rules.date_format && !isValidDate(value, rules.date_format)) {
+                violations.push(`Must be a valid date (${rules.date_format})`);
+            }
+
+            if (rules.max_length !== undefined && value.length > rules.max_length) {
+                violations.push(`Must be ${rules.max_length} characters or fewer (has ${value.length})`);
+            }
+
+            if (Array.isArray(rules.allowed)) {
+                const candidates = [value.toLowerCase()];
+                const selected = (fieldData.options || []).find(opt => String(opt.value) === String(fieldData.value));
+                if (selected) candidates.push(String(selected.text).trim().toLowerCase());
+                const allowed = rules.allowed.map(item => String(item).trim().toLowerCase());
+                if (!candidates.some(candidate => allowed.includes(candidate))) {
+                    violations.push(`Must be one of: ${rules.allowed.join(', ')}`);
+                }
+            }
+
+            return violations;
+        }
+    };
+
+    window.FieldRules = FieldRules;
+})();
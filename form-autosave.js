@@ -0,0 +1,124 @@
+/*************************************************************************************************
+ *  form-autosave.js - Copies of unsaved form values, in case the form is lost before Save
+ *
+ *  While a form is open, content.js copies the values of the checklist's fields, table cells and
+ *  custom steps (e.g. fees) into storage every SNAPSHOT_INTERVAL_MS and when the form is submitted:
+ *      autosave_<urlId>: { urlId, savedAt, values: { stepId: { fieldName: value } } }
+ *  values has the shape of a tracking record's originalFieldValues. A snapshot is only kept while
+ *  the page has values that differ from the ones it loaded with.
+ *
+ *  After a Save, the next page the tab loads tells whether it went through: on any page but the
+ *  login page or the form itself, the snapshot is removed. When the form is opened again, the
+ *  snapshot is compared with the page. If nothing differs, the values were saved and the snapshot
+ *  is removed; otherwise the processor is offered to restore the values that differ. Snapshots
+ *  older than MAX_AGE_MS are removed (background.js also removes them at startup).
+ *
+ *  The module has no page dependencies, so the tests load it on its own.
+ *************************************************************************************************/
+(function() {
+    "use strict";
+
+    const SNAPSHOT_INTERVAL_MS = 10 * 1000;
+    const MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+    const KEY_PREFIX = 'autosave_';
+
+    /**
+     * Comparable form of a value, so the way RAPID shows a saved value ("1,000.00" for "1000",
+     * "03/07/2025" for "3/7/2025", different case or spacing) doesn't count as a difference
+     */
+    function normalize(value) {
+        if (typeof value === 'boolean') return String(value);
+        if (Array.isArray(value)) return JSON.stringify(value.map(normalize));
+        const text = String(value === undefined || value === null ? '' : value).trim().replace(/\s+/g, ' ');
+
+        const number = text.replace(/[$,\s]/g, '');
+        if (/^-?\d+(\.\d+)?$/.test(number)) return String(parseFloat(number));
+
+        const date = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+        if (date) return `${date[3]}-${date[1].padStart(2, '0')}-${date[2].padStart(2, '0')}`;
+
+        return text.toLowerCase();
+    }
+
+    const FormAutosave = {
+        SNAPSHOT_INTERVAL_MS: SNAPSHOT_INTERVAL_MS,
+        MAX_AGE_MS: MAX_AGE_MS,
+
+        /**
+         * @param {string} urlId - Transaction id from the form's URL
+         * @returns {string} Storage key of the form's snapshot
+         */
+        getStorageKey: function(urlId) {
+            return `${KEY_PREFIX}${urlId}`;
+        },
+
+        /**
+         * @param {string} key - Storage key
+         * @returns {boolean} True for snapshot keys
+         */
+        isSnapshotKey: function(key) {
+            return key.startsWith(KEY_PREFIX);
+        },
+
+        /**
+         * @param {string} urlId
+         * @param {Object} values - { stepId: { fieldName: value } }
+         * @param {number} [now] - Timestamp (ms)
+         * @returns {Object} Snapshot to store
+         */
+        createSnapshot: function(urlId, values, now = Date.now()) {
+            return { urlId, savedAt: new Date(now).toISOString(), values };
+        },
+
+        /**
+         * @param {Object} snapshot
+         * @param {number} [now]
+         * @returns {boolean} True if the snapshot is too old to offer (or unreadable)
+         */
+        isExpired: function(snapshot, now = Date.now()) {
+            const savedAt = snapshot && Date.parse(snapshot.savedAt);
+            return !savedAt || now - savedAt > MAX_AGE_MS;
+        },
+
+        /**
+         * @returns {boolean} True if a and b only differ in how they are written
+         */
+        isSameValue: function(a, b) {
+            return normalize(a) === normalize(b);
+        },
+
+        /**
+         * Values that differ between a snapshot and the page. Fields the page doesn't have
+         * (any more) are left out - there is nowhere to restore them to.
+         * @param {Object} saved - Snapshot values
+         * @param {Object} current - The page's values, same shape
+         * @returns {Array} [{ stepId, field, saved, current }]
+         */
+        findDifferences: function(saved, current) {
+            const differences = [];
+            Object.keys(saved || {}).forEach(stepId => {
+                const pageValues = (current || {})[stepId];
+                if (!pageValues) return;
+                Object.keys(saved[stepId]).forEach(field => {
+                    if (!Object.prototype.hasOwnProperty.call(pageValues, field)) return;
+                    if (this.isSameValue(saved[stepId][field], pageValues[field])) return;
+                    differences.push({ stepId, field, saved: saved[stepId][field], current: pageValues[field] });
+                });
+            });
+            return differences;
+        },
+
+        /**
+         * @param {*} value - Snapshot or page value (checkboxes are booleans)
+         * @returns {string} For display ("(blank)", "Checked", "Not checked")
+         */
+        formatValue: function(value) {
+            if (value === true) return 'Checked';
+            if (value === false) return 'Not checked';
+            if (Array.isArray(value)) return value.join(', ');
+            return value === undefined || value === null || value === '' ? '(blank)' : String(value);
+        }
+    };
+
+    window.FormAutosave = FormAutosave;
+})();
@@ -11,20 +11,6 @@
     // CONFIGURATION
     // ============================================================================
 
-    /**
-     * URL patterns that trigger the widget
-     * UPDATE THIS ARRAY to match your RAPID insurer search URLs
-     * Examples:
-     * - 'rapid.slacal.com/search/insurer'
-     * - 'CompanyDetails.aspx'
-     * - 'AdmittedCompaniesDetails.aspx'
-     */
-    const INSURER_URL_PATTERNS = [
-        'CompanyDetails.aspx',
-        'AdmittedCompaniesDetails.aspx',
-        'rapid.slacal.com/Insurer/Search'
-    ];
-
     const MAX_HISTORY_ITEMS = 10;
     const STORAGE_KEY = 'insurer_history';
     const logger = Logger.create('InsurerHistory');
@@ -34,11 +20,10 @@
     // ============================================================================
 
     /**
-     * Check if current URL matches any of the configured patterns
+     * Check if the current URL is an insurer page (patterns are in url-routes.js)
      */
     function isInsurerPage() {
-        const url = window.location.href;
-        return INSURER_URL_PATTERNS.some(pattern => url.includes(pattern));
+        return UrlRoutes.isPageKind(window.location.href, UrlRoutes.PAGE_KINDS.INSURER);
     }
 
     // Browser extension API compatibility
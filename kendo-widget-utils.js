@@ -49,6 +49,27 @@
             return null;
         },
 
+        /**
+         * Focus the input a user types into. Kendo hides the original element behind its own
+         * markup, so widgets are focused through their API (or their wrapper's input).
+         * @param {HTMLElement} element - The original element
+         * @returns {boolean} True if something was focused
+         */
+        focusWidget: function(element) {
+            const widgetType = this.isKendoAvailable() ? this.detectWidgetType(element) : null;
+            const widget = widgetType ? window.$(element).data(`kendo${widgetType}`) : null;
+            if (widget && typeof widget.focus === 'function') {
+                widget.focus();
+                return true;
+            }
+
+            const wrapper = widget && widget.wrapper ? widget.wrapper[0] : null;
+            const target = (wrapper && wrapper.querySelector('input:not([type="hidden"]), [tabindex]')) || element;
+            if (typeof target.focus !== 'function') return false;
+            target.focus({ preventScroll: true });
+            return document.activeElement === target;
+        },
+
         /**
          * Check if Kendo UI and jQuery are available
          * @returns {boolean}
@@ -106,6 +127,24 @@
             return true;
         },
 
+        /**
+         * Call handler when the user changes a widget's value. Kendo triggers its change event
+         * through jQuery, so listeners added with addEventListener never see it.
+         * @param {HTMLElement} element - The element with Kendo widget
+         * @param {Function} handler - Called with the widget's change event
+         * @returns {Function|null} Removes the handler, or null if the element has no widget
+         */
+        onWidgetChange: function(element, handler) {
+            const widgetType = this.isKendoAvailable() ? this.detectWidgetType(element) : null;
+            const widget = widgetType ? window.$(element).data(`kendo${widgetType}`) : null;
+            if (!widget || typeof widget.bind !== 'function') {
+                return null;
+            }
+
+            widget.bind('change', handler);
+            return () => widget.unbind('change', handler);
+        },
+
         /**
          * Create a simple replacement input for when Kendo cloning isn't possible
          * @param {Object} field - Field configuration
@@ -8,20 +8,12 @@
     const ext = (typeof browser !== 'undefined') ? browser : chrome;
     let currentTabId = null;
 
-    function isFormPage(url) {
-        if (!url) return false;
-
-        // Default URL patterns - edit here to add more patterns
-        // These should match the patterns in checklist-config.json
-        const patterns = ['index.html', 'rapid.slacal.com/Policy'];
-
-        for (const p of patterns) {
-            if (url.includes(p)) {
-                return true;
-            }
-        }
-
-        return false;
+    /**
+     * Whether a URL is a checklist form page, using the profiles' url_pattern (see url-routes.js)
+     */
+    async function isFormPage(url) {
+        const page = await UrlRoutes.identifyPage(url);
+        return !!page && page.kind === UrlRoutes.PAGE_KINDS.FORM;
     }
 
     function updatePopoutButton(enabled) {
@@ -52,20 +44,24 @@
                 port = null;
             });
 
-            // Load the default UI visibility setting
-            ext.storage.local.get('defaultUIVisible', (result) => {
+            // Load the default UI visibility and blind review settings
+            ext.storage.local.get(['defaultUIVisible', 'blindReview'], (result) => {
                 const checkbox = document.getElementById('default-ui-visible');
                 if (checkbox) {
                     checkbox.checked = result.defaultUIVisible === true; // Default to false if not set
                 }
+                const blindCheckbox = document.getElementById('blind-review');
+                if (blindCheckbox) {
+                    blindCheckbox.checked = result.blindReview === true;
+                }
             });
 
             // Query current tab to check URL and get tab ID
-            ext.tabs.query({ active: true, currentWindow: true }).then((tabs) => {
+            ext.tabs.query({ active: true, currentWindow: true }).then(async (tabs) => {
                 if (tabs.length > 0) {
                     const currentTab = tabs[0];
                     currentTabId = currentTab.id;
-                    const isFormPageActive = isFormPage(currentTab.url);
+                    const isFormPageActive = await isFormPage(currentTab.url);
                     updatePopoutButton(isFormPageActive);
 
                     // Also update toggle-ui button
@@ -96,6 +92,22 @@
                 }
             });
 
+            document.getElementById('diagnostics-button').addEventListener('click', () => {
+                dbg("Selector Health Check button clicked.");
+                if (port && currentTabId) {
+                    port.postMessage({ action: 'toggleDiagnostics', tabId: currentTabId });
+                }
+            });
+
+            document.getElementById('picker-button').addEventListener('click', () => {
+                dbg("Pick Field Selector button clicked.");
+                if (port && currentTabId) {
+                    port.postMessage({ action: 'startSelectorPicker', tabId: currentTabId });
+                    // Close the menu so the page can be clicked
+                    window.close();
+                }
+            });
+
             document.getElementById('tracking-button').addEventListener('click', () => {
                 dbg("Tracking button clicked.");
                 if (port) {
@@ -133,10 +145,22 @@
                 }
             });
 
+            document.getElementById('config-editor-button').addEventListener('click', () => {
+                dbg("Config editor button clicked.");
+                ext.runtime.openOptionsPage();
+            });
+
             document.getElementById('reset-button').addEventListener('click', () => {
                 dbg("Reset button clicked.");
                 if (currentTabId) {
-                    ext.storage.local.remove([`checklistState_${currentTabId}`, `uiState_${currentTabId}`]);
+                    // Checklist state is keyed by the form and profile the content script picked for this tab
+                    const profileKey = `activeProfile_${currentTabId}`;
+                    const scopeKey = `stateScope_${currentTabId}`;
+                    ext.storage.local.get([profileKey, scopeKey], (result) => {
+                        const profileId = result[profileKey] || 'default';
+                        const scope = result[scopeKey] || currentTabId;
+                        ext.storage.local.remove([`checklistState_${scope}_${profileId}`, `uiState_${currentTabId}`]);
+                    });
                 }
             });
 
@@ -146,6 +170,12 @@
                 ext.storage.local.set({ defaultUIVisible: e.target.checked });
             });
 
+            // Blind review applies to reviews started from now on (see blind-review.js)
+            document.getElementById('blind-review').addEventListener('change', (e) => {
+                dbg("Blind review changed:", e.target.checked);
+                ext.storage.local.set({ blindReview: e.target.checked });
+            });
+
             // Handle view mode radio buttons
             document.querySelectorAll('input[name="view-mode"]').forEach(radio => {
                 radio.addEventListener('change', handleViewModeChange);
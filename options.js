@@ -0,0 +1,339 @@
+/*************************************************************************************************
+ *  options.js - Checklist config editor. Edits a profile's checklist and stores the result in
+ *  storage.local as an override of the bundled config file (see ConfigLoader.loadProfileConfig).
+ *************************************************************************************************/
+(function() {
+    "use strict";
+
+    const logger = Logger.create('Options');
+    const ext = (typeof browser !== 'undefined') ? browser : chrome;
+    const escapeHtml = window.ProcessingChecklistUtils.escapeHtml;
+
+    const VALIDATION_DELAY = 250; // ms after the last keystroke
+
+    let profiles = [];
+    let currentProfile = null;
+    let workingConfig = null;   // Full config object being edited
+    let selectedIndex = -1;     // -1 = form settings (everything except checklist), otherwise step index
+    let parseError = null;      // JSON syntax error in the editor, if any
+    let validationIssues = [];  // Issues from ConfigLoader.validateConfig
+    let validationRun = 0;      // Ignores results of a validation overtaken by a newer edit
+
+    document.addEventListener('DOMContentLoaded', init);
+
+    async function init() {
+        profiles = await ConfigLoader.loadProfiles();
+
+        const select = document.getElementById('profile-select');
+        profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            select.appendChild(option);
+        });
+        select.addEventListener('change', () => loadProfileIntoEditor(select.value));
+
+        const editor = document.getElementById('step-editor');
+        editor.addEventListener('input', window.ProcessingChecklistUtils.debounce(handleEditorInput, VALIDATION_DELAY));
+        editor.addEventListener('keydown', (e) => {
+            // Keep Tab inside the editor instead of moving focus
+            if (e.key === 'Tab') {
+                e.preventDefault();
+                const start = editor.selectionStart;
+                editor.setRangeText('  ', start, editor.selectionEnd, 'end');
+                editor.dispatchEvent(new Event('input'));
+            }
+        });
+
+        document.getElementById('save-btn').addEventListener('click', saveOverride);
+        document.getElementById('revert-btn').addEventListener('click', revertToBundled);
+        document.getElementById('export-btn').addEventListener('click', exportConfig);
+        document.getElementById('add-step-btn').addEventListener('click', addStep);
+        document.getElementById('move-up-btn').addEventListener('click', () => moveStep(-1));
+        document.getElementById('move-down-btn').addEventListener('click', () => moveStep(1));
+        document.getElementById('delete-step-btn').addEventListener('click', deleteStep);
+
+        if (profiles.length > 0) {
+            loadProfileIntoEditor(profiles[0].id);
+        }
+    }
+
+    /**
+     * Load a profile's override (or bundled file if none) into the editor
+     */
+    async function loadProfileIntoEditor(profileId) {
+        currentProfile = profiles.find(p => p.id === profileId);
+        if (!currentProfile) return;
+
+        const override = await ConfigLoader.getOverride(profileId);
+        if (override) {
+            workingConfig = window.ProcessingChecklistUtils.deepClone(override.config);
+            setStatus(`Using saved override (saved ${new Date(override.savedAt).toLocaleString()})`, true);
+        } else {
+            try {
+                workingConfig = await fetchBundledConfig(currentProfile);
+                setStatus(`Using bundled ${currentProfile.config}`, false);
+            } catch (error) {
+                logger.error("Failed to load bundled config:", error);
+                workingConfig = { metadata: {}, checklist: [] };
+                setStatus(`Could not load ${currentProfile.config}: ${error.message}`, false);
+            }
+        }
+
+        // A config that extends another may leave the checklist to its base
+        if (!Array.isArray(workingConfig.checklist) && !workingConfig.extends) {
+            workingConfig.checklist = [];
+        }
+
+        selectStep(-1);
+    }
+
+    /**
+     * Fetch the raw bundled JSON (unvalidated, so broken files can still be fixed here)
+     */
+    async function fetchBundledConfig(profile) {
+        const response = await fetch(ConfigLoader.getResourceUrl(profile.config));
+        if (!response.ok) {
+            throw new Error(response.statusText);
+        }
+        return response.json();
+    }
+
+    function setStatus(text, isOverride) {
+        const status = document.getElementById('config-status');
+        status.textContent = text;
+        status.classList.toggle('override', isOverride);
+    }
+
+    /**
+     * Everything except the checklist array, edited as "Form Settings"
+     */
+    function getFormSettings() {
+        const settings = { ...workingConfig };
+        delete settings.checklist;
+        return settings;
+    }
+
+    function selectStep(index) {
+        // Don't discard a half-typed edit that doesn't parse yet
+        if (parseError && index !== selectedIndex) {
+            alert('Fix the JSON syntax error before switching steps.');
+            return;
+        }
+
+        selectedIndex = index;
+        const value = index === -1 ? getFormSettings() : workingConfig.checklist[index];
+
+        document.getElementById('editor-title').textContent = index === -1
+            ? 'Form Settings'
+            : `Step ${index + 1}: ${value.name || '(unnamed)'}`;
+
+        const editor = document.getElementById('step-editor');
+        editor.value = JSON.stringify(value, null, 2);
+        editor.classList.remove('invalid');
+        parseError = null;
+
+        renderStepList();
+        runValidation();
+    }
+
+    function renderStepList() {
+        const list = document.getElementById('step-list');
+        const stepsWithErrors = getStepIndicesWithErrors();
+
+        let html = `<li data-index="-1" class="${selectedIndex === -1 ? 'selected' : ''}">⚙ Form Settings</li>`;
+        (workingConfig.checklist || []).forEach((step, i) => {
+            const classes = [];
+            if (i === selectedIndex) classes.push('selected');
+            if (stepsWithErrors.has(i)) classes.push('has-error');
+            html += `
+                <li data-index="${i}" class="${classes.join(' ')}">
+                    ${i + 1}. ${escapeHtml(step.name || '(unnamed)')}
+                    <span class="step-type">${escapeHtml(step.type || '')}</span>
+                </li>
+            `;
+        });
+        list.innerHTML = html;
+
+        list.querySelectorAll('li').forEach(li => {
+            li.addEventListener('click', () => selectStep(parseInt(li.dataset.index, 10)));
+        });
+    }
+
+    /**
+     * Steps that have at least one error, from the issue paths ("checklist[N]...")
+     */
+    function getStepIndicesWithErrors() {
+        const indices = new Set();
+        // checklist_changes reorders the base checklist, so paths don't match the step list
+        if (workingConfig && workingConfig.checklist_changes) return indices;
+        validationIssues.forEach(issue => {
+            const match = issue.severity === 'error' && issue.path.match(/^checklist\[(\d+)\]/);
+            if (match) indices.add(parseInt(match[1], 10));
+        });
+        return indices;
+    }
+
+    function hasValidationErrors() {
+        return validationIssues.some(issue => issue.severity === 'error');
+    }
+
+    function handleEditorInput() {
+        const editor = document.getElementById('step-editor');
+
+        let value;
+        try {
+            value = JSON.parse(editor.value);
+        } catch (error) {
+            parseError = `JSON syntax error: ${error.message}`;
+            editor.classList.add('invalid');
+            runValidation();
+            return;
+        }
+
+        parseError = null;
+        editor.classList.remove('invalid');
+
+        if (selectedIndex === -1) {
+            const checklist = workingConfig.checklist;
+            workingConfig = { ...value };
+            if (checklist) workingConfig.checklist = checklist;
+        } else {
+            workingConfig.checklist[selectedIndex] = value;
+        }
+
+        renderStepList();
+        runValidation();
+    }
+
+    /**
+     * Run the same schema validation ConfigLoader uses on load and list every issue.
+     * A config that "extends" another is validated after merging with its base.
+     */
+    function runValidation() {
+        const run = ++validationRun;
+        ConfigLoader.resolveExtends(workingConfig, currentProfile ? currentProfile.config : undefined).then(resolved => {
+            if (run !== validationRun) return;
+            validationIssues = resolved.issues.concat(ConfigLoader.validateConfig(resolved.config));
+            renderValidation();
+            renderStepList();
+        });
+    }
+
+    function renderValidation() {
+        const panel = document.getElementById('validation-panel');
+        let html = parseError ? `<div class="validation-error">${escapeHtml(parseError)}</div>` : '';
+
+        if (validationIssues.length === 0) {
+            html += parseError ? '' : '<div class="validation-ok">✓ Configuration is valid</div>';
+        } else {
+            html += validationIssues.map(issue => `
+                <div class="validation-${issue.severity}">
+                    <code>${escapeHtml(issue.path || 'config')}</code>${issue.item ? ` (${escapeHtml(issue.item)})` : ''}: ${escapeHtml(issue.message)}
+                    ${issue.suggestion ? `<div class="validation-suggestion">Fix: ${escapeHtml(issue.suggestion)}</div>` : ''}
+                </div>
+            `).join('');
+        }
+        panel.innerHTML = html;
+
+        // Warnings (unknown keys) don't block saving
+        document.getElementById('save-btn').disabled = !!parseError || hasValidationErrors();
+    }
+
+    function saveOverride() {
+        if (parseError || hasValidationErrors() || !currentProfile) return;
+
+        const savedAt = new Date().toISOString();
+        const key = ConfigLoader.getOverrideKey(currentProfile.id);
+        ext.storage.local.set({ [key]: { config: workingConfig, savedAt: savedAt } }, () => {
+            logger.info(`Saved config override for profile "${currentProfile.id}"`);
+            setStatus(`Using saved override (saved ${new Date(savedAt).toLocaleString()})`, true);
+        });
+    }
+
+    function revertToBundled() {
+        if (!currentProfile) return;
+        if (!confirm(`Discard the saved override for "${currentProfile.name}" and go back to ${currentProfile.config}?`)) {
+            return;
+        }
+
+        ext.storage.local.remove(ConfigLoader.getOverrideKey(currentProfile.id), () => {
+            logger.info(`Removed config override for profile "${currentProfile.id}"`);
+            loadProfileIntoEditor(currentProfile.id);
+        });
+    }
+
+    /**
+     * Download the working config so it can be committed as the new bundled file
+     */
+    function exportConfig() {
+        if (!currentProfile) return;
+
+        const blob = new Blob([JSON.stringify(workingConfig, null, 2) + '\n'], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = currentProfile.config.split('/').pop();
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    function createStepTemplate(type) {
+        if (type === 'table') {
+            return {
+                name: 'New Table',
+                type: 'table',
+                table_selector: '',
+                row_selector: 'tbody tr',
+                dynamic: false,
+                columns: [
+                    { name: 'Column 1', selector: 'td:nth-child(1) input', type: 'text' }
+                ]
+            };
+        }
+        if (type === 'virtual') {
+            return { name: 'New Step', type: 'virtual', selector: '' };
+        }
+        return {
+            name: 'New Step',
+            type: 'group',
+            fields: [
+                { name: 'Field 1', selector: '', type: 'text' }
+            ]
+        };
+    }
+
+    function addStep() {
+        if (parseError) return;
+
+        const type = document.getElementById('new-step-type').value;
+        workingConfig.checklist = workingConfig.checklist || [];
+        const insertAt = selectedIndex === -1 ? workingConfig.checklist.length : selectedIndex + 1;
+        workingConfig.checklist.splice(insertAt, 0, createStepTemplate(type));
+        selectStep(insertAt);
+    }
+
+    function moveStep(direction) {
+        if (parseError || selectedIndex === -1) return;
+
+        const target = selectedIndex + direction;
+        if (target < 0 || target >= workingConfig.checklist.length) return;
+
+        const [step] = workingConfig.checklist.splice(selectedIndex, 1);
+        workingConfig.checklist.splice(target, 0, step);
+        selectStep(target);
+    }
+
+    function deleteStep() {
+        if (selectedIndex === -1) return;
+
+        const step = workingConfig.checklist[selectedIndex];
+        if (!confirm(`Delete step "${step.name || selectedIndex + 1}"?`)) return;
+
+        workingConfig.checklist.splice(selectedIndex, 1);
+        parseError = null;
+        selectStep(Math.min(selectedIndex, workingConfig.checklist.length - 1));
+    }
+})();
@@ -636,6 +636,12 @@
         }, 5000);
     }
 
+    // The manifest only narrows where this runs - url-routes.js decides if this is a search page
+    if (!UrlRoutes.isPageKind(window.location.href, UrlRoutes.PAGE_KINDS.POLICY_SEARCH)) {
+        logger.debug("Not a policy search page, skipping auto-fill");
+        return;
+    }
+
     // Initialize when Kendo is ready
     logger.debug("Starting waitForKendo...");
     waitForKendo(() => {
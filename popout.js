@@ -8,6 +8,8 @@
     let port = null;
     let currentIndex = -1;
     let boundTabId = null;
+    let boundProfileId = 'default'; // Checklist profile active in the bound tab (scopes the state key)
+    let boundStateScope = null; // Form (or tab) the bound tab's state is stored under (see UrlRoutes.getStateScope)
     let currentWindowId = null;
     let reconnectAttempts = 0;
     let reconnectTimer = null;
@@ -15,6 +17,13 @@
     let lastKnownState = null;
     let isConnected = false;
     let checklistNames = []; // Store checklist item names
+    let stepActivity = []; // show_if/required_if result per step, from the content script
+    let lastConsistencyHtml = ''; // Last rendered consistency summary, to avoid resizing on every update
+    let currentViolations = []; // Field rule violations for the displayed step ("Field: message")
+    let keyboardMode = false; // Keyboard-only mode: focus follows the current step, Enter confirms
+    let noteIndex = -1; // Step the note field is showing
+    let currentStepIsTable = false; // Tables get a wider window (see resizeWindow)
+    let skipReasons = []; // Reasons offered when skipping (config "skip_reasons"), from the content script
 
     const MAX_RECONNECT_ATTEMPTS = 10;
     const BASE_RECONNECT_DELAY = 1000; // 1 second
@@ -95,11 +104,15 @@
         }
     }
 
+    function getStateKey() {
+        return `checklistState_${boundStateScope || boundTabId}_${boundProfileId}`;
+    }
+
     function startStoragePolling() {
         if (storagePollingTimer) return;
 
         storagePollingTimer = setInterval(() => {
-            const storageKey = `checklistState_${boundTabId}`;
+            const storageKey = getStateKey();
             ext.storage.local.get(storageKey, (result) => {
                 if (result[storageKey]) {
                     const newState = result[storageKey];
@@ -131,18 +144,36 @@
         }
 
         connect();
+        initKeyboardMode();
+        initQuickJump();
 
-        const storageKey = `checklistState_${boundTabId}`;
+        const profileKey = `activeProfile_${boundTabId}`;
+        const scopeKey = `stateScope_${boundTabId}`;
         const viewModeKey = `viewMode_${boundTabId}`;
 
-        ext.storage.local.get([storageKey, viewModeKey, 'defaultViewMode'], (result) => {
-            if (result[storageKey]) {
-                handleStateChange(result[storageKey], result[viewModeKey] || result.defaultViewMode || 'single');
-            }
+        ext.storage.local.get([profileKey, scopeKey, viewModeKey, 'defaultViewMode'], (result) => {
+            boundProfileId = result[profileKey] || 'default';
+            boundStateScope = result[scopeKey] || null;
+            const storageKey = getStateKey();
+            ext.storage.local.get(storageKey, (stateResult) => {
+                if (stateResult[storageKey]) {
+                    handleStateChange(stateResult[storageKey], result[viewModeKey] || result.defaultViewMode || 'single');
+                }
+            });
         });
 
         ext.storage.onChanged.addListener((changes, namespace) => {
             if (namespace === 'local') {
+                // The bound tab navigated to a page that uses a different checklist profile
+                if (changes[profileKey] && changes[profileKey].newValue) {
+                    boundProfileId = changes[profileKey].newValue;
+                }
+                // ...or to another form
+                if (changes[scopeKey] && changes[scopeKey].newValue) {
+                    boundStateScope = changes[scopeKey].newValue;
+                }
+
+                const storageKey = getStateKey();
                 if (changes[storageKey]) {
                     const newValue = changes[storageKey].newValue;
                     if (newValue) {
@@ -242,6 +273,14 @@
             return;
         }
 
+        // Note edited in the on-page UI
+        if (message.action === 'updateStepNote') {
+            if (message.index === noteIndex) {
+                renderStepNote(message.note, message.index);
+            }
+            return;
+        }
+
         // Handle reset complete message
         if (message.action === 'resetComplete') {
             const display = document.getElementById('next-field-display');
@@ -267,6 +306,18 @@
             if (message.state) {
                 lastKnownState = message.state;
             }
+            if (message.stepActivity) {
+                stepActivity = message.stepActivity;
+            }
+            if (message.consistencyResults) {
+                renderConsistencySummary(message.consistencyResults);
+            }
+            if (message.undo) {
+                renderUndoControls(message.undo);
+            }
+            if (message.skipReasons) {
+                skipReasons = message.skipReasons;
+            }
 
             // Check current view mode
             const viewModeKey = `viewMode_${boundTabId}`;
@@ -274,11 +325,15 @@
                 const viewMode = result[viewModeKey] || 'single';
 
                 if (viewMode === 'full') {
-                    renderFullChecklistViewPopout(message.state || lastKnownState);
+                    renderStepNote(null, -1);
+                    renderFullChecklistViewPopout(message.state || lastKnownState, message.index);
                 } else {
+                    renderStepNote(message.note, message.index);
                     if (message.index !== currentIndex) {
                         currentIndex = message.index;
+                        currentStepIsTable = !!(message.fieldData && message.fieldData.type === 'table');
                         renderField(message.fieldData, message.policyNumber, viewMode, message.canGoBack);
+                        focusCurrentStep();
                     } else {
                         updateFieldValues(message.fieldData);
                         // Update back button state
@@ -293,6 +348,112 @@
         }
     }
 
+    /**
+     * List failing consistency rules (evaluated by the content script) below the step
+     */
+    function renderConsistencySummary(results) {
+        const summary = document.getElementById('consistency-summary');
+        if (!summary || !window.ConsistencyRules) return;
+
+        const failures = window.ConsistencyRules.getFailures(results);
+        const escape = window.ProcessingChecklistUtils ? window.ProcessingChecklistUtils.escapeHtml : (text => text);
+        const html = failures.length === 0 ? '' : `
+            <div class="consistency-header">${failures.length} consistency ${failures.length === 1 ? 'problem' : 'problems'}</div>
+            ${failures.map(failure => `
+                <div class="consistency-item ${failure.severity}">
+                    <div class="consistency-item-name">${failure.severity === 'warning' ? '⚠' : '✗'} ${escape(failure.name)}</div>
+                    <div class="consistency-item-message">${escape(failure.message)}</div>
+                </div>
+            `).join('')}
+        `;
+        if (html === lastConsistencyHtml) return;
+        lastConsistencyHtml = html;
+        summary.innerHTML = html;
+        resizeWindow();
+    }
+
+    /**
+     * Undo/Redo buttons below the step (the history itself is kept by the content script)
+     * @param {Object} summary - { canUndo, canRedo, undoLabel, redoLabel }
+     */
+    function renderUndoControls(summary) {
+        const controls = document.getElementById('undo-controls');
+        if (!controls) return;
+
+        if (!controls.firstChild) {
+            controls.innerHTML = `
+                <div class="undo-row">
+                    <button id="undo-button" class="undo-btn">↶ Undo</button>
+                    <button id="redo-button" class="undo-btn">↷ Redo</button>
+                </div>
+            `;
+            document.getElementById('undo-button').addEventListener('click', () => sendUndo('undo'));
+            document.getElementById('redo-button').addEventListener('click', () => sendUndo('redo'));
+        }
+
+        const undoButton = document.getElementById('undo-button');
+        const redoButton = document.getElementById('redo-button');
+        undoButton.disabled = !summary.canUndo;
+        undoButton.title = summary.canUndo ? `Undo: ${summary.undoLabel} (Alt+Z)` : 'Nothing to undo';
+        redoButton.disabled = !summary.canRedo;
+        redoButton.title = summary.canRedo ? `Redo: ${summary.redoLabel} (Alt+Shift+Z)` : 'Nothing to redo';
+    }
+
+    /**
+     * @param {string} action - 'undo' or 'redo'
+     */
+    function sendUndo(action) {
+        if (port && isConnected) {
+            port.postMessage({ action });
+        }
+    }
+
+    /**
+     * Note field for the current step. The content script saves notes with the form's tracking
+     * history record, so it sends null for untracked forms and the field is left out.
+     * @param {string|null} note - Note text
+     * @param {number} index - Step index (-1: no step)
+     */
+    function renderStepNote(note, index) {
+        const container = document.getElementById('step-note-container');
+        if (!container) return;
+
+        if (note === null || note === undefined || index === -1) {
+            container.innerHTML = '';
+            noteIndex = -1;
+            return;
+        }
+
+        if (index !== noteIndex || !container.firstChild) {
+            container.innerHTML = `
+                <details class="step-note">
+                    <summary>📝 Note</summary>
+                    <textarea id="step-note-input" class="step-note-input" rows="3" placeholder="Why it was skipped, what you told the broker…"></textarea>
+                </details>
+            `;
+            noteIndex = index;
+            const details = container.querySelector('.step-note');
+            const input = document.getElementById('step-note-input');
+            details.open = !!note;
+            details.addEventListener('toggle', () => resizeWindow(currentStepIsTable));
+            // Typing a note shouldn't trigger the popout's shortcuts (Enter confirms in keyboard mode); Esc still leaves it
+            input.addEventListener('keydown', (e) => {
+                if (e.key !== 'Escape') e.stopPropagation();
+            });
+            input.addEventListener('input', () => {
+                if (port && isConnected) {
+                    port.postMessage({ action: 'setStepNote', index, text: input.value });
+                }
+            });
+        }
+
+        const input = document.getElementById('step-note-input');
+        if (document.activeElement !== input && input.value !== note) {
+            input.value = note;
+            if (note) container.querySelector('.step-note').open = true;
+        }
+    }
+
     function updatePolicyNumber(policyNumber) {
         const policyNumberDisplay = document.getElementById('policy-number-display');
         if (policyNumberDisplay) {
@@ -307,15 +468,20 @@
         }
     }
 
+    function isStepCounted(index) {
+        const activity = stepActivity[index];
+        return !activity || (activity.visible && activity.required);
+    }
+
     function findNextStep(state) {
         if (!state || !Array.isArray(state)) return -1;
         for (let i = 0; i < state.length; i++) {
-            if (!state[i].processed && !state[i].skipped) {
+            if (isStepCounted(i) && !state[i].processed && !state[i].skipped) {
                 return i;
             }
         }
         for (let i = 0; i < state.length; i++) {
-            if (state[i].skipped) {
+            if (isStepCounted(i) && state[i].skipped) {
                 return i;
             }
         }
@@ -359,18 +525,45 @@
                 }
             }
         });
+        updateFieldViolations(fieldData);
+        currentViolations = fieldData.violations || [];
     }
 
-    function renderFullChecklistViewPopout(state) {
+    /**
+     * Inline list of rule violations shown under a field (computed by the content script)
+     */
+    function renderFieldViolations(field, index) {
+        const escape = window.ProcessingChecklistUtils ? window.ProcessingChecklistUtils.escapeHtml : (text => text);
+        const items = (field.violations || []).map(message => `<div class="field-violation">⚠ ${escape(message)}</div>`).join('');
+        return `<div class="field-violations" data-field-index="${index}">${items}</div>`;
+    }
+
+    function updateFieldViolations(fieldData) {
+        fieldData.fields.forEach((field, index) => {
+            const holder = document.querySelector(`.field-violations[data-field-index="${index}"]`);
+            if (holder) holder.outerHTML = renderFieldViolations(field, index);
+        });
+    }
+
+    /**
+     * @param {Array} state - Checklist state
+     * @param {number} [current] - Step the content script is on, highlighted in the list
+     */
+    function renderFullChecklistViewPopout(state, current = -1) {
         const display = document.getElementById('next-field-display');
         if (!display) return;
 
         if (!state) return;
 
+        // The list is rebuilt on every update - keep keyboard focus on the same item
+        const focusedItem = display.contains(document.activeElement) ? document.activeElement.getAttribute('data-item-index') : null;
         const checklistCount = state.length;
         let itemsHtml = '';
 
         for (let i = 0; i < checklistCount; i++) {
+            // Steps hidden by show_if are left out
+            if (stepActivity[i] && !stepActivity[i].visible) continue;
+
             const itemState = state[i];
             let statusClass = '';
             if (itemState.processed) {
@@ -382,11 +575,15 @@
             const itemName = checklistNames[i] || `Item ${i + 1}`;
             const escapedItemName = window.ProcessingChecklistUtils ?
                 window.ProcessingChecklistUtils.escapeHtml(itemName) : itemName;
+            const optionalLabel = isStepCounted(i) ? '' : ' <span style="font-size: 11px; color: #999;">(optional)</span>';
+            const skipReasonLabel = itemState.skipped && itemState.skipReason
+                ? ` <span class="full-checklist-item-skip-reason">(${window.ProcessingChecklistUtils.escapeHtml(itemState.skipReason)})</span>`
+                : '';
 
             itemsHtml += `
-                <div class="full-checklist-item ${statusClass}" style="display: flex; align-items: center; padding: 8px 0; border-bottom: 1px solid #f0f0f0;">
+                <div class="full-checklist-item ${statusClass} ${i === current ? 'current' : ''}" style="display: flex; align-items: center; padding: 8px 0; border-bottom: 1px solid #f0f0f0;">
                     <input type="checkbox" class="full-checklist-item-checkbox" data-item-index="${i}" ${itemState.processed ? 'checked' : ''} style="margin-right: 10px; cursor: pointer; flex-shrink: 0;">
-                    <span class="full-checklist-item-name" style="flex: 1; font-size: 13px; color: ${itemState.processed ? '#28a745' : (itemState.skipped ? '#ffc107' : '#333')};">${escapedItemName}</span>
+                    <span class="full-checklist-item-name" title="Go to this step" style="flex: 1; font-size: 13px; cursor: pointer; color: ${itemState.processed ? '#28a745' : (itemState.skipped ? '#ffc107' : '#333')};">${escapedItemName}${optionalLabel}${skipReasonLabel}</span>
                 </div>
             `;
         }
@@ -400,7 +597,16 @@
         display.querySelectorAll('.full-checklist-item-checkbox').forEach(checkbox => {
             const itemIndex = parseInt(checkbox.getAttribute('data-item-index'), 10);
             checkbox.addEventListener('change', () => {
-                const storageKey = `checklistState_${boundTabId}`;
+                if (port && isConnected) {
+                    // Through the content script so the change lands in the undo history.
+                    // This list has never checked field rules, so confirming overrides them.
+                    port.postMessage(checkbox.checked
+                        ? { action: 'confirmField', index: itemIndex, overrideRules: true }
+                        : { action: 'unconfirmField', index: itemIndex });
+                    return;
+                }
+                // Fallback: update storage directly
+                const storageKey = getStateKey();
                 ext.storage.local.get(storageKey, (result) => {
                     if (result[storageKey]) {
                         const newState = [...result[storageKey]];
@@ -414,6 +620,17 @@
             });
         });
 
+        display.querySelectorAll('.full-checklist-item-name').forEach(name => {
+            const itemIndex = parseInt(name.previousElementSibling.getAttribute('data-item-index'), 10);
+            name.addEventListener('click', () => jumpToStep(itemIndex));
+        });
+
+        if (keyboardMode) {
+            const toFocus = (focusedItem !== null && display.querySelector(`.full-checklist-item-checkbox[data-item-index="${focusedItem}"]`)) ||
+                display.querySelector('.full-checklist-item-checkbox:not(:checked)');
+            if (toFocus) toFocus.focus();
+        }
+
         // Request policy number update when rendering full view
         if (port && isConnected) {
             port.postMessage({ action: 'getPolicyNumber' });
@@ -422,89 +639,6 @@
         resizeWindow();
     }
 
-    /**
-     * Render fees table UI for display in popout
-     * @param {Object} fieldData - Field data containing feeRows and summary
-     * @returns {string} HTML string for fees table display
-     */
-    function renderFeesTableUI(fieldData) {
-        if (!fieldData.feeRows || fieldData.feeRows.length === 0) {
-            return '<div class="table-empty">No fees data</div>';
-        }
-
-        // Build fee rows HTML
-        const feeRowsHtml = fieldData.feeRows.map(fee => {
-            return `
-                <div class="fees-table-row">
-                    <div class="fee-name">${fee.name}</div>
-                    <div class="fee-taxable">
-                        <input type="checkbox" ${fee.taxable ? 'checked' : ''}
-                               data-fee-index="${fee.index}"
-                               data-fee-type="taxable"
-                               data-taxable-checkbox-id="${fee.taxableCheckboxId}"
-                               class="fee-input-taxable-popout"
-                               style="cursor: pointer;">
-                    </div>
-                    <div class="fee-amount">
-                        <input type="text"
-                               value="${fee.amount}"
-                               data-fee-index="${fee.index}"
-                               data-fee-type="amount"
-                               data-amount-input-id="${fee.amountInputId}"
-                               class="fee-input-amount-popout"
-                               placeholder="$0.00">
-                    </div>
-                </div>
-            `;
-        }).join('');
-
-        // Build summary section HTML
-        let summaryHtml = '';
-        if (fieldData.summary) {
-            const warningHtml = fieldData.summary.showHighPremiumWarning ? `
-                <div class="fees-summary-row warning-row">
-                    <div class="fees-summary-label" style="color: #dc3545; font-weight: bold;">
-                        The Taxable Premium exceeds $500,000. Please verify before continuing.
-                    </div>
-                </div>
-            ` : '';
-
-            summaryHtml = `
-                <div class="fees-summary">
-                    <div class="fees-summary-row">
-                        <div class="fees-summary-label">Total Fees:</div>
-                        <div class="fees-summary-value" data-summary-type="totalFees">${fieldData.summary.totalFees}</div>
-                    </div>
-                    <div class="fees-summary-row">
-                        <div class="fees-summary-label">Taxable Premium (Includes Fees):</div>
-                        <div class="fees-summary-value" data-summary-type="taxablePremium">${fieldData.summary.taxablePremium}</div>
-                    </div>
-                    ${warningHtml}
-                    <div class="fees-summary-row tax-row">
-                        <div class="fees-summary-label"><strong>Estimated CA SL State Tax (3%):</strong></div>
-                        <div class="fees-summary-value" data-summary-type="caStateTax"><strong>${fieldData.summary.caStateTax}</strong></div>
-                    </div>
-                    <div class="fees-summary-row stamping-fee-row">
-                        <div class="fees-summary-label"><strong>${fieldData.summary.estimatedStampingFeeLabel}</strong></div>
-                        <div class="fees-summary-value" data-summary-type="estimatedStampingFee"><strong>${fieldData.summary.estimatedStampingFee}</strong></div>
-                    </div>
-                </div>
-            `;
-        }
-
-        return `
-            <div class="fees-table-container">
-                <div class="fees-table-header">
-                    <div class="fee-name-header">Fee Name</div>
-                    <div class="fee-taxable-header">Taxable</div>
-                    <div class="fee-amount-header">Fee Amount</div>
-                </div>
-                ${feeRowsHtml}
-                ${summaryHtml}
-            </div>
-        `;
-    }
-
     /**
      * Render table UI for display in popout
      * @param {Object} tableData - Table data with rows and column info
@@ -568,6 +702,7 @@
 
         // Update policy number display
         updatePolicyNumber(policyNumber);
+        currentViolations = (fieldData && fieldData.violations) || [];
 
         if (!fieldData) {
             display.innerHTML = '<div class="completion-message">All fields checked!</div>';
@@ -575,6 +710,22 @@
             return;
         }
 
+        // Blind review: the values are entered in the on-page UI, away from the form's (see blind-review.js)
+        if (fieldData.blind) {
+            display.innerHTML = `
+                <div class="step-title">${fieldData.name}</div>
+                <div class="blind-review-hint">Blind review - enter this step's values in the checklist panel on the page.</div>
+                <div class="button-row">
+                    <button id="back-button" class="back-btn" ${!canGoBack ? 'disabled' : ''}>← Back</button>
+                    <button id="skip-button" class="skip-btn">Skip</button>
+                    <button id="confirm-button" class="confirm-btn">Enter on Page</button>
+                </div>
+            `;
+            setupEventListeners(fieldData);
+            resizeWindow();
+            return;
+        }
+
         // Handle table type
         if (fieldData.type === 'table') {
             const tableHtml = renderTableUI(fieldData.tableData, { columns: fieldData.columns, dynamic: fieldData.dynamic });
@@ -596,12 +747,12 @@
             return;
         }
 
-        // Handle custom type (fees table)
-        if (fieldData.type === 'custom' && fieldData.feeRows) {
-            const feesTableHtml = renderFeesTableUI(fieldData);
+        // Handle registered custom step types (see custom-step-types.js)
+        const customType = fieldData.customType && window.CustomStepTypes && window.CustomStepTypes.get(fieldData.customType);
+        if (customType) {
             display.innerHTML = `
                 <div class="step-title">${fieldData.name}</div>
-                ${feesTableHtml}
+                ${customType.render(fieldData.customData, { popout: true })}
                 <div class="button-row">
                     <button id="back-button" class="back-btn" ${!canGoBack ? 'disabled' : ''}>← Back</button>
                     <button id="skip-button" class="skip-btn">Skip</button>
@@ -609,8 +760,14 @@
                 </div>
             `;
             setupEventListeners(fieldData);
-            attachPopoutFeesTableListeners(); // Attach fees input listeners
-            resizeWindowForFees(); // Use fixed sizing for fees table
+            if (typeof customType.attachPopoutListeners === 'function') {
+                customType.attachPopoutListeners(display, fieldData.customData, sendCustomStepAction);
+            }
+            if (customType.popoutSize) {
+                resizeWindowFixed(customType.popoutSize); // Fixed sizing avoids resize jitter for larger layouts
+            } else {
+                resizeWindow();
+            }
             return;
         }
 
@@ -635,7 +792,7 @@
                 inputHtml = `<input type="text" class="display-input" data-field-index="${index}" value="${field.value || ''}">`;
                 return `<div class="field-container"><label class="field-label">${field.name}</label>${inputHtml}</div>`;
             }
-        }).join('');
+        }).map((html, index) => html + renderFieldViolations(fieldData.fields[index], index)).join('');
 
         display.innerHTML = `
             <div class="step-title">${fieldData.name}</div>
@@ -655,59 +812,17 @@
     }
 
     /**
-     * Attach event listeners to popout fees table inputs
+     * Send a change made in a custom step's popout UI to its handleAction in the content script
+     * @param {Object} payload - Implementation-defined payload
      */
-    function attachPopoutFeesTableListeners() {
-        const taxableInputs = document.querySelectorAll('.fee-input-taxable-popout');
-        const amountInputs = document.querySelectorAll('.fee-input-amount-popout');
-
-        // Attach listeners for taxable checkboxes
-        taxableInputs.forEach(input => {
-            input.addEventListener('change', () => {
-                const checkboxId = input.getAttribute('data-taxable-checkbox-id');
-                const feeIndex = input.getAttribute('data-fee-index');
-
-                console.log('[Popout Fees] Taxable checkbox changed:', checkboxId, input.checked);
-
-                // Send message to content script to update form
-                if (port && isConnected) {
-                    port.postMessage({
-                        action: 'updateFeeTaxable',
-                        checkboxId: checkboxId,
-                        value: input.checked
-                    });
-                }
-            });
-        });
-
-        // Attach listeners for amount inputs
-        amountInputs.forEach(input => {
-            input.addEventListener('blur', () => {
-                const amountInputId = input.getAttribute('data-amount-input-id');
-                const feeIndex = input.getAttribute('data-fee-index');
-
-                console.log('[Popout Fees] Amount input changed:', amountInputId, input.value);
-
-                // Send message to content script to update form
-                if (port && isConnected) {
-                    port.postMessage({
-                        action: 'updateFeeAmount',
-                        amountInputId: amountInputId,
-                        value: input.value
-                    });
-                }
-            });
-
-            // Also handle Enter key
-            input.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter') {
-                    e.preventDefault();
-                    input.blur();
-                }
+    function sendCustomStepAction(payload) {
+        if (port && isConnected) {
+            port.postMessage({
+                action: 'customStepAction',
+                index: currentIndex,
+                payload: payload
             });
-        });
-
-        console.log('[Popout Fees] Attached listeners to', taxableInputs.length, 'taxable checkboxes and', amountInputs.length, 'amount inputs');
+        }
     }
 
     /**
@@ -793,8 +908,16 @@
             const policyDisplay = document.getElementById('policy-number-display');
             const policyHeight = policyDisplay ? policyDisplay.offsetHeight : 0;
 
+            // Consistency rule summary sits below the step
+            const consistencySummary = document.getElementById('consistency-summary');
+            const consistencyHeight = consistencySummary ? consistencySummary.offsetHeight : 0;
+
+            // So does the step note
+            const stepNote = document.getElementById('step-note-container');
+            const noteHeight = stepNote ? stepNote.offsetHeight : 0;
+
             // Calculate total needed height
-            const neededHeight = contentHeight + paddingTop + paddingBottom + policyHeight;
+            const neededHeight = contentHeight + paddingTop + paddingBottom + policyHeight + consistencyHeight + noteHeight;
 
             // Update window size with buffer for window chrome
             // Use 30px buffer (reduced from 70px to eliminate gap)
@@ -804,7 +927,7 @@
                 const finalHeight = Math.round(Math.min(Math.max(calculatedHeight, 180), 850));
                 const finalWidth = isTable ? 450 : 350; // Wider for tables, min 330 for back button
 
-                logger.debug(, {
+                logger.debug('[Popout Resize] Dimensions:', {
                     contentHeight,
                     scrollHeight,
                     displayRectHeight: displayRect.height,
@@ -825,20 +948,17 @@
         }, 200);
     }
 
-    function resizeWindowForFees() {
-        // Fixed size for fees table to avoid resizing issues
+    /**
+     * Resize to a fixed size requested by a custom step type
+     * @param {Object} size - { width, height }
+     */
+    function resizeWindowFixed(size) {
         setTimeout(() => {
             ext.windows.getCurrent().then((window) => {
-                const finalHeight = 650; // Fixed height as specified
-                const finalWidth = 362;  // Fixed width as specified
-
-                console.log('[Popout Resize - Fees] Using fixed dimensions:', {
-                    finalHeight,
-                    finalWidth
-                });
+                console.log('[Popout Resize - Fixed] Using fixed dimensions:', size);
                 ext.windows.update(window.id, {
-                    width: finalWidth,
-                    height: finalHeight
+                    width: size.width,
+                    height: size.height
                 });
             });
         }, 200);
@@ -864,10 +984,16 @@
 
         document.getElementById('confirm-button').addEventListener('click', () => {
             if (port && isConnected) {
-                port.postMessage({ action: 'confirmField', index: currentIndex });
+                // Failing field rules need an explicit override; the content script trusts this answer
+                let overrideRules = false;
+                if (currentViolations.length > 0) {
+                    if (!window.confirm(`This step has validation problems:\n\n- ${currentViolations.join('\n- ')}\n\nConfirm anyway?`)) return;
+                    overrideRules = true;
+                }
+                port.postMessage({ action: 'confirmField', index: currentIndex, overrideRules });
             } else {
                 // Fallback: update storage directly
-                const storageKey = `checklistState_${boundTabId}`;
+                const storageKey = getStateKey();
                 ext.storage.local.get(storageKey, (result) => {
                     if (result[storageKey]) {
                         const newState = [...result[storageKey]];
@@ -880,10 +1006,21 @@
 
         document.getElementById('skip-button').addEventListener('click', () => {
             if (port && isConnected) {
-                port.postMessage({ action: 'skipField', index: currentIndex });
+                const display = document.getElementById('next-field-display');
+                if (display.querySelector('.skip-reason-picker')) return;
+                const index = currentIndex;
+                SkipReasons.showPicker(display, {
+                    reasons: skipReasons,
+                    onPick: reason => {
+                        if (port && isConnected) port.postMessage({ action: 'skipField', index, reason });
+                        resizeWindow(currentStepIsTable);
+                    },
+                    onCancel: () => resizeWindow(currentStepIsTable)
+                });
+                resizeWindow(currentStepIsTable);
             } else {
                 // Fallback: update storage directly
-                const storageKey = `checklistState_${boundTabId}`;
+                const storageKey = getStateKey();
                 ext.storage.local.get(storageKey, (result) => {
                     if (result[storageKey]) {
                         const newState = [...result[storageKey]];
@@ -909,5 +1046,112 @@
         });
     }
 
+    /**
+     * "Go to step" search - the content script makes the chosen step current and scrolls to it
+     */
+    function initQuickJump() {
+        const container = document.getElementById('quick-jump-container');
+        if (!container || !window.QuickJump) return;
+        window.QuickJump.attach(container, {
+            getSteps: () => checklistNames
+                .map((name, index) => ({ index, name }))
+                .filter(step => !stepActivity[step.index] || stepActivity[step.index].visible),
+            onJump: jumpToStep
+        });
+    }
+
+    function jumpToStep(index) {
+        if (port && isConnected) {
+            port.postMessage({ action: 'jumpToStep', index });
+        }
+    }
+
+    /**
+     * Load the keyboard mode setting and wire up its toggle
+     */
+    function initKeyboardMode() {
+        const checkbox = document.getElementById('keyboard-mode-checkbox');
+        ext.storage.local.get('popoutKeyboardMode', (result) => {
+            setKeyboardMode(result.popoutKeyboardMode === true);
+        });
+        if (checkbox) {
+            checkbox.addEventListener('change', () => {
+                ext.storage.local.set({ popoutKeyboardMode: checkbox.checked });
+                setKeyboardMode(checkbox.checked);
+            });
+        }
+    }
+
+    function setKeyboardMode(enabled) {
+        keyboardMode = enabled;
+        document.body.classList.toggle('keyboard-mode', enabled);
+        const checkbox = document.getElementById('keyboard-mode-checkbox');
+        if (checkbox) checkbox.checked = enabled;
+        const hints = document.getElementById('keyboard-hints');
+        if (hints) hints.style.display = enabled ? 'block' : 'none';
+        if (enabled) focusCurrentStep();
+        resizeWindow();
+    }
+
+    /**
+     * In keyboard mode, put focus on the first input of the step just shown (or its Confirm button)
+     */
+    function focusCurrentStep() {
+        if (!keyboardMode) return;
+        const display = document.getElementById('next-field-display');
+        if (!display) return;
+        const target = display.querySelector('.display-input:not([disabled]), .table-cell-input-popout, .full-checklist-item-checkbox:not(:checked)') ||
+            document.getElementById('confirm-button');
+        if (target) target.focus();
+    }
+
+    function clickButton(id) {
+        const button = document.getElementById(id);
+        if (button && !button.disabled) button.click();
+    }
+
+    document.addEventListener('keydown', (e) => {
+        // Same shortcuts as the on-page UI: Alt+Z undo, Alt+Shift+Z redo
+        if (e.altKey && !e.ctrlKey && !e.metaKey && e.code === 'KeyZ') {
+            e.preventDefault();
+            sendUndo(e.shiftKey ? 'redo' : 'undo');
+            return;
+        }
+        if (e.altKey && !e.ctrlKey && !e.metaKey && !e.shiftKey && e.code === 'KeyK') {
+            e.preventDefault();
+            ext.storage.local.set({ popoutKeyboardMode: !keyboardMode });
+            setKeyboardMode(!keyboardMode);
+            return;
+        }
+        if (!keyboardMode || e.ctrlKey || e.metaKey) return;
+
+        // Keyboard mode: Enter confirms, Alt+S skips, Alt+B goes back, Alt+N jumps to the next
+        // skipped step, Alt+G opens the step search, Esc leaves a field. Buttons are clicked rather than messaged
+        // so the popout's own checks (e.g. the rule override prompt) still apply.
+        const onButton = e.target && e.target.tagName === 'BUTTON';
+        if (e.key === 'Enter' && !e.altKey && !e.shiftKey && !onButton) {
+            e.preventDefault();
+            clickButton('confirm-button');
+        } else if (e.key === 'Escape') {
+            const confirmButton = document.getElementById('confirm-button');
+            if (confirmButton) confirmButton.focus();
+        } else if (e.altKey && !e.shiftKey && e.code === 'KeyS') {
+            e.preventDefault();
+            clickButton('skip-button');
+        } else if (e.altKey && !e.shiftKey && e.code === 'KeyB') {
+            e.preventDefault();
+            clickButton('back-button');
+        } else if (e.altKey && !e.shiftKey && e.code === 'KeyN') {
+            e.preventDefault();
+            if (port && isConnected) {
+                port.postMessage({ action: 'runCommand', command: 'next-skipped' });
+            }
+        } else if (e.altKey && !e.shiftKey && e.code === 'KeyG') {
+            e.preventDefault();
+            const search = document.querySelector('.quick-jump-input');
+            if (search) search.focus();
+        }
+    });
+
     document.addEventListener('DOMContentLoaded', init);
 })();
@@ -0,0 +1,122 @@
+/*************************************************************************************************
+ *  quick-jump.js - "Go to step" search box for the on-page UI and the popout
+ *
+ *  Type part of a step name, pick a match with the arrow keys and press Enter (or click it).
+ *  What "going to" a step means is up to the caller: content.js makes it the current step and
+ *  scrolls the page to it; the popout asks the content script to do that.
+ *************************************************************************************************/
+(function() {
+    "use strict";
+
+    const MAX_RESULTS = 6;
+
+    const QuickJump = {
+        MAX_RESULTS: MAX_RESULTS,
+
+        /**
+         * Steps matching a search, best first: names starting with the query, then names with a
+         * word starting with it, then names containing it anywhere. Ties keep checklist order.
+         * @param {Array} steps - [{ index, name }]
+         * @param {string} query
+         * @returns {Array} Up to MAX_RESULTS steps
+         */
+        search: function(steps, query) {
+            const needle = (query || '').trim().toLowerCase();
+            if (!needle) return [];
+
+            const rank = name => {
+                const lower = name.toLowerCase();
+                if (lower.startsWith(needle)) return 0;
+                if (lower.split(/[\s\-\/()]+/).some(word => word.startsWith(needle))) return 1;
+                if (lower.includes(needle)) return 2;
+                return -1;
+            };
+
+            return steps
+                .map(step => ({ step, rank: rank(step.name) }))
+                .filter(match => match.rank !== -1)
+                .sort((a, b) => a.rank - b.rank || a.step.index - b.step.index)
+                .slice(0, MAX_RESULTS)
+                .map(match => match.step);
+        },
+
+        /**
+         * Add a search box to a container
+         * @param {HTMLElement} container
+         * @param {Object} options
+         * @param {Function} options.getSteps - Returns the steps to search ([{ index, name }])
+         * @param {Function} options.onJump - Called with the chosen step's index
+         * @returns {HTMLInputElement} The search input
+         */
+        attach: function(container, { getSteps, onJump }) {
+            const escape = window.ProcessingChecklistUtils ? window.ProcessingChecklistUtils.escapeHtml : (text => text);
+            const wrapper = document.createElement('div');
+            wrapper.className = 'quick-jump';
+            wrapper.innerHTML = `
+                <input type="text" class="quick-jump-input" placeholder="Go to step…" autocomplete="off">
+                <div class="quick-jump-results"></div>`;
+            container.appendChild(wrapper);
+
+            const input = wrapper.querySelector('.quick-jump-input');
+            const results = wrapper.querySelector('.quick-jump-results');
+            let matches = [];
+            let selected = 0;
+
+            const render = () => {
+                results.innerHTML = matches.map((step, i) => `
+                    <div class="quick-jump-result ${i === selected ? 'selected' : ''}" data-result-index="${i}">${escape(step.name)}</div>
+                `).join('');
+                results.style.display = matches.length > 0 ? 'block' : 'none';
+            };
+            const choose = (step) => {
+                input.value = '';
+                matches = [];
+                render();
+                input.blur();
+                onJump(step.index);
+            };
+
+            input.addEventListener('input', () => {
+                matches = this.search(getSteps(), input.value);
+                selected = 0;
+                render();
+            });
+            input.addEventListener('keydown', (e) => {
+                // Keep the page's and the popout's own shortcuts out of the search box
+                e.stopPropagation();
+                if (e.key === 'ArrowDown' && matches.length > 0) {
+                    e.preventDefault();
+                    selected = (selected + 1) % matches.length;
+                    render();
+                } else if (e.key === 'ArrowUp' && matches.length > 0) {
+                    e.preventDefault();
+                    selected = (selected - 1 + matches.length) % matches.length;
+                    render();
+                } else if (e.key === 'Enter' && matches.length > 0) {
+                    e.preventDefault();
+                    choose(matches[selected]);
+                } else if (e.key === 'Escape') {
+                    input.value = '';
+                    matches = [];
+                    render();
+                    input.blur();
+                }
+            });
+            // mousedown, so the choice lands before the input's blur hides the list
+            results.addEventListener('mousedown', (e) => {
+                const result = e.target.closest('.quick-jump-result');
+                if (!result) return;
+                e.preventDefault();
+                choose(matches[parseInt(result.getAttribute('data-result-index'), 10)]);
+            });
+            input.addEventListener('blur', () => {
+                results.style.display = 'none';
+            });
+
+            render();
+            return input;
+        }
+    };
+
+    window.QuickJump = QuickJump;
+})();
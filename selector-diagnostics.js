@@ -0,0 +1,450 @@
+/*************************************************************************************************
+ *  selector-diagnostics.js - Selector health check for the active checklist config
+ *
+ *  Tests every selector the config uses (page fields, step/field/container selectors, zone
+ *  edges, tables, rows, columns, show_if/required_if conditions and consistency rules) against
+ *  the current page and shows which resolve to no element or to several. Found elements are
+ *  outlined on the page and the report can be exported as JSON.
+ *************************************************************************************************/
+(function() {
+    "use strict";
+
+    const logger = Logger.create('Diagnostics');
+
+    const PANEL_ID = 'processing-checklist-diagnostics';
+    const STYLE_ID = 'processing-checklist-diagnostics-style';
+    const FOUND_CLASS = 'pc-diagnostics-found';
+    const MULTIPLE_CLASS = 'pc-diagnostics-multiple';
+
+    const PAGE_SELECTOR_KEYS = ['policy_number', 'submission_number', 'primary_insured', 'total_premium'];
+
+    // Problems first, most serious at the top
+    const STATUS_ORDER = ['invalid', 'missing', 'partial', 'multiple', 'skipped', 'ok'];
+    const STATUS_LABELS = {
+        invalid: 'Invalid selector',
+        missing: 'Not found',
+        partial: 'Missing in some rows',
+        multiple: 'Several matches',
+        skipped: 'Not checked',
+        ok: 'OK'
+    };
+    const STATUS_COLORS = {
+        invalid: '#dc3545',
+        missing: '#dc3545',
+        partial: '#fd7e14',
+        multiple: '#fd7e14',
+        skipped: '#6c757d',
+        ok: '#28a745'
+    };
+
+    /**
+     * Path of a step in the config file. Steps added by a transaction variant live under
+     * transaction_variants, so look there when the step isn't in the base checklist.
+     */
+    function getStepPath(config, step, index) {
+        const raw = config.raw || config;
+        const baseIndex = Array.isArray(raw.checklist) ? raw.checklist.indexOf(step) : -1;
+        if (baseIndex !== -1) return `checklist[${baseIndex}]`;
+
+        const variants = raw.transaction_variants || {};
+        for (const key of Object.keys(variants)) {
+            const added = Array.isArray(variants[key].add) ? variants[key].add : [];
+            const addIndex = added.findIndex(entry => entry && entry.step === step);
+            if (addIndex !== -1) return `transaction_variants.${key}.add[${addIndex}].step`;
+        }
+        return `checklist[${index}]`;
+    }
+
+    /**
+     * Collect the selectors used by a show_if / required_if condition
+     */
+    function collectConditionSelectors(condition, path, item, entries) {
+        if (!condition || typeof condition !== 'object') return;
+        ['all', 'any'].forEach(key => {
+            if (Array.isArray(condition[key])) {
+                condition[key].forEach((child, i) => collectConditionSelectors(child, `${path}.${key}[${i}]`, item, entries));
+            }
+        });
+        if (condition.not) {
+            collectConditionSelectors(condition.not, `${path}.not`, item, entries);
+        }
+        if (typeof condition.selector === 'string') {
+            entries.push({ path: `${path}.selector`, item: item, role: 'condition', selector: condition.selector });
+        }
+    }
+
+    /**
+     * Count matches for a selector, reporting invalid selectors instead of throwing
+     */
+    function queryAll(root, selector) {
+        try {
+            return { elements: Array.from(root.querySelectorAll(selector)), error: null };
+        } catch (error) {
+            return { elements: [], error: error.message };
+        }
+    }
+
+    function statusForCount(count, expectMany) {
+        if (count === 0) return 'missing';
+        if (count > 1 && !expectMany) return 'multiple';
+        return 'ok';
+    }
+
+    const SelectorDiagnostics = {
+        STATUS_LABELS: STATUS_LABELS,
+
+        /**
+         * List every selector the config uses
+         * @param {Object} config - Configuration object from ConfigLoader (after any transaction variant)
+         * @returns {Array<Object>} Entries as { path, item, role, selector, expectMany?, table? }.
+         *          Column entries carry table: { selector, rowSelector } and are resolved per row.
+         */
+        collectSelectors: function(config) {
+            const raw = config.raw || config;
+            const entries = [];
+
+            PAGE_SELECTOR_KEYS.forEach(key => {
+                if (raw[key] && typeof raw[key].selector === 'string') {
+                    entries.push({ path: `${key}.selector`, item: raw[key].label || key, role: 'page field', selector: raw[key].selector });
+                }
+            });
+
+            (config.checklist || []).forEach((step, index) => {
+                const path = getStepPath(config, step, index);
+                const item = step.name;
+
+                if (step.selector) {
+                    entries.push({ path: `${path}.selector`, item, role: 'step', selector: step.selector });
+                }
+                if (step.container_selector) {
+                    entries.push({ path: `${path}.container_selector`, item, role: 'container', selector: step.container_selector });
+                }
+                const customType = window.CustomStepTypes && window.CustomStepTypes.forStep(step);
+                if (customType) {
+                    // table_id only names the type here, so check the selectors the type reads instead
+                    if (typeof customType.collectSelectors === 'function') {
+                        customType.collectSelectors(step).forEach(entry => {
+                            entries.push({ path: `${path}.${entry.path}`, item, role: 'custom', selector: entry.selector });
+                        });
+                    }
+                } else if (step.type === 'custom' && step.table_id) {
+                    entries.push({ path: `${path}.table_id`, item, role: 'custom table', selector: `#${step.table_id}` });
+                }
+
+                (step.fields || []).forEach((field, i) => {
+                    entries.push({ path: `${path}.fields[${i}].selector`, item: `${item} › ${field.name}`, role: 'field', selector: field.selector });
+                    if (field.divSelector && field.divSelector !== field.selector) {
+                        entries.push({ path: `${path}.fields[${i}].divSelector`, item: `${item} › ${field.name}`, role: 'field', selector: field.divSelector });
+                    }
+                });
+
+                (step.highlight_zones || []).forEach((zone, z) => {
+                    ['top', 'bottom', 'left', 'right'].forEach(edge => {
+                        if (zone[edge] && zone[edge].selector) {
+                            entries.push({ path: `${path}.highlight_zones[${z}].${edge}.selector`, item, role: `zone ${edge}`, selector: zone[edge].selector });
+                        }
+                    });
+                });
+
+                if (step.type === 'table') {
+                    entries.push({ path: `${path}.table_selector`, item, role: 'table', selector: step.table_selector });
+                    entries.push({
+                        path: `${path}.row_selector`, item, role: 'rows', selector: step.row_selector,
+                        expectMany: true, table: { selector: step.table_selector }
+                    });
+                    (step.columns || []).forEach((column, c) => {
+                        entries.push({
+                            path: `${path}.columns[${c}].selector`, item: `${item} › ${column.name}`, role: 'column', selector: column.selector,
+                            table: { selector: step.table_selector, rowSelector: step.row_selector }
+                        });
+                    });
+                }
+
+                collectConditionSelectors(step.show_if, `${path}.show_if`, item, entries);
+                collectConditionSelectors(step.required_if, `${path}.required_if`, item, entries);
+            });
+
+            (raw.consistency_rules || []).forEach((rule, r) => {
+                const path = `consistency_rules[${r}]`;
+                ['left', 'right', 'low', 'high'].forEach(key => {
+                    const operand = rule[key];
+                    if (!operand) return;
+                    if (typeof operand.selector === 'string') {
+                        entries.push({ path: `${path}.${key}.selector`, item: rule.name, role: 'rule', selector: operand.selector });
+                    }
+                    ['sum', 'count'].forEach(source => {
+                        if (typeof operand[source] === 'string') {
+                            entries.push({ path: `${path}.${key}.${source}`, item: rule.name, role: `rule ${source}`, selector: operand[source], expectMany: true });
+                        }
+                    });
+                });
+                collectConditionSelectors(rule.when, `${path}.when`, rule.name, entries);
+            });
+
+            return entries;
+        },
+
+        /**
+         * Resolve every selector in the config against the page
+         * @param {Object} config - Configuration object from ConfigLoader
+         * @param {Document|Element} [root=document] - Where to look up selectors
+         * @returns {Array<Object>} Collected entries plus { status, count, detail, elements },
+         *          sorted with problems first. status is one of STATUS_LABELS' keys.
+         */
+        runHealthCheck: function(config, root = document) {
+            const results = this.collectSelectors(config).map(entry => {
+                if (!entry.table) {
+                    const { elements, error } = queryAll(root, entry.selector);
+                    if (error) return { ...entry, status: 'invalid', count: 0, detail: error, elements: [] };
+                    return {
+                        ...entry,
+                        status: statusForCount(elements.length, entry.expectMany),
+                        count: elements.length,
+                        detail: elements.length > 1 && !entry.expectMany ? 'the first match is used' : '',
+                        elements: elements
+                    };
+                }
+
+                // Rows and columns are looked up inside the table, like content.js does
+                const table = queryAll(root, entry.table.selector).elements[0];
+                if (!table) {
+                    return { ...entry, status: 'skipped', count: 0, detail: 'table not found', elements: [] };
+                }
+
+                if (!entry.table.rowSelector) {
+                    const { elements, error } = queryAll(table, entry.selector);
+                    if (error) return { ...entry, status: 'invalid', count: 0, detail: error, elements: [] };
+                    return { ...entry, status: statusForCount(elements.length, true), count: elements.length, detail: `${elements.length} row(s)`, elements: elements };
+                }
+
+                const rows = queryAll(table, entry.table.rowSelector).elements;
+                if (rows.length === 0) {
+                    return { ...entry, status: 'skipped', count: 0, detail: 'table has no rows', elements: [] };
+                }
+
+                const elements = [];
+                let rowsWithMatch = 0;
+                let rowsWithSeveral = 0;
+                for (const row of rows) {
+                    const { elements: matches, error } = queryAll(row, entry.selector);
+                    if (error) return { ...entry, status: 'invalid', count: 0, detail: error, elements: [] };
+                    if (matches.length > 0) {
+                        rowsWithMatch++;
+                        elements.push(matches[0]);
+                    }
+                    if (matches.length > 1) rowsWithSeveral++;
+                }
+
+                let status = 'ok';
+                if (rowsWithMatch === 0) status = 'missing';
+                else if (rowsWithMatch < rows.length) status = 'partial';
+                else if (rowsWithSeveral > 0) status = 'multiple';
+
+                return {
+                    ...entry,
+                    status: status,
+                    count: rowsWithMatch,
+                    detail: `found in ${rowsWithMatch} of ${rows.length} row(s)${rowsWithSeveral ? `, several matches in ${rowsWithSeveral}` : ''}`,
+                    elements: elements
+                };
+            });
+
+            return results.sort((a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status));
+        },
+
+        /**
+         * Report as plain data (no element references) for export
+         * @param {Object} config - Configuration object from ConfigLoader
+         * @param {Array<Object>} results - From runHealthCheck
+         * @returns {Object} { url, profile, transactionVariant, generatedAt, summary, results }
+         */
+        buildReport: function(config, results) {
+            const summary = {};
+            STATUS_ORDER.forEach(status => {
+                summary[status] = results.filter(r => r.status === status).length;
+            });
+
+            return {
+                url: typeof window !== 'undefined' && window.location ? window.location.href : '',
+                profile: config.profile ? config.profile.id : null,
+                transactionVariant: config.transactionVariant || null,
+                generatedAt: new Date().toISOString(),
+                summary: summary,
+                results: results.map(r => ({
+                    path: r.path,
+                    item: r.item,
+                    role: r.role,
+                    selector: r.selector,
+                    status: r.status,
+                    count: r.count,
+                    detail: r.detail
+                }))
+            };
+        },
+
+        isOpen: function() {
+            return !!document.getElementById(PANEL_ID);
+        },
+
+        /**
+         * Open the diagnostics panel, or close it if already open
+         * @param {Object} config - Active configuration object
+         */
+        toggle: function(config) {
+            if (this.isOpen()) {
+                this.close();
+            } else {
+                this.open(config);
+            }
+        },
+
+        /**
+         * Run the health check, outline found elements and show the results panel
+         * @param {Object} config - Active configuration object
+         */
+        open: function(config) {
+            this.close();
+
+            const results = this.runHealthCheck(config);
+            const report = this.buildReport(config, results);
+            logger.info('Selector health check:', report.summary);
+
+            injectStyles();
+            results.forEach(result => {
+                const className = result.status === 'multiple' ? MULTIPLE_CLASS : FOUND_CLASS;
+                result.elements.forEach(el => el.classList && el.classList.add(className));
+            });
+
+            renderPanel(config, results, report);
+        },
+
+        /**
+         * Remove the panel and all element outlines
+         */
+        close: function() {
+            const panel = document.getElementById(PANEL_ID);
+            if (panel) panel.remove();
+            document.querySelectorAll(`.${FOUND_CLASS}, .${MULTIPLE_CLASS}`).forEach(el => {
+                el.classList.remove(FOUND_CLASS, MULTIPLE_CLASS);
+            });
+            const style = document.getElementById(STYLE_ID);
+            if (style) style.remove();
+        }
+    };
+
+    function injectStyles() {
+        if (document.getElementById(STYLE_ID)) return;
+        const style = document.createElement('style');
+        style.id = STYLE_ID;
+        style.textContent = `
+            .${FOUND_CLASS} { outline: 2px solid #28a745 !important; outline-offset: 1px !important; }
+            .${MULTIPLE_CLASS} { outline: 2px dashed #fd7e14 !important; outline-offset: 1px !important; }
+            .pc-diagnostics-flash { outline: 3px solid #007cba !important; outline-offset: 2px !important; }
+        `;
+        document.head.appendChild(style);
+    }
+
+    function renderPanel(config, results, report) {
+        const escapeHtml = window.ProcessingChecklistUtils.escapeHtml;
+        const problems = results.filter(r => r.status !== 'ok');
+        const okCount = results.length - problems.length;
+
+        const panel = document.createElement('div');
+        panel.id = PANEL_ID;
+        panel.style.cssText = `
+            position: fixed !important;
+            bottom: 20px !important;
+            left: 20px !important;
+            z-index: 10002 !important;
+            width: 520px !important;
+            max-height: 70vh !important;
+            display: flex !important;
+            flex-direction: column !important;
+            background: white !important;
+            color: #333 !important;
+            border: 2px solid #007cba !important;
+            border-radius: 8px !important;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.3) !important;
+            font-family: Arial, sans-serif !important;
+            font-size: 13px !important;
+        `;
+
+        const summaryHtml = STATUS_ORDER
+            .filter(status => report.summary[status] > 0)
+            .map(status => `<span style="color: ${STATUS_COLORS[status]}; margin-right: 10px;">${STATUS_LABELS[status]}: ${report.summary[status]}</span>`)
+            .join('');
+
+        const rowHtml = (result, index) => `
+            <li style="padding: 6px 0; border-bottom: 1px solid #f0f0f0;">
+                <div style="display: flex; gap: 8px; align-items: baseline;">
+                    <span style="color: ${STATUS_COLORS[result.status]}; font-weight: bold; white-space: nowrap;">${STATUS_LABELS[result.status]}</span>
+                    <span style="flex: 1;">${escapeHtml(result.item || '')} <span style="color: #999;">(${escapeHtml(result.role)})</span></span>
+                    ${result.elements.length > 0 ? `<button data-result-index="${index}" class="pc-diagnostics-show" style="font-size: 11px; padding: 2px 6px; cursor: pointer;">Show</button>` : ''}
+                </div>
+                <div><code style="font-size: 11px; word-break: break-all;">${escapeHtml(result.selector || '')}</code></div>
+                <div style="font-size: 11px; color: #777;">${escapeHtml(result.path)}${result.detail ? ` - ${escapeHtml(result.detail)}` : ''}${result.count > 1 ? ` (${result.count} matches)` : ''}</div>
+            </li>
+        `;
+
+        panel.innerHTML = `
+            <div style="display: flex; align-items: center; padding: 10px 12px; border-bottom: 1px solid #ddd; background: #f8f9fa; border-radius: 6px 6px 0 0;">
+                <div style="font-weight: bold; font-size: 15px; flex: 1;">Selector Health Check</div>
+                <button id="pc-diagnostics-rerun" style="margin-right: 6px; cursor: pointer;">Re-run</button>
+                <button id="pc-diagnostics-export" style="margin-right: 6px; cursor: pointer;">Export</button>
+                <button id="pc-diagnostics-close" style="cursor: pointer;">✕</button>
+            </div>
+            <div style="padding: 8px 12px; border-bottom: 1px solid #eee;">
+                ${summaryHtml}
+                <div style="font-size: 11px; color: #777; margin-top: 4px;">
+                    ${results.length} selectors checked${config.transactionVariant ? ` (variant "${escapeHtml(config.transactionVariant)}")` : ''}.
+                    Found elements are outlined in green, several matches in dashed orange.
+                </div>
+            </div>
+            <div style="overflow-y: auto; padding: 0 12px;">
+                <ul style="list-style: none; margin: 0; padding: 0;">
+                    ${problems.length > 0 ? problems.map((r, i) => rowHtml(r, i)).join('') : '<li style="padding: 10px 0; color: #28a745; font-weight: bold;">✓ Every selector resolves to exactly one element</li>'}
+                </ul>
+                ${okCount > 0 ? `
+                    <details style="padding: 8px 0;">
+                        <summary style="cursor: pointer; color: #28a745;">${okCount} selectors OK</summary>
+                        <ul style="list-style: none; margin: 0; padding: 0;">
+                            ${results.slice(problems.length).map((r, i) => rowHtml(r, problems.length + i)).join('')}
+                        </ul>
+                    </details>
+                ` : ''}
+            </div>
+        `;
+        document.body.appendChild(panel);
+
+        panel.querySelector('#pc-diagnostics-close').addEventListener('click', () => SelectorDiagnostics.close());
+        panel.querySelector('#pc-diagnostics-rerun').addEventListener('click', () => SelectorDiagnostics.open(config));
+        panel.querySelector('#pc-diagnostics-export').addEventListener('click', () => exportReport(report));
+        panel.querySelectorAll('.pc-diagnostics-show').forEach(button => {
+            button.addEventListener('click', () => {
+                const result = results[parseInt(button.dataset.resultIndex, 10)];
+                flashElement(result.elements[0]);
+            });
+        });
+    }
+
+    function flashElement(element) {
+        if (!element || !element.isConnected) return;
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        element.classList.add('pc-diagnostics-flash');
+        setTimeout(() => element.classList.remove('pc-diagnostics-flash'), 1500);
+    }
+
+    function exportReport(report) {
+        const blob = new Blob([JSON.stringify(report, null, 2) + '\n'], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `selector-health-${report.profile || 'config'}-${report.generatedAt.slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    window.SelectorDiagnostics = SelectorDiagnostics;
+})();
@@ -0,0 +1,466 @@
+/*************************************************************************************************
+ *  selector-picker.js - Point-and-click picker for building checklist steps
+ *
+ *  Hovering outlines an element; clicking it proposes a stable selector and field type. The
+ *  picked field can be added to a group in the profile's stored config override (which open
+ *  tabs pick up straight away) or copied as a JSON snippet.
+ *************************************************************************************************/
+(function() {
+    "use strict";
+
+    const logger = Logger.create('Picker');
+
+    const HIGHLIGHT_ID = 'processing-checklist-picker-highlight';
+    const PANEL_ID = 'processing-checklist-picker-panel';
+    const MAX_SELECTOR_DEPTH = 5;
+
+    // Ids that look generated (long numbers, GUIDs) change between page loads
+    const GENERATED_ID_PATTERN = /\d{4,}|[0-9a-f]{8}-[0-9a-f]{4}-/i;
+
+    const cssEscape = (typeof CSS !== 'undefined' && CSS.escape)
+        ? CSS.escape
+        : (value => String(value).replace(/([^\w-])/g, '\\$1'));
+
+    let active = false;
+    let activeConfig = null;
+    let hoveredElement = null;
+
+    function countMatches(doc, selector) {
+        try {
+            return doc.querySelectorAll(selector).length;
+        } catch (error) {
+            return 0;
+        }
+    }
+
+    function isStableId(id) {
+        return !!id && !GENERATED_ID_PATTERN.test(id);
+    }
+
+    /**
+     * Selector for one element relative to its parent: tag, plus :nth-of-type only when
+     * siblings share the tag
+     */
+    function getSegment(element) {
+        const tag = element.tagName.toLowerCase();
+        const parent = element.parentElement;
+        if (!parent) return tag;
+
+        const sameTag = Array.from(parent.children).filter(child => child.tagName === element.tagName);
+        if (sameTag.length === 1) return tag;
+        return `${tag}:nth-of-type(${sameTag.indexOf(element) + 1})`;
+    }
+
+    /**
+     * Selector for an element on its own (id, then name attribute), or null if neither is unique
+     */
+    function getAnchorSelector(element, doc) {
+        if (isStableId(element.id)) {
+            const selector = `#${cssEscape(element.id)}`;
+            if (countMatches(doc, selector) === 1) return selector;
+        }
+
+        const name = element.getAttribute && element.getAttribute('name');
+        if (name) {
+            const selector = `${element.tagName.toLowerCase()}[name="${name.replace(/"/g, '\\"')}"]`;
+            if (countMatches(doc, selector) === 1) return selector;
+        }
+
+        return null;
+    }
+
+    const SelectorPicker = {
+        /**
+         * Propose a stable CSS selector, preferring ids and name attributes over positions
+         * @param {Element} element - Picked element
+         * @param {Document} [doc=document] - Document used to check uniqueness
+         * @returns {string} Selector that matches the element
+         */
+        buildSelector: function(element, doc = document) {
+            const anchor = getAnchorSelector(element, doc);
+            if (anchor) return anchor;
+
+            // Walk up to the nearest ancestor with a usable id/name and describe the path from there
+            const segments = [getSegment(element)];
+            let current = element.parentElement;
+            for (let depth = 0; current && depth < MAX_SELECTOR_DEPTH; depth++) {
+                const ancestorAnchor = getAnchorSelector(current, doc);
+                if (ancestorAnchor) {
+                    const selector = `${ancestorAnchor} ${segments.join(' > ')}`;
+                    // Use the shortest form that still only matches this element
+                    if (countMatches(doc, selector) === 1) return selector;
+                    return `${ancestorAnchor} > ${segments.join(' > ')}`;
+                }
+                segments.unshift(getSegment(current));
+                current = current.parentElement;
+            }
+
+            return segments.join(' > ');
+        },
+
+        /**
+         * Element a click should resolve to. Clicks inside a Kendo widget's wrapper land on
+         * generated markup, so use the original input the widget is attached to instead.
+         * @param {Element} element - Clicked element
+         * @returns {Element}
+         */
+        resolveTarget: function(element) {
+            const wrapper = element.closest ? element.closest('.k-widget') : null;
+            if (wrapper) {
+                const original = wrapper.querySelector('[data-role]');
+                if (original) return original;
+            }
+            return element;
+        },
+
+        /**
+         * Field type for an element, detecting Kendo widgets first
+         * @param {Element} element - Picked element
+         * @returns {string} One of the config's field types
+         */
+        detectFieldType: function(element) {
+            if (typeof KendoWidgetUtils !== 'undefined' && KendoWidgetUtils.detectWidgetType(element)) {
+                return 'kendo_widget';
+            }
+
+            const tag = (element.tagName || '').toUpperCase();
+            const inputType = (element.type || '').toLowerCase();
+            if (tag === 'INPUT' && inputType === 'checkbox') return 'checkbox';
+            if (tag === 'INPUT' && inputType === 'radio') return 'radio';
+            if (tag === 'INPUT' && (inputType === 'button' || inputType === 'submit')) return 'virtual';
+            if (tag === 'SELECT') return 'select';
+            if (tag === 'BUTTON' || tag === 'A') return 'virtual';
+            return 'text';
+        },
+
+        /**
+         * Human-readable name for a field: its label, then aria-label/placeholder/name/id
+         * @param {Element} element - Picked element
+         * @param {Document} [doc=document] - Document used to look up the label
+         * @returns {string}
+         */
+        guessFieldName: function(element, doc = document) {
+            if (element.id) {
+                const label = doc.querySelector(`label[for="${element.id.replace(/"/g, '\\"')}"]`);
+                if (label && label.textContent.trim()) {
+                    return label.textContent.trim().replace(/[:*]\s*$/, '');
+                }
+            }
+            const attribute = ['aria-label', 'placeholder', 'title', 'name']
+                .map(name => element.getAttribute && element.getAttribute(name))
+                .find(value => value && value.trim());
+            if (attribute) return attribute.trim();
+            if ((element.tagName || '').toUpperCase() === 'BUTTON' && element.textContent.trim()) {
+                return element.textContent.trim();
+            }
+            return element.id || 'New Field';
+        },
+
+        /**
+         * Build a config field entry for an element
+         * @param {Element} element - Picked element (already resolved with resolveTarget)
+         * @param {Document} [doc=document]
+         * @returns {{name: string, selector: string, type: string}}
+         */
+        buildField: function(element, doc = document) {
+            return {
+                name: this.guessFieldName(element, doc),
+                selector: this.buildSelector(element, doc),
+                type: this.detectFieldType(element)
+            };
+        },
+
+        /**
+         * Add a field to a copy of a config
+         * @param {Object} rawConfig - Config file contents
+         * @param {Object} field - Field entry from buildField
+         * @param {Object} target - { stepIndex } for an existing group, or { newGroupName } to append a new group
+         * @returns {Object} New config (rawConfig is not modified)
+         */
+        addFieldToConfig: function(rawConfig, field, target) {
+            const updated = window.ProcessingChecklistUtils.deepClone(rawConfig);
+            updated.checklist = Array.isArray(updated.checklist) ? updated.checklist : [];
+
+            if (typeof target.stepIndex === 'number') {
+                const step = updated.checklist[target.stepIndex];
+                if (!step || step.type !== 'group') {
+                    throw new Error(`Step ${target.stepIndex + 1} is not a group`);
+                }
+                step.fields = (step.fields || []).concat([field]);
+            } else {
+                updated.checklist.push({
+                    name: target.newGroupName || field.name,
+                    type: 'group',
+                    container_selector: field.selector,
+                    fields: [field]
+                });
+            }
+
+            return updated;
+        },
+
+        isActive: function() {
+            return active;
+        },
+
+        /**
+         * Start picking. Esc cancels.
+         * @param {Object} config - Active configuration object (its raw config and profile are used when saving)
+         */
+        start: function(config) {
+            if (active) return;
+            active = true;
+            activeConfig = config;
+
+            const highlight = document.createElement('div');
+            highlight.id = HIGHLIGHT_ID;
+            highlight.style.cssText = `
+                position: absolute !important;
+                pointer-events: none !important;
+                z-index: 10003 !important;
+                border: 2px solid #007cba !important;
+                background: rgba(0, 124, 186, 0.1) !important;
+                display: none;
+            `;
+            document.body.appendChild(highlight);
+
+            document.addEventListener('mouseover', handleMouseOver, true);
+            document.addEventListener('click', handleClick, true);
+            document.addEventListener('keydown', handleKeyDown, true);
+            showToast('Click a field to pick it (Esc to cancel)');
+            logger.info('Selector picker started');
+        },
+
+        /**
+         * Stop picking and remove the highlight and panel
+         */
+        stop: function() {
+            active = false;
+            hoveredElement = null;
+            document.removeEventListener('mouseover', handleMouseOver, true);
+            document.removeEventListener('click', handleClick, true);
+            document.removeEventListener('keydown', handleKeyDown, true);
+            [HIGHLIGHT_ID, PANEL_ID, 'processing-checklist-picker-toast'].forEach(id => {
+                const el = document.getElementById(id);
+                if (el) el.remove();
+            });
+        }
+    };
+
+    function isPickerUi(element) {
+        return !!(element && element.closest && element.closest(`#${PANEL_ID}, #processing-checklist-picker-toast`));
+    }
+
+    function handleMouseOver(event) {
+        if (document.getElementById(PANEL_ID) || isPickerUi(event.target)) return;
+
+        hoveredElement = SelectorPicker.resolveTarget(event.target);
+        const highlight = document.getElementById(HIGHLIGHT_ID);
+        if (!highlight) return;
+
+        // Kendo originals are often hidden - outline the visible wrapper instead
+        const visible = hoveredElement.offsetParent ? hoveredElement : (event.target.closest('.k-widget') || event.target);
+        const rect = visible.getBoundingClientRect();
+        highlight.style.top = `${rect.top + window.scrollY - 2}px`;
+        highlight.style.left = `${rect.left + window.scrollX - 2}px`;
+        highlight.style.width = `${rect.width + 4}px`;
+        highlight.style.height = `${rect.height + 4}px`;
+        highlight.style.display = 'block';
+    }
+
+    function handleClick(event) {
+        if (isPickerUi(event.target) || document.getElementById(PANEL_ID)) return;
+
+        // Don't let the page react to the pick
+        event.preventDefault();
+        event.stopPropagation();
+
+        const element = SelectorPicker.resolveTarget(event.target);
+        showPickPanel(SelectorPicker.buildField(element));
+    }
+
+    function handleKeyDown(event) {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            SelectorPicker.stop();
+        }
+    }
+
+    function showToast(message) {
+        let toast = document.getElementById('processing-checklist-picker-toast');
+        if (!toast) {
+            toast = document.createElement('div');
+            toast.id = 'processing-checklist-picker-toast';
+            toast.style.cssText = `
+                position: fixed !important;
+                top: 12px !important;
+                left: 50% !important;
+                transform: translateX(-50%) !important;
+                z-index: 10004 !important;
+                background: #007cba !important;
+                color: white !important;
+                padding: 8px 16px !important;
+                border-radius: 4px !important;
+                font-family: Arial, sans-serif !important;
+                font-size: 13px !important;
+                box-shadow: 0 2px 8px rgba(0,0,0,0.3) !important;
+            `;
+            document.body.appendChild(toast);
+        }
+        toast.textContent = message;
+    }
+
+    function showPickPanel(field) {
+        const escapeHtml = window.ProcessingChecklistUtils.escapeHtml;
+        const raw = activeConfig.raw || activeConfig;
+        const groups = (raw.checklist || [])
+            .map((step, index) => ({ step, index }))
+            .filter(({ step }) => step.type === 'group');
+
+        const panel = document.createElement('div');
+        panel.id = PANEL_ID;
+        panel.style.cssText = `
+            position: fixed !important;
+            top: 60px !important;
+            left: 50% !important;
+            transform: translateX(-50%) !important;
+            z-index: 10004 !important;
+            width: 460px !important;
+            background: white !important;
+            color: #333 !important;
+            border: 2px solid #007cba !important;
+            border-radius: 8px !important;
+            padding: 14px !important;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.3) !important;
+            font-family: Arial, sans-serif !important;
+            font-size: 13px !important;
+        `;
+
+        const fieldTypes = ['text', 'checkbox', 'select', 'radio', 'virtual', 'kendo_widget', 'labelWithDivText'];
+        panel.innerHTML = `
+            <div style="font-weight: bold; font-size: 15px; margin-bottom: 10px;">Picked Field</div>
+            <label style="display: block; margin-bottom: 6px;">Name
+                <input id="pc-picker-name" type="text" value="${escapeHtml(field.name)}" style="width: 100%; box-sizing: border-box;">
+            </label>
+            <label style="display: block; margin-bottom: 2px;">Selector
+                <input id="pc-picker-selector" type="text" value="${escapeHtml(field.selector)}" style="width: 100%; box-sizing: border-box; font-family: monospace;">
+            </label>
+            <div id="pc-picker-matches" style="font-size: 11px; margin-bottom: 6px;"></div>
+            <label style="display: block; margin-bottom: 10px;">Type
+                <select id="pc-picker-type">
+                    ${fieldTypes.map(type => `<option value="${type}" ${type === field.type ? 'selected' : ''}>${type}</option>`).join('')}
+                </select>
+            </label>
+            <label style="display: block; margin-bottom: 10px;">Add to
+                <select id="pc-picker-target" style="max-width: 100%;">
+                    <option value="new">New group…</option>
+                    ${groups.map(({ step, index }) => `<option value="${index}">${index + 1}. ${escapeHtml(step.name)}</option>`).join('')}
+                </select>
+            </label>
+            <div id="pc-picker-status" style="font-size: 12px; margin-bottom: 10px;"></div>
+            <div style="display: flex; gap: 6px; flex-wrap: wrap;">
+                <button id="pc-picker-add" style="cursor: pointer;">Add to Config</button>
+                <button id="pc-picker-copy" style="cursor: pointer;">Copy JSON</button>
+                <button id="pc-picker-again" style="cursor: pointer;">Pick Another</button>
+                <button id="pc-picker-done" style="cursor: pointer;">Done</button>
+            </div>
+        `;
+        document.body.appendChild(panel);
+
+        const selectorInput = panel.querySelector('#pc-picker-selector');
+        const updateMatches = () => {
+            const count = countMatches(document, selectorInput.value);
+            const matches = panel.querySelector('#pc-picker-matches');
+            matches.textContent = count === 1 ? '✓ Matches exactly one element' : `⚠ Matches ${count} elements`;
+            matches.style.color = count === 1 ? '#28a745' : '#dc3545';
+        };
+        selectorInput.addEventListener('input', updateMatches);
+        updateMatches();
+
+        const readField = () => ({
+            name: panel.querySelector('#pc-picker-name').value.trim() || 'New Field',
+            selector: selectorInput.value.trim(),
+            type: panel.querySelector('#pc-picker-type').value
+        });
+        const setStatus = (text, isError) => {
+            const status = panel.querySelector('#pc-picker-status');
+            status.textContent = text;
+            status.style.color = isError ? '#dc3545' : '#28a745';
+        };
+
+        panel.querySelector('#pc-picker-add').addEventListener('click', () => {
+            const targetValue = panel.querySelector('#pc-picker-target').value;
+            const picked = readField();
+            let target;
+            if (targetValue === 'new') {
+                const groupName = prompt('Name for the new group:', picked.name);
+                if (!groupName) return;
+                target = { newGroupName: groupName };
+            } else {
+                target = { stepIndex: parseInt(targetValue, 10) };
+            }
+            saveToOverride(picked, target, setStatus);
+        });
+
+        panel.querySelector('#pc-picker-copy').addEventListener('click', () => {
+            const snippet = JSON.stringify(readField(), null, 2);
+            navigator.clipboard.writeText(snippet).then(() => {
+                setStatus('✓ Copied field JSON to the clipboard', false);
+            }).catch(err => {
+                logger.error('Failed to copy to clipboard:', err);
+                setStatus('Could not copy to the clipboard', true);
+            });
+        });
+
+        panel.querySelector('#pc-picker-again').addEventListener('click', () => {
+            panel.remove();
+            showToast('Click a field to pick it (Esc to cancel)');
+        });
+        panel.querySelector('#pc-picker-done').addEventListener('click', () => SelectorPicker.stop());
+    }
+
+    /**
+     * Add the field to the profile's stored override (starting from the config in use),
+     * after checking the result still validates
+     */
+    function saveToOverride(field, target, setStatus) {
+        const profileId = activeConfig.profile ? activeConfig.profile.id : null;
+        if (!profileId) {
+            setStatus('No checklist profile is active on this page', true);
+            return;
+        }
+
+        let updated;
+        try {
+            updated = SelectorPicker.addFieldToConfig(activeConfig.raw || activeConfig, field, target);
+        } catch (error) {
+            setStatus(error.message, true);
+            return;
+        }
+
+        const errors = ConfigLoader.validateConfig(updated).filter(issue => issue.severity === 'error');
+        if (errors.length > 0) {
+            setStatus(ConfigLoader.formatIssue(errors[0]), true);
+            return;
+        }
+
+        const ext = (typeof browser !== 'undefined') ? browser : chrome;
+        const key = ConfigLoader.getOverrideKey(profileId);
+        ext.storage.local.set({ [key]: { config: updated, savedAt: new Date().toISOString() } }, () => {
+            logger.info(`Added field "${field.name}" to the config override for profile "${profileId}"`);
+            // The content script reloads the config from the override - keep adding to the new version
+            activeConfig = { raw: updated, profile: activeConfig.profile };
+            setStatus(`✓ Added "${field.name}" to the stored config. Edit or export it from the config editor.`, false);
+
+            const targetSelect = document.getElementById('pc-picker-target');
+            if (targetSelect && target.newGroupName) {
+                const index = updated.checklist.length - 1;
+                targetSelect.insertAdjacentHTML('beforeend',
+                    `<option value="${index}">${index + 1}. ${window.ProcessingChecklistUtils.escapeHtml(target.newGroupName)}</option>`);
+                targetSelect.value = String(index);
+            }
+        });
+    }
+
+    window.SelectorPicker = SelectorPicker;
+})();
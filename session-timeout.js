@@ -0,0 +1,92 @@
+/*************************************************************************************************
+ *  session-timeout.js - When RAPID's login session is due to run out
+ *
+ *  RAPID logs the processor out after a stretch without requests, and the next Save lands on
+ *  the login page. content.js notes the time of the last request to RAPID in storage, shared by
+ *  every tab: page loads, and on checklist pages the page's own XHR/fetch calls. A call RAPID
+ *  redirected isn't counted - it may have landed on the login page - the session is checked then.
+ *      sessionActivity: timestamp (ms)
+ *  The timeout is the config's "session_timeout_minutes". Without it, the timeout is learned:
+ *  each time a request from the form page that should have worked is sent to the login page, the
+ *  time since the last request is an upper bound on the timeout, and the smallest one seen is
+ *  kept. Opening the login page by hand (a logout, a new browser session) isn't counted:
+ *      sessionTimeoutLearned: ms
+ *  Until then, DEFAULT_TIMEOUT_MS is assumed. WARNING_MS before the session runs out, the form
+ *  page shows a countdown with a keep-alive button.
+ *
+ *  The module has no page dependencies, so the tests load it on its own.
+ *************************************************************************************************/
+(function() {
+    "use strict";
+
+    const DEFAULT_TIMEOUT_MS = 20 * 60 * 1000;
+    const WARNING_MS = 2 * 60 * 1000;
+    // A login page sooner than this after the last request is a manual logout, not a timeout
+    const MIN_LEARNED_MS = 5 * 60 * 1000;
+
+    const SessionTimeout = {
+        DEFAULT_TIMEOUT_MS: DEFAULT_TIMEOUT_MS,
+        WARNING_MS: WARNING_MS,
+        MIN_LEARNED_MS: MIN_LEARNED_MS,
+        ACTIVITY_KEY: 'sessionActivity',
+        LEARNED_KEY: 'sessionTimeoutLearned',
+
+        /**
+         * @param {*} configMinutes - "session_timeout_minutes" from the config
+         * @param {*} learnedMs - Stored sessionTimeoutLearned
+         * @returns {Object} { ms, source } - source is 'config', 'learned' or 'default'
+         */
+        getTimeout: function(configMinutes, learnedMs) {
+            if (typeof configMinutes === 'number' && configMinutes > 0) {
+                return { ms: configMinutes * 60 * 1000, source: 'config' };
+            }
+            if (typeof learnedMs === 'number' && learnedMs >= MIN_LEARNED_MS) {
+                return { ms: learnedMs, source: 'learned' };
+            }
+            return { ms: DEFAULT_TIMEOUT_MS, source: 'default' };
+        },
+
+        /**
+         * Narrow the learned timeout after a request that should have worked was sent to the login page
+         * @param {*} learnedMs - Stored sessionTimeoutLearned
+         * @param {*} lastActivity - Stored sessionActivity
+         * @param {number} detectedAt - When the login page was seen (ms)
+         * @returns {number|null} New learned timeout, or learnedMs (null if none) if this one
+         *          tells nothing new
+         */
+        learnTimeout: function(learnedMs, lastActivity, detectedAt) {
+            const previous = typeof learnedMs === 'number' ? learnedMs : null;
+            if (typeof lastActivity !== 'number') return previous;
+
+            const elapsed = detectedAt - lastActivity;
+            if (elapsed < MIN_LEARNED_MS) return previous;
+            return previous === null ? elapsed : Math.min(previous, elapsed);
+        },
+
+        /**
+         * @param {number} lastActivity - Stored sessionActivity
+         * @param {number} timeoutMs - From getTimeout
+         * @param {number} [now]
+         * @returns {Object} { phase, remainingMs } - phase is 'active', 'warning' (less than
+         *          WARNING_MS left) or 'expired'
+         */
+        getStatus: function(lastActivity, timeoutMs, now = Date.now()) {
+            const remainingMs = Math.max(0, lastActivity + timeoutMs - now);
+            let phase = 'active';
+            if (remainingMs === 0) phase = 'expired';
+            else if (remainingMs <= WARNING_MS) phase = 'warning';
+            return { phase, remainingMs };
+        },
+
+        /**
+         * @param {number} ms - Time left
+         * @returns {string} "m:ss", rounded up so the countdown reaches 0:00 when time runs out
+         */
+        formatCountdown: function(ms) {
+            const seconds = Math.ceil(Math.max(0, ms) / 1000);
+            return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        }
+    };
+
+    window.SessionTimeout = SessionTimeout;
+})();
@@ -0,0 +1,124 @@
+/*************************************************************************************************
+ *  shortcut-settings.js - "Keyboard Shortcuts" panel of the options page. Rebinds the commands
+ *  declared in manifest.json through the commands API - the same bindings Firefox shows under
+ *  about:addons > Manage Extension Shortcuts. background.js carries the commands out.
+ *************************************************************************************************/
+(function() {
+    "use strict";
+
+    const logger = Logger.create('Shortcuts');
+    const ext = (typeof browser !== 'undefined') ? browser : chrome;
+    const escapeHtml = window.ProcessingChecklistUtils.escapeHtml;
+
+    // Non-letter keys Firefox accepts in a shortcut, by KeyboardEvent.key
+    const KEY_NAMES = {
+        ' ': 'Space', ',': 'Comma', '.': 'Period',
+        ArrowUp: 'Up', ArrowDown: 'Down', ArrowLeft: 'Left', ArrowRight: 'Right',
+        Home: 'Home', End: 'End', PageUp: 'PageUp', PageDown: 'PageDown', Insert: 'Insert', Delete: 'Delete'
+    };
+
+    document.addEventListener('DOMContentLoaded', renderShortcuts);
+
+    /**
+     * Key part of a shortcut, from the physical key so Shift doesn't change it
+     * @returns {string|null} null for modifiers and keys Firefox doesn't allow
+     */
+    function getKeyName(e) {
+        if (/^Key[A-Z]$/.test(e.code)) return e.code.slice(3);
+        if (/^Digit[0-9]$/.test(e.code)) return e.code.slice(5);
+        if (/^F([1-9]|1[0-2])$/.test(e.key)) return e.key;
+        return KEY_NAMES[e.key] || null;
+    }
+
+    /**
+     * Shortcut string for a key press, e.g. "Alt+Shift+C"
+     * @returns {string|null} null while only modifiers are held
+     */
+    function shortcutFromEvent(e) {
+        const key = getKeyName(e);
+        if (!key) return null;
+
+        const modifiers = [];
+        if (e.ctrlKey) modifiers.push('Ctrl');
+        if (e.altKey) modifiers.push('Alt');
+        if (e.metaKey) modifiers.push('Command');
+        if (e.shiftKey) modifiers.push('Shift');
+        return modifiers.concat([key]).join('+');
+    }
+
+    async function renderShortcuts() {
+        const list = document.getElementById('shortcut-list');
+        if (!list || !ext.commands) return;
+
+        const commands = await ext.commands.getAll();
+        list.innerHTML = commands.map(command => `
+            <div class="shortcut-row" data-command="${escapeHtml(command.name)}">
+                <span class="shortcut-description">${escapeHtml(command.description || command.name)}</span>
+                <input type="text" class="control-input shortcut-input" readonly value="${escapeHtml(command.shortcut || '')}" placeholder="Not set">
+                <button class="btn-secondary shortcut-reset">Reset</button>
+            </div>
+        `).join('');
+
+        list.querySelectorAll('.shortcut-row').forEach(row => {
+            const name = row.getAttribute('data-command');
+            const input = row.querySelector('.shortcut-input');
+
+            input.addEventListener('focus', () => {
+                input.dataset.previous = input.value;
+                input.value = '';
+                input.placeholder = 'Press the new shortcut…';
+            });
+            input.addEventListener('blur', () => {
+                if (!input.value) input.value = input.dataset.previous || '';
+                input.placeholder = 'Not set';
+            });
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Tab') return;
+                e.preventDefault();
+
+                if (e.key === 'Escape') {
+                    input.blur();
+                    return;
+                }
+                // Backspace on its own removes the shortcut
+                if (e.key === 'Backspace' && !e.ctrlKey && !e.altKey && !e.metaKey && !e.shiftKey) {
+                    updateShortcut(name, '');
+                    return;
+                }
+
+                const shortcut = shortcutFromEvent(e);
+                if (!shortcut) return;
+                if (!/^F\d+$/.test(getKeyName(e)) && !e.ctrlKey && !e.altKey && !e.metaKey) {
+                    setShortcutStatus('Shortcuts need Ctrl or Alt (Shift can be added).', true);
+                    return;
+                }
+                updateShortcut(name, shortcut);
+            });
+
+            row.querySelector('.shortcut-reset').addEventListener('click', async () => {
+                await ext.commands.reset(name);
+                setShortcutStatus('Shortcut reset to its default.', false);
+                renderShortcuts();
+            });
+        });
+    }
+
+    async function updateShortcut(name, shortcut) {
+        try {
+            await ext.commands.update({ name, shortcut });
+            setShortcutStatus(shortcut ? `Saved ${shortcut}.` : 'Shortcut removed.', false);
+            renderShortcuts();
+        } catch (error) {
+            // Firefox rejects combinations it reserves or can't use
+            logger.warn(`Could not set "${shortcut}" for ${name}:`, error);
+            setShortcutStatus(`${shortcut} can't be used: ${error.message}`, true);
+        }
+    }
+
+    function setShortcutStatus(text, isError) {
+        const status = document.getElementById('shortcut-status');
+        if (!status) return;
+        status.textContent = text;
+        status.classList.toggle('error', isError);
+    }
+})();
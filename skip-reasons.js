@@ -0,0 +1,162 @@
+/*************************************************************************************************
+ *  skip-reasons.js - Why a step was skipped
+ *
+ *  Skipping a step asks for a reason: one of the config's "skip_reasons" (see ConfigLoader for
+ *  the defaults) or free text. The reason is kept in the checklist state
+ *  ({ processed: false, skipped: true, skipReason }) and in the form's history record:
+ *      skipReasons: { stepId: { stepName, reason, skippedAt, resolved, resolvedAt } }
+ *  A skip is resolved once the step is no longer skipped. A form with unresolved skips is
+ *  "pending" in tracking, and the changes report counts skips by reason.
+ *
+ *  The picker is shared by the on-page UI and the popout; the rest has no page dependencies,
+ *  so the tests load the module on its own.
+ *************************************************************************************************/
+(function() {
+    "use strict";
+
+    const SkipReasons = {
+        /**
+         * Skipped steps of a checklist state
+         * @param {Array} state - [{ processed, skipped, skipReason }]
+         * @param {Array} steps - [{ id, name }], in checklist order
+         * @returns {Object} { stepId: { stepName, reason } }
+         */
+        getCurrentSkips: function(state, steps) {
+            const skips = {};
+            (state || []).forEach((item, index) => {
+                const step = steps[index];
+                if (!item || !item.skipped || !step) return;
+                skips[step.id] = { stepName: step.name, reason: item.skipReason || '' };
+            });
+            return skips;
+        },
+
+        /**
+         * Bring a history record's skip reasons in line with the current skips
+         * @param {Object} recorded - The record's skipReasons
+         * @param {Object} current - From getCurrentSkips
+         * @param {string} now - ISO timestamp
+         * @returns {Object} { skipReasons, changed }
+         */
+        mergeIntoRecord: function(recorded, current, now) {
+            const skipReasons = { ...(recorded || {}) };
+            let changed = false;
+
+            Object.keys(current).forEach(stepId => {
+                const previous = skipReasons[stepId];
+                const skip = current[stepId];
+                if (previous && !previous.resolved && previous.reason === skip.reason) return;
+                skipReasons[stepId] = {
+                    stepName: skip.stepName,
+                    reason: skip.reason,
+                    skippedAt: now,
+                    resolved: false,
+                    resolvedAt: null
+                };
+                changed = true;
+            });
+
+            Object.keys(skipReasons).forEach(stepId => {
+                const entry = skipReasons[stepId];
+                if (entry.resolved || current[stepId]) return;
+                skipReasons[stepId] = { ...entry, resolved: true, resolvedAt: now };
+                changed = true;
+            });
+
+            return { skipReasons, changed };
+        },
+
+        /**
+         * @param {Object} record - tracking_history entry
+         * @returns {boolean} True if the form has skipped steps that haven't been resolved
+         */
+        hasPendingSkips: function(record) {
+            return Object.values((record && record.skipReasons) || {}).some(entry => !entry.resolved);
+        },
+
+        /**
+         * Skips over a set of forms, by reason
+         * @param {Array} forms - tracking_history records
+         * @returns {Array} [{ reason, count, pending }], most common first ('' for no reason given)
+         */
+        countByReason: function(forms) {
+            const counts = new Map();
+            forms.forEach(form => {
+                Object.values(form.skipReasons || {}).forEach(entry => {
+                    const total = counts.get(entry.reason) || { reason: entry.reason, count: 0, pending: 0 };
+                    total.count++;
+                    if (!entry.resolved) total.pending++;
+                    counts.set(entry.reason, total);
+                });
+            });
+            return Array.from(counts.values()).sort((a, b) => b.count - a.count);
+        },
+
+        /**
+         * Show the reason picker in a container
+         * @param {HTMLElement} container
+         * @param {Object} options
+         * @param {string[]} options.reasons - Reasons to offer (1-9 pick them from the keyboard)
+         * @param {Function} options.onPick - Called with the chosen or typed reason ('' for none)
+         * @param {Function} options.onCancel - Called when the skip is cancelled
+         * @returns {HTMLElement} The picker
+         */
+        showPicker: function(container, { reasons, onPick, onCancel }) {
+            const escape = window.ProcessingChecklistUtils ? window.ProcessingChecklistUtils.escapeHtml : (text => text);
+            const picker = document.createElement('div');
+            picker.className = 'skip-reason-picker';
+            picker.innerHTML = `
+                <div class="skip-reason-title">Why skip this step?</div>
+                <div class="skip-reason-options">
+                    ${reasons.map((reason, i) => `
+                        <button class="skip-reason-option" data-reason-index="${i}">${i < 9 ? `<kbd>${i + 1}</kbd> ` : ''}${escape(reason)}</button>
+                    `).join('')}
+                </div>
+                <input type="text" class="skip-reason-input" placeholder="Other reason…" autocomplete="off">
+                <div class="skip-reason-actions">
+                    <button class="skip-reason-cancel">Cancel</button>
+                    <button class="skip-reason-confirm">Skip</button>
+                </div>`;
+            container.appendChild(picker);
+
+            const input = picker.querySelector('.skip-reason-input');
+            const close = () => {
+                if (picker.parentNode) picker.parentNode.removeChild(picker);
+            };
+            const pick = (reason) => {
+                close();
+                onPick(reason.trim());
+            };
+            const cancel = () => {
+                close();
+                onCancel();
+            };
+
+            picker.querySelectorAll('.skip-reason-option').forEach(button => {
+                button.addEventListener('click', () => pick(reasons[parseInt(button.getAttribute('data-reason-index'), 10)]));
+            });
+            picker.querySelector('.skip-reason-confirm').addEventListener('click', () => pick(input.value));
+            picker.querySelector('.skip-reason-cancel').addEventListener('click', cancel);
+            picker.addEventListener('keydown', (e) => {
+                // Keep the page's and the popout's own shortcuts out of the picker
+                e.stopPropagation();
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    cancel();
+                } else if (e.key === 'Enter' && e.target === input) {
+                    e.preventDefault();
+                    pick(input.value);
+                } else if (e.target !== input && /^[1-9]$/.test(e.key) && reasons[Number(e.key) - 1]) {
+                    e.preventDefault();
+                    pick(reasons[Number(e.key) - 1]);
+                }
+            });
+
+            const first = picker.querySelector('.skip-reason-option') || input;
+            first.focus();
+            return picker;
+        }
+    };
+
+    window.SkipReasons = SkipReasons;
+})();
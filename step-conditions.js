@@ -0,0 +1,194 @@
+/*************************************************************************************************
+ *  step-conditions.js - Evaluates declarative show_if / required_if rules on checklist steps
+ *
+ *  A condition references a page element and tests its current value:
+ *      { "selector": "#SameAddress", "checked": false }
+ *      { "selector": "label[for='IsLate']", "read": "next_text", "equals": "Yes" }
+ *      { "selector": "#TransactionTypeId", "read": "option_text", "in": ["Endorsement", "Audit"] }
+ *  and conditions can be combined with { "all": [...] }, { "any": [...] } and { "not": {...} }.
+ *
+ *  show_if false     -> step is hidden and ignored by navigation and progress totals
+ *  required_if false -> step is still listed but optional (ignored by navigation and totals)
+ *  A condition whose element can't be found evaluates to "unknown" and leaves the step active,
+ *  so a broken selector never silently hides a step. An invalid selector or regex is unknown too.
+ *************************************************************************************************/
+(function() {
+    "use strict";
+
+    const READ_MODES = ['auto', 'value', 'checked', 'text', 'option_text', 'next_text', 'kendo'];
+    const OPERATORS = ['equals', 'not_equals', 'in', 'not_in', 'checked', 'empty', 'matches'];
+
+    /**
+     * Normalize a value for comparison: trimmed, case-insensitive strings; booleans kept as "true"/"false"
+     */
+    function normalize(value) {
+        if (value === null || value === undefined) return '';
+        return String(value).trim().toLowerCase();
+    }
+
+    /**
+     * First word of the first non-empty text node after an element (e.g. "Yes" after the Late label)
+     */
+    function readNextText(element) {
+        let next = element.nextSibling;
+        while (next && next.nodeType === 3 && !next.textContent.trim()) {
+            next = next.nextSibling;
+        }
+        if (next && next.nodeType === 3) {
+            const match = next.textContent.trim().match(/^(\w+)/);
+            return match ? match[1] : '';
+        }
+        return '';
+    }
+
+    const StepConditions = {
+        READ_MODES: READ_MODES,
+        OPERATORS: OPERATORS,
+
+        /**
+         * Read the current value of a page element
+         * @param {Element} element - Element found by the condition's selector
+         * @param {string} [read='auto'] - How to read it (see READ_MODES)
+         * @returns {string|boolean} Current value
+         */
+        readValue: function(element, read = 'auto') {
+            const tagName = (element.tagName || '').toUpperCase();
+            const inputType = (element.type || '').toLowerCase();
+
+            switch (read) {
+                case 'checked':
+                    return !!element.checked;
+                case 'value':
+                    return element.value !== undefined ? element.value : '';
+                case 'text':
+                    return (element.textContent || '').trim();
+                case 'option_text': {
+                    const option = element.options ? element.options[element.selectedIndex] : null;
+                    return option ? option.text.trim() : '';
+                }
+                case 'next_text':
+                    return readNextText(element);
+                case 'kendo':
+                    if (typeof KendoWidgetUtils !== 'undefined' && KendoWidgetUtils.isKendoAvailable()) {
+                        return KendoWidgetUtils.getWidgetValue(element) || '';
+                    }
+                    return element.value || '';
+                default:
+                    if (tagName === 'INPUT' && (inputType === 'checkbox' || inputType === 'radio')) {
+                        return !!element.checked;
+                    }
+                    if (tagName === 'INPUT' || tagName === 'SELECT' || tagName === 'TEXTAREA') {
+                        return element.value;
+                    }
+                    return (element.textContent || '').trim();
+            }
+        },
+
+        /**
+         * Evaluate a condition against the page
+         * @param {Object} condition - Condition object (see file header)
+         * @param {Document|Element} [root=document] - Where to look up selectors
+         * @returns {boolean|null} true/false, or null if a referenced element was not found (or the
+         *          condition can't be evaluated)
+         */
+        evaluate: function(condition, root = document) {
+            if (Array.isArray(condition.all)) {
+                const results = condition.all.map(c => this.evaluate(c, root));
+                if (results.includes(false)) return false;
+                return results.includes(null) ? null : true;
+            }
+            if (Array.isArray(condition.any)) {
+                const results = condition.any.map(c => this.evaluate(c, root));
+                if (results.includes(true)) return true;
+                return results.includes(null) ? null : false;
+            }
+            if (condition.not) {
+                const result = this.evaluate(condition.not, root);
+                return result === null ? null : !result;
+            }
+
+            let element;
+            try {
+                element = root.querySelector(condition.selector);
+            } catch (e) {
+                // e.g. "#Late[" while the selector is being typed in the options page
+                return null;
+            }
+            if (!element) return null;
+
+            const value = this.readValue(element, condition.read || 'auto');
+            const actual = normalize(value);
+            const checks = [];
+
+            if ('equals' in condition) {
+                checks.push(actual === normalize(condition.equals));
+            }
+            if ('not_equals' in condition) {
+                checks.push(actual !== normalize(condition.not_equals));
+            }
+            if (Array.isArray(condition.in)) {
+                checks.push(condition.in.map(normalize).includes(actual));
+            }
+            if (Array.isArray(condition.not_in)) {
+                checks.push(!condition.not_in.map(normalize).includes(actual));
+            }
+            if ('checked' in condition) {
+                const isChecked = typeof value === 'boolean' ? value : !!element.checked;
+                checks.push(isChecked === !!condition.checked);
+            }
+            if ('empty' in condition) {
+                checks.push((actual === '' || actual === 'false') === !!condition.empty);
+            }
+            if ('matches' in condition) {
+                try {
+                    checks.push(new RegExp(condition.matches, 'i').test(String(value)));
+                } catch (e) {
+                    return null;
+                }
+            }
+
+            // No operator: the element's value must be "truthy" (checked, or non-empty text)
+            if (checks.length === 0) {
+                return actual !== '' && actual !== 'false';
+            }
+
+            return checks.every(Boolean);
+        },
+
+        /**
+         * Work out whether a step is currently shown and required
+         * @param {Object} step - Checklist item
+         * @param {Document|Element} [root=document] - Where to look up selectors
+         * @returns {{visible: boolean, required: boolean}}
+         */
+        getStepActivity: function(step, root = document) {
+            const visible = step.show_if ? this.evaluate(step.show_if, root) !== false : true;
+            if (!visible) {
+                return { visible: false, required: false };
+            }
+            const required = step.required_if ? this.evaluate(step.required_if, root) !== false : true;
+            return { visible: true, required: required };
+        },
+
+        /**
+         * Activity for every step of a checklist
+         * @param {Array} checklist - Checklist items
+         * @param {Document|Element} [root=document] - Where to look up selectors
+         * @returns {Array<{visible: boolean, required: boolean}>}
+         */
+        getStepActivities: function(checklist, root = document) {
+            return checklist.map(step => this.getStepActivity(step, root));
+        },
+
+        /**
+         * Whether any step in the checklist declares a condition
+         * @param {Array} checklist - Checklist items
+         * @returns {boolean}
+         */
+        hasConditions: function(checklist) {
+            return checklist.some(step => step.show_if || step.required_if);
+        }
+    };
+
+    window.StepConditions = StepConditions;
+})();
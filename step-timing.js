@@ -0,0 +1,140 @@
+/*************************************************************************************************
+ *  step-timing.js - Time spent on each checklist step
+ *
+ *  content.js runs a clock for the current step from when it becomes current until it is
+ *  confirmed or skipped (or another step becomes current). Only active time counts: the clock
+ *  stops while the tab is hidden and IDLE_THRESHOLD_MS after the last mouse or keyboard activity.
+ *  Each form's history record keeps the totals per step id:
+ *      stepTimings: { stepId: { stepName, activeMs } }
+ *  and the changes report averages them per transaction type or broker.
+ *
+ *  The module has no page dependencies, so the tests load it on its own.
+ *************************************************************************************************/
+(function() {
+    "use strict";
+
+    const IDLE_THRESHOLD_MS = 60 * 1000;
+
+    const StepTiming = {
+        IDLE_THRESHOLD_MS: IDLE_THRESHOLD_MS,
+
+        /**
+         * @param {number} index - Step the clock is for
+         * @param {number} now - Timestamp (ms)
+         * @param {boolean} [visible] - Whether the tab is showing
+         * @returns {Object} Clock { index, activeMs, lastTick, lastActivity, visible }
+         */
+        createClock: function(index, now, visible = true) {
+            return { index, activeMs: 0, lastTick: now, lastActivity: now, visible };
+        },
+
+        /**
+         * Count the active time since the clock was last advanced
+         * @param {Object} clock
+         * @param {number} now
+         * @returns {Object} New clock (the given one isn't modified)
+         */
+        advance: function(clock, now) {
+            const activeUntil = Math.min(now, clock.lastActivity + IDLE_THRESHOLD_MS);
+            const elapsed = clock.visible ? Math.max(0, activeUntil - clock.lastTick) : 0;
+            return { ...clock, activeMs: clock.activeMs + elapsed, lastTick: now };
+        },
+
+        /**
+         * The user did something - restarts the idle countdown
+         * @returns {Object} New clock
+         */
+        recordActivity: function(clock, now) {
+            return { ...this.advance(clock, now), lastActivity: now };
+        },
+
+        /**
+         * The tab was hidden or shown. Coming back counts as activity.
+         * @returns {Object} New clock
+         */
+        setVisible: function(clock, visible, now) {
+            const advanced = this.advance(clock, now);
+            return visible
+                ? { ...advanced, visible: true, lastActivity: now }
+                : { ...advanced, visible: false };
+        },
+
+        /**
+         * Add time to a form's step totals
+         * @param {Object} timings - { stepId: { stepName, activeMs } }
+         * @param {string} stepId
+         * @param {string} stepName
+         * @param {number} activeMs
+         * @returns {Object} New totals
+         */
+        addTiming: function(timings, stepId, stepName, activeMs) {
+            const previous = (timings || {})[stepId];
+            return {
+                ...(timings || {}),
+                [stepId]: { stepName, activeMs: (previous ? previous.activeMs : 0) + activeMs }
+            };
+        },
+
+        /**
+         * Average time per step over forms, grouped (e.g. by transaction type or broker)
+         * @param {Array} forms - tracking_history records
+         * @param {Function} getGroup - Returns a form's group name
+         * @returns {Array} [{ group, formCount, steps: [{ stepId, stepName, formCount, averageMs }] }],
+         *          groups by name, steps slowest first. Forms without timings are left out.
+         */
+        averageByGroup: function(forms, getGroup) {
+            const groups = new Map();
+
+            forms.forEach(form => {
+                const timings = form.stepTimings || {};
+                const stepIds = Object.keys(timings);
+                if (stepIds.length === 0) return;
+
+                const name = getGroup(form);
+                if (!groups.has(name)) groups.set(name, { group: name, formCount: 0, steps: new Map() });
+                const group = groups.get(name);
+                group.formCount++;
+
+                stepIds.forEach(stepId => {
+                    const step = group.steps.get(stepId) || { stepId, stepName: timings[stepId].stepName, formCount: 0, totalMs: 0 };
+                    step.formCount++;
+                    step.totalMs += timings[stepId].activeMs;
+                    group.steps.set(stepId, step);
+                });
+            });
+
+            return Array.from(groups.values())
+                .sort((a, b) => String(a.group).localeCompare(String(b.group)))
+                .map(group => ({
+                    group: group.group,
+                    formCount: group.formCount,
+                    steps: Array.from(group.steps.values())
+                        .map(step => ({
+                            stepId: step.stepId,
+                            stepName: step.stepName,
+                            formCount: step.formCount,
+                            averageMs: Math.round(step.totalMs / step.formCount)
+                        }))
+                        .sort((a, b) => b.averageMs - a.averageMs)
+                }));
+        },
+
+        /**
+         * @param {number} ms
+         * @returns {string} e.g. "45s", "3m 05s", "1h 02m"
+         */
+        formatDuration: function(ms) {
+            const totalSeconds = Math.round(ms / 1000);
+            const hours = Math.floor(totalSeconds / 3600);
+            const minutes = Math.floor((totalSeconds % 3600) / 60);
+            const seconds = totalSeconds % 60;
+            const pad = n => String(n).padStart(2, '0');
+
+            if (hours > 0) return `${hours}h ${pad(minutes)}m`;
+            if (minutes > 0) return `${minutes}m ${pad(seconds)}s`;
+            return `${seconds}s`;
+        }
+    };
+
+    window.StepTiming = StepTiming;
+})();
@@ -0,0 +1,115 @@
+/*************************************************************************************************
+ *  blind-review.test.js - Unit tests for blind-review.js
+ *  Run with: Open tests/test-runner-blind-review.html in Firefox
+ *************************************************************************************************/
+
+// Simple test framework
+const TestRunner = {
+    tests: [],
+    passed: 0,
+    failed: 0,
+
+    test(name, fn) {
+        this.tests.push({ name, fn });
+    },
+
+    async run() {
+        console.log('=== Running BlindReview Tests ===\n');
+        this.passed = 0;
+        this.failed = 0;
+
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                this.passed++;
+                console.log(`✓ ${test.name}`);
+            } catch (e) {
+                this.failed++;
+                console.error(`✗ ${test.name}`);
+                console.error(`  ${e.message}`);
+            }
+        }
+
+        console.log(`\n=== Test Results ===`);
+        console.log(`Passed: ${this.passed}`);
+        console.log(`Failed: ${this.failed}`);
+        console.log(`Total: ${this.tests.length}`);
+
+        return this.failed === 0;
+    },
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    },
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(message || `Expected "${expected}", got "${actual}"`);
+        }
+    }
+};
+
+// Wait for blind-review.js to load
+window.addEventListener('DOMContentLoaded', () => {
+    const Blind = window.BlindReview;
+
+    TestRunner.test('isBlindStep - should re-enter group steps with typed or picked fields', () => {
+        TestRunner.assert(Blind.isBlindStep({ type: 'group', fields: [{ name: 'Name', type: 'text' }] }));
+        TestRunner.assert(Blind.isBlindStep({ type: 'group', fields: [{ name: 'Name' }] }), 'Fields default to text');
+        TestRunner.assert(!Blind.isBlindStep({ type: 'group', fields: [{ name: 'Total', type: 'virtual' }] }));
+        TestRunner.assert(!Blind.isBlindStep({ type: 'table', columns: [] }));
+        TestRunner.assert(!Blind.isBlindStep({ type: 'virtual' }));
+    });
+
+    TestRunner.test('normalize - should ignore formatting differences', () => {
+        TestRunner.assertEqual(Blind.normalize(' ACME  Corp '), 'acme corp');
+        TestRunner.assertEqual(Blind.normalize('$1,250.50'), Blind.normalize('1250.5'));
+        TestRunner.assertEqual(Blind.normalize('3/7/2025'), '2025-03-07');
+        TestRunner.assertEqual(Blind.normalize(true), 'true');
+        TestRunner.assertEqual(Blind.normalize(undefined), '');
+    });
+
+    TestRunner.test('compareFields - should flag mismatches per entry field', () => {
+        const fields = [
+            { name: 'Insured', type: 'text', value: 'Acme Corp' },
+            { name: 'State', type: 'select', value: 'CA', options: [{ text: '', value: '' }, { text: 'California', value: 'CA' }, { text: 'Nevada', value: 'NV' }] },
+            { name: 'Binder', type: 'checkbox', value: true },
+            { name: 'Total', type: 'virtual', value: '100' }
+        ];
+        const results = Blind.compareFields(fields, ['acme corp', 'NV', false]);
+
+        TestRunner.assertEqual(results.length, 3, 'Virtual fields are not compared');
+        TestRunner.assert(results[0].match);
+        TestRunner.assert(!results[1].match);
+        TestRunner.assertEqual(results[1].entered, 'Nevada');
+        TestRunner.assertEqual(results[1].actual, 'California');
+        TestRunner.assert(!results[2].match);
+        TestRunner.assertEqual(results[2].actual, true);
+    });
+
+    TestRunner.test('summarize and formatValue - should total a form\'s results', () => {
+        const summary = Blind.summarize({
+            insured: { stepName: 'Insured', fields: [{ name: 'Name', match: true }, { name: 'State', match: false }] },
+            dates: { stepName: 'Dates', fields: [{ name: 'Effective', match: false }] }
+        });
+        TestRunner.assertEqual(summary.stepCount, 2);
+        TestRunner.assertEqual(summary.fieldCount, 3);
+        TestRunner.assertEqual(summary.mismatchCount, 2);
+        TestRunner.assertEqual(Blind.summarize(undefined).fieldCount, 0);
+        TestRunner.assertEqual(Blind.formatValue(''), '(blank)');
+        TestRunner.assertEqual(Blind.formatValue(false), 'Not checked');
+    });
+
+    // Run all tests
+    TestRunner.run().then(success => {
+        if (success) {
+            document.body.style.backgroundColor = '#d4edda';
+            document.body.innerHTML = '<h1 style="color: #155724; text-align: center; padding: 50px;">All BlindReview Tests Passed! ✓</h1>';
+        } else {
+            document.body.style.backgroundColor = '#f8d7da';
+            document.body.innerHTML = '<h1 style="color: #721c24; text-align: center; padding: 50px;">Some Tests Failed! ✗</h1><p style="text-align: center;">Check console for details.</p>';
+        }
+    });
+});
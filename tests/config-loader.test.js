@@ -0,0 +1,519 @@
+/*************************************************************************************************
+ *  config-loader.test.js - Unit tests for config-loader-simple.js
+ *  Run with: Open tests/test-runner-config-loader.html in Firefox
+ *************************************************************************************************/
+
+// Simple test framework
+const TestRunner = {
+    tests: [],
+    passed: 0,
+    failed: 0,
+
+    test(name, fn) {
+        this.tests.push({ name, fn });
+    },
+
+    async run() {
+        console.log('=== Running ConfigLoader Tests ===\n');
+        this.passed = 0;
+        this.failed = 0;
+
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                this.passed++;
+                console.log(`✓ ${test.name}`);
+            } catch (e) {
+                this.failed++;
+                console.error(`✗ ${test.name}`);
+                console.error(`  ${e.message}`);
+            }
+        }
+
+        console.log(`\n=== Test Results ===`);
+        console.log(`Passed: ${this.passed}`);
+        console.log(`Failed: ${this.failed}`);
+        console.log(`Total: ${this.tests.length}`);
+
+        return this.failed === 0;
+    },
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    },
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(message || `Expected "${expected}", got "${actual}"`);
+        }
+    }
+};
+
+// Wait for config-loader-simple.js to load
+window.addEventListener('DOMContentLoaded', () => {
+    const Loader = window.ConfigLoader;
+
+    function baseConfig() {
+        return {
+            metadata: { form_name: 'Test Form', url_pattern: 'index.html', config_version: '1.0' },
+            policy_number: { selector: '#PolicyNumber', label: 'Policy Number' },
+            checklist: [
+                {
+                    name: 'Policy Number',
+                    type: 'group',
+                    container_selector: '#PolicyNumber',
+                    container_levels_up: 2,
+                    fields: [{ name: 'Policy Number', selector: '#PolicyNumber', type: 'text' }]
+                },
+                {
+                    name: 'Coverage',
+                    type: 'table',
+                    table_selector: '#coveragesTable > table',
+                    row_selector: 'tbody tr',
+                    dynamic: true,
+                    columns: [
+                        { name: 'Code', selector: 'td:nth-child(1) input', type: 'text' },
+                        { name: 'Premium', selector: 'td:nth-child(3) input', type: 'text' }
+                    ]
+                }
+            ]
+        };
+    }
+
+    function findIssue(issues, path) {
+        return issues.find(issue => issue.path === path);
+    }
+
+    // ===== validateConfig =====
+    TestRunner.test('validateConfig - should accept a valid config', () => {
+        const issues = Loader.validateConfig(baseConfig());
+        TestRunner.assertEqual(issues.length, 0, `Expected no issues, got ${issues.length}`);
+    });
+
+    TestRunner.test('validateConfig - should report every error, not just the first', () => {
+        const config = baseConfig();
+        delete config.checklist[0].fields[0].selector;
+        config.checklist[1].columns[1].type = 'number';
+        const issues = Loader.validateConfig(config);
+        TestRunner.assert(findIssue(issues, 'checklist[0].fields[0].selector'), 'Missing selector should be reported');
+        TestRunner.assert(findIssue(issues, 'checklist[1].columns[1].type'), 'Invalid column type should be reported');
+    });
+
+    TestRunner.test('validateConfig - should include JSON path, severity and suggestion', () => {
+        const config = baseConfig();
+        config.checklist[1].columns[1].type = 'txt';
+        const issue = findIssue(Loader.validateConfig(config), 'checklist[1].columns[1].type');
+        TestRunner.assertEqual(issue.severity, 'error');
+        TestRunner.assertEqual(issue.item, 'Coverage');
+        TestRunner.assertEqual(issue.suggestion, 'Did you mean "text"?');
+    });
+
+    TestRunner.test('validateConfig - should warn about misspelled keys', () => {
+        const config = baseConfig();
+        config.checklist[0].container_level_up = 2;
+        delete config.checklist[0].container_levels_up;
+        const issue = findIssue(Loader.validateConfig(config), 'checklist[0].container_level_up');
+        TestRunner.assert(issue, 'Unknown key should be reported');
+        TestRunner.assertEqual(issue.severity, 'warning');
+        TestRunner.assertEqual(issue.suggestion, 'Did you mean "container_levels_up"?');
+    });
+
+    TestRunner.test('validateConfig - should require highlight zone edges', () => {
+        const config = baseConfig();
+        config.checklist[0].highlight_zones = [{
+            top: { selector: '#a', edge: 'top', offset: 0 },
+            bottom: { selector: '#a', edge: 'bottom', offset: '4' },
+            left: { selector: '#a', edge: 'left', offset: 0 }
+        }];
+        const issues = Loader.validateConfig(config);
+        TestRunner.assert(findIssue(issues, 'checklist[0].highlight_zones[0].right'), 'Missing edge should be reported');
+        const offsetIssue = findIssue(issues, 'checklist[0].highlight_zones[0].bottom.offset');
+        TestRunner.assertEqual(offsetIssue.suggestion, 'Remove the quotes: 4');
+    });
+
+    TestRunner.test('validateConfig - should check row_identifier against columns', () => {
+        const config = baseConfig();
+        config.checklist[1].row_identifier = { column_index: 5 };
+        const issue = findIssue(Loader.validateConfig(config), 'checklist[1].row_identifier.column_index');
+        TestRunner.assert(issue, 'Out of range column_index should be reported');
+        TestRunner.assertEqual(issue.severity, 'error');
+    });
+
+    TestRunner.test('validateConfig - should list errors before warnings', () => {
+        const config = baseConfig();
+        config.checklist[0].colour = 'red';
+        config.checklist[1].columns[0].type = 'bogus';
+        const issues = Loader.validateConfig(config);
+        TestRunner.assertEqual(issues[0].severity, 'error');
+        TestRunner.assertEqual(issues[issues.length - 1].severity, 'warning');
+    });
+
+    // ===== processConfig =====
+    TestRunner.test('processConfig - should return warnings without failing', () => {
+        const config = baseConfig();
+        config.checklist[0].colour = 'red';
+        const result = Loader.processConfig(config);
+        TestRunner.assert(!result.error, 'Warnings should not fail the load');
+        TestRunner.assertEqual(result.warnings.length, 1);
+    });
+
+    TestRunner.test('processConfig - should attach all issues to the error', () => {
+        const config = baseConfig();
+        config.checklist[0].type = 'grop';
+        config.checklist[1].row_selector = 3;
+        const result = Loader.processConfig(config);
+        TestRunner.assertEqual(result.error.type, 'VALIDATION_ERROR');
+        TestRunner.assertEqual(result.error.issues.filter(i => i.severity === 'error').length, 2);
+    });
+
+    TestRunner.test('processConfig - should reject a config without a checklist', () => {
+        const result = Loader.processConfig({ metadata: {} });
+        TestRunner.assertEqual(result.error.issues[0].path, 'checklist');
+    });
+
+    TestRunner.test('validateConfig - should check show_if conditions', () => {
+        const config = baseConfig();
+        config.checklist[0].show_if = { selector: '#SameAddress', read: 'chekced', checked: 'no' };
+        const issues = Loader.validateConfig(config);
+        const readIssue = issues.find(i => i.path === 'checklist[0].show_if.read');
+        TestRunner.assert(readIssue, 'Expected an issue for the misspelled read mode');
+        TestRunner.assertEqual(readIssue.suggestion, 'Did you mean "checked"?');
+        TestRunner.assert(issues.some(i => i.path === 'checklist[0].show_if.checked'), 'Expected an issue for non-boolean checked');
+        config.checklist[0].show_if = { any: [{ selector: '#Late[', equals: 'Yes' }] };
+        const selectorIssue = Loader.validateConfig(config).find(i => i.path === 'checklist[0].show_if.any[0].selector');
+        TestRunner.assert(selectorIssue, 'Expected an issue for the invalid selector');
+        TestRunner.assertEqual(selectorIssue.severity, 'error');
+    });
+
+    TestRunner.test('validateConfig - should check field rules', () => {
+        const config = baseConfig();
+        config.checklist[0].fields[0].rules = { pattern: '([', min: 10, max: 1, date_format: 'DD/MM/YYYY', allowed: ['A'] };
+        const issues = Loader.validateConfig(config);
+        const find = path => issues.find(i => i.path === `checklist[0].fields[0].rules.${path}`);
+        TestRunner.assertEqual(find('pattern').severity, 'error');
+        TestRunner.assertEqual(find('min').severity, 'error');
+        TestRunner.assertEqual(find('date_format').severity, 'error');
+        TestRunner.assertEqual(find('allowed').severity, 'warning', 'allowed on a text field should only warn');
+    });
+
+    TestRunner.test('validateConfig - should check consistency rule operands', () => {
+        const config = baseConfig();
+        config.consistency_rules = [
+            { name: 'Range', left: { selector: '#A', value: 1 }, operator: 'between', low: { value: 0 } },
+            { name: 'Sum', left: { sum: '.premium' }, operator: '=', right: { selector: '#Total' } }
+        ];
+        const issues = Loader.validateConfig(config);
+        TestRunner.assert(issues.some(i => i.path === 'consistency_rules[0].left' && /more than one/.test(i.message)), 'Expected an issue for two value sources');
+        TestRunner.assert(issues.some(i => i.path === 'consistency_rules[0].high'), 'between requires "high"');
+        TestRunner.assert(issues.some(i => i.path === 'consistency_rules[1].operator'), 'Expected an issue for the unknown operator');
+        TestRunner.assertEqual(Loader.processConfig(baseConfig()).consistencyRules.length, 0);
+    });
+
+    TestRunner.test('validateConfig - should check skip reasons', () => {
+        const config = baseConfig();
+        config.skip_reasons = ['Waiting on broker', '', 'waiting on broker'];
+        const issues = Loader.validateConfig(config);
+        TestRunner.assertEqual(issues.find(i => i.path === 'skip_reasons[1]').severity, 'error');
+        TestRunner.assertEqual(issues.find(i => i.path === 'skip_reasons[2]').severity, 'warning');
+        TestRunner.assert(Loader.processConfig(baseConfig()).skipReasons.length > 0, 'Default reasons when none are configured');
+    });
+
+    TestRunner.test('validateConfig - should check the edit timeline limit', () => {
+        const config = baseConfig();
+        config.edit_timeline_limit = 2.5;
+        TestRunner.assertEqual(Loader.validateConfig(config).find(i => i.path === 'edit_timeline_limit').severity, 'error');
+        config.edit_timeline_limit = 100;
+        TestRunner.assert(!Loader.validateConfig(config).some(i => i.path === 'edit_timeline_limit'));
+        TestRunner.assertEqual(Loader.processConfig(config).editTimelineLimit, 100);
+    });
+
+    TestRunner.test('validateConfig - should check the session timeout', () => {
+        const config = baseConfig();
+        config.session_timeout_minutes = 0;
+        TestRunner.assertEqual(Loader.validateConfig(config).find(i => i.path === 'session_timeout_minutes').severity, 'error');
+        config.session_timeout_minutes = 30;
+        TestRunner.assert(!Loader.validateConfig(config).some(i => i.path === 'session_timeout_minutes'));
+        TestRunner.assertEqual(Loader.processConfig(config).sessionTimeoutMinutes, 30);
+        TestRunner.assertEqual(Loader.processConfig(baseConfig()).sessionTimeoutMinutes, null);
+    });
+
+    TestRunner.test('validateConfig - should not require table_id when a custom step names its custom_type', () => {
+        const config = baseConfig();
+        config.checklist.push({ name: 'Fees', type: 'custom', custom_type: 'fees_table', custom: { rows: [] } });
+        config.checklist.push({ name: 'Other', type: 'custom' });
+        const issues = Loader.validateConfig(config);
+        TestRunner.assert(!issues.some(i => /^checklist\[\d+\]\.table_id$/.test(i.path) && i.item === 'Fees'), 'custom_type should stand in for table_id');
+        TestRunner.assert(issues.some(i => i.item === 'Other' && i.path.endsWith('.table_id')), 'table_id is still required without custom_type');
+    });
+
+    // ===== Fragments and extends =====
+    TestRunner.test('processConfig - should expand field sets and zone edge presets', () => {
+        const config = baseConfig();
+        config.fragments = {
+            field_sets: {
+                address: [
+                    { name: 'City', selector: '#{{prefix}}City', type: 'text' },
+                    { name: 'State', selector: '#{{prefix}}State', type: 'select' }
+                ]
+            },
+            zone_edges: { detail_left: { selector: '#policyDetail', edge: 'left', offset: 0 } }
+        };
+        config.checklist.push({
+            name: 'Risk Address',
+            type: 'group',
+            fields: [
+                { name: 'Same', selector: '#Same', type: 'checkbox' },
+                { use: 'address', with: { prefix: 'Risk' }, overrides: { State: { type: 'kendo_widget' } } }
+            ],
+            highlight_zones: [{
+                top: { selector: '#RiskCity', edge: 'top', offset: 0 },
+                bottom: { selector: '#RiskState', edge: 'bottom', offset: 0 },
+                left: { use: 'detail_left', offset: 2 },
+                right: { selector: '#policyDetail', edge: 'right', offset: 0 }
+            }]
+        });
+
+        const result = Loader.processConfig(config);
+        TestRunner.assert(!result.error, result.error && result.error.message);
+        const step = result.checklist[result.checklist.length - 1];
+        TestRunner.assertEqual(step.fields.map(f => f.selector).join(), '#Same,#RiskCity,#RiskState');
+        TestRunner.assertEqual(step.fields[2].type, 'kendo_widget');
+        TestRunner.assertEqual(step.highlight_zones[0].left.selector, '#policyDetail');
+        TestRunner.assertEqual(step.highlight_zones[0].left.offset, 2);
+        TestRunner.assertEqual(config.fragments.field_sets.address[1].type, 'select', 'Overrides should not change the fragment');
+    });
+
+    TestRunner.test('validateConfig - should report missing and circular fragment references', () => {
+        const config = baseConfig();
+        config.fragments = {
+            field_sets: {
+                address: [{ name: 'City', selector: '{{city}}', type: 'text' }],
+                loop_a: [{ use: 'loop_b' }],
+                loop_b: [{ use: 'loop_a' }]
+            }
+        };
+        config.checklist[0].fields.push({ use: 'adress' }, { use: 'address' }, { use: 'loop_a' });
+
+        const issues = Loader.validateConfig(config);
+        const unknown = issues.find(i => i.path === 'checklist[0].fields[1].use');
+        TestRunner.assert(unknown && unknown.suggestion === 'Did you mean "address"?', 'Expected a spelling suggestion');
+        TestRunner.assert(issues.some(i => i.path === 'checklist[0].fields[2].with' && /\{\{city\}\}/.test(i.message)), 'Expected a missing placeholder issue');
+        TestRunner.assert(issues.some(i => /circular field set reference: loop_a → loop_b → loop_a/.test(i.message)), 'Expected a circular reference issue');
+    });
+
+    TestRunner.test('resolveExtends - should merge the base config and apply checklist_changes', async () => {
+        const files = {
+            'base.json': baseConfig(),
+            'loop-a.json': { extends: 'loop-b.json' },
+            'loop-b.json': { extends: 'loop-a.json' }
+        };
+        const originalFetch = globalThis.fetch;
+        globalThis.fetch = async (url) => files[url]
+            ? { ok: true, json: async () => JSON.parse(JSON.stringify(files[url])) }
+            : { ok: false, statusText: 'Not Found' };
+
+        try {
+            const child = {
+                extends: 'base.json',
+                metadata: { form_name: 'Child Form' },
+                checklist_changes: {
+                    remove: ['Coverage'],
+                    add: [{ step: { name: 'Notes', type: 'virtual', selector: '#Notes' } }]
+                }
+            };
+            const resolved = await Loader.resolveExtends(child);
+            TestRunner.assertEqual(resolved.issues.length, 0);
+            TestRunner.assertEqual(resolved.config.metadata.form_name, 'Child Form');
+            TestRunner.assertEqual(resolved.config.metadata.url_pattern, 'index.html', 'Metadata should be merged, not replaced');
+            TestRunner.assertEqual(resolved.config.checklist.map(s => s.name).join(), 'Policy Number,Notes');
+            TestRunner.assert(!('extends' in resolved.config), 'extends should be removed once resolved');
+
+            const badName = await Loader.resolveExtends({ extends: 'base.json', checklist_changes: { remove: ['Coverages'] } });
+            TestRunner.assertEqual(badName.issues[0].path, 'checklist_changes.remove[0]');
+
+            const missing = await Loader.resolveExtends({ extends: 'nope.json' });
+            TestRunner.assert(/could not be loaded/.test(missing.issues[0].message), 'Expected a load error');
+
+            const circular = await Loader.resolveExtends(files['loop-a.json'], 'loop-a.json');
+            TestRunner.assert(circular.issues.some(i => /circular "extends": loop-a.json → loop-b.json → loop-a.json/.test(i.message)), 'Expected a circular extends issue');
+        } finally {
+            globalThis.fetch = originalFetch;
+        }
+    });
+
+    TestRunner.test('loadProfileById - should load the profile picked for the page', async () => {
+        const files = {
+            'checklist-profiles.json': { profiles: [
+                { id: 'edit', config: 'edit.json' },
+                { id: 'renewal', name: 'Renewal', config: 'renewal.json' }
+            ] },
+            'edit.json': baseConfig(),
+            'renewal.json': baseConfig()
+        };
+        const originalFetch = globalThis.fetch;
+        globalThis.fetch = async (url) => files[url]
+            ? { ok: true, json: async () => JSON.parse(JSON.stringify(files[url])) }
+            : { ok: false, statusText: 'Not Found' };
+
+        try {
+            const match = await Loader.loadProfileById('renewal');
+            TestRunner.assertEqual(match.profile.id, 'renewal');
+            TestRunner.assertEqual(match.config.profile.name, 'Renewal');
+            TestRunner.assertEqual(await Loader.loadProfileById('submission'), null);
+        } finally {
+            globalThis.fetch = originalFetch;
+        }
+    });
+
+    TestRunner.test('UrlRoutes.loadFormRoutes - should send only a broken profile\'s own pages to its errors', async () => {
+        const broken = baseConfig();
+        broken.metadata.url_pattern = 'Policy/Renewal/';
+        broken.checklist = 'none';
+        const files = {
+            'checklist-profiles.json': { profiles: [
+                { id: 'edit', config: 'edit.json' },
+                { id: 'renewal', config: 'renewal.json' },
+                { id: 'missing', config: 'missing.json' }
+            ] },
+            'edit.json': baseConfig(),
+            'renewal.json': broken
+        };
+        const originalFetch = globalThis.fetch;
+        globalThis.fetch = async (url) => files[url]
+            ? { ok: true, json: async () => JSON.parse(JSON.stringify(files[url])) }
+            : { ok: false, statusText: 'Not Found' };
+        UrlRoutes.clearFormRoutes();
+
+        try {
+            const routes = await UrlRoutes.loadFormRoutes();
+            TestRunner.assertEqual(routes.map(r => r.profileId).join(), 'edit,renewal', 'An unreadable config has no pattern to route by');
+            TestRunner.assertEqual((await UrlRoutes.identifyPage('https://rapid.slacal.com/Policy/Renewal/5')).profileId, 'renewal');
+            TestRunner.assertEqual(await UrlRoutes.identifyPage('https://example.com/other.html'), null);
+        } finally {
+            globalThis.fetch = originalFetch;
+            UrlRoutes.clearFormRoutes();
+        }
+    });
+
+    // ===== Transaction variants =====
+    function variantConfig() {
+        const config = baseConfig();
+        config.checklist = [
+            { name: 'Policy Number', type: 'virtual', selector: '#PolicyNumber' },
+            { name: 'Previous Policy', type: 'virtual', selector: '#PreviousPolicy' },
+            { name: 'Fees', type: 'virtual', selector: '#Fees' }
+        ];
+        config.transaction_variants = {
+            N: { remove: ['Previous Policy'] },
+            B: {
+                add: [{ after: 'Policy Number', step: { name: 'Backout Reason', type: 'virtual', selector: '#Reason' } }],
+                move: [{ name: 'Fees', before: 'Policy Number' }]
+            }
+        };
+        return config;
+    }
+
+    TestRunner.test('applyTransactionVariant - should remove, add and move steps', () => {
+        const config = Loader.processConfig(variantConfig());
+        const newBusiness = Loader.applyTransactionVariant(config, 'N');
+        TestRunner.assertEqual(newBusiness.transactionVariant, 'N');
+        TestRunner.assertEqual(newBusiness.checklist.map(s => s.name).join(','), 'Policy Number,Fees');
+
+        const backout = Loader.applyTransactionVariant(config, 'BE');
+        TestRunner.assertEqual(backout.transactionVariant, 'B', 'Backouts fall back to the "B" variant');
+        TestRunner.assertEqual(backout.checklist.map(s => s.name).join(','), 'Fees,Policy Number,Backout Reason,Previous Policy');
+    });
+
+    TestRunner.test('applyTransactionVariant - should use the base checklist when no variant applies', () => {
+        const config = Loader.processConfig(variantConfig());
+        const switched = Loader.applyTransactionVariant(Loader.applyTransactionVariant(config, 'N'), 'E');
+        TestRunner.assertEqual(switched.transactionVariant, null);
+        TestRunner.assertEqual(switched.checklist.length, 3);
+    });
+
+    TestRunner.test('validateConfig - should report unknown step names in variants', () => {
+        const config = variantConfig();
+        config.transaction_variants.N.remove = ['Previous Polcy'];
+        const issue = Loader.validateConfig(config).find(i => i.path === 'transaction_variants.N.remove[0]');
+        TestRunner.assert(issue, 'Expected an issue for the misspelled step name');
+        TestRunner.assertEqual(issue.suggestion, 'Did you mean "Previous Policy"?');
+    });
+
+    TestRunner.test('validateConfig - should report a url_pattern regex that does not compile', () => {
+        const config = baseConfig();
+        config.metadata.url_pattern = 'regex:/Policy\\/(Edit/';
+        const issue = findIssue(Loader.validateConfig(config), 'metadata.url_pattern');
+        TestRunner.assert(issue, 'Expected an issue for the invalid regex');
+        TestRunner.assertEqual(issue.severity, 'error');
+    });
+
+    // ===== Step ids and migrations =====
+    TestRunner.test('validateConfig - should report duplicate step ids', () => {
+        const config = baseConfig();
+        config.checklist[1].id = 'Policy Number';
+        const issue = findIssue(Loader.validateConfig(config), 'checklist[1].id');
+        TestRunner.assert(issue, 'Expected an issue for the reused id');
+        TestRunner.assertEqual(issue.message, 'step id "Policy Number" is already used by checklist[0]');
+
+        config.checklist[1].id = 'coverage';
+        TestRunner.assertEqual(Loader.validateConfig(config).length, 0);
+    });
+
+    TestRunner.test('validateConfig - should check migration versions and rename targets', () => {
+        const config = baseConfig();
+        config.metadata.config_version = '1.2';
+        config.migrations = [
+            { version: '1.2', rename_steps: { 'Policy #': 'Policy Number' } },
+            { version: '1.1', rename_steps: { 'Coverages': 'Coverge' } },
+            { version: '1.3', rename_fields: { 'Coverage': { 'Code': 5 } } }
+        ];
+        const issues = Loader.validateConfig(config);
+
+        TestRunner.assertEqual(findIssue(issues, 'migrations[1].version').message, 'must be newer than the previous migration ("1.2")');
+        TestRunner.assertEqual(findIssue(issues, 'migrations[2].version').suggestion, 'Raise config_version to "1.3"');
+        TestRunner.assertEqual(findIssue(issues, 'migrations[2].rename_fields.Coverage.Code').severity, 'error');
+        const rename = findIssue(issues, 'migrations[1].rename_steps.Coverages');
+        TestRunner.assertEqual(rename.severity, 'warning');
+        TestRunner.assertEqual(rename.suggestion, 'Did you mean "Coverage"?');
+        TestRunner.assert(!findIssue(issues, 'migrations[0].rename_steps.Policy #'), 'A rename to an existing step is fine');
+    });
+
+    TestRunner.test('validateConfig - should require config_version when migrations are set', () => {
+        const config = baseConfig();
+        delete config.metadata.config_version;
+        config.migrations = [{ version: '1.1', remove_steps: ['Old Step'] }];
+        TestRunner.assert(findIssue(Loader.validateConfig(config), 'metadata.config_version'));
+
+        config.metadata.config_version = 'v2';
+        TestRunner.assertEqual(findIssue(Loader.validateConfig(config), 'metadata.config_version').message, 'invalid version "v2"');
+    });
+
+    // ===== Legacy single-purpose validators =====
+    TestRunner.test('validateTableTypes - should return the first table error as a string', () => {
+        const config = baseConfig();
+        config.checklist[1].columns[0].type = 'bogus';
+        const message = Loader.validateTableTypes(config.checklist);
+        TestRunner.assert(message.startsWith('checklist[1].columns[0].type'), `Unexpected message: ${message}`);
+        TestRunner.assertEqual(Loader.validateFieldTypes(config.checklist), null);
+    });
+
+    // ===== matchesUrlPattern =====
+    TestRunner.test('matchesUrlPattern - should match any of the | separated patterns', () => {
+        TestRunner.assert(Loader.matchesUrlPattern('index.html|rapid.slacal.com/Policy', 'https://rapid.slacal.com/Policy/Edit/1'));
+        TestRunner.assert(!Loader.matchesUrlPattern('index.html', 'https://rapid.slacal.com/Policy/Edit/1'));
+        TestRunner.assert(Loader.matchesUrlPattern('', 'https://anything'), 'Empty pattern matches all pages');
+    });
+
+    // Run all tests
+    TestRunner.run().then(success => {
+        if (success) {
+            document.body.style.backgroundColor = '#d4edda';
+            document.body.innerHTML = '<h1 style="color: #155724; text-align: center; padding: 50px;">All ConfigLoader Tests Passed! ✓</h1>';
+        } else {
+            document.body.style.backgroundColor = '#f8d7da';
+            document.body.innerHTML = '<h1 style="color: #721c24; text-align: center; padding: 50px;">Some Tests Failed! ✗</h1><p style="text-align: center;">Check console for details.</p>';
+        }
+    });
+});
@@ -0,0 +1,181 @@
+/*************************************************************************************************
+ *  config-migrations.test.js - Unit tests for config-migrations.js
+ *  Run with: Open tests/test-runner-config-migrations.html in Firefox
+ *************************************************************************************************/
+
+// Simple test framework
+const TestRunner = {
+    tests: [],
+    passed: 0,
+    failed: 0,
+
+    test(name, fn) {
+        this.tests.push({ name, fn });
+    },
+
+    async run() {
+        console.log('=== Running ConfigMigrations Tests ===\n');
+        this.passed = 0;
+        this.failed = 0;
+
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                this.passed++;
+                console.log(`✓ ${test.name}`);
+            } catch (e) {
+                this.failed++;
+                console.error(`✗ ${test.name}`);
+                console.error(`  ${e.message}`);
+            }
+        }
+
+        console.log(`\n=== Test Results ===`);
+        console.log(`Passed: ${this.passed}`);
+        console.log(`Failed: ${this.failed}`);
+        console.log(`Total: ${this.tests.length}`);
+
+        return this.failed === 0;
+    },
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    },
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(message || `Expected "${expected}", got "${actual}"`);
+        }
+    }
+};
+
+// Wait for config-migrations.js to load
+window.addEventListener('DOMContentLoaded', () => {
+    const Migrations = window.ConfigMigrations;
+
+    const migrations = [
+        { version: '1.2', rename_fields: { 'insured-address': { 'Zip': 'ZIP' } }, remove_steps: ['Notes'] },
+        { version: '1.1', rename_steps: { 'Insured Address': 'insured-address', 'Broker': 'Producer' } },
+        { version: '2.0', rename_steps: { 'Producer': 'producer' } }
+    ];
+
+    // ===== Versions =====
+    TestRunner.test('compareVersions - should compare part by part', () => {
+        TestRunner.assert(Migrations.compareVersions('1.10', '1.9') > 0, '1.10 is newer than 1.9');
+        TestRunner.assertEqual(Migrations.compareVersions('1', '1.0'), 0);
+        TestRunner.assert(Migrations.compareVersions('1.0', '2.0') < 0);
+        TestRunner.assert(!Migrations.isValidVersion('v1.0'));
+        TestRunner.assert(Migrations.isMajorChange('1.4', '2.0'));
+        TestRunner.assert(!Migrations.isMajorChange(null, '2.0'), 'Unversioned data is not a major change');
+    });
+
+    TestRunner.test('getPendingMigrations - should return newer migrations up to the target, oldest first', () => {
+        const pending = Migrations.getPendingMigrations(migrations, '1.0', '1.2');
+        TestRunner.assertEqual(pending.map(m => m.version).join(','), '1.1,1.2');
+        TestRunner.assertEqual(Migrations.getPendingMigrations(migrations, '1.1', '1.2').length, 1);
+        TestRunner.assertEqual(Migrations.getPendingMigrations(migrations, null, '1.1').length, 1, 'Unversioned data gets every migration');
+    });
+
+    // ===== Steps and fields =====
+    TestRunner.test('migrateStepId and migrateFieldNames - should follow renames and removals', () => {
+        const pending = Migrations.getPendingMigrations(migrations, '1.0', '1.2');
+        TestRunner.assertEqual(Migrations.migrateStepId('Insured Address', pending), 'insured-address');
+        TestRunner.assertEqual(Migrations.migrateStepId('Notes', pending), null);
+        TestRunner.assertEqual(Migrations.migrateStepId('Fees', pending), 'Fees');
+        TestRunner.assertEqual(Migrations.migrateFieldNames('Insured Address', ['City', 'Zip'], pending).join(','), 'City,ZIP');
+    });
+
+    TestRunner.test('mapStepIndices and remapByIndex - should move state to the renamed, reordered steps', () => {
+        const pending = Migrations.getPendingMigrations(migrations, '1.0', '1.2');
+        const indexMap = Migrations.mapStepIndices(['Insured Address', 'Notes', 'Fees'], ['Fees', 'New Step', 'insured-address'], pending);
+        TestRunner.assertEqual(indexMap.join(','), '2,-1,0');
+
+        const state = Migrations.remapByIndex(['address', 'notes', 'fees'], indexMap, 3, () => 'empty');
+        TestRunner.assertEqual(state.join(','), 'fees,empty,address');
+    });
+
+    // ===== History records =====
+    TestRunner.test('migrateRecord - should migrate original values and changes', () => {
+        const record = {
+            urlId: '42',
+            originalFieldValues: { 'Insured Address': { Zip: '90210' }, Notes: { Text: 'x' } },
+            fieldChanges: {
+                stepsWithChanges: [
+                    {
+                        stepName: 'Insured Address',
+                        changedFields: ['Zip'],
+                        fieldValues: { Zip: { original: '90210', processor: '90211' } },
+                        fieldCount: 1
+                    },
+                    { stepName: 'Notes', changedFields: ['Text'], fieldCount: 1 }
+                ],
+                totalStepsWithChanges: 2,
+                totalFieldsChanged: 2
+            }
+        };
+        const migrated = Migrations.migrateRecord(record, migrations, '1.2', { 'insured-address': 'Named Insured Address' });
+
+        TestRunner.assertEqual(migrated.configVersion, '1.2');
+        TestRunner.assertEqual(JSON.stringify(migrated.originalFieldValues), '{"insured-address":{"ZIP":"90210"}}');
+        const [address, notes] = migrated.fieldChanges.stepsWithChanges;
+        TestRunner.assertEqual(address.stepId, 'insured-address');
+        TestRunner.assertEqual(address.stepName, 'Named Insured Address');
+        TestRunner.assertEqual(address.changedFields[0], 'ZIP');
+        TestRunner.assertEqual(address.fieldValues.ZIP.processor, '90211', 'Before/after values follow the field rename');
+        TestRunner.assertEqual(notes.stepName, 'Notes', 'Changes to removed steps are kept');
+        TestRunner.assertEqual(migrated.fieldChanges.totalFieldsChanged, 2);
+        TestRunner.assert(record.originalFieldValues['Insured Address'], 'The original record is not modified');
+    });
+
+    TestRunner.test('migrateRecord - should move step notes and timings to renamed steps', () => {
+        const record = {
+            stepNotes: {
+                'Insured Address': { stepName: 'Insured Address', text: 'Broker sent new ZIP' },
+                Notes: { stepName: 'Notes', text: 'Skipped - no notes' }
+            },
+            stepTimings: { 'Insured Address': { stepName: 'Insured Address', activeMs: 4000 } }
+        };
+        const migrated = Migrations.migrateRecord(record, migrations, '1.2', { 'insured-address': 'Named Insured Address' });
+
+        const address = migrated.stepNotes['insured-address'];
+        TestRunner.assertEqual(address.text, 'Broker sent new ZIP');
+        TestRunner.assertEqual(address.stepName, 'Named Insured Address');
+        TestRunner.assertEqual(migrated.stepNotes.Notes.text, 'Skipped - no notes', 'Notes on removed steps are kept');
+        TestRunner.assert(!migrated.stepNotes['Insured Address'], 'The old id is gone');
+        TestRunner.assertEqual(migrated.stepTimings['insured-address'].activeMs, 4000);
+    });
+
+    TestRunner.test('migrateRecord - should move edit timeline entries to renamed steps and fields', () => {
+        const record = {
+            editTimeline: [
+                { stepId: 'Insured Address', stepName: 'Insured Address', field: 'Zip', oldValue: '', newValue: '90210' },
+                { stepId: 'Notes', stepName: 'Notes', field: 'Text', oldValue: '', newValue: 'x' }
+            ]
+        };
+        const migrated = Migrations.migrateRecord(record, migrations, '1.2', { 'insured-address': 'Named Insured Address' });
+
+        const [address, notes] = migrated.editTimeline;
+        TestRunner.assertEqual(address.stepId, 'insured-address');
+        TestRunner.assertEqual(address.stepName, 'Named Insured Address');
+        TestRunner.assertEqual(address.field, 'ZIP');
+        TestRunner.assertEqual(notes.stepId, 'Notes', 'Edits to removed steps are kept');
+    });
+
+    TestRunner.test('migrateRecord - should leave current and other-major records alone', () => {
+        TestRunner.assertEqual(Migrations.migrateRecord({ configVersion: '1.2' }, migrations, '1.2'), null);
+        TestRunner.assertEqual(Migrations.migrateRecord({ configVersion: '1.2' }, migrations, '2.0'), null);
+    });
+
+    // Run all tests
+    TestRunner.run().then(success => {
+        if (success) {
+            document.body.style.backgroundColor = '#d4edda';
+            document.body.innerHTML = '<h1 style="color: #155724; text-align: center; padding: 50px;">All ConfigMigrations Tests Passed! ✓</h1>';
+        } else {
+            document.body.style.backgroundColor = '#f8d7da';
+            document.body.innerHTML = '<h1 style="color: #721c24; text-align: center; padding: 50px;">Some Tests Failed! ✗</h1><p style="text-align: center;">Check console for details.</p>';
+        }
+    });
+});
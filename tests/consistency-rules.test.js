@@ -0,0 +1,170 @@
+/*************************************************************************************************
+ *  consistency-rules.test.js - Unit tests for consistency-rules.js
+ *  Run with: Open tests/test-runner-consistency-rules.html in Firefox
+ *************************************************************************************************/
+
+// Simple test framework
+const TestRunner = {
+    tests: [],
+    passed: 0,
+    failed: 0,
+
+    test(name, fn) {
+        this.tests.push({ name, fn });
+    },
+
+    async run() {
+        console.log('=== Running ConsistencyRules Tests ===\n');
+        this.passed = 0;
+        this.failed = 0;
+
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                this.passed++;
+                console.log(`✓ ${test.name}`);
+            } catch (e) {
+                this.failed++;
+                console.error(`✗ ${test.name}`);
+                console.error(`  ${e.message}`);
+            }
+        }
+
+        console.log(`\n=== Test Results ===`);
+        console.log(`Passed: ${this.passed}`);
+        console.log(`Failed: ${this.failed}`);
+        console.log(`Total: ${this.tests.length}`);
+
+        return this.failed === 0;
+    },
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    },
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(message || `Expected "${expected}", got "${actual}"`);
+        }
+    }
+};
+
+// Wait for consistency-rules.js to load
+window.addEventListener('DOMContentLoaded', () => {
+    const Rules = window.ConsistencyRules;
+
+    /**
+     * Minimal stand-in for the page: maps selectors to fake elements (arrays for querySelectorAll)
+     */
+    function fakeRoot(elements) {
+        const list = selector => [].concat(elements[selector] || []);
+        return {
+            querySelector: (selector) => list(selector)[0] || null,
+            querySelectorAll: (selector) => list(selector)
+        };
+    }
+
+    const input = value => ({ tagName: 'INPUT', type: 'text', value: value });
+    const checkbox = checked => ({ tagName: 'INPUT', type: 'checkbox', checked: checked });
+
+    const root = fakeRoot({
+        '#Effective': input('03/01/2024'),
+        '#Expiration': input('2/1/2024'),
+        '#Invoice': input('2024-03-15'),
+        '#OpenEnded': checkbox(false),
+        '#Total': { tagName: 'SPAN', textContent: '$1,500.00' },
+        '.premium': [input('$1,000.10'), input(''), input('499.90')],
+        '#Multiple': checkbox(true),
+        '.insurer-row': [{ tagName: 'TR' }],
+        '#Blank': input('  ')
+    });
+
+    const expirationRule = {
+        name: 'Expiration after effective',
+        left: { selector: '#Expiration', as: 'date', label: 'Expiration Date' },
+        operator: '>',
+        right: { selector: '#Effective', as: 'date', label: 'Effective Date' }
+    };
+
+    TestRunner.test('evaluateRule - should compare dates in different formats', () => {
+        const result = Rules.evaluateRule(expirationRule, root);
+        TestRunner.assertEqual(result.status, 'fail');
+        TestRunner.assertEqual(result.message, 'Expiration Date (2/1/2024) should be after Effective Date (3/1/2024)');
+        TestRunner.assertEqual(result.target, '#Expiration');
+    });
+
+    TestRunner.test('evaluateRule - between should use low and high', () => {
+        const rule = {
+            name: 'Invoice in term',
+            left: { selector: '#Invoice' },
+            operator: 'between',
+            low: { selector: '#Expiration' },
+            high: { selector: '#Effective' }
+        };
+        TestRunner.assertEqual(Rules.evaluateRule(rule, root).status, 'fail');
+        rule.high = { selector: '#Invoice' };
+        TestRunner.assertEqual(Rules.evaluateRule(rule, root).status, 'pass', 'Range is inclusive');
+    });
+
+    TestRunner.test('evaluateRule - should sum currency values with a tolerance', () => {
+        const rule = {
+            name: 'Premiums add up',
+            left: { sum: '.premium' },
+            operator: '==',
+            right: { selector: '#Total', as: 'number' }
+        };
+        TestRunner.assertEqual(Rules.evaluateRule(rule, root).status, 'pass', '1000.10 + 499.90 should equal 1500');
+        rule.right = { value: 1500.02 };
+        TestRunner.assertEqual(Rules.evaluateRule(rule, root).status, 'fail');
+        rule.tolerance = 0.05;
+        TestRunner.assertEqual(Rules.evaluateRule(rule, root).status, 'pass');
+    });
+
+    TestRunner.test('evaluateRule - should count rows and respect "when"', () => {
+        const rule = {
+            name: 'Multiple insurers need several rows',
+            when: { selector: '#Multiple', checked: true },
+            left: { count: '.insurer-row', label: 'Insurer rows' },
+            operator: '>',
+            right: { value: 1 },
+            message: 'Multiple Insurers is selected but only one insurer is listed'
+        };
+        const result = Rules.evaluateRule(rule, root);
+        TestRunner.assertEqual(result.status, 'fail');
+        TestRunner.assertEqual(result.message, rule.message);
+        rule.when = { selector: '#Multiple', checked: false };
+        TestRunner.assertEqual(Rules.evaluateRule(rule, root).status, 'inactive');
+    });
+
+    TestRunner.test('evaluateRule - blank or missing values should be unknown, not failing', () => {
+        const blank = Object.assign({}, expirationRule, { left: { selector: '#Blank', as: 'date' } });
+        const missing = Object.assign({}, expirationRule, { left: { selector: '#Nope' } });
+        TestRunner.assertEqual(Rules.evaluateRule(blank, root).status, 'unknown');
+        TestRunner.assertEqual(Rules.evaluateRule(missing, root).status, 'unknown');
+        const mixed = Object.assign({}, expirationRule, { right: { text: 'soon' } });
+        TestRunner.assertEqual(Rules.evaluateRule(mixed, root).status, 'unknown', 'A date cannot be compared with text');
+    });
+
+    TestRunner.test('getFailures - should list errors before warnings', () => {
+        const results = Rules.evaluateAll([
+            Object.assign({}, expirationRule, { name: 'Warning', severity: 'warning' }),
+            { name: 'Passing', left: { value: 1 }, operator: '<', right: { value: 2 } },
+            expirationRule
+        ], root);
+        const failures = Rules.getFailures(results);
+        TestRunner.assertEqual(failures.map(f => f.name).join(','), 'Expiration after effective,Warning');
+    });
+
+    // Run all tests
+    TestRunner.run().then(success => {
+        if (success) {
+            document.body.style.backgroundColor = '#d4edda';
+            document.body.innerHTML = '<h1 style="color: #155724; text-align: center; padding: 50px;">All ConsistencyRules Tests Passed! ✓</h1>';
+        } else {
+            document.body.style.backgroundColor = '#f8d7da';
+            document.body.innerHTML = '<h1 style="color: #721c24; text-align: center; padding: 50px;">Some Tests Failed! ✗</h1><p style="text-align: center;">Check console for details.</p>';
+        }
+    });
+});
@@ -0,0 +1,124 @@
+/*************************************************************************************************
+ *  custom-step-types.test.js - Unit tests for custom-step-types.js
+ *  Run with: Open tests/test-runner-custom-step-types.html in Firefox
+ *************************************************************************************************/
+
+// Simple test framework
+const TestRunner = {
+    tests: [],
+    passed: 0,
+    failed: 0,
+
+    test(name, fn) {
+        this.tests.push({ name, fn });
+    },
+
+    async run() {
+        console.log('=== Running CustomStepTypes Tests ===\n');
+        this.passed = 0;
+        this.failed = 0;
+
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                this.passed++;
+                console.log(`✓ ${test.name}`);
+            } catch (e) {
+                this.failed++;
+                console.error(`✗ ${test.name}`);
+                console.error(`  ${e.message}`);
+            }
+        }
+
+        console.log(`\n=== Test Results ===`);
+        console.log(`Passed: ${this.passed}`);
+        console.log(`Failed: ${this.failed}`);
+        console.log(`Total: ${this.tests.length}`);
+
+        return this.failed === 0;
+    },
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    },
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(message || `Expected "${expected}", got "${actual}"`);
+        }
+    }
+};
+
+// Wait for custom-step-types.js to load
+window.addEventListener('DOMContentLoaded', () => {
+    const Types = window.CustomStepTypes;
+
+    // Minimal implementation reading from a plain object instead of the page
+    const pageValues = { amount: '10.00', taxable: true };
+    const stub = {
+        capture: () => ({ Amount: pageValues.amount, Taxable: pageValues.taxable }),
+        getData: () => ({}),
+        render: () => ''
+    };
+    Types.register('test_type', stub, { aliases: ['legacyTable'] });
+
+    TestRunner.test('register - should reject implementations missing required hooks', () => {
+        let error = null;
+        try {
+            Types.register('broken', { capture: () => ({}) });
+        } catch (e) {
+            error = e;
+        }
+        TestRunner.assert(error && error.message.includes('getData, render'), 'Missing hooks should be named');
+        TestRunner.assertEqual(Types.get('broken'), null);
+    });
+
+    TestRunner.test('resolveName - should prefer custom_type and fall back to table_id aliases', () => {
+        TestRunner.assertEqual(Types.resolveName({ type: 'custom', custom_type: 'test_type', table_id: 'other' }), 'test_type');
+        TestRunner.assertEqual(Types.resolveName({ type: 'custom', table_id: 'legacyTable' }), 'test_type');
+        TestRunner.assertEqual(Types.resolveName({ type: 'custom', custom_type: 'legacyTable' }), 'test_type');
+        TestRunner.assertEqual(Types.resolveName({ type: 'custom', table_id: 'unknownTable' }), null);
+        TestRunner.assertEqual(Types.resolveName({ type: 'group', custom_type: 'test_type' }), null);
+    });
+
+    TestRunner.test('list - should name registered types but not aliases', () => {
+        TestRunner.assert(Types.list().includes('test_type'));
+        TestRunner.assert(!Types.list().includes('legacyTable'));
+    });
+
+    TestRunner.test('detectChanges - should compare capture() with the original loosely', () => {
+        const step = { type: 'custom', custom_type: 'test_type' };
+        const original = { Amount: 10, Taxable: true };
+        TestRunner.assertEqual(Types.detectChanges(step, original).length, 0, '"10.00" and 10 should match');
+        pageValues.amount = '12.50';
+        TestRunner.assertEqual(Types.detectChanges(step, original).join(), 'Amount');
+        pageValues.amount = '10.00';
+    });
+
+    TestRunner.test('detectChanges - should use the implementation hook when given', () => {
+        Types.register('own_changes', Object.assign({ detectChanges: () => ['Everything'] }, stub));
+        TestRunner.assertEqual(Types.detectChanges({ type: 'custom', custom_type: 'own_changes' }, {}).join(), 'Everything');
+        TestRunner.assertEqual(Types.detectChanges({ type: 'custom', custom_type: 'missing' }, {}).length, 0);
+    });
+
+    TestRunner.test('restore - should hand values to the implementation hook when given', () => {
+        let restored = null;
+        Types.register('restorable', Object.assign({ restore: (step, values) => { restored = values; } }, stub));
+        TestRunner.assert(Types.restore({ type: 'custom', custom_type: 'restorable' }, { Amount: '5.00' }));
+        TestRunner.assertEqual(restored.Amount, '5.00');
+        TestRunner.assert(!Types.restore({ type: 'custom', custom_type: 'test_type' }, {}), 'No hook - nothing restored');
+    });
+
+    // Run all tests
+    TestRunner.run().then(success => {
+        if (success) {
+            document.body.style.backgroundColor = '#d4edda';
+            document.body.innerHTML = '<h1 style="color: #155724; text-align: center; padding: 50px;">All CustomStepTypes Tests Passed! ✓</h1>';
+        } else {
+            document.body.style.backgroundColor = '#f8d7da';
+            document.body.innerHTML = '<h1 style="color: #721c24; text-align: center; padding: 50px;">Some Tests Failed! ✗</h1><p style="text-align: center;">Check console for details.</p>';
+        }
+    });
+});
@@ -0,0 +1,123 @@
+/*************************************************************************************************
+ *  edit-timeline.test.js - Unit tests for edit-timeline.js
+ *  Run with: Open tests/test-runner-edit-timeline.html in Firefox
+ *************************************************************************************************/
+
+// Simple test framework
+const TestRunner = {
+    tests: [],
+    passed: 0,
+    failed: 0,
+
+    test(name, fn) {
+        this.tests.push({ name, fn });
+    },
+
+    async run() {
+        console.log('=== Running EditTimeline Tests ===\n');
+        this.passed = 0;
+        this.failed = 0;
+
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                this.passed++;
+                console.log(`✓ ${test.name}`);
+            } catch (e) {
+                this.failed++;
+                console.error(`✗ ${test.name}`);
+                console.error(`  ${e.message}`);
+            }
+        }
+
+        console.log(`\n=== Test Results ===`);
+        console.log(`Passed: ${this.passed}`);
+        console.log(`Failed: ${this.failed}`);
+        console.log(`Total: ${this.tests.length}`);
+
+        return this.failed === 0;
+    },
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    },
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(message || `Expected "${expected}", got "${actual}"`);
+        }
+    }
+};
+
+// Wait for edit-timeline.js to load
+window.addEventListener('DOMContentLoaded', () => {
+    const Timeline = window.EditTimeline;
+    const start = Date.parse('2025-03-07T10:00:00Z');
+    const edit = (field, oldValue, newValue, at, source = 'page') => Timeline.createEntry(
+        { stepId: 'insured', stepName: 'Insured', field, oldValue, newValue, source }, start + at);
+
+    // ===== Entries =====
+    TestRunner.test('createEntry - should timestamp the edit and cut long values', () => {
+        const entry = Timeline.createEntry({ stepId: 'notes', stepName: 'Notes', field: 'Text', oldValue: '', newValue: 'x'.repeat(600), source: 'popout' }, start);
+        TestRunner.assertEqual(entry.at, '2025-03-07T10:00:00.000Z');
+        TestRunner.assertEqual(entry.source, 'popout');
+        TestRunner.assertEqual(entry.review, false);
+        TestRunner.assertEqual(entry.newValue.length, Timeline.MAX_VALUE_LENGTH + 1);
+    });
+
+    // ===== Appending =====
+    TestRunner.test('append - should merge quick edits of the same field from the same source', () => {
+        const { timeline } = Timeline.append([], [
+            edit('DBA', '', 'A', 0, 'on-page-ui'),
+            edit('DBA', 'A', 'Ac', 500, 'on-page-ui'),
+            edit('DBA', 'Ac', 'Acme', 1000, 'on-page-ui'),
+            edit('DBA', 'Acme', 'Acme Inc', 1500, 'page'),
+            edit('Zip', '1', '2', 2000, 'page')
+        ]);
+        TestRunner.assertEqual(timeline.length, 3);
+        TestRunner.assertEqual(timeline[0].oldValue, '');
+        TestRunner.assertEqual(timeline[0].newValue, 'Acme');
+        TestRunner.assertEqual(timeline[1].source, 'page');
+    });
+
+    TestRunner.test('append - should not merge edits further apart than the merge window', () => {
+        const first = Timeline.append([], [edit('DBA', '', 'A', 0)]).timeline;
+        const { timeline } = Timeline.append(first, [edit('DBA', 'A', 'B', Timeline.MERGE_WINDOW_MS + 1)]);
+        TestRunner.assertEqual(timeline.length, 2);
+        TestRunner.assertEqual(first.length, 1, 'The given timeline is not modified');
+    });
+
+    TestRunner.test('append - should leave out edits that end where they started', () => {
+        const { timeline } = Timeline.append([], [edit('DBA', 'A', 'AB', 0), edit('DBA', 'AB', 'A', 300), edit('Zip', '1', '1', 400)]);
+        TestRunner.assertEqual(timeline.length, 0);
+    });
+
+    TestRunner.test('append - should drop the oldest entries over the limit', () => {
+        const entries = [1, 2, 3, 4].map(i => edit(`Field ${i}`, '', String(i), i * 10000));
+        const { timeline, dropped } = Timeline.append([], entries, 3);
+        TestRunner.assertEqual(dropped, 1);
+        TestRunner.assertEqual(timeline.map(entry => entry.newValue).join(','), '2,3,4');
+        TestRunner.assertEqual(Timeline.normalizeLimit('50'), Timeline.DEFAULT_LIMIT, 'Limits must be whole numbers');
+        TestRunner.assertEqual(Timeline.normalizeLimit(50), 50);
+    });
+
+    TestRunner.test('formatValue - should show blanks and checkboxes in words', () => {
+        TestRunner.assertEqual(Timeline.formatValue(''), '(blank)');
+        TestRunner.assertEqual(Timeline.formatValue(true), 'Checked');
+        TestRunner.assertEqual(Timeline.formatValue(false), 'Not checked');
+        TestRunner.assertEqual(Timeline.formatValue('Acme'), 'Acme');
+    });
+
+    // Run all tests
+    TestRunner.run().then(success => {
+        if (success) {
+            document.body.style.backgroundColor = '#d4edda';
+            document.body.innerHTML = '<h1 style="color: #155724; text-align: center; padding: 50px;">All EditTimeline Tests Passed! ✓</h1>';
+        } else {
+            document.body.style.backgroundColor = '#f8d7da';
+            document.body.innerHTML = '<h1 style="color: #721c24; text-align: center; padding: 50px;">Some Tests Failed! ✗</h1><p style="text-align: center;">Check console for details.</p>';
+        }
+    });
+});
@@ -0,0 +1,125 @@
+/*************************************************************************************************
+ *  field-rules.test.js - Unit tests for field-rules.js
+ *  Run with: Open tests/test-runner-field-rules.html in Firefox
+ *************************************************************************************************/
+
+// Simple test framework
+const TestRunner = {
+    tests: [],
+    passed: 0,
+    failed: 0,
+
+    test(name, fn) {
+        this.tests.push({ name, fn });
+    },
+
+    async run() {
+        console.log('=== Running FieldRules Tests ===\n');
+        this.passed = 0;
+        this.failed = 0;
+
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                this.passed++;
+                console.log(`✓ ${test.name}`);
+            } catch (e) {
+                this.failed++;
+                console.error(`✗ ${test.name}`);
+                console.error(`  ${e.message}`);
+            }
+        }
+
+        console.log(`\n=== Test Results ===`);
+        console.log(`Passed: ${this.passed}`);
+        console.log(`Failed: ${this.failed}`);
+        console.log(`Total: ${this.tests.length}`);
+
+        return this.failed === 0;
+    },
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    },
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(message || `Expected "${expected}", got "${actual}"`);
+        }
+    }
+};
+
+// Wait for field-rules.js to load
+window.addEventListener('DOMContentLoaded', () => {
+    const Rules = window.FieldRules;
+
+    const text = value => ({ type: 'text', value: value });
+
+    TestRunner.test('required - should flag empty text and unchecked checkboxes', () => {
+        TestRunner.assertEqual(Rules.check({ required: true }, text('  '))[0], 'Required');
+        TestRunner.assertEqual(Rules.check({ required: true }, { type: 'checkbox', value: false })[0], 'Must be checked');
+        TestRunner.assertEqual(Rules.check({ required: true }, { type: 'checkbox', value: true }).length, 0);
+        TestRunner.assertEqual(Rules.check({ required: true }, text('x')).length, 0);
+    });
+
+    TestRunner.test('empty values - should only be checked by required', () => {
+        const rules = { pattern: '^\\d+$', min: 1, date_format: 'MM/DD/YYYY', max_length: 2, allowed: ['A'] };
+        TestRunner.assertEqual(Rules.check(rules, text('')).length, 0);
+    });
+
+    TestRunner.test('pattern - should use the custom message when given', () => {
+        TestRunner.assertEqual(Rules.check({ pattern: '^\\d{5}$', message: 'Zip must be 5 digits' }, text('1234'))[0], 'Zip must be 5 digits');
+        TestRunner.assertEqual(Rules.check({ pattern: '^\\d{5}$' }, text('12345')).length, 0);
+        TestRunner.assert(Rules.check({ pattern: '([' }, text('x'))[0].startsWith('Invalid pattern'), 'Bad regex should be reported, not thrown');
+    });
+
+    TestRunner.test('min/max - should read currency formatted numbers', () => {
+        TestRunner.assertEqual(Rules.check({ min: 0, max: 1000 }, text('$1,250.00'))[0], 'Must be at most 1000');
+        TestRunner.assertEqual(Rules.check({ min: 100 }, text('99.5'))[0], 'Must be at least 100');
+        TestRunner.assertEqual(Rules.check({ min: 0 }, text('abc'))[0], 'Must be a number');
+        TestRunner.assertEqual(Rules.check({ min: 0, max: 1000 }, text('$ 500')).length, 0);
+    });
+
+    TestRunner.test('date_format - should check both the format and the calendar', () => {
+        TestRunner.assertEqual(Rules.check({ date_format: 'MM/DD/YYYY' }, text('01/15/2024')).length, 0);
+        TestRunner.assertEqual(Rules.check({ date_format: 'MM/DD/YYYY' }, text('1/15/2024')).length, 1);
+        TestRunner.assertEqual(Rules.check({ date_format: 'M/D/YYYY' }, text('1/15/2024')).length, 0);
+        TestRunner.assertEqual(Rules.check({ date_format: 'MM/DD/YYYY' }, text('02/30/2024')).length, 1, 'Feb 30 does not exist');
+        TestRunner.assertEqual(Rules.check({ date_format: 'YYYY-MM-DD' }, text('2024-02-29')).length, 0, '2024 is a leap year');
+    });
+
+    TestRunner.test('max_length - should count trimmed characters', () => {
+        TestRunner.assertEqual(Rules.check({ max_length: 3 }, text(' abc ')).length, 0);
+        TestRunner.assertEqual(Rules.check({ max_length: 3 }, text('abcd'))[0], 'Must be 3 characters or fewer (has 4)');
+    });
+
+    TestRunner.test('allowed - should match option value or option text', () => {
+        const select = {
+            type: 'select',
+            value: '2',
+            options: [{ value: '1', text: 'Admitted' }, { value: '2', text: 'Non-Admitted' }]
+        };
+        TestRunner.assertEqual(Rules.check({ allowed: ['non-admitted'] }, select).length, 0);
+        TestRunner.assertEqual(Rules.check({ allowed: ['2'] }, select).length, 0);
+        TestRunner.assertEqual(Rules.check({ allowed: ['Admitted'] }, select)[0], 'Must be one of: Admitted');
+    });
+
+    TestRunner.test('labelWithDivText - should test the text next to the label', () => {
+        const field = { type: 'labelWithDivText', labelText: 'Late', divText: 'Yes' };
+        TestRunner.assertEqual(Rules.check({ allowed: ['No'] }, field).length, 1);
+        TestRunner.assertEqual(Rules.check({ required: true }, field).length, 0);
+    });
+
+    // Run all tests
+    TestRunner.run().then(success => {
+        if (success) {
+            document.body.style.backgroundColor = '#d4edda';
+            document.body.innerHTML = '<h1 style="color: #155724; text-align: center; padding: 50px;">All FieldRules Tests Passed! ✓</h1>';
+        } else {
+            document.body.style.backgroundColor = '#f8d7da';
+            document.body.innerHTML = '<h1 style="color: #721c24; text-align: center; padding: 50px;">Some Tests Failed! ✗</h1><p style="text-align: center;">Check console for details.</p>';
+        }
+    });
+});
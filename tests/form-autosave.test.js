@@ -0,0 +1,119 @@
+/*************************************************************************************************
+ *  form-autosave.test.js - Unit tests for form-autosave.js
+ *  Run with: Open tests/test-runner-form-autosave.html in Firefox
+ *************************************************************************************************/
+
+// Simple test framework
+const TestRunner = {
+    tests: [],
+    passed: 0,
+    failed: 0,
+
+    test(name, fn) {
+        this.tests.push({ name, fn });
+    },
+
+    async run() {
+        console.log('=== Running FormAutosave Tests ===\n');
+        this.passed = 0;
+        this.failed = 0;
+
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                this.passed++;
+                console.log(`✓ ${test.name}`);
+            } catch (e) {
+                this.failed++;
+                console.error(`✗ ${test.name}`);
+                console.error(`  ${e.message}`);
+            }
+        }
+
+        console.log(`\n=== Test Results ===`);
+        console.log(`Passed: ${this.passed}`);
+        console.log(`Failed: ${this.failed}`);
+        console.log(`Total: ${this.tests.length}`);
+
+        return this.failed === 0;
+    },
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    },
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(message || `Expected "${expected}", got "${actual}"`);
+        }
+    }
+};
+
+// Wait for form-autosave.js to load
+window.addEventListener('DOMContentLoaded', () => {
+    const Autosave = window.FormAutosave;
+    const now = Date.parse('2025-03-07T10:00:00Z');
+
+    // ===== Snapshots =====
+    TestRunner.test('createSnapshot and isExpired - should time snapshots out after MAX_AGE_MS', () => {
+        const snapshot = Autosave.createSnapshot('123', { insured: { DBA: 'Acme' } }, now);
+        TestRunner.assertEqual(snapshot.urlId, '123');
+        TestRunner.assertEqual(Autosave.getStorageKey('123'), 'autosave_123');
+        TestRunner.assert(Autosave.isSnapshotKey(Autosave.getStorageKey('123')));
+        TestRunner.assert(!Autosave.isSnapshotKey('checklistState_form_123_default'));
+        TestRunner.assert(!Autosave.isExpired(snapshot, now + Autosave.MAX_AGE_MS));
+        TestRunner.assert(Autosave.isExpired(snapshot, now + Autosave.MAX_AGE_MS + 1));
+        TestRunner.assert(Autosave.isExpired({}, now), 'Snapshots without a time are expired');
+    });
+
+    // ===== Comparing with the page =====
+    TestRunner.test('isSameValue - should ignore how RAPID writes a saved value', () => {
+        TestRunner.assert(Autosave.isSameValue('1000', '$1,000.00'));
+        TestRunner.assert(Autosave.isSameValue('3/7/2025', '03/07/2025'));
+        TestRunner.assert(Autosave.isSameValue(' acme  inc', 'ACME Inc'));
+        TestRunner.assert(Autosave.isSameValue(true, true));
+        TestRunner.assert(!Autosave.isSameValue(true, false));
+        TestRunner.assert(!Autosave.isSameValue('1000', '100'));
+    });
+
+    TestRunner.test('findDifferences - should list values the page no longer has', () => {
+        const saved = {
+            insured: { DBA: 'Acme Inc', Zip: '90210' },
+            fees: { 'Policy Fee Amount': '25.00', 'Policy Fee Taxable': true },
+            removed: { Text: 'x' }
+        };
+        const current = {
+            insured: { DBA: 'Acme', Zip: '90210' },
+            fees: { 'Policy Fee Amount': '25', 'Policy Fee Taxable': false }
+        };
+        const differences = Autosave.findDifferences(saved, current);
+        TestRunner.assertEqual(differences.map(d => `${d.stepId}:${d.field}`).join(','), 'insured:DBA,fees:Policy Fee Taxable');
+        TestRunner.assertEqual(differences[0].saved, 'Acme Inc');
+        TestRunner.assertEqual(differences[0].current, 'Acme');
+        TestRunner.assertEqual(Autosave.findDifferences(current, current).length, 0);
+    });
+
+    TestRunner.test('findDifferences - should leave out fields the page does not have', () => {
+        const differences = Autosave.findDifferences({ table: { 'Row 3 - col0': 'x' } }, { table: { 'Row 0 - col0': 'y' } });
+        TestRunner.assertEqual(differences.length, 0);
+    });
+
+    TestRunner.test('formatValue - should show blanks and checkboxes in words', () => {
+        TestRunner.assertEqual(Autosave.formatValue(''), '(blank)');
+        TestRunner.assertEqual(Autosave.formatValue(true), 'Checked');
+        TestRunner.assertEqual(Autosave.formatValue('Acme'), 'Acme');
+    });
+
+    // Run all tests
+    TestRunner.run().then(success => {
+        if (success) {
+            document.body.style.backgroundColor = '#d4edda';
+            document.body.innerHTML = '<h1 style="color: #155724; text-align: center; padding: 50px;">All FormAutosave Tests Passed! ✓</h1>';
+        } else {
+            document.body.style.backgroundColor = '#f8d7da';
+            document.body.innerHTML = '<h1 style="color: #721c24; text-align: center; padding: 50px;">Some Tests Failed! ✗</h1><p style="text-align: center;">Check console for details.</p>';
+        }
+    });
+});
@@ -0,0 +1,97 @@
+/*************************************************************************************************
+ *  quick-jump.test.js - Unit tests for quick-jump.js
+ *  Run with: Open tests/test-runner-quick-jump.html in Firefox
+ *************************************************************************************************/
+
+// Simple test framework
+const TestRunner = {
+    tests: [],
+    passed: 0,
+    failed: 0,
+
+    test(name, fn) {
+        this.tests.push({ name, fn });
+    },
+
+    async run() {
+        console.log('=== Running QuickJump Tests ===\n');
+        this.passed = 0;
+        this.failed = 0;
+
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                this.passed++;
+                console.log(`✓ ${test.name}`);
+            } catch (e) {
+                this.failed++;
+                console.error(`✗ ${test.name}`);
+                console.error(`  ${e.message}`);
+            }
+        }
+
+        console.log(`\n=== Test Results ===`);
+        console.log(`Passed: ${this.passed}`);
+        console.log(`Failed: ${this.failed}`);
+        console.log(`Total: ${this.tests.length}`);
+
+        return this.failed === 0;
+    },
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    },
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(message || `Expected "${expected}", got "${actual}"`);
+        }
+    }
+};
+
+// Wait for quick-jump.js to load
+window.addEventListener('DOMContentLoaded', () => {
+    const QuickJump = window.QuickJump;
+
+    const steps = [
+        { index: 0, name: 'Policy Number' },
+        { index: 1, name: 'Effective Dates' },
+        { index: 2, name: 'Insured Address' },
+        { index: 3, name: 'Date of Issue' },
+        { index: 4, name: 'Fees Table' }
+    ];
+    const names = results => results.map(step => step.name).join(', ');
+
+    TestRunner.test('search - should rank name starts, then word starts, then anywhere', () => {
+        TestRunner.assertEqual(names(QuickJump.search(steps, 'dat')), 'Date of Issue, Effective Dates');
+        TestRunner.assertEqual(names(QuickJump.search(steps, 'ss')), 'Insured Address, Date of Issue');
+    });
+
+    TestRunner.test('search - should ignore case and surrounding spaces', () => {
+        TestRunner.assertEqual(names(QuickJump.search(steps, '  EFFECTIVE ')), 'Effective Dates');
+    });
+
+    TestRunner.test('search - should return nothing for an empty or unmatched query', () => {
+        TestRunner.assertEqual(QuickJump.search(steps, '').length, 0);
+        TestRunner.assertEqual(QuickJump.search(steps, 'premium').length, 0);
+    });
+
+    TestRunner.test('search - should return at most MAX_RESULTS steps', () => {
+        const many = [];
+        for (let i = 0; i < QuickJump.MAX_RESULTS + 3; i++) many.push({ index: i, name: `Step ${i}` });
+        TestRunner.assertEqual(QuickJump.search(many, 'step').length, QuickJump.MAX_RESULTS);
+    });
+
+    // Run all tests
+    TestRunner.run().then(success => {
+        if (success) {
+            document.body.style.backgroundColor = '#d4edda';
+            document.body.innerHTML = '<h1 style="color: #155724; text-align: center; padding: 50px;">All QuickJump Tests Passed! ✓</h1>';
+        } else {
+            document.body.style.backgroundColor = '#f8d7da';
+            document.body.innerHTML = '<h1 style="color: #721c24; text-align: center; padding: 50px;">Some Tests Failed! ✗</h1><p style="text-align: center;">Check console for details.</p>';
+        }
+    });
+});
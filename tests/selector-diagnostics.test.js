@@ -0,0 +1,178 @@
+/*************************************************************************************************
+ *  selector-diagnostics.test.js - Unit tests for selector-diagnostics.js
+ *  Run with: Open tests/test-runner-selector-diagnostics.html in Firefox
+ *************************************************************************************************/
+
+// Simple test framework
+const TestRunner = {
+    tests: [],
+    passed: 0,
+    failed: 0,
+
+    test(name, fn) {
+        this.tests.push({ name, fn });
+    },
+
+    async run() {
+        console.log('=== Running SelectorDiagnostics Tests ===\n');
+        this.passed = 0;
+        this.failed = 0;
+
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                this.passed++;
+                console.log(`✓ ${test.name}`);
+            } catch (e) {
+                this.failed++;
+                console.error(`✗ ${test.name}`);
+                console.error(`  ${e.message}`);
+            }
+        }
+
+        console.log(`\n=== Test Results ===`);
+        console.log(`Passed: ${this.passed}`);
+        console.log(`Failed: ${this.failed}`);
+        console.log(`Total: ${this.tests.length}`);
+
+        return this.failed === 0;
+    },
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    },
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(message || `Expected "${expected}", got "${actual}"`);
+        }
+    }
+};
+
+// Wait for selector-diagnostics.js to load
+window.addEventListener('DOMContentLoaded', () => {
+    const Diagnostics = window.SelectorDiagnostics;
+
+    /**
+     * Minimal stand-in for a DOM node: maps selectors to lists of child fake nodes
+     */
+    function fakeNode(matches = {}) {
+        return {
+            querySelectorAll: (selector) => {
+                if (selector === 'BAD[') throw new Error('not a valid selector');
+                return matches[selector] || [];
+            }
+        };
+    }
+
+    function buildConfig() {
+        const checklist = [
+            {
+                name: 'Policy Number',
+                type: 'group',
+                fields: [{ name: 'Policy Number', selector: '#PolicyNumber', type: 'text' }],
+                show_if: { any: [{ selector: '#IsActive', checked: true }] }
+            },
+            {
+                name: 'Coverage',
+                type: 'table',
+                table_selector: '#coverage',
+                row_selector: 'tbody tr',
+                columns: [
+                    { name: 'Limit', selector: 'td input', type: 'text' },
+                    { name: 'Broken', selector: 'BAD[', type: 'text' }
+                ]
+            }
+        ];
+        const raw = { policy_number: { selector: '#PolicyNumber', label: 'Policy Number' }, checklist: checklist };
+        return { checklist: checklist, raw: raw, profile: { id: 'test' } };
+    }
+
+    const input = fakeNode();
+    const rowWithInput = fakeNode({ 'td input': [input] });
+    const rowWithoutInput = fakeNode();
+    const table = fakeNode({ 'tbody tr': [rowWithInput, rowWithoutInput] });
+    const root = fakeNode({
+        '#PolicyNumber': [input],
+        '#IsActive': [fakeNode(), fakeNode()],
+        '#coverage': [table]
+    });
+
+    function findResult(results, path) {
+        const result = results.find(r => r.path === path);
+        TestRunner.assert(result, `No result for ${path}`);
+        return result;
+    }
+
+    // ===== collectSelectors =====
+    TestRunner.test('collectSelectors - should include page fields, fields, conditions, tables and columns', () => {
+        const paths = Diagnostics.collectSelectors(buildConfig()).map(e => e.path);
+        [
+            'policy_number.selector',
+            'checklist[0].fields[0].selector',
+            'checklist[0].show_if.any[0].selector',
+            'checklist[1].table_selector',
+            'checklist[1].row_selector',
+            'checklist[1].columns[0].selector'
+        ].forEach(path => TestRunner.assert(paths.includes(path), `Missing ${path}`));
+    });
+
+    TestRunner.test('collectSelectors - should point variant-added steps at transaction_variants', () => {
+        const config = buildConfig();
+        const added = { name: 'Backout Reason', type: 'virtual', selector: '#Reason' };
+        config.raw.transaction_variants = { B: { add: [{ step: added }] } };
+        config.checklist = config.checklist.concat([added]);
+        const paths = Diagnostics.collectSelectors(config).map(e => e.path);
+        TestRunner.assert(paths.includes('transaction_variants.B.add[0].step.selector'), paths.join(', '));
+    });
+
+    // ===== runHealthCheck =====
+    TestRunner.test('runHealthCheck - should report ok, several matches and rows', () => {
+        const results = Diagnostics.runHealthCheck(buildConfig(), root);
+        TestRunner.assertEqual(findResult(results, 'policy_number.selector').status, 'ok');
+        TestRunner.assertEqual(findResult(results, 'checklist[0].show_if.any[0].selector').status, 'multiple');
+        const rows = findResult(results, 'checklist[1].row_selector');
+        TestRunner.assertEqual(rows.status, 'ok');
+        TestRunner.assertEqual(rows.count, 2);
+    });
+
+    TestRunner.test('runHealthCheck - should resolve columns per row and flag invalid selectors', () => {
+        const results = Diagnostics.runHealthCheck(buildConfig(), root);
+        const limit = findResult(results, 'checklist[1].columns[0].selector');
+        TestRunner.assertEqual(limit.status, 'partial');
+        TestRunner.assertEqual(limit.detail, 'found in 1 of 2 row(s)');
+        TestRunner.assertEqual(findResult(results, 'checklist[1].columns[1].selector').status, 'invalid');
+        TestRunner.assertEqual(results[0].status, 'invalid', 'Problems should be sorted first');
+    });
+
+    TestRunner.test('runHealthCheck - should skip columns when the table is missing', () => {
+        const results = Diagnostics.runHealthCheck(buildConfig(), fakeNode({ '#PolicyNumber': [input] }));
+        TestRunner.assertEqual(findResult(results, 'checklist[1].table_selector').status, 'missing');
+        const column = findResult(results, 'checklist[1].columns[0].selector');
+        TestRunner.assertEqual(column.status, 'skipped');
+        TestRunner.assertEqual(column.detail, 'table not found');
+    });
+
+    // ===== buildReport =====
+    TestRunner.test('buildReport - should summarize by status without element references', () => {
+        const config = buildConfig();
+        const report = Diagnostics.buildReport(config, Diagnostics.runHealthCheck(config, root));
+        TestRunner.assertEqual(report.profile, 'test');
+        TestRunner.assertEqual(report.summary.invalid, 1);
+        TestRunner.assertEqual(report.summary.partial, 1);
+        TestRunner.assert(report.results.every(r => !('elements' in r)), 'Report should be plain data');
+    });
+
+    // Run all tests
+    TestRunner.run().then(success => {
+        if (success) {
+            document.body.style.backgroundColor = '#d4edda';
+            document.body.innerHTML = '<h1 style="color: #155724; text-align: center; padding: 50px;">All SelectorDiagnostics Tests Passed! ✓</h1>';
+        } else {
+            document.body.style.backgroundColor = '#f8d7da';
+            document.body.innerHTML = '<h1 style="color: #721c24; text-align: center; padding: 50px;">Some Tests Failed! ✗</h1><p style="text-align: center;">Check console for details.</p>';
+        }
+    });
+});
@@ -0,0 +1,159 @@
+/*************************************************************************************************
+ *  selector-picker.test.js - Unit tests for selector-picker.js
+ *  Run with: Open tests/test-runner-selector-picker.html in Firefox
+ *************************************************************************************************/
+
+// Simple test framework
+const TestRunner = {
+    tests: [],
+    passed: 0,
+    failed: 0,
+
+    test(name, fn) {
+        this.tests.push({ name, fn });
+    },
+
+    async run() {
+        console.log('=== Running SelectorPicker Tests ===\n');
+        this.passed = 0;
+        this.failed = 0;
+
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                this.passed++;
+                console.log(`✓ ${test.name}`);
+            } catch (e) {
+                this.failed++;
+                console.error(`✗ ${test.name}`);
+                console.error(`  ${e.message}`);
+            }
+        }
+
+        console.log(`\n=== Test Results ===`);
+        console.log(`Passed: ${this.passed}`);
+        console.log(`Failed: ${this.failed}`);
+        console.log(`Total: ${this.tests.length}`);
+
+        return this.failed === 0;
+    },
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    },
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(message || `Expected "${expected}", got "${actual}"`);
+        }
+    }
+};
+
+// Wait for selector-picker.js to load
+window.addEventListener('DOMContentLoaded', () => {
+    const Picker = window.SelectorPicker;
+
+    /**
+     * Minimal stand-in for an element: tag, attributes and parent/children links
+     */
+    function fakeElement(tagName, attributes = {}, parent = null) {
+        const element = {
+            tagName: tagName.toUpperCase(),
+            id: attributes.id || '',
+            type: attributes.type || '',
+            textContent: attributes.text || '',
+            children: [],
+            parentElement: parent,
+            getAttribute: (name) => (name in attributes ? attributes[name] : null)
+        };
+        if (parent) parent.children.push(element);
+        return element;
+    }
+
+    /**
+     * Stand-in document that answers querySelectorAll from a selector -> match count map
+     */
+    function fakeDocument(counts, labels = {}) {
+        return {
+            querySelectorAll: (selector) => new Array(counts[selector] || 0),
+            querySelector: (selector) => labels[selector] || null
+        };
+    }
+
+    // ===== buildSelector =====
+    TestRunner.test('buildSelector - should prefer a unique id', () => {
+        const input = fakeElement('input', { id: 'PolicyNumber', name: 'PolicyNumber' });
+        TestRunner.assertEqual(Picker.buildSelector(input, fakeDocument({ '#PolicyNumber': 1 })), '#PolicyNumber');
+    });
+
+    TestRunner.test('buildSelector - should fall back to the name attribute for generated ids', () => {
+        const input = fakeElement('input', { id: 'ext-gen12345', name: 'Insurer.Name' });
+        const doc = fakeDocument({ '#ext-gen12345': 1, 'input[name="Insurer.Name"]': 1 });
+        TestRunner.assertEqual(Picker.buildSelector(input, doc), 'input[name="Insurer.Name"]');
+    });
+
+    TestRunner.test('buildSelector - should describe the path from the nearest ancestor with an id', () => {
+        const section = fakeElement('div', { id: 'feesSection' });
+        const row = fakeElement('div', {}, section);
+        fakeElement('span', {}, row);
+        const span = fakeElement('span', {}, row);
+        const doc = fakeDocument({ '#feesSection': 1, '#feesSection div > span:nth-of-type(2)': 1 });
+        TestRunner.assertEqual(Picker.buildSelector(span, doc), '#feesSection div > span:nth-of-type(2)');
+    });
+
+    // ===== detectFieldType / guessFieldName =====
+    TestRunner.test('detectFieldType - should map elements to config field types', () => {
+        TestRunner.assertEqual(Picker.detectFieldType(fakeElement('input', { type: 'checkbox' })), 'checkbox');
+        TestRunner.assertEqual(Picker.detectFieldType(fakeElement('select')), 'select');
+        TestRunner.assertEqual(Picker.detectFieldType(fakeElement('button')), 'virtual');
+        TestRunner.assertEqual(Picker.detectFieldType(fakeElement('input', { type: 'text' })), 'text');
+    });
+
+    TestRunner.test('guessFieldName - should use the label text, then other attributes', () => {
+        const input = fakeElement('input', { id: 'ZipCode', placeholder: 'ZIP' });
+        const doc = fakeDocument({}, { 'label[for="ZipCode"]': { textContent: ' ZIP Code: ' } });
+        TestRunner.assertEqual(Picker.guessFieldName(input, doc), 'ZIP Code');
+        TestRunner.assertEqual(Picker.guessFieldName(input, fakeDocument({})), 'ZIP');
+    });
+
+    // ===== addFieldToConfig =====
+    TestRunner.test('addFieldToConfig - should append to an existing group without changing the original', () => {
+        const config = { checklist: [{ name: 'Address', type: 'group', fields: [{ name: 'City', selector: '#City', type: 'text' }] }] };
+        const field = { name: 'ZIP', selector: '#Zip', type: 'text' };
+        const updated = Picker.addFieldToConfig(config, field, { stepIndex: 0 });
+        TestRunner.assertEqual(updated.checklist[0].fields.length, 2);
+        TestRunner.assertEqual(config.checklist[0].fields.length, 1, 'Original config should be unchanged');
+    });
+
+    TestRunner.test('addFieldToConfig - should create a new group', () => {
+        const field = { name: 'ZIP', selector: '#Zip', type: 'text' };
+        const updated = Picker.addFieldToConfig({ checklist: [] }, field, { newGroupName: 'Mailing Address' });
+        TestRunner.assertEqual(updated.checklist[0].name, 'Mailing Address');
+        TestRunner.assertEqual(updated.checklist[0].type, 'group');
+        TestRunner.assertEqual(updated.checklist[0].fields[0].selector, '#Zip');
+    });
+
+    TestRunner.test('addFieldToConfig - should refuse non-group steps', () => {
+        const config = { checklist: [{ name: 'Link', type: 'virtual', selector: '#Link' }] };
+        let threw = false;
+        try {
+            Picker.addFieldToConfig(config, { name: 'X', selector: '#X', type: 'text' }, { stepIndex: 0 });
+        } catch (e) {
+            threw = true;
+        }
+        TestRunner.assert(threw, 'Expected an error for a virtual step');
+    });
+
+    // Run all tests
+    TestRunner.run().then(success => {
+        if (success) {
+            document.body.style.backgroundColor = '#d4edda';
+            document.body.innerHTML = '<h1 style="color: #155724; text-align: center; padding: 50px;">All SelectorPicker Tests Passed! ✓</h1>';
+        } else {
+            document.body.style.backgroundColor = '#f8d7da';
+            document.body.innerHTML = '<h1 style="color: #721c24; text-align: center; padding: 50px;">Some Tests Failed! ✗</h1><p style="text-align: center;">Check console for details.</p>';
+        }
+    });
+});
@@ -0,0 +1,110 @@
+/*************************************************************************************************
+ *  session-timeout.test.js - Unit tests for session-timeout.js
+ *  Run with: Open tests/test-runner-session-timeout.html in Firefox
+ *************************************************************************************************/
+
+// Simple test framework
+const TestRunner = {
+    tests: [],
+    passed: 0,
+    failed: 0,
+
+    test(name, fn) {
+        this.tests.push({ name, fn });
+    },
+
+    async run() {
+        console.log('=== Running SessionTimeout Tests ===\n');
+        this.passed = 0;
+        this.failed = 0;
+
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                this.passed++;
+                console.log(`✓ ${test.name}`);
+            } catch (e) {
+                this.failed++;
+                console.error(`✗ ${test.name}`);
+                console.error(`  ${e.message}`);
+            }
+        }
+
+        console.log(`\n=== Test Results ===`);
+        console.log(`Passed: ${this.passed}`);
+        console.log(`Failed: ${this.failed}`);
+        console.log(`Total: ${this.tests.length}`);
+
+        return this.failed === 0;
+    },
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    },
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(message || `Expected "${expected}", got "${actual}"`);
+        }
+    }
+};
+
+// Wait for session-timeout.js to load
+window.addEventListener('DOMContentLoaded', () => {
+    const Session = window.SessionTimeout;
+    const MINUTE = 60 * 1000;
+    const start = Date.parse('2025-03-07T10:00:00Z');
+
+    // ===== Timeout =====
+    TestRunner.test('getTimeout - should prefer the config, then the learned timeout', () => {
+        TestRunner.assertEqual(Session.getTimeout(30, 45 * MINUTE).ms, 30 * MINUTE);
+        TestRunner.assertEqual(Session.getTimeout(30, 45 * MINUTE).source, 'config');
+        TestRunner.assertEqual(Session.getTimeout(null, 45 * MINUTE).source, 'learned');
+        TestRunner.assertEqual(Session.getTimeout(null, null).ms, Session.DEFAULT_TIMEOUT_MS);
+        TestRunner.assertEqual(Session.getTimeout(0, MINUTE).source, 'default', 'A zero config and a too-short learned timeout are ignored');
+    });
+
+    TestRunner.test('learnTimeout - should keep the shortest time to a login page', () => {
+        TestRunner.assertEqual(Session.learnTimeout(null, start, start + 50 * MINUTE), 50 * MINUTE);
+        TestRunner.assertEqual(Session.learnTimeout(50 * MINUTE, start, start + 35 * MINUTE), 35 * MINUTE);
+        TestRunner.assertEqual(Session.learnTimeout(35 * MINUTE, start, start + 90 * MINUTE), 35 * MINUTE);
+    });
+
+    TestRunner.test('learnTimeout - should ignore logouts and unknown activity', () => {
+        TestRunner.assertEqual(Session.learnTimeout(35 * MINUTE, start, start + MINUTE), 35 * MINUTE);
+        TestRunner.assertEqual(Session.learnTimeout(undefined, start, start + MINUTE), null);
+        TestRunner.assertEqual(Session.learnTimeout(undefined, undefined, start), null);
+    });
+
+    // ===== Countdown =====
+    TestRunner.test('getStatus - should warn before the session runs out', () => {
+        const timeout = 20 * MINUTE;
+        TestRunner.assertEqual(Session.getStatus(start, timeout, start + 10 * MINUTE).phase, 'active');
+        const warning = Session.getStatus(start, timeout, start + timeout - Session.WARNING_MS);
+        TestRunner.assertEqual(warning.phase, 'warning');
+        TestRunner.assertEqual(warning.remainingMs, Session.WARNING_MS);
+        const expired = Session.getStatus(start, timeout, start + 25 * MINUTE);
+        TestRunner.assertEqual(expired.phase, 'expired');
+        TestRunner.assertEqual(expired.remainingMs, 0);
+    });
+
+    TestRunner.test('formatCountdown - should show minutes and seconds', () => {
+        TestRunner.assertEqual(Session.formatCountdown(2 * MINUTE), '2:00');
+        TestRunner.assertEqual(Session.formatCountdown(65 * 1000), '1:05');
+        TestRunner.assertEqual(Session.formatCountdown(1), '0:01');
+        TestRunner.assertEqual(Session.formatCountdown(-5), '0:00');
+    });
+
+    // Run all tests
+    TestRunner.run().then(success => {
+        if (success) {
+            document.body.style.backgroundColor = '#d4edda';
+            document.body.innerHTML = '<h1 style="color: #155724; text-align: center; padding: 50px;">All SessionTimeout Tests Passed! ✓</h1>';
+        } else {
+            document.body.style.backgroundColor = '#f8d7da';
+            document.body.innerHTML = '<h1 style="color: #721c24; text-align: center; padding: 50px;">Some Tests Failed! ✗</h1><p style="text-align: center;">Check console for details.</p>';
+        }
+    });
+});
@@ -0,0 +1,115 @@
+/*************************************************************************************************
+ *  skip-reasons.test.js - Unit tests for skip-reasons.js
+ *  Run with: Open tests/test-runner-skip-reasons.html in Firefox
+ *************************************************************************************************/
+
+// Simple test framework
+const TestRunner = {
+    tests: [],
+    passed: 0,
+    failed: 0,
+
+    test(name, fn) {
+        this.tests.push({ name, fn });
+    },
+
+    async run() {
+        console.log('=== Running SkipReasons Tests ===\n');
+        this.passed = 0;
+        this.failed = 0;
+
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                this.passed++;
+                console.log(`✓ ${test.name}`);
+            } catch (e) {
+                this.failed++;
+                console.error(`✗ ${test.name}`);
+                console.error(`  ${e.message}`);
+            }
+        }
+
+        console.log(`\n=== Test Results ===`);
+        console.log(`Passed: ${this.passed}`);
+        console.log(`Failed: ${this.failed}`);
+        console.log(`Total: ${this.tests.length}`);
+
+        return this.failed === 0;
+    },
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    },
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(message || `Expected "${expected}", got "${actual}"`);
+        }
+    }
+};
+
+// Wait for skip-reasons.js to load
+window.addEventListener('DOMContentLoaded', () => {
+    const Reasons = window.SkipReasons;
+
+    const steps = [{ id: 'insured', name: 'Insured' }, { id: 'fees', name: 'Fees' }, { id: 'forms', name: 'Forms' }];
+    const unchecked = { processed: false, skipped: false };
+    const confirmed = { processed: true, skipped: false };
+
+    TestRunner.test('getCurrentSkips - should list skipped steps with their reasons', () => {
+        const state = [{ processed: false, skipped: true, skipReason: 'Waiting on broker' }, confirmed, { processed: false, skipped: true }];
+        const skips = Reasons.getCurrentSkips(state, steps);
+        TestRunner.assertEqual(Object.keys(skips).join(','), 'insured,forms');
+        TestRunner.assertEqual(skips.insured.reason, 'Waiting on broker');
+        TestRunner.assertEqual(skips.forms.reason, '', 'Skips without a reason are still listed');
+    });
+
+    TestRunner.test('mergeIntoRecord - should add new skips and resolve finished ones', () => {
+        const first = Reasons.mergeIntoRecord({}, { fees: { stepName: 'Fees', reason: 'Needs research' } }, 't1');
+        TestRunner.assert(first.changed);
+        TestRunner.assertEqual(first.skipReasons.fees.skippedAt, 't1');
+
+        const same = Reasons.mergeIntoRecord(first.skipReasons, { fees: { stepName: 'Fees', reason: 'Needs research' } }, 't2');
+        TestRunner.assert(!same.changed, 'An unchanged skip is left alone');
+
+        const resolved = Reasons.mergeIntoRecord(first.skipReasons, {}, 't3');
+        TestRunner.assert(resolved.changed);
+        TestRunner.assertEqual(resolved.skipReasons.fees.resolved, true);
+        TestRunner.assertEqual(resolved.skipReasons.fees.resolvedAt, 't3');
+        TestRunner.assertEqual(resolved.skipReasons.fees.reason, 'Needs research', 'Resolved skips keep their reason for reports');
+    });
+
+    TestRunner.test('hasPendingSkips - should be true only for unresolved skips', () => {
+        TestRunner.assert(!Reasons.hasPendingSkips({}));
+        TestRunner.assert(!Reasons.hasPendingSkips({ skipReasons: { fees: { reason: 'x', resolved: true } } }));
+        TestRunner.assert(Reasons.hasPendingSkips({ skipReasons: { fees: { reason: 'x', resolved: false } } }));
+        TestRunner.assertEqual(Reasons.getCurrentSkips([unchecked], steps).insured, undefined);
+    });
+
+    TestRunner.test('countByReason - should count skips and pending skips per reason', () => {
+        const forms = [
+            { skipReasons: { fees: { reason: 'Waiting on broker', resolved: false }, forms: { reason: 'Needs research', resolved: true } } },
+            { skipReasons: { fees: { reason: 'Waiting on broker', resolved: true } } },
+            {}
+        ];
+        const counts = Reasons.countByReason(forms);
+        TestRunner.assertEqual(counts[0].reason, 'Waiting on broker');
+        TestRunner.assertEqual(counts[0].count, 2);
+        TestRunner.assertEqual(counts[0].pending, 1);
+        TestRunner.assertEqual(counts[1].pending, 0);
+    });
+
+    // Run all tests
+    TestRunner.run().then(success => {
+        if (success) {
+            document.body.style.backgroundColor = '#d4edda';
+            document.body.innerHTML = '<h1 style="color: #155724; text-align: center; padding: 50px;">All SkipReasons Tests Passed! ✓</h1>';
+        } else {
+            document.body.style.backgroundColor = '#f8d7da';
+            document.body.innerHTML = '<h1 style="color: #721c24; text-align: center; padding: 50px;">Some Tests Failed! ✗</h1><p style="text-align: center;">Check console for details.</p>';
+        }
+    });
+});
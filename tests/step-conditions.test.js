@@ -0,0 +1,161 @@
+/*************************************************************************************************
+ *  step-conditions.test.js - Unit tests for step-conditions.js
+ *  Run with: Open tests/test-runner-step-conditions.html in Firefox
+ *************************************************************************************************/
+
+// Simple test framework
+const TestRunner = {
+    tests: [],
+    passed: 0,
+    failed: 0,
+
+    test(name, fn) {
+        this.tests.push({ name, fn });
+    },
+
+    async run() {
+        console.log('=== Running StepConditions Tests ===\n');
+        this.passed = 0;
+        this.failed = 0;
+
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                this.passed++;
+                console.log(`✓ ${test.name}`);
+            } catch (e) {
+                this.failed++;
+                console.error(`✗ ${test.name}`);
+                console.error(`  ${e.message}`);
+            }
+        }
+
+        console.log(`\n=== Test Results ===`);
+        console.log(`Passed: ${this.passed}`);
+        console.log(`Failed: ${this.failed}`);
+        console.log(`Total: ${this.tests.length}`);
+
+        return this.failed === 0;
+    },
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    },
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(message || `Expected "${expected}", got "${actual}"`);
+        }
+    }
+};
+
+// Wait for step-conditions.js to load
+window.addEventListener('DOMContentLoaded', () => {
+    const Conditions = window.StepConditions;
+
+    /**
+     * Minimal stand-in for the page: maps selectors to fake elements
+     */
+    function fakeRoot(elements) {
+        return {
+            querySelector: (selector) => elements[selector] || null
+        };
+    }
+
+    const root = fakeRoot({
+        '#SameAddress': { tagName: 'INPUT', type: 'checkbox', checked: true },
+        '#PolicyNumber': { tagName: 'INPUT', type: 'text', value: ' ABC-123 ' },
+        '#TransactionTypeId': {
+            tagName: 'SELECT',
+            value: '3',
+            selectedIndex: 1,
+            options: [{ text: 'New Business' }, { text: 'Endorsement' }]
+        },
+        "label[for='IsLate']": {
+            tagName: 'LABEL',
+            textContent: 'Late',
+            nextSibling: { nodeType: 3, textContent: '  ', nextSibling: { nodeType: 3, textContent: ' Yes (3 days)' } }
+        }
+    });
+
+    // ===== readValue =====
+    TestRunner.test('readValue - auto reads checked state for checkboxes and value for inputs', () => {
+        TestRunner.assertEqual(Conditions.readValue(root.querySelector('#SameAddress')), true);
+        TestRunner.assertEqual(Conditions.readValue(root.querySelector('#PolicyNumber')), ' ABC-123 ');
+    });
+
+    TestRunner.test('readValue - option_text and next_text', () => {
+        TestRunner.assertEqual(Conditions.readValue(root.querySelector('#TransactionTypeId'), 'option_text'), 'Endorsement');
+        TestRunner.assertEqual(Conditions.readValue(root.querySelector("label[for='IsLate']"), 'next_text'), 'Yes');
+    });
+
+    // ===== evaluate =====
+    TestRunner.test('evaluate - equals ignores case and whitespace', () => {
+        TestRunner.assertEqual(Conditions.evaluate({ selector: '#PolicyNumber', equals: 'abc-123' }, root), true);
+        TestRunner.assertEqual(Conditions.evaluate({ selector: '#PolicyNumber', not_equals: 'abc-123' }, root), false);
+    });
+
+    TestRunner.test('evaluate - in, checked, empty and matches', () => {
+        TestRunner.assertEqual(Conditions.evaluate({ selector: '#TransactionTypeId', read: 'option_text', in: ['Endorsement', 'Audit'] }, root), true);
+        TestRunner.assertEqual(Conditions.evaluate({ selector: '#SameAddress', checked: false }, root), false);
+        TestRunner.assertEqual(Conditions.evaluate({ selector: '#PolicyNumber', empty: false }, root), true);
+        TestRunner.assertEqual(Conditions.evaluate({ selector: '#PolicyNumber', matches: '^\\s*abc' }, root), true);
+    });
+
+    TestRunner.test('evaluate - no operator means checked or non-empty', () => {
+        TestRunner.assertEqual(Conditions.evaluate({ selector: '#SameAddress' }, root), true);
+    });
+
+    TestRunner.test('evaluate - all/any/not combine results', () => {
+        const late = { selector: "label[for='IsLate']", read: 'next_text', equals: 'Yes' };
+        const same = { selector: '#SameAddress', checked: false };
+        TestRunner.assertEqual(Conditions.evaluate({ all: [late, same] }, root), false);
+        TestRunner.assertEqual(Conditions.evaluate({ any: [late, same] }, root), true);
+        TestRunner.assertEqual(Conditions.evaluate({ not: same }, root), true);
+    });
+
+    TestRunner.test('evaluate - missing element is unknown (null)', () => {
+        TestRunner.assertEqual(Conditions.evaluate({ selector: '#Missing', equals: 'x' }, root), null);
+        TestRunner.assertEqual(Conditions.evaluate({ not: { selector: '#Missing' } }, root), null);
+        TestRunner.assertEqual(Conditions.evaluate({ any: [{ selector: '#Missing' }, { selector: '#SameAddress', checked: false }] }, root), null);
+    });
+
+    TestRunner.test('evaluate - invalid selector or regex is unknown (null)', () => {
+        TestRunner.assertEqual(Conditions.evaluate({ selector: '#Late[', equals: 'x' }, root), null);
+        TestRunner.assertEqual(Conditions.evaluate({ selector: '#SameAddress', matches: '([' }, root), null);
+    });
+
+    // ===== getStepActivity =====
+    TestRunner.test('getStepActivity - show_if false hides the step', () => {
+        const activity = Conditions.getStepActivity({ name: 'Location of Risk', show_if: { selector: '#SameAddress', checked: false } }, root);
+        TestRunner.assertEqual(activity.visible, false);
+        TestRunner.assertEqual(activity.required, false);
+    });
+
+    TestRunner.test('getStepActivity - required_if false makes the step optional', () => {
+        const activity = Conditions.getStepActivity({ name: 'Notes', required_if: { selector: '#PolicyNumber', empty: true } }, root);
+        TestRunner.assertEqual(activity.visible, true);
+        TestRunner.assertEqual(activity.required, false);
+    });
+
+    TestRunner.test('getStepActivity - unknown conditions and plain steps stay active', () => {
+        const broken = Conditions.getStepActivity({ name: 'Broken', show_if: { selector: '#Missing', equals: 'x' } }, root);
+        const plain = Conditions.getStepActivity({ name: 'Plain' }, root);
+        TestRunner.assert(broken.visible && broken.required, 'Broken selector should not hide the step');
+        TestRunner.assert(plain.visible && plain.required, 'Step without conditions should be active');
+        TestRunner.assert(!Conditions.hasConditions([{ name: 'Plain' }]));
+    });
+
+    // Run all tests
+    TestRunner.run().then(success => {
+        if (success) {
+            document.body.style.backgroundColor = '#d4edda';
+            document.body.innerHTML = '<h1 style="color: #155724; text-align: center; padding: 50px;">All StepConditions Tests Passed! ✓</h1>';
+        } else {
+            document.body.style.backgroundColor = '#f8d7da';
+            document.body.innerHTML = '<h1 style="color: #721c24; text-align: center; padding: 50px;">Some Tests Failed! ✗</h1><p style="text-align: center;">Check console for details.</p>';
+        }
+    });
+});
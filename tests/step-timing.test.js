@@ -0,0 +1,128 @@
+/*************************************************************************************************
+ *  step-timing.test.js - Unit tests for step-timing.js
+ *  Run with: Open tests/test-runner-step-timing.html in Firefox
+ *************************************************************************************************/
+
+// Simple test framework
+const TestRunner = {
+    tests: [],
+    passed: 0,
+    failed: 0,
+
+    test(name, fn) {
+        this.tests.push({ name, fn });
+    },
+
+    async run() {
+        console.log('=== Running StepTiming Tests ===\n');
+        this.passed = 0;
+        this.failed = 0;
+
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                this.passed++;
+                console.log(`✓ ${test.name}`);
+            } catch (e) {
+                this.failed++;
+                console.error(`✗ ${test.name}`);
+                console.error(`  ${e.message}`);
+            }
+        }
+
+        console.log(`\n=== Test Results ===`);
+        console.log(`Passed: ${this.passed}`);
+        console.log(`Failed: ${this.failed}`);
+        console.log(`Total: ${this.tests.length}`);
+
+        return this.failed === 0;
+    },
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    },
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(message || `Expected "${expected}", got "${actual}"`);
+        }
+    }
+};
+
+// Wait for step-timing.js to load
+window.addEventListener('DOMContentLoaded', () => {
+    const Timing = window.StepTiming;
+    const idle = Timing.IDLE_THRESHOLD_MS;
+
+    // ===== Clock =====
+    TestRunner.test('advance - should count time while active', () => {
+        let clock = Timing.createClock(2, 1000);
+        clock = Timing.advance(clock, 6000);
+        TestRunner.assertEqual(clock.activeMs, 5000);
+        TestRunner.assertEqual(clock.index, 2);
+    });
+
+    TestRunner.test('advance - should stop counting once idle', () => {
+        let clock = Timing.createClock(0, 0);
+        clock = Timing.advance(clock, idle + 30000);
+        TestRunner.assertEqual(clock.activeMs, idle, 'Only time up to the idle threshold counts');
+
+        clock = Timing.recordActivity(clock, idle + 40000);
+        clock = Timing.advance(clock, idle + 45000);
+        TestRunner.assertEqual(clock.activeMs, idle + 5000, 'Activity restarts the clock without counting the idle gap');
+    });
+
+    TestRunner.test('setVisible - should not count hidden-tab time', () => {
+        let clock = Timing.createClock(0, 0);
+        clock = Timing.setVisible(clock, false, 2000);
+        clock = Timing.setVisible(clock, true, 20000);
+        clock = Timing.advance(clock, 23000);
+        TestRunner.assertEqual(clock.activeMs, 5000);
+    });
+
+    // ===== Totals and averages =====
+    TestRunner.test('addTiming - should add to a step\'s total', () => {
+        let timings = Timing.addTiming({}, 'fees', 'Fees', 3000);
+        timings = Timing.addTiming(timings, 'fees', 'Fees', 2000);
+        timings = Timing.addTiming(timings, 'insured', 'Insured', 1000);
+        TestRunner.assertEqual(timings.fees.activeMs, 5000);
+        TestRunner.assertEqual(timings.insured.stepName, 'Insured');
+    });
+
+    TestRunner.test('averageByGroup - should average per step within each group', () => {
+        const forms = [
+            { policyType: 'N', stepTimings: { fees: { stepName: 'Fees', activeMs: 4000 }, insured: { stepName: 'Insured', activeMs: 1000 } } },
+            { policyType: 'N', stepTimings: { fees: { stepName: 'Fees', activeMs: 8000 } } },
+            { policyType: 'E', stepTimings: { fees: { stepName: 'Fees', activeMs: 2000 } } },
+            { policyType: 'E' }
+        ];
+        const groups = Timing.averageByGroup(forms, form => form.policyType);
+
+        TestRunner.assertEqual(groups.map(g => g.group).join(','), 'E,N');
+        const [endorsements, newBusiness] = groups;
+        TestRunner.assertEqual(endorsements.formCount, 1, 'Forms without timings are left out');
+        TestRunner.assertEqual(newBusiness.formCount, 2);
+        TestRunner.assertEqual(newBusiness.steps[0].stepId, 'fees', 'Slowest step first');
+        TestRunner.assertEqual(newBusiness.steps[0].averageMs, 6000);
+        TestRunner.assertEqual(newBusiness.steps[1].formCount, 1);
+    });
+
+    TestRunner.test('formatDuration - should use the largest sensible units', () => {
+        TestRunner.assertEqual(Timing.formatDuration(45000), '45s');
+        TestRunner.assertEqual(Timing.formatDuration(185000), '3m 05s');
+        TestRunner.assertEqual(Timing.formatDuration(3720000), '1h 02m');
+    });
+
+    // Run all tests
+    TestRunner.run().then(success => {
+        if (success) {
+            document.body.style.backgroundColor = '#d4edda';
+            document.body.innerHTML = '<h1 style="color: #155724; text-align: center; padding: 50px;">All StepTiming Tests Passed! ✓</h1>';
+        } else {
+            document.body.style.backgroundColor = '#f8d7da';
+            document.body.innerHTML = '<h1 style="color: #721c24; text-align: center; padding: 50px;">Some Tests Failed! ✗</h1><p style="text-align: center;">Check console for details.</p>';
+        }
+    });
+});
@@ -0,0 +1,155 @@
+/*************************************************************************************************
+ *  undo-history.test.js - Unit tests for undo-history.js
+ *  Run with: Open tests/test-runner-undo-history.html in Firefox
+ *************************************************************************************************/
+
+// Simple test framework
+const TestRunner = {
+    tests: [],
+    passed: 0,
+    failed: 0,
+
+    test(name, fn) {
+        this.tests.push({ name, fn });
+    },
+
+    async run() {
+        console.log('=== Running UndoHistory Tests ===\n');
+        this.passed = 0;
+        this.failed = 0;
+
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                this.passed++;
+                console.log(`✓ ${test.name}`);
+            } catch (e) {
+                this.failed++;
+                console.error(`✗ ${test.name}`);
+                console.error(`  ${e.message}`);
+            }
+        }
+
+        console.log(`\n=== Test Results ===`);
+        console.log(`Passed: ${this.passed}`);
+        console.log(`Failed: ${this.failed}`);
+        console.log(`Total: ${this.tests.length}`);
+
+        return this.failed === 0;
+    },
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    },
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(message || `Expected "${expected}", got "${actual}"`);
+        }
+    }
+};
+
+// Wait for undo-history.js to load
+window.addEventListener('DOMContentLoaded', () => {
+    const History = window.UndoHistory;
+
+    const unchecked = { processed: false, skipped: false };
+    const confirmed = { processed: true, skipped: false };
+    const skipped = { processed: false, skipped: true };
+
+    function fieldEdit(before, after) {
+        return { type: 'field', label: 'Edit "Zip"', index: 2, fieldIndex: 0, before, after, mergeKey: 'field:2:0' };
+    }
+
+    // ===== Recording =====
+    TestRunner.test('record - should push entries and clear the redo stack', () => {
+        let history = History.record(History.create(), { type: 'state', label: 'Confirm "A"', changes: [] }, 1000);
+        history = { undo: history.undo, redo: [{ type: 'state', label: 'Skip "B"', changes: [] }] };
+        history = History.record(history, { type: 'state', label: 'Confirm "C"', changes: [] }, 2000);
+
+        TestRunner.assertEqual(history.undo.length, 2);
+        TestRunner.assertEqual(history.redo.length, 0, 'A new action clears redo');
+        TestRunner.assertEqual(history.undo[1].time, 2000);
+    });
+
+    TestRunner.test('record - should merge edits to the same field made close together', () => {
+        let history = History.record(History.create(), fieldEdit('', '9'), 1000);
+        history = History.record(history, fieldEdit('9', '90'), 1500);
+        history = History.record(history, fieldEdit('90', '902'), 1500 + History.MERGE_WINDOW_MS + 1);
+
+        TestRunner.assertEqual(history.undo.length, 2, 'A pause starts a new entry');
+        TestRunner.assertEqual(history.undo[0].before, '');
+        TestRunner.assertEqual(history.undo[0].after, '90');
+        TestRunner.assertEqual(history.undo[1].before, '90');
+    });
+
+    TestRunner.test('record - should drop a merged edit that ends where it started', () => {
+        let history = History.record(History.create(), fieldEdit('9', '90'), 1000);
+        history = History.record(history, fieldEdit('90', '9'), 1200);
+        TestRunner.assertEqual(history.undo.length, 0);
+    });
+
+    TestRunner.test('record - should keep only the newest MAX_ENTRIES', () => {
+        let history = History.create();
+        for (let i = 0; i < History.MAX_ENTRIES + 5; i++) {
+            history = History.record(history, { type: 'state', label: `Action ${i}`, changes: [] }, i * 10000);
+        }
+        TestRunner.assertEqual(history.undo.length, History.MAX_ENTRIES);
+        TestRunner.assertEqual(history.undo[0].label, 'Action 5');
+    });
+
+    // ===== Undo / redo =====
+    TestRunner.test('takeUndo / takeRedo - should move entries between the stacks', () => {
+        let history = History.record(History.create(), { type: 'state', label: 'Confirm "A"', changes: [] }, 1000);
+
+        const undone = History.takeUndo(history);
+        TestRunner.assertEqual(undone.entry.label, 'Confirm "A"');
+        TestRunner.assertEqual(undone.history.undo.length, 0);
+        TestRunner.assertEqual(History.getSummary(undone.history).redoLabel, 'Confirm "A"');
+
+        const redone = History.takeRedo(undone.history);
+        TestRunner.assertEqual(redone.history.undo.length, 1);
+        TestRunner.assertEqual(redone.history.redo.length, 0);
+
+        TestRunner.assertEqual(History.takeUndo(History.create()).entry, null, 'Nothing to undo');
+        TestRunner.assertEqual(history.undo.length, 1, 'The given history is not modified');
+    });
+
+    TestRunner.test('diffStates / applyStateChanges - should revert and repeat state changes', () => {
+        const before = [confirmed, unchecked, unchecked];
+        const after = [confirmed, confirmed, skipped];
+        const changes = History.diffStates(before, after);
+
+        TestRunner.assertEqual(changes.length, 2);
+        TestRunner.assertEqual(changes[0].index, 1);
+        TestRunner.assertEqual(JSON.stringify(History.applyStateChanges(after, changes, 'undo')), JSON.stringify(before));
+        TestRunner.assertEqual(JSON.stringify(History.applyStateChanges(before, changes, 'redo')), JSON.stringify(after));
+        TestRunner.assertEqual(after[1].processed, true, 'The given state is not modified');
+    });
+
+    TestRunner.test('normalize / discard - should tidy stored histories', () => {
+        TestRunner.assertEqual(History.normalize(undefined).undo.length, 0);
+        TestRunner.assertEqual(History.normalize({ undo: 'bad' }).redo.length, 0);
+
+        const history = {
+            undo: [{ label: 'Confirm "A"', review: false }, { label: 'Confirm "A"', review: true }],
+            redo: [{ label: 'Skip "B"', review: true }]
+        };
+        const kept = History.discard(history, entry => entry.review);
+        TestRunner.assertEqual(kept.undo.length, 1);
+        TestRunner.assertEqual(kept.redo.length, 0);
+    });
+
+    // Run all tests
+    TestRunner.run().then(success => {
+        if (success) {
+            document.body.style.backgroundColor = '#d4edda';
+            document.body.innerHTML = '<h1 style="color: #155724; text-align: center; padding: 50px;">All UndoHistory Tests Passed! ✓</h1>';
+        } else {
+            document.body.style.backgroundColor = '#f8d7da';
+            document.body.innerHTML = '<h1 style="color: #721c24; text-align: center; padding: 50px;">Some Tests Failed! ✗</h1><p style="text-align: center;">Check console for details.</p>';
+        }
+    });
+});
@@ -0,0 +1,153 @@
+/*************************************************************************************************
+ *  url-routes.test.js - Unit tests for url-routes.js
+ *  Run with: Open tests/test-runner-url-routes.html in Firefox
+ *************************************************************************************************/
+
+// Simple test framework
+const TestRunner = {
+    tests: [],
+    passed: 0,
+    failed: 0,
+
+    test(name, fn) {
+        this.tests.push({ name, fn });
+    },
+
+    async run() {
+        console.log('=== Running UrlRoutes Tests ===\n');
+        this.passed = 0;
+        this.failed = 0;
+
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                this.passed++;
+                console.log(`✓ ${test.name}`);
+            } catch (e) {
+                this.failed++;
+                console.error(`✗ ${test.name}`);
+                console.error(`  ${e.message}`);
+            }
+        }
+
+        console.log(`\n=== Test Results ===`);
+        console.log(`Passed: ${this.passed}`);
+        console.log(`Failed: ${this.failed}`);
+        console.log(`Total: ${this.tests.length}`);
+
+        return this.failed === 0;
+    },
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    },
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(message || `Expected "${expected}", got "${actual}"`);
+        }
+    }
+};
+
+// Wait for url-routes.js to load
+window.addEventListener('DOMContentLoaded', () => {
+    const Routes = window.UrlRoutes;
+    const KINDS = Routes.PAGE_KINDS;
+
+    const formRoutes = [
+        { profileId: 'transaction-edit', urlPattern: 'index.html|rapid.slacal.com/Policy/TransactionDetails/Edit/' },
+        { profileId: 'renewal', urlPattern: 'regex:/Policy\\/Renewal\\/(Edit|View)\\/\\d+/' }
+    ];
+
+    // ===== Patterns =====
+    TestRunner.test('parsePatterns - should split on | but keep a regex whole', () => {
+        TestRunner.assertEqual(Routes.parsePatterns('a.html| b/c |').join(','), 'a.html,b/c');
+        TestRunner.assertEqual(Routes.parsePatterns('regex:/a|b/i').length, 1);
+        TestRunner.assertEqual(Routes.parsePatterns('/a|b/i').length, 2, 'Without its prefix a regex is text');
+        TestRunner.assertEqual(Routes.parsePatterns(undefined).length, 0);
+    });
+
+    TestRunner.test('matchesPattern - should support text, globs and regexes', () => {
+        const url = 'https://rapid.slacal.com/Policy/TransactionDetails/Edit/123';
+        TestRunner.assert(Routes.matchesPattern('TransactionDetails/Edit/', url), 'Text is a substring match');
+        TestRunner.assert(!Routes.matchesPattern('transactiondetails', url), 'Text is case-sensitive');
+        TestRunner.assert(Routes.matchesPattern('glob:*://rapid.slacal.com/*/Edit/*', url));
+        TestRunner.assert(!Routes.matchesPattern('glob:*://rapid.slacal.com/Insurer/*', url), 'A glob matches the whole URL');
+        TestRunner.assert(Routes.matchesPattern('regex:/edit\\/\\d+$/i', url));
+        TestRunner.assert(Routes.matchesPattern('regex:Edit\\/\\d+$', url), 'The slashes around a regex are optional');
+        TestRunner.assert(!Routes.matchesPattern('regex:/edit\\/\\d+$/', url), 'Regex without flags is case-sensitive');
+        TestRunner.assert(!Routes.matchesPattern('regex:/(unclosed/', url), 'An invalid regex matches nothing');
+    });
+
+    TestRunner.test('matchesPattern - should treat "?" and "*" without a prefix as text', () => {
+        const url = 'https://rapid.slacal.com/Policy/Edit?id=5';
+        TestRunner.assert(Routes.matchesPattern('Policy/Edit?id=', url), 'A query string is a substring match');
+        TestRunner.assert(!Routes.matchesPattern('*://rapid.slacal.com/*', url), 'A glob needs its prefix');
+        TestRunner.assert(!Routes.matchesPattern('/policy/i', url), 'A regex needs its prefix');
+    });
+
+    TestRunner.test('getPatternError - should only report invalid regexes', () => {
+        TestRunner.assert(Routes.getPatternError('regex:/(unclosed/'));
+        TestRunner.assertEqual(Routes.getPatternError('regex:/ok/i'), null);
+        TestRunner.assertEqual(Routes.getPatternError('/(text/'), null);
+        TestRunner.assertEqual(Routes.getPatternError('plain(text'), null);
+    });
+
+    TestRunner.test('matchesUrlPattern - should match anything when no pattern is set', () => {
+        TestRunner.assert(Routes.matchesUrlPattern('', 'https://anything'));
+        TestRunner.assert(Routes.matchesUrlPattern(undefined, 'https://anything'));
+    });
+
+    // ===== Page kinds =====
+    TestRunner.test('getPageKind - should recognise form pages from the profiles', () => {
+        const edit = Routes.getPageKind('https://rapid.slacal.com/Policy/TransactionDetails/Edit/9', formRoutes);
+        TestRunner.assertEqual(edit.kind, KINDS.FORM);
+        TestRunner.assertEqual(edit.profileId, 'transaction-edit');
+        TestRunner.assertEqual(Routes.getPageKind('https://rapid.slacal.com/Policy/Renewal/View/4', formRoutes).profileId, 'renewal');
+    });
+
+    TestRunner.test('getPageKind - should recognise helper pages', () => {
+        const kindOf = url => (Routes.getPageKind(url, formRoutes) || {}).kind;
+        TestRunner.assertEqual(kindOf('https://rapid.slacal.com/Insurer/Search'), KINDS.INSURER);
+        TestRunner.assertEqual(kindOf('https://rapid.slacal.com/Financial/CompanySearch/Company/CompanyDetails.aspx?Id=5'), KINDS.INSURER);
+        TestRunner.assertEqual(kindOf('https://rapid.slacal.com/policy/transactionSearch'), KINDS.POLICY_SEARCH);
+        TestRunner.assertEqual(kindOf('https://rapid.slacal.com/Policy/Search?x=1'), KINDS.POLICY_SEARCH);
+        TestRunner.assertEqual(kindOf('https://rapid.slacal.com/Operations/AttendanceSheet/Details'), KINDS.ATTENDANCE);
+        TestRunner.assertEqual(kindOf('https://rapid.slacal.com/Operations/WorkItem/MyQueue'), KINDS.WORK_QUEUE);
+        TestRunner.assertEqual(kindOf('https://rapid.slacal.com/Account/Login?ReturnUrl=%2fPolicy%2fEdit%2f5'), KINDS.LOGIN);
+        TestRunner.assertEqual(Routes.getPageKind('https://example.com/', formRoutes), null);
+    });
+
+    TestRunner.test('getPageKind - should give a profile without url_pattern only unclaimed pages', () => {
+        const routes = [{ profileId: 'everything', urlPattern: '' }];
+        TestRunner.assertEqual(Routes.getPageKind('https://example.com/', routes).profileId, 'everything');
+        TestRunner.assertEqual(Routes.getPageKind('https://rapid.slacal.com/Insurer/Search', routes).kind, KINDS.INSURER);
+    });
+
+    TestRunner.test('isPageKind and getRoute - should use the built-in routes', () => {
+        TestRunner.assert(Routes.isPageKind('https://rapid.slacal.com/Operations/WorkItem/MyQueue', KINDS.WORK_QUEUE));
+        TestRunner.assert(!Routes.isPageKind('https://rapid.slacal.com/Operations/WorkItem/MyQueue', KINDS.ATTENDANCE));
+        TestRunner.assert(Routes.getRoute(KINDS.ATTENDANCE).url.startsWith('https://'));
+    });
+
+    TestRunner.test('getFormId and getStateScope - should key form pages by transaction id', () => {
+        TestRunner.assertEqual(Routes.getFormId('https://rapid.slacal.com/Policy/TransactionDetails/Edit/019617801?doc=open'), '19617801');
+        TestRunner.assertEqual(Routes.getFormId('https://rapid.slacal.com/policy/transactionSearch'), null);
+        TestRunner.assertEqual(Routes.getStateScope(12, 'https://rapid.slacal.com/Policy/TransactionDetails/Edit/019617801'), 'form_19617801');
+        TestRunner.assertEqual(Routes.getStateScope(12, 'https://rapid.slacal.com/Policy/TransactionDetails/Edit/19617801'), 'form_19617801');
+        TestRunner.assertEqual(Routes.getStateScope(12, 'https://example.com/form.html'), '12');
+    });
+
+    // Run all tests
+    TestRunner.run().then(success => {
+        if (success) {
+            document.body.style.backgroundColor = '#d4edda';
+            document.body.innerHTML = '<h1 style="color: #155724; text-align: center; padding: 50px;">All UrlRoutes Tests Passed! ✓</h1>';
+        } else {
+            document.body.style.backgroundColor = '#f8d7da';
+            document.body.innerHTML = '<h1 style="color: #721c24; text-align: center; padding: 50px;">Some Tests Failed! ✗</h1><p style="text-align: center;">Check console for details.</p>';
+        }
+    });
+});
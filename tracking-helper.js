@@ -20,11 +20,15 @@
     window.trackingHelper = {
         currentUrlId: null,
         isReviewMode: false,
+        isBlindReview: false, // Review mode with the form's values hidden (see blind-review.js)
         formIsComplete: false,  // True if form is 100% complete or manually marked - prevents checkedProgress updates
         submissionNumber: null,
+        profileId: null,  // Will be set by content.js to the checklist profile matched for this page
+        configVersion: null,  // Will be set by content.js to the profile config's metadata.config_version
         updateMetadata: updateTrackingMetadata,
         getSavedProgress: null,  // Will be set by content.js to retrieve saved progress
         getChecklistTotal: null,  // Will be set by content.js to get checklist length
+        getTransactionTypeCode: () => mapTransactionTypeToCode(extractTransactionType()),  // Letter code for the selected transaction type
         pruneHistory: pruneHistory,  // Exposed for manual pruning
         exportHistory: exportHistory  // Exposed for exporting before pruning
     };
@@ -102,16 +106,8 @@
      * Normalizes by removing leading zeros for consistent comparison
      */
     function extractUrlId() {
-        const url = window.location.href;
-
-        // Pattern 1: /Policy/TransactionDetails/Edit/019579767?doc=open
-        const editMatch = url.match(/\/Edit\/(\d+)/);
-        if (editMatch) {
-            // Remove leading zeros to normalize (e.g., "019617801" becomes "19617801")
-            return String(parseInt(editMatch[1], 10));
-        }
-
-        return null;
+        // /Policy/TransactionDetails/Edit/019579767?doc=open - the same id the checklist state is keyed by
+        return UrlRoutes.getFormId(window.location.href);
     }
 
     /**
@@ -404,6 +400,8 @@
                     // Add to history with initial progress
                     history.push({
                         ...form,
+                        profileId: window.trackingHelper.profileId,
+                        configVersion: window.trackingHelper.configVersion,
                         policyNumber: policyNumber,
                         policyType: typeCode,
                         checkedProgress: { current: 0, total: checklistTotal, percentage: 0 },
@@ -444,6 +442,7 @@
 
                     if (policyNumber) existingForm.policyNumber = policyNumber;
                     if (primaryInsured) existingForm.primaryNamedInsured = primaryInsured;
+                    if (!existingForm.profileId) existingForm.profileId = window.trackingHelper.profileId;
                     if (totalPremium) existingForm.totalTaxablePremium = totalPremium;
 
                     ext.storage.local.set({ tracking_history: history });
@@ -487,6 +486,8 @@
                     history.push({
                         urlId: urlId,
                         url: formUrl,
+                        profileId: window.trackingHelper.profileId,
+                        configVersion: window.trackingHelper.configVersion,
                         policyNumber: policyNumber || '',  // Allow empty, will be updated later
                         submissionNumber: submissionNumber || '',
                         premium: totalPremium || '',
@@ -658,14 +659,17 @@
 
     /**
      * Enter review mode
+     * @param {Object} [options]
+     * @param {boolean} [options.blind] - Blind review: the reviewer re-enters values without seeing them
      */
-    window.trackingHelper.enterReviewMode = function() {
+    window.trackingHelper.enterReviewMode = function(options = {}) {
         window.trackingHelper.isReviewMode = true;
+        window.trackingHelper.isBlindReview = !!options.blind;
 
         // Add review mode indicator to page
         const indicator = document.createElement('div');
         indicator.id = 'review-mode-indicator';
-        indicator.textContent = 'REVIEW MODE';
+        indicator.textContent = options.blind ? 'BLIND REVIEW' : 'REVIEW MODE';
         indicator.style.cssText = `
             position: fixed;
             top: 10px;
@@ -822,7 +826,8 @@
     }
 
     /**
-     * Export history to JSON file for backup before pruning
+     * Export history to JSON file for backup before pruning. Records are exported whole,
+     * including their step notes.
      */
     function exportHistory() {
         ext.storage.local.get('tracking_history', (result) => {
@@ -836,6 +841,7 @@
             const exportData = {
                 exportDate: new Date().toISOString(),
                 itemCount: history.length,
+                noteCount: history.reduce((count, item) => count + Object.keys(item.stepNotes || {}).length, 0),
                 history: history
             };
 
@@ -930,11 +936,16 @@
     /**
      * Store original field values for change tracking
      * Called when form is first loaded to capture broker-entered values
+     * @param {Object} originalValues - { stepId: { fieldName: value } }
+     * @param {Function} [callback] - Called with the form's stored original values (the ones
+     *        from when it was first opened if they were already stored)
      */
-    window.trackingHelper.storeOriginalValues = function(originalValues) {
+    window.trackingHelper.storeOriginalValues = function(originalValues, callback) {
+        const done = callback || (() => {});
         const urlId = window.trackingHelper.currentUrlId;
         if (!urlId) {
             logger.debug("[ChangeTracking] No urlId, skipping storeOriginalValues");
+            done(originalValues);
             return;
         }
 
@@ -951,6 +962,9 @@
                 } else {
                     logger.debug("[ChangeTracking] Original values already exist for", urlId);
                 }
+                done(history[index].originalFieldValues);
+            } else {
+                done(originalValues);
             }
         });
     };
@@ -1002,5 +1016,217 @@
         });
     };
 
+    /**
+     * Read the current form's step notes
+     * @param {Function} callback - Called with { stepId: { stepName, text, updatedAt } }
+     */
+    window.trackingHelper.getStepNotes = function(callback) {
+        const urlId = window.trackingHelper.currentUrlId;
+        if (!urlId) {
+            callback({});
+            return;
+        }
+
+        ext.storage.local.get('tracking_history', (result) => {
+            const history = result.tracking_history || [];
+            const item = history.find(h => h.urlId === urlId);
+            callback((item && item.stepNotes) || {});
+        });
+    };
+
+    /**
+     * Save a note on one of the current form's steps. An empty note removes it.
+     * @param {string} stepId - Step id (see ConfigMigrations.getStepId)
+     * @param {string} stepName - Step name, so reports can show it without the config
+     * @param {string} text
+     */
+    window.trackingHelper.setStepNote = function(stepId, stepName, text) {
+        const urlId = window.trackingHelper.currentUrlId;
+        if (!urlId) {
+            logger.debug("[Notes] No urlId, skipping setStepNote");
+            return;
+        }
+
+        ext.storage.local.get('tracking_history', (result) => {
+            let history = result.tracking_history || [];
+            const index = history.findIndex(h => h.urlId === urlId);
+
+            if (index === -1) {
+                logger.debug(`[Notes] Form not found in history (urlId: ${urlId})`);
+                return;
+            }
+
+            const notes = { ...(history[index].stepNotes || {}) };
+            const trimmed = (text || '').trim();
+            if (trimmed) {
+                notes[stepId] = { stepName, text: trimmed, updatedAt: new Date().toISOString() };
+            } else {
+                delete notes[stepId];
+            }
+            history[index].stepNotes = notes;
+
+            ext.storage.local.set({ tracking_history: history });
+            logger.debug(`[Notes] Note ${trimmed ? 'saved' : 'removed'} for step "${stepName}" on ${urlId}`);
+        });
+    };
+
+    /**
+     * Add active time spent on one of the current form's steps (see step-timing.js)
+     * @param {string} stepId - Step id (see ConfigMigrations.getStepId)
+     * @param {string} stepName
+     * @param {number} activeMs
+     */
+    window.trackingHelper.addStepTime = function(stepId, stepName, activeMs) {
+        const urlId = window.trackingHelper.currentUrlId;
+        if (!urlId) return;
+
+        ext.storage.local.get('tracking_history', (result) => {
+            let history = result.tracking_history || [];
+            const index = history.findIndex(h => h.urlId === urlId);
+
+            if (index !== -1) {
+                history[index].stepTimings = StepTiming.addTiming(history[index].stepTimings, stepId, stepName, activeMs);
+                ext.storage.local.set({ tracking_history: history });
+                logger.debug(`[Timing] ${Math.round(activeMs / 1000)}s added to step "${stepName}" on ${urlId}`);
+            }
+        });
+    };
+
+    /**
+     * Add field edits to the current form's edit timeline (see edit-timeline.js)
+     * @param {Array} entries - From EditTimeline.createEntry, oldest first
+     * @param {number} [limit] - Entries to keep ("edit_timeline_limit")
+     */
+    window.trackingHelper.appendEditTimeline = function(entries, limit) {
+        const urlId = window.trackingHelper.currentUrlId;
+        if (!urlId || entries.length === 0) return;
+
+        ext.storage.local.get('tracking_history', (result) => {
+            let history = result.tracking_history || [];
+            const index = history.findIndex(h => h.urlId === urlId);
+            if (index === -1) return;
+
+            const appended = EditTimeline.append(history[index].editTimeline, entries, limit);
+            history[index].editTimeline = appended.timeline;
+            if (appended.dropped > 0) {
+                history[index].editTimelineDropped = (history[index].editTimelineDropped || 0) + appended.dropped;
+            }
+            ext.storage.local.set({ tracking_history: history });
+            logger.debug(`[Timeline] ${entries.length} edit(s) recorded on ${urlId}`);
+        });
+    };
+
+    /**
+     * Record the current form's skipped steps and their reasons. Steps no longer skipped are
+     * marked resolved (see skip-reasons.js).
+     * @param {Object} currentSkips - From SkipReasons.getCurrentSkips
+     */
+    window.trackingHelper.updateSkipReasons = function(currentSkips) {
+        const urlId = window.trackingHelper.currentUrlId;
+        if (!urlId) return;
+
+        ext.storage.local.get('tracking_history', (result) => {
+            let history = result.tracking_history || [];
+            const index = history.findIndex(h => h.urlId === urlId);
+            if (index === -1) return;
+
+            const merged = SkipReasons.mergeIntoRecord(history[index].skipReasons, currentSkips, new Date().toISOString());
+            if (merged.changed) {
+                history[index].skipReasons = merged.skipReasons;
+                ext.storage.local.set({ tracking_history: history });
+                logger.debug(`[Skips] Skip reasons updated for ${urlId}:`, merged.skipReasons);
+            }
+        });
+    };
+
+    /**
+     * Read the current form's blind review results
+     * @param {Function} callback - Called with { stepId: result } (empty when there are none)
+     */
+    window.trackingHelper.getBlindReviewResults = function(callback) {
+        const urlId = window.trackingHelper.currentUrlId;
+        if (!urlId) {
+            callback({});
+            return;
+        }
+
+        ext.storage.local.get('tracking_history', (result) => {
+            const form = (result.tracking_history || []).find(h => h.urlId === urlId);
+            callback((form && form.blindReviewResults) || {});
+        });
+    };
+
+    /**
+     * Start a new blind review of the current form, dropping the results of an earlier one
+     */
+    window.trackingHelper.startBlindReview = function() {
+        const urlId = window.trackingHelper.currentUrlId;
+        if (!urlId) return;
+
+        ext.storage.local.get('tracking_history', (result) => {
+            let history = result.tracking_history || [];
+            const index = history.findIndex(h => h.urlId === urlId);
+            if (index === -1) return;
+
+            history[index].blindReviewResults = {};
+            history[index].blindReviewStartedAt = new Date().toISOString();
+            ext.storage.local.set({ tracking_history: history });
+        });
+    };
+
+    /**
+     * Record how a step's blind review entries compared with the form
+     * @param {string} stepId
+     * @param {string} stepName
+     * @param {Array} fields - From BlindReview.compareFields
+     */
+    window.trackingHelper.recordBlindReviewStep = function(stepId, stepName, fields) {
+        const urlId = window.trackingHelper.currentUrlId;
+        if (!urlId) return;
+
+        ext.storage.local.get('tracking_history', (result) => {
+            let history = result.tracking_history || [];
+            const index = history.findIndex(h => h.urlId === urlId);
+            if (index === -1) return;
+
+            history[index].blindReviewResults = {
+                ...(history[index].blindReviewResults || {}),
+                [stepId]: { stepName, checkedAt: new Date().toISOString(), fields }
+            };
+            ext.storage.local.set({ tracking_history: history });
+            logger.debug(`[BlindReview] "${stepName}" checked on ${urlId}: ${fields.filter(f => !f.match).length} mismatches`);
+        });
+    };
+
+    /**
+     * Bring the history records of a profile up to its loaded config version, so stored
+     * original values and field changes use the current step ids and field names
+     * @param {string} profileId - Profile whose records to migrate
+     * @param {string|null} configVersion - metadata.config_version of the loaded config
+     * @param {Array} migrations - "migrations" from the config
+     * @param {Object} stepNames - Current step name by step id, to relabel renamed steps
+     */
+    window.trackingHelper.migrateHistory = function(profileId, configVersion, migrations, stepNames) {
+        if (!configVersion) return;
+
+        ext.storage.local.get('tracking_history', (result) => {
+            const history = result.tracking_history || [];
+            let migratedCount = 0;
+
+            const updated = history.map(record => {
+                if (record.profileId !== profileId) return record;
+                const migrated = ConfigMigrations.migrateRecord(record, migrations, configVersion, stepNames);
+                if (!migrated) return record;
+                migratedCount++;
+                return migrated;
+            });
+
+            if (migratedCount > 0) {
+                ext.storage.local.set({ tracking_history: updated });
+                logger.info(`[ChangeTracking] Migrated ${migratedCount} history record(s) to config version ${configVersion}`);
+            }
+        });
+    };
+
     logger.debug("Tracking helper loaded");
 })();
@@ -10,7 +10,7 @@
 
     // Current view state
     let currentView = 'queue'; // 'queue' or 'history'
-    let currentFilter = 'all'; // 'all', 'completed', 'reviewed', 'in-progress'
+    let currentFilter = 'all'; // 'all', 'completed', 'reviewed', 'pending', 'in-progress'
 
     /**
      * Get simplified letter code for tracking history display
@@ -384,8 +384,11 @@
             if (currentFilter === 'reviewed') {
                 return item.reviewedProgress && item.reviewedProgress.current > 0;
             }
+            if (currentFilter === 'pending') {
+                return isPending(item);
+            }
             if (currentFilter === 'in-progress') {
-                return !item.manuallyMarkedComplete && (!item.checkedProgress || item.checkedProgress.percentage < 100);
+                return !item.manuallyMarkedComplete && (!item.checkedProgress || item.checkedProgress.percentage < 100) && !isPending(item);
             }
             return true;
         });
@@ -423,9 +426,13 @@
                 checkedClass = 'progress-complete';
             } else if (checkedProgress.percentage === 100) {
                 checkedClass = 'progress-complete';
+            } else if (isPending(item)) {
+                checkedClass = 'progress-pending';
+                checkedDisplay = `Pending - ${checkedDisplay}`;
             } else if (checkedProgress.percentage === 0) {
                 checkedClass = 'progress-empty';
             }
+            const pendingTitle = checkedClass === 'progress-pending' ? ` title="${escapeHtml(getPendingSkipsText(item))}"` : '';
 
             // Show checkmark for both manually marked complete AND 100% progress
             const showCheckmark = item.manuallyMarkedComplete || checkedProgress.percentage === 100;
@@ -448,7 +455,7 @@
                 <td><a href="#" class="clickable-link"${policyStyle}${policyTitle} data-url-id="${escapeHtml(item.urlId)}">${escapeHtml(item.policyNumber || 'N/A')}</a></td>
                 <td><span${typeStyle}${typeTitle}>${escapeHtml(displayTypeCode)}</span></td>
                 <td>
-                    <span class="progress-badge ${checkedClass}">${checkedDisplay}</span>
+                    <span class="progress-badge ${checkedClass}"${pendingTitle}>${checkedDisplay}</span>
                     ${showCheckmark ? `<span class="manual-complete-badge" title="${checkmarkTitle}">✓</span>` : ''}
                 </td>
                 <td>
@@ -840,6 +847,24 @@
         });
     }
 
+    /**
+     * Incomplete form with skipped steps still waiting on something (see skip-reasons.js)
+     */
+    function isPending(item) {
+        const isComplete = item.manuallyMarkedComplete || (item.checkedProgress && item.checkedProgress.percentage === 100);
+        return !isComplete && SkipReasons.hasPendingSkips(item);
+    }
+
+    /**
+     * "Step: reason" lines for a form's unresolved skips
+     */
+    function getPendingSkipsText(item) {
+        return Object.values(item.skipReasons || {})
+            .filter(entry => !entry.resolved)
+            .map(entry => `${entry.stepName}: ${entry.reason || 'no reason given'}`)
+            .join('\n');
+    }
+
     function reopenForm(item) {
         dbg("Reopening form:", item);
 
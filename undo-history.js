@@ -0,0 +1,178 @@
+/*************************************************************************************************
+ *  undo-history.js - Undo/redo stacks for checklist actions
+ *
+ *  content.js records every action taken through the checklist UI and keeps the history in
+ *  storage per form and profile (undoHistory_<scope>_<profile>, see UrlRoutes.getStateScope), so
+ *  it survives a page refresh. Every tab showing the form shares it. Entries are plain objects:
+ *      { type: 'state', label, review, changes: [{ index, before, after }], markAll }
+ *          confirm / skip / uncheck / back / Mark Checked - before and after are step states
+ *      { type: 'field', label, index, fieldIndex, before, after, mergeKey }
+ *          a field value edited in the on-page UI or the popout
+ *  Entries with the same mergeKey recorded within MERGE_WINDOW_MS of each other are merged, so
+ *  typing a value is one undo step rather than one per keystroke.
+ *
+ *  The module has no page dependencies, so the tests load it on its own.
+ *************************************************************************************************/
+(function() {
+    "use strict";
+
+    const MAX_ENTRIES = 50;
+    const MERGE_WINDOW_MS = 2000;
+
+    function isSameValue(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    const UndoHistory = {
+        MAX_ENTRIES: MAX_ENTRIES,
+        MERGE_WINDOW_MS: MERGE_WINDOW_MS,
+
+        /**
+         * @returns {Object} Empty history { undo: [], redo: [] }
+         */
+        create: function() {
+            return { undo: [], redo: [] };
+        },
+
+        /**
+         * @param {*} history - Value read from storage
+         * @returns {Object} The history, or an empty one if it isn't a usable history
+         */
+        normalize: function(history) {
+            if (!history || !Array.isArray(history.undo) || !Array.isArray(history.redo)) {
+                return this.create();
+            }
+            return { undo: history.undo, redo: history.redo };
+        },
+
+        /**
+         * Add an action. Clears the redo stack - redoing after a new action would skip it.
+         * @param {Object} history
+         * @param {Object} entry - See the header comment
+         * @param {number} [now] - Timestamp (ms), for merging
+         * @returns {Object} New history (the given one isn't modified)
+         */
+        record: function(history, entry, now = Date.now()) {
+            const undo = history.undo.slice();
+            const last = undo[undo.length - 1];
+
+            if (entry.mergeKey && last && last.mergeKey === entry.mergeKey && now - last.time <= MERGE_WINDOW_MS) {
+                const merged = { ...last, after: entry.after, time: now };
+                undo.pop();
+                // Typed back to where it started - nothing left to undo
+                if (!isSameValue(merged.before, merged.after)) undo.push(merged);
+            } else {
+                undo.push({ ...entry, time: now });
+            }
+
+            return { undo: undo.slice(-MAX_ENTRIES), redo: [] };
+        },
+
+        /**
+         * Take the newest action off the undo stack and put it on the redo stack
+         * @param {Object} history
+         * @returns {Object} { history, entry } - entry is null when there is nothing to undo
+         */
+        takeUndo: function(history) {
+            const entry = this.peekUndo(history);
+            if (!entry) return { history, entry: null };
+            return {
+                history: { undo: history.undo.slice(0, -1), redo: history.redo.concat([entry]) },
+                entry
+            };
+        },
+
+        /**
+         * Take the newest undone action off the redo stack and put it back on the undo stack
+         * @param {Object} history
+         * @returns {Object} { history, entry } - entry is null when there is nothing to redo
+         */
+        takeRedo: function(history) {
+            const entry = this.peekRedo(history);
+            if (!entry) return { history, entry: null };
+            return {
+                history: { undo: history.undo.concat([entry]), redo: history.redo.slice(0, -1) },
+                entry
+            };
+        },
+
+        /**
+         * @returns {Object|null} Action the next undo would revert
+         */
+        peekUndo: function(history) {
+            return history.undo[history.undo.length - 1] || null;
+        },
+
+        /**
+         * @returns {Object|null} Action the next redo would repeat
+         */
+        peekRedo: function(history) {
+            return history.redo[history.redo.length - 1] || null;
+        },
+
+        /**
+         * Drop entries from both stacks, e.g. review actions when a new review starts
+         * @param {Object} history
+         * @param {Function} predicate - Returns true for entries to drop
+         * @returns {Object} New history
+         */
+        discard: function(history, predicate) {
+            return {
+                undo: history.undo.filter(entry => !predicate(entry)),
+                redo: history.redo.filter(entry => !predicate(entry))
+            };
+        },
+
+        /**
+         * What the undo/redo buttons show
+         * @param {Object} history
+         * @returns {Object} { canUndo, canRedo, undoLabel, redoLabel }
+         */
+        getSummary: function(history) {
+            const undoEntry = this.peekUndo(history);
+            const redoEntry = this.peekRedo(history);
+            return {
+                canUndo: !!undoEntry,
+                canRedo: !!redoEntry,
+                undoLabel: undoEntry ? undoEntry.label : '',
+                redoLabel: redoEntry ? redoEntry.label : ''
+            };
+        },
+
+        /**
+         * Steps whose state differs between two checklist states
+         * @param {Array} before - [{ processed, skipped }]
+         * @param {Array} after
+         * @returns {Array} [{ index, before, after }]
+         */
+        diffStates: function(before, after) {
+            const changes = [];
+            after.forEach((item, index) => {
+                const previous = before[index] || { processed: false, skipped: false };
+                if (!isSameValue(previous, item)) {
+                    changes.push({ index, before: { ...previous }, after: { ...item } });
+                }
+            });
+            return changes;
+        },
+
+        /**
+         * Apply a state entry's changes
+         * @param {Array} state - Current checklist state
+         * @param {Array} changes - From diffStates
+         * @param {string} direction - 'undo' (restore before) or 'redo' (restore after)
+         * @returns {Array} New state (the given one isn't modified)
+         */
+        applyStateChanges: function(state, changes, direction) {
+            const newState = state.slice();
+            changes.forEach(change => {
+                if (change.index < newState.length) {
+                    newState[change.index] = { ...(direction === 'undo' ? change.before : change.after) };
+                }
+            });
+            return newState;
+        }
+    };
+
+    window.UndoHistory = UndoHistory;
+})();
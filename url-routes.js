@@ -0,0 +1,270 @@
+/*************************************************************************************************
+ *  url-routes.js - Decides what kind of RAPID page a URL is
+ *
+ *  Checklist form pages come from each profile config's metadata.url_pattern. The helper pages
+ *  (insurer search, policy search, attendance, work queue) are listed in ROUTES below - edit
+ *  them here rather than in the scripts that use them.
+ *
+ *  Pattern syntax (url_pattern may hold several, separated by "|"):
+ *      rapid.slacal.com/Policy/            plain text - the URL contains it (case-sensitive),
+ *                                          "*", "?" and "/" included
+ *      glob:*://rapid.slacal.com/*Edit/*   glob - * is any text, ? one character; matches the whole URL
+ *      regex:/policy\/(transaction)?search/i   regex, flags allowed; a url_pattern that starts with
+ *                                          "regex:" is one regex, so "|" inside it is alternation
+ *  Globs and regexes need their prefix, so a text pattern with a query string's "?" stays text.
+ *  A profile without a url_pattern matches any page no other route claims.
+ *
+ *  The login page is where RAPID sends the processor once their session has run out
+ *  (see session-timeout.js).
+ *
+ *  The manifest's content_scripts "matches" can't be generated, so they only narrow the pages
+ *  each script is injected into (e.g. rapid.slacal.com); the scripts check this module.
+ *************************************************************************************************/
+(function() {
+    "use strict";
+
+    const PAGE_KINDS = {
+        FORM: 'form',
+        INSURER: 'insurer',
+        POLICY_SEARCH: 'policySearch',
+        ATTENDANCE: 'attendance',
+        WORK_QUEUE: 'workQueue',
+        LOGIN: 'login'
+    };
+
+    // url is the page to open when a feature needs one and none is open
+    const ROUTES = [
+        {
+            kind: PAGE_KINDS.INSURER,
+            patterns: ['rapid.slacal.com/Insurer/Search', 'CompanyDetails.aspx', 'AdmittedCompaniesDetails.aspx']
+        },
+        {
+            kind: PAGE_KINDS.POLICY_SEARCH,
+            patterns: ['regex:/rapid\\.slacal\\.com\\/policy\\/(transaction)?search/i'],
+            url: 'https://rapid.slacal.com/policy/transactionSearch'
+        },
+        {
+            kind: PAGE_KINDS.ATTENDANCE,
+            patterns: ['regex:/attendance|timesheet/i'],
+            url: 'https://rapid.slacal.com/Operations/AttendanceSheet/Details'
+        },
+        {
+            kind: PAGE_KINDS.WORK_QUEUE,
+            patterns: ['Operations/WorkItem/MyQueue'],
+            url: 'https://rapid.slacal.com/Operations/WorkItem/MyQueue'
+        },
+        {
+            kind: PAGE_KINDS.LOGIN,
+            patterns: ['regex:/rapid\\.slacal\\.com\\/(account\\/log(in|on)|login\\.aspx)/i']
+        }
+    ];
+
+    const GLOB_PREFIX = 'glob:';
+    const REGEX_PREFIX = 'regex:';
+    const REGEX_LITERAL = /^\/(.+)\/([gimsuy]*)$/;
+
+    let formRoutesPromise = null;
+
+    /**
+     * Escape a glob and anchor it as a regex
+     */
+    function globToRegExp(glob) {
+        const body = glob.split('').map(ch => {
+            if (ch === '*') return '.*';
+            if (ch === '?') return '.';
+            return ch.replace(/[.+^${}()|[\]\\/]/g, '\\$&');
+        }).join('');
+        return new RegExp(`^${body}$`);
+    }
+
+    /**
+     * @param {string} pattern - Single pattern
+     * @returns {Object} { type: 'text' | 'glob' | 'regex', source, flags }. A regex is written
+     *          "regex:/source/flags" or just "regex:source".
+     */
+    function parsePattern(pattern) {
+        if (pattern.startsWith(GLOB_PREFIX)) {
+            return { type: 'glob', source: pattern.slice(GLOB_PREFIX.length).trim(), flags: '' };
+        }
+        if (pattern.startsWith(REGEX_PREFIX)) {
+            const body = pattern.slice(REGEX_PREFIX.length).trim();
+            const literal = body.match(REGEX_LITERAL);
+            return literal
+                ? { type: 'regex', source: literal[1], flags: literal[2] }
+                : { type: 'regex', source: body, flags: '' };
+        }
+        return { type: 'text', source: pattern, flags: '' };
+    }
+
+    const UrlRoutes = {
+        PAGE_KINDS: PAGE_KINDS,
+
+        /**
+         * Split a url_pattern into single patterns
+         * @param {string} urlPattern - "a|b" string, or a single "regex:" pattern
+         * @returns {string[]}
+         */
+        parsePatterns: function(urlPattern) {
+            if (typeof urlPattern !== 'string') return [];
+
+            const trimmed = urlPattern.trim();
+            // A regex is kept whole, since "|" inside it is alternation
+            if (trimmed.startsWith(REGEX_PREFIX)) return [trimmed];
+            return trimmed.split('|').map(p => p.trim()).filter(p => p);
+        },
+
+        /**
+         * Check why a pattern can't be used, for config validation
+         * @param {string} pattern - Single pattern
+         * @returns {string|null} Error message, or null if the pattern is usable
+         */
+        getPatternError: function(pattern) {
+            const parsed = parsePattern(pattern);
+            if (parsed.type !== 'regex') return null;
+            try {
+                new RegExp(parsed.source, parsed.flags);
+                return null;
+            } catch (e) {
+                return e.message;
+            }
+        },
+
+        /**
+         * @param {string} pattern - Single pattern (text, "glob:" or "regex:")
+         * @param {string} url - URL to test
+         * @returns {boolean}
+         */
+        matchesPattern: function(pattern, url) {
+            if (!url) return false;
+            const parsed = parsePattern(pattern);
+            if (parsed.type === 'regex') {
+                try {
+                    return new RegExp(parsed.source, parsed.flags.replace('g', '')).test(url);
+                } catch (e) {
+                    return false;
+                }
+            }
+            if (parsed.type === 'glob') {
+                return globToRegExp(parsed.source).test(url);
+            }
+            return url.includes(pattern);
+        },
+
+        /**
+         * @param {string} urlPattern - See parsePatterns
+         * @param {string} url - URL to test
+         * @returns {boolean} True if any pattern matches (or no pattern is set)
+         */
+        matchesUrlPattern: function(urlPattern, url) {
+            const patterns = this.parsePatterns(urlPattern);
+            if (patterns.length === 0) return true;
+            return patterns.some(pattern => this.matchesPattern(pattern, url));
+        },
+
+        /**
+         * Built-in route for a page kind
+         * @param {string} kind - One of PAGE_KINDS
+         * @returns {Object|null} { kind, patterns, url }
+         */
+        getRoute: function(kind) {
+            return ROUTES.find(route => route.kind === kind) || null;
+        },
+
+        /**
+         * url_pattern of every checklist profile, loaded once per page. Needs config-loader-simple.js.
+         * A profile whose config doesn't validate keeps its pattern, so its pages show the errors;
+         * one that can't be read at all is only reported on the options page.
+         * @returns {Promise<Array>} [{ profileId, urlPattern }] in profile order
+         */
+        loadFormRoutes: function() {
+            if (!formRoutesPromise) {
+                formRoutesPromise = (async () => {
+                    const routes = [];
+                    const profiles = await ConfigLoader.loadProfiles();
+                    for (const profile of profiles) {
+                        const config = await ConfigLoader.loadProfileConfig(profile);
+                        if (!config.error) {
+                            routes.push({ profileId: profile.id, urlPattern: config.metadata.url_pattern });
+                        } else if (typeof config.error.urlPattern === 'string') {
+                            routes.push({ profileId: profile.id, urlPattern: config.error.urlPattern });
+                        }
+                    }
+                    return routes;
+                })();
+            }
+            return formRoutesPromise;
+        },
+
+        /**
+         * Forget loaded form routes, e.g. after a config override is saved
+         */
+        clearFormRoutes: function() {
+            formRoutesPromise = null;
+        },
+
+        /**
+         * What kind of page a URL is, given the form routes
+         * @param {string} url - Page URL
+         * @param {Array} [formRoutes] - From loadFormRoutes. Without them only helper pages are recognised.
+         * @returns {Object|null} { kind, profileId } (profileId only for form pages), or null
+         */
+        getPageKind: function(url, formRoutes = []) {
+            if (!url) return null;
+
+            const hasPattern = route => this.parsePatterns(route.urlPattern).length > 0;
+            const form = formRoutes.find(r => hasPattern(r) && this.matchesUrlPattern(r.urlPattern, url));
+            if (form) return { kind: PAGE_KINDS.FORM, profileId: form.profileId };
+
+            const route = ROUTES.find(r => r.patterns.some(pattern => this.matchesPattern(pattern, url)));
+            if (route) return { kind: route.kind };
+
+            // A profile without a url_pattern matches everything, so it only gets what's left
+            const catchAll = formRoutes.find(r => !hasPattern(r));
+            return catchAll ? { kind: PAGE_KINDS.FORM, profileId: catchAll.profileId } : null;
+        },
+
+        /**
+         * What kind of page a URL is, loading the form routes first
+         * @param {string} url - Page URL
+         * @returns {Promise<Object|null>} See getPageKind
+         */
+        identifyPage: async function(url) {
+            return this.getPageKind(url, await this.loadFormRoutes());
+        },
+
+        /**
+         * @param {string} url - Page URL
+         * @param {string} kind - One of PAGE_KINDS
+         * @returns {boolean} True if url is a helper page of that kind
+         */
+        isPageKind: function(url, kind) {
+            const page = this.getPageKind(url);
+            return !!page && page.kind === kind;
+        },
+
+        /**
+         * Id of the transaction a form page edits (".../Edit/019617801"). Leading zeros are
+         * dropped, so both spellings of an id are the same form.
+         * @param {string} url - Page URL
+         * @returns {string|null}
+         */
+        getFormId: function(url) {
+            const match = (url || '').match(/\/Edit\/(\d+)/);
+            return match ? String(parseInt(match[1], 10)) : null;
+        },
+
+        /**
+         * What a tab's checklist, review, table and undo state is stored under: the form it
+         * shows, so every tab on that form shares it, or the tab itself on pages without a form id
+         * @param {number} tabId
+         * @param {string} url - The tab's URL
+         * @returns {string} "form_<id>" or the tab id
+         */
+        getStateScope: function(tabId, url) {
+            const formId = this.getFormId(url);
+            return formId ? `form_${formId}` : String(tabId);
+        }
+    };
+
+    window.UrlRoutes = UrlRoutes;
+})();